@@ -0,0 +1,69 @@
+// GET/POST /api/search - Find candidate contracts for a token name or $TICKER
+import { getChain, getSupportedChainIds } from "./utils/scan/chains.js";
+import { normalizeSearchQuery, searchTokens } from "./utils/scan/search.js";
+
+const MAX_LIMIT = 20;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({
+      error: "Method not allowed",
+      message: "Only GET and POST requests are supported",
+    });
+  }
+
+  const params = req.method === "GET" ? req.query || {} : req.body || {};
+  const query = normalizeSearchQuery(params.q ?? params.query);
+  const chain = params.chain || null;
+  const limit = Math.min(Math.max(parseInt(params.limit) || 8, 1), MAX_LIMIT);
+
+  if (!query || query.length < 2 || query.length > 40) {
+    return res.status(400).json({
+      error: "Invalid query",
+      message: "q must be a token name or $TICKER between 2 and 40 characters",
+    });
+  }
+
+  if (chain && !getChain(chain)) {
+    return res.status(400).json({
+      error: "Invalid chain",
+      message: `Unsupported chain "${chain}". Supported chains: ${getSupportedChainIds().join(", ")}`,
+    });
+  }
+
+  try {
+    const candidates = await searchTokens(query, { chain, limit });
+
+    return res.status(200).json({
+      query,
+      chain: chain ? getChain(chain).id : null,
+      // More than one candidate sharing the queried symbol means the client should ask
+      ambiguous: candidates.filter((c) => c.exactMatch).length > 1,
+      candidates,
+    });
+  } catch (err) {
+    console.error("[Search API] Error:", err);
+
+    if (err.message?.includes("timeout")) {
+      return res.status(504).json({
+        error: "Request timeout",
+        message: "Token search timed out. Please try again.",
+      });
+    }
+
+    return res.status(503).json({
+      error: "External service unavailable",
+      message: "Unable to search tokens right now. Please try again later.",
+    });
+  }
+}
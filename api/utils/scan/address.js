@@ -0,0 +1,47 @@
+// Address format detection and validation
+
+// Helper: Detect blockchain from address format
+export function detectBlockchain(address) {
+  if (!address || typeof address !== "string") return null;
+  const trimmed = address.trim();
+  
+  // BNB/BSC addresses are Ethereum-style: 0x followed by 40 hex characters
+  if (/^0x[a-fA-F0-9]{40}$/.test(trimmed)) {
+    return "bnb";
+  }
+  
+  // Solana addresses are base58 encoded and typically 32-44 characters
+  const base58Regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+  if (base58Regex.test(trimmed)) {
+    return "solana";
+  }
+  
+  return null;
+}
+
+// Helper: Detect the address family ("evm" or "solana") without picking a specific chain
+export function detectAddressFamily(address) {
+  const blockchain = detectBlockchain(address);
+  if (blockchain === "bnb") return "evm";
+  return blockchain;
+}
+
+// Helper: Validate Solana address format
+export function validateSolanaAddress(address) {
+  if (!address || typeof address !== "string") return false;
+  // Solana addresses are base58 encoded and typically 32-44 characters
+  const base58Regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+  return base58Regex.test(address.trim());
+}
+
+// Helper: Validate BNB/BSC address format
+export function validateBNBAddress(address) {
+  if (!address || typeof address !== "string") return false;
+  // BNB addresses are Ethereum-style: 0x followed by 40 hex characters
+  return /^0x[a-fA-F0-9]{40}$/.test(address.trim());
+}
+
+// Helper: Validate any supported blockchain address
+export function validateAddress(address) {
+  return validateSolanaAddress(address) || validateBNBAddress(address);
+}
@@ -0,0 +1,210 @@
+// Address-type resolution: work out whether a scanned address is a token mint,
+// an AMM pair/pool, a wallet or a program before any token data is fetched.
+// Pairs (and Solana token accounts) are mapped to their token; wallets and
+// programs are rejected with an AddressTypeError.
+import { fetchWithTimeout } from "./http.js";
+import { isQuoteToken } from "./chains.js";
+import { ethCall, decodeAddress, rpcCall } from "./evm.js";
+import {
+  getParsedAccountInfo,
+  SYSTEM_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+} from "./solana.js";
+
+// Function selectors used to classify EVM contracts
+const SELECTORS = {
+  token0: "0x0dfe1681",
+  token1: "0xd21220a7",
+  decimals: "0x313ce567",
+};
+
+// Thrown when the address is valid but cannot be scanned as a token (wallet, program)
+export class AddressTypeError extends Error {
+  constructor(message, addressType) {
+    super(message);
+    this.name = "AddressTypeError";
+    this.code = "ADDRESS_NOT_TOKEN";
+    this.addressType = addressType;
+  }
+}
+
+// Look up a pair on DexScreener by pair address (null when it is not a known pair)
+async function getDexScreenerPair(chain, pairAddress, timeout) {
+  try {
+    const response = await fetchWithTimeout(
+      `https://api.dexscreener.com/latest/dex/pairs/${chain.dexscreenerId}/${pairAddress}`,
+      {},
+      timeout
+    );
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return data.pair || data.pairs?.[0] || null;
+  } catch (err) {
+    console.log(`[AddressType] DexScreener pair lookup failed: ${err.message}`);
+    return null;
+  }
+}
+
+// Helper: Resolution record for a pair mapped to its base token
+function pairResolution(address, pair, method) {
+  return {
+    inputAddress: address,
+    type: "pair",
+    tokenAddress: pair.baseToken.address,
+    method,
+    pair: {
+      pairAddress: address,
+      dexId: pair.dexId || null,
+      baseSymbol: pair.baseToken.symbol || null,
+      quoteAddress: pair.quoteToken?.address || null,
+      quoteSymbol: pair.quoteToken?.symbol || null,
+    },
+  };
+}
+
+// Classify a Solana account via getAccountInfo
+async function resolveSolanaAddress(address, chain, timeout) {
+  let account;
+  try {
+    account = await getParsedAccountInfo(address, { timeout });
+  } catch (err) {
+    console.log(`[AddressType] Solana account lookup failed: ${err.message}`);
+    return { inputAddress: address, type: "unknown", tokenAddress: address, method: "rpc-unavailable" };
+  }
+
+  if (!account) {
+    throw new AddressTypeError(
+      "This address has no account on Solana. Please send a token mint address.",
+      "not-found"
+    );
+  }
+
+  if (account.executable) {
+    throw new AddressTypeError(
+      "This address is a Solana program, not a token. Please send the token mint address.",
+      "program"
+    );
+  }
+
+  const owner = account.owner;
+  const parsed = account.data?.parsed;
+
+  if (owner === TOKEN_PROGRAM_ID || owner === TOKEN_2022_PROGRAM_ID) {
+    if (parsed?.type === "mint") {
+      return { inputAddress: address, type: "mint", tokenAddress: address, method: "account-owner" };
+    }
+    if (parsed?.type === "account" && parsed.info?.mint) {
+      return {
+        inputAddress: address,
+        type: "token-account",
+        tokenAddress: parsed.info.mint,
+        method: "account-owner",
+      };
+    }
+  }
+
+  if (owner === SYSTEM_PROGRAM_ID) {
+    throw new AddressTypeError(
+      "This looks like a wallet address, not a token. Please send the token mint address.",
+      "wallet"
+    );
+  }
+
+  // Accounts owned by an AMM program (Raydium, Orca, Meteora, ...) are pools
+  const pair = await getDexScreenerPair(chain, address, timeout);
+  if (pair?.baseToken?.address) {
+    return pairResolution(address, pair, "dexscreener-pair");
+  }
+
+  return { inputAddress: address, type: "unknown", tokenAddress: address, method: "account-owner", owner };
+}
+
+// Classify an EVM address via eth_getCode and a few view calls
+async function resolveEvmAddress(address, chain, timeout) {
+  let code;
+  try {
+    code = await rpcCall(chain, "eth_getCode", [address, "latest"], { timeout });
+  } catch (err) {
+    console.log(`[AddressType] ${chain.name} code lookup failed: ${err.message}`);
+    return { inputAddress: address, type: "unknown", tokenAddress: address, method: "rpc-unavailable" };
+  }
+
+  if (!code || code === "0x" || code === "0x0") {
+    throw new AddressTypeError(
+      `This looks like a wallet address on ${chain.name}, not a token contract. Please send the token contract address.`,
+      "wallet"
+    );
+  }
+
+  // Pairs/pools expose token0() and token1() (Uniswap V2/V3 and forks). Check this
+  // before decimals() because V2 pair contracts are ERC-20 LP tokens themselves.
+  const [token0Result, token1Result] = await Promise.allSettled([
+    ethCall(chain, address, SELECTORS.token0, { timeout }),
+    ethCall(chain, address, SELECTORS.token1, { timeout }),
+  ]);
+  const token0 = token0Result.status === "fulfilled" ? decodeAddress(token0Result.value) : null;
+  const token1 = token1Result.status === "fulfilled" ? decodeAddress(token1Result.value) : null;
+
+  if (token0 && token1) {
+    const pair = await getDexScreenerPair(chain, address, timeout);
+    if (pair?.baseToken?.address) {
+      return pairResolution(address, pair, "dexscreener-pair");
+    }
+
+    // Not indexed by DexScreener: the base token is the side that isn't a known quote token
+    const tokenAddress = isQuoteToken(chain, token0) && !isQuoteToken(chain, token1) ? token1 : token0;
+    return {
+      inputAddress: address,
+      type: "pair",
+      tokenAddress,
+      method: "pair-contract",
+      pair: {
+        pairAddress: address,
+        dexId: null,
+        baseSymbol: null,
+        quoteAddress: tokenAddress === token0 ? token1 : token0,
+        quoteSymbol: null,
+      },
+    };
+  }
+
+  try {
+    const decimals = await ethCall(chain, address, SELECTORS.decimals, { timeout });
+    if (decimals && decimals !== "0x") {
+      return { inputAddress: address, type: "mint", tokenAddress: address, method: "erc20-interface" };
+    }
+  } catch (err) {
+    // JSON-RPC errors (reverts) carry a code; anything else is a transport failure
+    if (err.code === undefined) {
+      console.log(`[AddressType] ${chain.name} decimals() lookup failed: ${err.message}`);
+      return { inputAddress: address, type: "unknown", tokenAddress: address, method: "rpc-unavailable" };
+    }
+  }
+
+  throw new AddressTypeError(
+    `This address is a ${chain.name} contract but not a token or trading pair. Please send the token contract address.`,
+    "program"
+  );
+}
+
+// Resolve what kind of account an address is on the given chain.
+// Returns { inputAddress, type, tokenAddress, method, pair? } where tokenAddress is
+// the token to scan. Throws AddressTypeError for wallets and programs.
+export async function resolveAddressType(address, chain, { timeout = 6000 } = {}) {
+  const startTime = Date.now();
+
+  const resolution = chain.family === "solana"
+    ? await resolveSolanaAddress(address, chain, timeout)
+    : await resolveEvmAddress(address, chain, timeout);
+
+  const duration = Date.now() - startTime;
+  if (resolution.tokenAddress !== address) {
+    console.log(`[AddressType] ✅ ${resolution.type} ${address} -> token ${resolution.tokenAddress} (${resolution.method}) - ${duration}ms`);
+  } else {
+    console.log(`[AddressType] ✅ ${resolution.type} (${resolution.method}) - ${duration}ms`);
+  }
+
+  return resolution;
+}
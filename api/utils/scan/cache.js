@@ -0,0 +1,155 @@
+// Scan result cache (Supabase dyor_scans table)
+import { createClient } from "@supabase/supabase-js";
+
+const supabaseAdmin = createClient(
+  process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Helper: Cache operations
+export async function getCachedScan(contractAddress) {
+  try {
+  const { data, error } = await supabaseAdmin
+    .from("dyor_scans")
+    .select("*")
+    .eq("contract_address", contractAddress)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+      console.error("Cache read error:", error);
+    return null;
+  }
+  return data;
+  } catch (error) {
+    console.error("Cache read exception:", error);
+    return null;
+  }
+}
+
+export async function saveScan(contractAddress, result) {
+  try {
+  const { data, error } = await supabaseAdmin
+    .from("dyor_scans")
+    .insert({
+      contract_address: contractAddress,
+      result_json: result,
+    })
+    .select()
+    .single();
+
+  if (error) {
+      console.error("Cache save error:", error);
+      // Don't throw - cache save failure shouldn't break the scan
+      return null;
+  }
+  return data;
+  } catch (error) {
+    console.error("Cache save exception:", error);
+    return null;
+  }
+}
+
+// Holder snapshots (Supabase dyor_holder_snapshots and dyor_holder_balances tables, created by
+// supabase/migrations/20261018000000_holder_snapshots.sql)
+// dyor_holder_snapshots: chain, token_address, last_block, transfer_count, updated_at; unique
+// on (chain, token_address).
+// dyor_holder_balances: chain, token_address, holder, balance (text); unique on
+// (chain, token_address, holder). Each save only writes the holders whose balance changed.
+const HOLDER_PAGE_SIZE = 1000;
+const HOLDER_DELETE_CHUNK = 200;
+
+// Helper: Split a list into chunks
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+// Snapshot row plus its balances ({ holder: balance })
+export async function getHolderSnapshot(chain, tokenAddress) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("dyor_holder_snapshots")
+      .select("*")
+      .eq("chain", chain)
+      .eq("token_address", tokenAddress)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Holder snapshot read error:", error);
+      return null;
+    }
+    if (!data) return null;
+
+    const balances = {};
+    for (let from = 0; ; from += HOLDER_PAGE_SIZE) {
+      const { data: rows, error: pageError } = await supabaseAdmin
+        .from("dyor_holder_balances")
+        .select("holder, balance")
+        .eq("chain", chain)
+        .eq("token_address", tokenAddress)
+        .order("holder")
+        .range(from, from + HOLDER_PAGE_SIZE - 1);
+
+      if (pageError) {
+        console.error("Holder balances read error:", pageError);
+        return null;
+      }
+      for (const row of rows) balances[row.holder] = row.balance;
+      if (rows.length < HOLDER_PAGE_SIZE) break;
+    }
+    return { ...data, balances };
+  } catch (error) {
+    console.error("Holder snapshot read exception:", error);
+    return null;
+  }
+}
+
+// Persist the holders whose balance changed (`changes` is [[holder, balance string]], "0"
+// deletes the holder) and then the snapshot's block. When a write fails the token's balances
+// and snapshot row are dropped, so the next scan rebuilds from scratch rather than replaying
+// blocks onto newer balances.
+export async function saveHolderSnapshot(chain, tokenAddress, { lastBlock, transferCount, changes }) {
+  const balancesTable = () => supabaseAdmin.from("dyor_holder_balances");
+  try {
+    const updated = changes
+      .filter(([, balance]) => balance !== "0")
+      .map(([holder, balance]) => ({ chain, token_address: tokenAddress, holder, balance }));
+    for (const rows of chunk(updated, HOLDER_PAGE_SIZE)) {
+      const { error } = await balancesTable().upsert(rows, { onConflict: "chain,token_address,holder" });
+      if (error) throw error;
+    }
+
+    const emptied = changes.filter(([, balance]) => balance === "0").map(([holder]) => holder);
+    for (const holders of chunk(emptied, HOLDER_DELETE_CHUNK)) {
+      const { error } = await balancesTable().delete().eq("chain", chain).eq("token_address", tokenAddress).in("holder", holders);
+      if (error) throw error;
+    }
+
+    const { error } = await supabaseAdmin
+      .from("dyor_holder_snapshots")
+      .upsert(
+        {
+          chain,
+          token_address: tokenAddress,
+          last_block: lastBlock,
+          transfer_count: transferCount,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "chain,token_address" }
+      );
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error("Holder snapshot save error:", error);
+    try {
+      await supabaseAdmin.from("dyor_holder_snapshots").delete().eq("chain", chain).eq("token_address", tokenAddress);
+      await balancesTable().delete().eq("chain", chain).eq("token_address", tokenAddress);
+    } catch {
+      // Best effort - the error above is already logged
+    }
+    return false;
+  }
+}
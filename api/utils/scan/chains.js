@@ -0,0 +1,307 @@
+// Supported chains and chain resolution for EVM addresses
+// "bnb" stays the id for BNB Smart Chain so existing results and clients keep working.
+import { fetchWithTimeout } from "./http.js";
+import { detectAddressFamily } from "./address.js";
+import { hasContractCode } from "./evm.js";
+
+export const CHAINS = {
+  solana: {
+    id: "solana",
+    name: "Solana",
+    family: "solana",
+    dexscreenerId: "solana",
+    geckoTerminalId: "solana",
+    explorerUrl: "https://solscan.io",
+    nativeSymbol: "SOL",
+    defaultDecimals: 9,
+    quoteTokens: [
+      "So11111111111111111111111111111111111111112", // wSOL
+      "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", // USDC
+      "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", // USDT
+    ],
+  },
+  bnb: {
+    id: "bnb",
+    name: "BNB/BSC",
+    family: "evm",
+    chainId: 56,
+    dexscreenerId: "bsc",
+    geckoTerminalId: "bsc",
+    explorerName: "BSCScan",
+    explorerUrl: "https://bscscan.com",
+    explorerApiUrl: "https://api.bscscan.com/api",
+    explorerApiKeyEnv: "BSCSCAN_API_KEY",
+    rpcUrlEnv: "BSC_RPC_URL",
+    simulationRpcUrlEnv: "BSC_SIMULATION_RPC_URL",
+    defaultRpcUrl: "https://bsc-dataseed.binance.org",
+    nativeSymbol: "BNB",
+    defaultDecimals: 18,
+    quoteTokens: [
+      "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", // WBNB
+      "0x55d398326f99059fF775485246999027B3197955", // USDT
+      "0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d", // USDC
+      "0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56", // BUSD
+    ],
+    lpLockers: [
+      { address: "0x407993575c91ce7643a4d4cCACc9A98c36eE1BBE", name: "PinkLock V2" },
+      { address: "0x7ee058420e5937496F5a2096f04caA7721cF70cc", name: "PinkLock" },
+      { address: "0xC765bddB93b0D1c1A88282BA0fa6B2d00E3e0c83", name: "Unicrypt" },
+      { address: "0x0C89C0407775dd89b12918B9c0aa42Bf96518820", name: "Team Finance" },
+    ],
+    v2Routers: {
+      pancakeswap: "0x10ED43C718714eb63d5aA57B78B54704E256024E",
+    },
+  },
+  ethereum: {
+    id: "ethereum",
+    name: "Ethereum",
+    family: "evm",
+    chainId: 1,
+    dexscreenerId: "ethereum",
+    geckoTerminalId: "eth",
+    explorerName: "Etherscan",
+    explorerUrl: "https://etherscan.io",
+    explorerApiUrl: "https://api.etherscan.io/api",
+    explorerApiKeyEnv: "ETHERSCAN_API_KEY",
+    rpcUrlEnv: "ETH_RPC_URL",
+    simulationRpcUrlEnv: "ETH_SIMULATION_RPC_URL",
+    defaultRpcUrl: "https://cloudflare-eth.com",
+    nativeSymbol: "ETH",
+    defaultDecimals: 18,
+    quoteTokens: [
+      "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
+      "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
+      "0xdAC17F958D2ee523a2206206994597C13D831ec7", // USDT
+      "0x6B175474E89094C44Da98b954EedeAC495271d0F", // DAI
+    ],
+    lpLockers: [
+      { address: "0x663A5C229c09b049E36dCc11a9B0d4a8Eb9db214", name: "Unicrypt" },
+      { address: "0xE2fE530C047f2d85298b07D9333C05737f1435fB", name: "Team Finance" },
+      { address: "0x71B5759d73262FBb223956913ecF4ecC51057641", name: "PinkLock V2" },
+    ],
+    v2Routers: {
+      uniswap: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+      sushiswap: "0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F",
+    },
+  },
+  base: {
+    id: "base",
+    name: "Base",
+    family: "evm",
+    chainId: 8453,
+    dexscreenerId: "base",
+    geckoTerminalId: "base",
+    explorerName: "BaseScan",
+    explorerUrl: "https://basescan.org",
+    explorerApiUrl: "https://api.basescan.org/api",
+    explorerApiKeyEnv: "BASESCAN_API_KEY",
+    rpcUrlEnv: "BASE_RPC_URL",
+    simulationRpcUrlEnv: "BASE_SIMULATION_RPC_URL",
+    defaultRpcUrl: "https://mainnet.base.org",
+    nativeSymbol: "ETH",
+    defaultDecimals: 18,
+    quoteTokens: [
+      "0x4200000000000000000000000000000000000006", // WETH
+      "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", // USDC
+    ],
+    v2Routers: {
+      uniswap: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24",
+    },
+  },
+  arbitrum: {
+    id: "arbitrum",
+    name: "Arbitrum",
+    family: "evm",
+    chainId: 42161,
+    dexscreenerId: "arbitrum",
+    geckoTerminalId: "arbitrum",
+    explorerName: "Arbiscan",
+    explorerUrl: "https://arbiscan.io",
+    explorerApiUrl: "https://api.arbiscan.io/api",
+    explorerApiKeyEnv: "ARBISCAN_API_KEY",
+    rpcUrlEnv: "ARBITRUM_RPC_URL",
+    simulationRpcUrlEnv: "ARBITRUM_SIMULATION_RPC_URL",
+    defaultRpcUrl: "https://arb1.arbitrum.io/rpc",
+    nativeSymbol: "ETH",
+    defaultDecimals: 18,
+    quoteTokens: [
+      "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1", // WETH
+      "0xaf88d065e77c8cC2239327C5EDb3A432268e5831", // USDC
+      "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9", // USDT
+    ],
+    v2Routers: {
+      uniswap: "0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24",
+      sushiswap: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506",
+    },
+  },
+};
+
+// EVM chains in resolution order (ties go to the earlier chain)
+export const EVM_CHAIN_IDS = ["bnb", "ethereum", "base", "arbitrum"];
+
+// Accepted spellings for the optional `chain` request field
+const CHAIN_ALIASES = {
+  sol: "solana",
+  bsc: "bnb",
+  bnb: "bnb",
+  binance: "bnb",
+  eth: "ethereum",
+  ethereum: "ethereum",
+  mainnet: "ethereum",
+  base: "base",
+  arb: "arbitrum",
+  arbitrum: "arbitrum",
+  solana: "solana",
+};
+
+// Helper: Look up a chain by id or alias (returns null if unsupported)
+export function getChain(chainId) {
+  if (!chainId || typeof chainId !== "string") return null;
+  const id = CHAIN_ALIASES[chainId.trim().toLowerCase()];
+  return id ? CHAINS[id] : null;
+}
+
+// Helper: Whether a token is one of the chain's well-known quote tokens (wrapped native, stables)
+export function isQuoteToken(chain, address) {
+  if (!address) return false;
+  const normalized = chain.family === "evm" ? address.toLowerCase() : address;
+  return (chain.quoteTokens || []).some((token) =>
+    (chain.family === "evm" ? token.toLowerCase() : token) === normalized
+  );
+}
+
+// Helper: Look up a chain by its DexScreener chain id
+export function getChainByDexScreenerId(dexscreenerId) {
+  return Object.values(CHAINS).find((chain) => chain.dexscreenerId === dexscreenerId) || null;
+}
+
+// Helper: Whether a chain id refers to an EVM chain
+export function isEvmChain(chainId) {
+  return CHAINS[chainId]?.family === "evm";
+}
+
+// Helper: Supported chain ids, for error messages and docs
+export function getSupportedChainIds() {
+  return Object.keys(CHAINS);
+}
+
+// Helper: Chain details that are safe to include in API responses
+export function toPublicChain(chain) {
+  return {
+    id: chain.id,
+    name: chain.name,
+    chainId: chain.chainId ?? null,
+    dexscreenerId: chain.dexscreenerId,
+    explorerUrl: chain.explorerUrl,
+  };
+}
+
+// Helper: DexScreener page for a token on a chain
+export function getDexScreenerUrl(chain, address) {
+  return `https://dexscreener.com/${chain.dexscreenerId}/${address}`;
+}
+
+// Helper: Validate an optional `chain` request field against an address.
+// Returns an error message, or null when the chain is omitted or valid.
+export function getChainValidationError(address, requestedChain) {
+  if (requestedChain === undefined || requestedChain === null || requestedChain === "") return null;
+
+  const chain = getChain(requestedChain);
+  if (!chain) {
+    return `Unsupported chain "${requestedChain}". Supported chains: ${getSupportedChainIds().join(", ")}`;
+  }
+  const family = detectAddressFamily(address);
+  if (family && chain.family !== family) {
+    return `Address is not a valid ${chain.name} address`;
+  }
+  return null;
+}
+
+// Liquidity per chain from DexScreener's cross-chain token endpoint
+async function getDexScreenerLiquidityByChain(address) {
+  try {
+    const response = await fetchWithTimeout(
+      `https://api.dexscreener.com/latest/dex/tokens/${address}`,
+      {},
+      6000
+    );
+    if (!response.ok) return {};
+
+    const data = await response.json();
+    const liquidity = {};
+    for (const pair of data.pairs || []) {
+      const chain = getChainByDexScreenerId(pair.chainId);
+      if (!chain || chain.family !== "evm") continue;
+      liquidity[chain.id] = (liquidity[chain.id] || 0) + (pair.liquidity?.usd || 0);
+    }
+    return liquidity;
+  } catch (err) {
+    console.log(`[Chains] DexScreener lookup failed: ${err.message}`);
+    return {};
+  }
+}
+
+// Work out which chain to scan an address on.
+// Returns { chain, resolution } where resolution records how the chain was chosen.
+export async function resolveChain(address, requestedChain = null) {
+  const family = detectAddressFamily(address);
+  if (!family) {
+    throw new Error("Invalid address format. Must be a valid Solana or EVM (0x) address.");
+  }
+
+  if (requestedChain) {
+    const validationError = getChainValidationError(address, requestedChain);
+    if (validationError) throw new Error(validationError);
+
+    const chain = getChain(requestedChain);
+    return {
+      chain,
+      resolution: { method: "requested", requested: requestedChain, candidates: [chain.id] },
+    };
+  }
+
+  if (family === "solana") {
+    return {
+      chain: CHAINS.solana,
+      resolution: { method: "address-format", candidates: ["solana"] },
+    };
+  }
+
+  // EVM: probe every chain for deployed bytecode and DexScreener liquidity
+  const startTime = Date.now();
+  const [liquidityByChain, codeResults] = await Promise.all([
+    getDexScreenerLiquidityByChain(address),
+    Promise.allSettled(
+      EVM_CHAIN_IDS.map((id) => hasContractCode(CHAINS[id], address, { timeout: 5000 }))
+    ),
+  ]);
+
+  const withCode = EVM_CHAIN_IDS.filter(
+    (id, idx) => codeResults[idx].status === "fulfilled" && codeResults[idx].value
+  );
+  const withPairs = EVM_CHAIN_IDS.filter((id) => liquidityByChain[id] !== undefined);
+  const candidates = EVM_CHAIN_IDS.filter((id) => withCode.includes(id) || withPairs.includes(id));
+
+  console.log(`[Chains] Resolved candidates in ${Date.now() - startTime}ms: code=[${withCode.join(", ")}], pairs=[${withPairs.join(", ")}]`);
+
+  if (candidates.length === 0) {
+    return {
+      chain: CHAINS.bnb,
+      resolution: { method: "default", candidates: [] },
+    };
+  }
+
+  // Prefer the chain where the token actually trades with the most liquidity
+  const ranked = [...candidates].sort(
+    (a, b) => (liquidityByChain[b] || 0) - (liquidityByChain[a] || 0)
+  );
+
+  return {
+    chain: CHAINS[ranked[0]],
+    resolution: {
+      method: withPairs.length > 0 ? "dexscreener-liquidity" : "contract-code",
+      candidates: ranked,
+      liquidityByChain,
+    },
+  };
+}
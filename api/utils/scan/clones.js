@@ -0,0 +1,211 @@
+// Clone detection: other tokens trading under the same or a near-identical name/ticker
+// Copycats of trending tokens reuse the name and symbol (often with a lookalike
+// character) and link the original's socials. DexScreener search finds the lookalikes
+// on every supported chain; the likely original is the one with the most history
+// (age, liquidity), boosted when the scanned project's website lists its address, and
+// one on the scanned token's own chain is preferred over one elsewhere.
+import { isEvmChain } from "./chains.js";
+import { searchTokens } from "./search.js";
+
+const SEARCH_LIMIT = 30;
+const MAX_MATCHES = 10;
+const WEBSITE_LINK_SCORE = 10; // Listed on the project's own website - strongest ownership signal
+const CLONE_MARGIN = 2; // How far a lookalike must outscore the scanned token to call it the original
+
+// Characters swapped in to dodge exact-match checks ("PEP3", "B0NK")
+const LOOKALIKES = { 0: "O", 1: "I", 3: "E", 4: "A", 5: "S", 7: "T", $: "S" };
+
+// Helper: Canonical form of a name or symbol for comparison
+function normalizeLabel(value) {
+  if (!value) return "";
+  return value
+    .normalize("NFKD")
+    .toUpperCase()
+    .replace(/[013457$]/g, (ch) => LOOKALIKES[ch])
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// Helper: Levenshtein distance, stopping early once it exceeds `max`
+function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Helper: "exact" when two labels are identical, "near" when they only differ by a
+// lookalike character, punctuation or one edit (labels of 5+ characters), else null
+function compareLabels(a, b) {
+  if (!a || !b) return null;
+  if (a.trim().toUpperCase() === b.trim().toUpperCase()) return "exact";
+  const left = normalizeLabel(a);
+  const right = normalizeLabel(b);
+  if (!left || !right) return null;
+  if (left === right) return "near";
+  return Math.min(left.length, right.length) >= 5 && editDistance(left, right, 1) <= 1 ? "near" : null;
+}
+
+// Helper: Comparable form of a social/website URL (x.com and twitter.com are the same)
+function normalizeUrl(url) {
+  if (!url) return null;
+  return url
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^www\./, "")
+    .replace(/^twitter\.com/, "x.com")
+    .replace(/[?#].*$/, "")
+    .replace(/\/+$/, "");
+}
+
+// Helper: Social links two tokens have in common
+function sharedSocials(a, b) {
+  if (!a || !b) return [];
+  return ["website", "x", "telegram"].filter((key) => a[key] && normalizeUrl(a[key]) === normalizeUrl(b[key]));
+}
+
+// Helper: How strongly a token looks like the original (older and deeper scores higher)
+function originalScore({ liquidity, ageDays, linkedFromWebsite }) {
+  const liquidityScore = Math.log10(1 + (liquidity || 0)) * 3;
+  const ageScore = ageDays === null || ageDays === undefined ? 0 : Math.min(Math.log2(1 + ageDays), 8) * 2;
+  return Math.round((liquidityScore + ageScore + (linkedFromWebsite ? WEBSITE_LINK_SCORE : 0)) * 100) / 100;
+}
+
+// Helper: Risk level when the scanned token is not the likely original (`original` is on the
+// same chain, shares a social link or is listed on the project website)
+function getCloneRiskLevel(scanned, original) {
+  const sameChain = original.chain === scanned.chain;
+  const olderOriginal = original.ageDays !== null && (scanned.ageDays === null || original.ageDays > scanned.ageDays);
+  const deeperOriginal = (original.liquidity || 0) >= Math.max(10 * (scanned.liquidity || 0), 10000);
+  if (sameChain && olderOriginal && deeperOriginal) return "high";
+  if (olderOriginal || deeperOriginal || original.linkedFromWebsite) return "medium";
+  return "low";
+}
+
+// Look for tokens impersonating (or impersonated by) the scanned token.
+// tokenName, symbol, socials, liquidity and ageDays describe the scanned token;
+// `websiteData` is its scraped website (its `addresses` decide which contract the project
+// claims). Returns null when the token has no usable name or symbol, else { matches,
+// matchCount, likelyOriginal, isLikelyOriginal, isLikelyClone, websiteListsAddress, riskFlag }
+// where matches are [{ address, chain, chainName, name, symbol, liquidity, volume24h, ageDays,
+// dexUrl, similarity, matchedOn, sharedSocials, linkedFromWebsite, originalScore }].
+export async function detectClones(tokenAddress, chain, {
+  tokenName = null,
+  symbol = null,
+  socials = null,
+  liquidity = null,
+  ageDays = null,
+  websiteData = null,
+  timeout = 8000,
+} = {}) {
+  const usableSymbol = symbol && symbol !== "???" ? symbol : null;
+  const usableName = tokenName && tokenName !== "Unknown Token" ? tokenName : null;
+  if (!usableSymbol && !usableName) return null;
+
+  const startTime = Date.now();
+  console.log(`[Clones] Searching for lookalikes of ${usableSymbol || usableName}`);
+
+  try {
+    // The de-lookaliked ticker finds the original when the scanned token is "PEP3"
+    const queries = [...new Set([usableSymbol, usableName, normalizeLabel(usableSymbol)].filter(Boolean))];
+    const results = await Promise.all(queries.map((query) => searchTokens(query, { limit: SEARCH_LIMIT, timeout })));
+
+    const sameAddress = (a, b) => (isEvmChain(chain.id) ? a?.toLowerCase() === b?.toLowerCase() : a === b);
+    const listed = new Set((websiteData?.addresses || []).map((a) => (a.startsWith("0x") ? a.toLowerCase() : a)));
+    const isListed = (address) => listed.has(address.startsWith("0x") ? address.toLowerCase() : address);
+
+    // One entry per (chain, token) that isn't the scanned token and looks alike
+    const seen = new Set();
+    const matches = [];
+    for (const candidate of results.flat()) {
+      const key = `${candidate.chain}:${candidate.address}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (candidate.chain === chain.id && sameAddress(candidate.address, tokenAddress)) continue;
+
+      const symbolMatch = compareLabels(usableSymbol, candidate.symbol);
+      const nameMatch = compareLabels(usableName, candidate.name);
+      if (!symbolMatch && !nameMatch) continue;
+
+      const linkedFromWebsite = isListed(candidate.address);
+      matches.push({
+        address: candidate.address,
+        chain: candidate.chain,
+        chainName: candidate.chainName,
+        name: candidate.name,
+        symbol: candidate.symbol,
+        liquidity: candidate.liquidity,
+        volume24h: candidate.volume24h,
+        ageDays: candidate.ageDays,
+        dexUrl: candidate.dexUrl,
+        similarity: symbolMatch === "exact" || nameMatch === "exact" ? "exact" : "near",
+        matchedOn: [symbolMatch && "symbol", nameMatch && "name"].filter(Boolean),
+        sharedSocials: sharedSocials(socials, candidate.socials),
+        linkedFromWebsite,
+        originalScore: originalScore({ liquidity: candidate.liquidity, ageDays: candidate.ageDays, linkedFromWebsite }),
+      });
+    }
+    matches.sort((a, b) => b.originalScore - a.originalScore);
+
+    const websiteListsAddress = websiteData?.addresses ? isListed(tokenAddress) : null;
+    const scanned = {
+      address: tokenAddress,
+      chain: chain.id,
+      liquidity: liquidity || 0,
+      ageDays,
+      linkedFromWebsite: !!websiteListsAddress,
+    };
+    scanned.originalScore = originalScore(scanned);
+
+    // Only lookalikes with something tying them to the scanned token can be what it copies:
+    // the same chain, a shared social link or the project website listing them. A same-name
+    // token on another chain with nothing else in common stays a plain match. A better-
+    // established token on the same chain is the more direct impersonation target.
+    const isRelated = (match) => match.chain === chain.id || match.sharedSocials.length > 0 || match.linkedFromWebsite;
+    const outscores = (match) => match.originalScore > scanned.originalScore + CLONE_MARGIN;
+    const related = matches.filter(isRelated);
+    const topMatch = related.find((match) => match.chain === chain.id && outscores(match)) || related[0] || null;
+    const isLikelyClone = !!topMatch && outscores(topMatch);
+    const isLikelyOriginal = matches.length > 0 && !matches.some(outscores);
+    const likelyOriginal = isLikelyClone ? topMatch : isLikelyOriginal ? { ...scanned, name: usableName, symbol: usableSymbol } : null;
+    const level = isLikelyClone ? getCloneRiskLevel(scanned, topMatch) : null;
+
+    const result = {
+      matches: matches.slice(0, MAX_MATCHES),
+      matchCount: matches.length,
+      likelyOriginal,
+      isLikelyOriginal,
+      isLikelyClone,
+      websiteListsAddress,
+      riskFlag: level
+        ? {
+            id: "impersonation",
+            name: "Possible clone",
+            level,
+            description:
+              `Looks like a copy of ${topMatch.name || topMatch.symbol} on ${topMatch.chainName} (${topMatch.address}), ` +
+              `which is ${topMatch.ageDays !== null ? `${topMatch.ageDays} days old with ` : ""}$${Math.round(topMatch.liquidity).toLocaleString()} liquidity` +
+              (topMatch.sharedSocials.length ? ` and uses the same ${topMatch.sharedSocials.join("/")} link` : "") +
+              (topMatch.linkedFromWebsite ? "; the project website lists that address, not this one" : ""),
+          }
+        : null,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `[Clones] ✅ ${matches.length} lookalikes, ${isLikelyClone ? `likely a clone of ${topMatch.chain}:${topMatch.address}` : "no better-established original"} - ${duration}ms`
+    );
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Clones] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
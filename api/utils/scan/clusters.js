@@ -0,0 +1,268 @@
+// Holder clustering: find top holders that were funded from a common source
+// Each top holder is traced back to the transaction that first sent it SOL/BNB/ETH.
+// Holders linked by a shared funder (or funded by another top holder) form a
+// cluster, and the report says how much of the supply each cluster controls.
+// All on-chain access goes through a transport, so callers can swap the live RPCs
+// for their own (see createLiveTransport).
+import { getChain, isEvmChain } from "./chains.js";
+import { fetchWithTimeout } from "./http.js";
+import { EXCHANGE_OWNERS } from "./holders.js";
+import { solanaRpcCall } from "./solana.js";
+
+// Signature pages (1000 each) walked to reach a wallet's first transaction.
+// Fresh sybil wallets have a handful of transactions; older wallets are not traced.
+const MAX_SIGNATURE_PAGES = 3;
+const SIGNATURE_PAGE_SIZE = 1000;
+
+// EVM exchange hot wallets (lowercase). Withdrawals fund unrelated users, so a
+// shared exchange funder is not a cluster.
+export const EVM_EXCHANGE_WALLETS = {
+  "0x8894e0a0c962cb723c1976a4421c95949be2d4e3": "Binance",
+  "0xe2fc31f816a9b94326492132018c3aecc4a93ae1": "Binance",
+  "0x3c783c21a0383057d128bae431894a5c19f9cf06": "Binance",
+  "0xf977814e90da44bfa03b6295a0616a897441acec": "Binance",
+  "0x28c6c06298d514db089934071355e5743bf21d60": "Binance",
+  "0x21a31ee1afc51d94c2efccaa2092ad1028285549": "Binance",
+  "0xdfd5293d8e347dfe59e90efd55b2956a1343963d": "Binance",
+  "0x71660c4005ba85c37ccec55d0c4493e66fe775d3": "Coinbase",
+  "0x503828976d22510aad0201ac7ec88293211d23da": "Coinbase",
+  "0xa9d1e08c7793af67e9d92fe308d5697fb81d3e43": "Coinbase",
+  "0x6cc5f688a315f3dc28a7781717a9a798a59fda7b": "OKX",
+  "0xf89d7b9c864f589bbf53a82105107622b35eaa40": "Bybit",
+};
+
+// Live transport: Solana JSON-RPC and the chain's Etherscan-style explorer API
+export function createLiveTransport({ timeout = 5000 } = {}) {
+  return {
+    solanaRpc: (method, params) => solanaRpcCall(method, params, { timeout }),
+    explorerApi: async (chainId, params) => {
+      const chain = getChain(chainId);
+      const apiKey = chain?.explorerApiKeyEnv ? process.env[chain.explorerApiKeyEnv] : null;
+      if (!chain?.explorerApiUrl || !apiKey) {
+        throw new Error(`No explorer API configured for ${chain?.name || chainId}`);
+      }
+
+      const query = new URLSearchParams({ ...params, apikey: apiKey });
+      const response = await fetchWithTimeout(`${chain.explorerApiUrl}?${query}`, {}, timeout);
+      if (!response.ok) {
+        throw new Error(`${chain.explorerName} API error: ${response.status}`);
+      }
+
+      const json = await response.json();
+      // "No transactions found" comes back as status 0 with an empty list
+      if (json.status !== "1" && !Array.isArray(json.result)) {
+        throw new Error(`${chain.explorerName} API error: ${json.message || "unknown"}`);
+      }
+      return Array.isArray(json.result) ? json.result : [];
+    },
+  };
+}
+
+// Helper: Exchange label for a funder, if it is a known exchange hot wallet
+export function getExchangeLabel(address, chain) {
+  if (isEvmChain(chain.id)) return EVM_EXCHANGE_WALLETS[address.toLowerCase()] || null;
+  return EXCHANGE_OWNERS[address] || null;
+}
+
+// Helper: Oldest signature of a Solana wallet (null when the history is too long to walk)
+async function findFirstSignature(wallet, transport) {
+  let before = null;
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const options = { limit: SIGNATURE_PAGE_SIZE, commitment: "confirmed" };
+    if (before) options.before = before;
+
+    const signatures = await transport.solanaRpc("getSignaturesForAddress", [wallet, options]);
+    if (!signatures?.length) return before;
+
+    const oldest = signatures[signatures.length - 1].signature;
+    if (signatures.length < SIGNATURE_PAGE_SIZE) return oldest;
+    before = oldest;
+  }
+  return null;
+}
+
+// Trace the first SOL transfer into a Solana wallet
+export async function traceSolanaFunder(wallet, transport) {
+  const signature = await findFirstSignature(wallet, transport);
+  if (!signature) return null;
+
+  const tx = await transport.solanaRpc("getTransaction", [
+    signature,
+    { encoding: "jsonParsed", maxSupportedTransactionVersion: 0, commitment: "confirmed" },
+  ]);
+  if (!tx) return null;
+
+  const instructions = [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap((inner) => inner.instructions || []),
+  ];
+
+  for (const ix of instructions) {
+    if (ix.program !== "system" || !ix.parsed?.info) continue;
+    const { type, info } = ix.parsed;
+    const recipient = type === "createAccount" || type === "createAccountWithSeed" ? info.newAccount : info.destination;
+    if (recipient === wallet && info.source && info.source !== wallet) {
+      return { funder: info.source, signature, blockTime: tx.blockTime ?? null, method: "sol-transfer" };
+    }
+  }
+
+  // No SOL moved in: whoever paid for the wallet's first transaction set it up. Relayers and
+  // wallet services pay fees for unrelated users, so analyzeHolderClusters only trusts this
+  // when the payer also sent SOL to another holder.
+  const feePayer = tx.transaction?.message?.accountKeys?.[0];
+  const feePayerAddress = typeof feePayer === "string" ? feePayer : feePayer?.pubkey;
+  if (feePayerAddress && feePayerAddress !== wallet) {
+    return { funder: feePayerAddress, signature, blockTime: tx.blockTime ?? null, method: "fee-payer" };
+  }
+
+  return null;
+}
+
+// Trace the first native-coin transfer into an EVM wallet (normal or internal tx)
+export async function traceEvmFunder(wallet, chain, transport) {
+  const address = wallet.toLowerCase();
+  const query = { module: "account", address, startblock: "0", sort: "asc", page: "1", offset: "20" };
+
+  const [normalTxs, internalTxs] = await Promise.all([
+    transport.explorerApi(chain.id, { ...query, action: "txlist" }),
+    transport.explorerApi(chain.id, { ...query, action: "txlistinternal" }).catch(() => []),
+  ]);
+
+  const isFunding = (tx) => tx.to?.toLowerCase() === address && tx.from && tx.from.toLowerCase() !== address && BigInt(tx.value || "0") > 0n;
+  const candidates = [
+    ...normalTxs.filter(isFunding).map((tx) => ({ tx, method: "transfer" })),
+    ...internalTxs.filter(isFunding).map((tx) => ({ tx, method: "internal-transfer" })),
+  ].sort((a, b) => Number(a.tx.blockNumber) - Number(b.tx.blockNumber));
+
+  if (candidates.length === 0) return null;
+
+  const { tx, method } = candidates[0];
+  return {
+    funder: tx.from.toLowerCase(),
+    signature: tx.hash,
+    blockTime: tx.timeStamp ? Number(tx.timeStamp) : null,
+    method,
+  };
+}
+
+// Helper: Minimal union-find over addresses
+function createUnionFind() {
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(x, root);
+    return root;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+  return { find, union };
+}
+
+// Helper: Risk level for the largest cluster's share of supply
+function getClusterRiskLevel(largestClusterPct) {
+  if (largestClusterPct >= 20) return "high";
+  if (largestClusterPct >= 8) return "medium";
+  return "low";
+}
+
+// Group top holders by common funding source.
+// `holders` are holderDistribution.holders ([{ owner, pct }], pct of total supply).
+// Returns { analyzedHolders, tracedHolders, clusters, clusteredPct, largestClusterPct, riskFlag }
+// where each cluster is { funders, holders, holderCount, pct } sorted by pct.
+export async function analyzeHolderClusters(holders, chain, {
+  transport = createLiveTransport(),
+  maxHolders = 20,
+  concurrency = 4,
+  budgetMs = 15000,
+} = {}) {
+  const startTime = Date.now();
+  const targets = (holders || []).slice(0, maxHolders);
+  console.log(`[Clusters] Tracing funders for ${targets.length} holders on ${chain.name}`);
+
+  if (targets.length < 2) return null;
+
+  const normalize = isEvmChain(chain.id) ? (a) => a.toLowerCase() : (a) => a;
+  const trace = isEvmChain(chain.id)
+    ? (wallet) => traceEvmFunder(wallet, chain, transport)
+    : (wallet) => traceSolanaFunder(wallet, transport);
+
+  // Trace funders with limited concurrency; holders left when the budget runs out stay untraced
+  const funding = new Map();
+  const queue = [...targets];
+  const worker = async () => {
+    while (queue.length > 0 && Date.now() - startTime < budgetMs) {
+      const holder = queue.shift();
+      try {
+        const result = await trace(holder.owner);
+        if (result) funding.set(normalize(holder.owner), result);
+      } catch (err) {
+        console.log(`[Clusters] Could not trace ${holder.owner}: ${err.message}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+
+  // Link each holder to its funder, skipping exchange withdrawals and fee payers that
+  // did not fund another holder with a SOL transfer
+  const transferFunders = new Set(
+    [...funding.values()].filter((result) => result.method !== "fee-payer").map((result) => normalize(result.funder))
+  );
+  const uf = createUnionFind();
+  const holderPct = new Map(targets.map((h) => [normalize(h.owner), h.pct]));
+  const links = new Map();
+  for (const [holder, { funder, method }] of funding) {
+    if (getExchangeLabel(funder, chain)) continue;
+    if (method === "fee-payer" && !transferFunders.has(normalize(funder))) continue;
+    links.set(holder, normalize(funder));
+    uf.union(holder, normalize(funder));
+  }
+
+  const groups = new Map();
+  for (const holder of holderPct.keys()) {
+    const root = uf.find(holder);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(holder);
+  }
+
+  const clusters = [...groups.values()]
+    .filter((members) => members.length >= 2)
+    .map((members) => {
+      const funders = [...new Set(members.map((m) => links.get(m)).filter(Boolean))];
+      const pct = Math.round(members.reduce((sum, m) => sum + holderPct.get(m), 0) * 100) / 100;
+      return {
+        funders,
+        holders: members.sort((a, b) => holderPct.get(b) - holderPct.get(a)),
+        holderCount: members.length,
+        pct,
+      };
+    })
+    .sort((a, b) => b.pct - a.pct);
+
+  const clusteredPct = Math.round(clusters.reduce((sum, c) => sum + c.pct, 0) * 100) / 100;
+  const largestClusterPct = clusters[0]?.pct ?? 0;
+
+  let riskFlag = null;
+  if (clusters.length > 0) {
+    const largest = clusters[0];
+    riskFlag = {
+      id: "holder_clusters",
+      name: "Clustered holders",
+      level: getClusterRiskLevel(largestClusterPct),
+      description: `${largest.holderCount} top holders share a funding source and control ${largest.pct}% of supply` +
+        (clusters.length > 1 ? ` (${clusters.length} clusters, ${clusteredPct}% in total)` : ""),
+    };
+  }
+
+  const duration = Date.now() - startTime;
+  console.log(`[Clusters] ✅ Traced ${funding.size}/${targets.length} holders, ${clusters.length} clusters (largest ${largestClusterPct}%) - ${duration}ms`);
+
+  return {
+    analyzedHolders: targets.length,
+    tracedHolders: funding.size,
+    clusters,
+    clusteredPct,
+    largestClusterPct,
+    riskFlag,
+  };
+}
@@ -0,0 +1,267 @@
+// Privileged-function analysis for EVM token contracts
+// Uses the verified ABI and source from the explorer when available, otherwise the
+// function selectors found in the deployed bytecode. Each capability lists the
+// functions that grant it, e.g. { id: "mint", functions: ["mint(address,uint256)"] }.
+import { getContractSource } from "./sources.js";
+import { rpcCall } from "./evm.js";
+
+// Matched against external function names (ABI) or known selectors (bytecode)
+const CAPABILITIES = [
+  {
+    id: "mint",
+    name: "Mintable",
+    level: "high",
+    description: "New tokens can be minted, diluting every holder",
+    pattern: /^(mint|issue)\w*$/i,
+    selectors: {
+      "0x40c10f19": "mint(address,uint256)",
+      "0xa0712d68": "mint(uint256)",
+      "0x449a52f8": "mintTo(address,uint256)",
+      "0xcc872b66": "issue(uint256)",
+    },
+  },
+  {
+    id: "blacklist",
+    name: "Blacklist",
+    level: "high",
+    description: "Wallets can be blocked from transferring or selling",
+    pattern: /blacklist|blocklist|^(add|set|block)Bots?$|^setSnipers?$/i,
+    selectors: {
+      "0xf9f92be4": "blacklist(address)",
+      "0x44337ea1": "addToBlacklist(address)",
+      "0x9cfe42da": "addBlacklist(address)",
+      "0x153b0d1e": "setBlacklist(address,bool)",
+      "0xd01dd6d2": "setBlacklisted(address,bool)",
+      "0x455a4396": "blacklistAddress(address,bool)",
+      "0xd34628cc": "addBots(address[])",
+      "0xb515566a": "setBots(address[])",
+      "0x342aa8b5": "setBot(address,bool)",
+      "0x00b8cf2a": "blockBots(address[])",
+    },
+  },
+  {
+    id: "pause",
+    name: "Pausable",
+    level: "high",
+    description: "All transfers can be paused",
+    pattern: /^(un)?pause$|^setPaused$|^togglePause$/i,
+    selectors: {
+      "0x8456cb59": "pause()",
+      "0x3f4ba83a": "unpause()",
+      "0x16c38b3c": "setPaused(bool)",
+    },
+  },
+  {
+    id: "transfer-hook",
+    name: "Owner transfer hook",
+    level: "medium",
+    description: "Transfers go through owner-controlled logic (forced transfers, anti-bot contracts or owner checks)",
+    pattern: /^(force|admin|owner)Transfer|^setAntiBot|^set(Transfer)?Hook$/i,
+    selectors: {
+      "0x33bebb77": "forceTransfer(address,address,uint256)",
+      "0xda72c1e8": "adminTransfer(address,address,uint256)",
+      "0x2d1343f3": "setAntiBot(address)",
+    },
+  },
+  {
+    id: "set-fee",
+    name: "Adjustable tax",
+    level: "medium",
+    description: "Buy/sell taxes can be changed after launch",
+    pattern: /^(set|update|change)\w*(fee|tax)\w*$/i,
+    exclude: /wallet|receiver|address|exempt|excluded/i,
+    selectors: {
+      "0x69fe0e2d": "setFee(uint256)",
+      "0x0b78f9c0": "setFees(uint256,uint256)",
+      "0x061c82d0": "setTaxFeePercent(uint256)",
+      "0x0cc835a3": "setBuyFee(uint256)",
+      "0x8b4cee08": "setSellFee(uint256)",
+      "0x2e5bb6ff": "setTax(uint256)",
+      "0xc647b20e": "setTaxes(uint256,uint256)",
+      "0xdc1052e2": "setBuyTax(uint256)",
+      "0x8cd09d50": "setSellTax(uint256)",
+      "0x8095d564": "updateBuyFees(uint256,uint256,uint256)",
+      "0xc17b5b8c": "updateSellFees(uint256,uint256,uint256)",
+    },
+  },
+  {
+    id: "trading-toggle",
+    name: "Trading switch",
+    level: "medium",
+    description: "Trading can be switched on or off by the owner",
+    pattern: /^(enable|open|start|set|toggle|disable|stop)Trading\w*$|^launch$|^tradingStatus$/i,
+    selectors: {
+      "0x8a8c523c": "enableTrading()",
+      "0xc9567bf9": "openTrading()",
+      "0x293230b8": "startTrading()",
+      "0x8f70ccf7": "setTrading(bool)",
+      "0xc2e5ec04": "setTradingEnabled(bool)",
+    },
+  },
+  {
+    id: "fee-receiver",
+    name: "Changeable fee receiver",
+    level: "low",
+    description: "The wallet that collects taxes can be changed",
+    pattern: /^(set|update|change)\w*(marketing|dev|team|treasury|fee|tax|charity|buyback)\w*(wallet|receiver|address)$/i,
+    selectors: {
+      "0x5d098b38": "setMarketingWallet(address)",
+      "0xaacebbe3": "updateMarketingWallet(address)",
+      "0xefdcd974": "setFeeReceiver(address)",
+      "0x90d49b9d": "setFeeWallet(address)",
+      "0xea414b28": "setTaxWallet(address)",
+      "0x1f53ac02": "setDevWallet(address)",
+      "0x1816467f": "updateDevWallet(address)",
+      "0xa8602fea": "setTreasuryWallet(address)",
+    },
+  },
+  {
+    id: "whitelist",
+    name: "Whitelist",
+    level: "low",
+    description: "Selected wallets can be exempted from taxes or limits",
+    pattern: /whitelist|^(exclude|include)(From|In)\w*$|^setIs\w*Exempt$|^setExcluded\w*$/i,
+    selectors: {
+      "0x53d6fd59": "setWhitelist(address,bool)",
+      "0xe43252d7": "addToWhitelist(address)",
+      "0x437823ec": "excludeFromFee(address)",
+      "0xc0246668": "excludeFromFees(address,bool)",
+      "0x658d4b7f": "setIsFeeExempt(address,bool)",
+    },
+  },
+];
+
+const HIDDEN_FEE_RECEIVER = {
+  id: "hidden-fee-receiver",
+  name: "Hidden fee receiver",
+  level: "medium",
+  description: "Taxes are sent to a wallet stored in a private variable with no public getter",
+};
+
+// Internal transfer functions where owner checks and hooks live
+const TRANSFER_FUNCTIONS = ["_transfer", "_update", "_beforeTokenTransfer", "_tokenTransfer"];
+const FEE_RECEIVER_NAME = /fee|tax|marketing|dev|team|treasury|receiver/i;
+const SKIP_CALL_TARGETS = /router|pair|factory|weth|wbnb/i;
+
+// Helper: Capability definitions that match a function name
+function matchCapabilities(name) {
+  return CAPABILITIES.filter((c) => c.pattern.test(name) && !c.exclude?.test(name));
+}
+
+// Helper: Signature of an ABI function entry, e.g. "mint(address,uint256)"
+function abiSignature(entry) {
+  return `${entry.name}(${(entry.inputs || []).map((input) => input.type).join(",")})`;
+}
+
+// Helper: Function selectors pushed by PUSH4 in the bytecode (PUSH data is skipped, so
+// constants in other PUSH instructions are not mistaken for selectors)
+function extractSelectors(bytecode) {
+  const selectors = new Set();
+  const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
+  for (let i = 0; i < code.length; i += 2) {
+    const op = parseInt(code.slice(i, i + 2), 16);
+    if (op >= 0x60 && op <= 0x7f) {
+      const size = op - 0x5f;
+      if (op === 0x63) selectors.add(`0x${code.slice(i + 2, i + 10)}`);
+      i += size * 2;
+    }
+  }
+  return selectors;
+}
+
+// Helper: Body of a function in the source (brace-matched), null when not found
+function extractFunctionBody(source, name) {
+  const match = new RegExp(`function\\s+${name}\\s*\\([^)]*\\)[^{;]*\\{`).exec(source);
+  if (!match) return null;
+  let depth = 1;
+  const start = match.index + match[0].length;
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === "{") depth++;
+    else if (source[i] === "}" && --depth === 0) return source.slice(start, i);
+  }
+  return null;
+}
+
+// Helper: Source-only findings - owner checks or external hooks inside the transfer
+// path, and fee wallets kept in private variables
+function analyzeSource(source, abiNames) {
+  const findings = [];
+
+  const hooked = TRANSFER_FUNCTIONS.filter((name) => {
+    const body = extractFunctionBody(source, name);
+    if (!body) return false;
+    if (/\bowner\(\)|\b_owner\b|\bonlyOwner\b/.test(body)) return true;
+    // Calls into another contract, e.g. IAntiBot(antiBot).check(from, to)
+    const calls = [...body.matchAll(/\bI[A-Z]\w*\(\s*(\w+)\s*\)\.\w+\(/g)];
+    return calls.some(([call, target]) => !SKIP_CALL_TARGETS.test(call) && !SKIP_CALL_TARGETS.test(target));
+  });
+  if (hooked.length > 0) findings.push({ id: "transfer-hook", functions: hooked });
+
+  const hiddenReceivers = [...source.matchAll(/\baddress\s+(?:payable\s+)?(?:private|internal)\s+(?:constant\s+|immutable\s+)?(\w+)/g)]
+    .map(([, name]) => name)
+    .filter((name) => FEE_RECEIVER_NAME.test(name) && !abiNames.has(name));
+  if (hiddenReceivers.length > 0) findings.push({ id: HIDDEN_FEE_RECEIVER.id, functions: [...new Set(hiddenReceivers)] });
+
+  return findings;
+}
+
+// Helper: Merge matches into capability results, keeping definition order
+function buildCapabilities(matches) {
+  const functionsById = new Map();
+  for (const { id, functions } of matches) {
+    const list = functionsById.get(id) || [];
+    functionsById.set(id, [...new Set([...list, ...functions])]);
+  }
+  return [...CAPABILITIES, HIDDEN_FEE_RECEIVER]
+    .filter((c) => functionsById.has(c.id))
+    .map(({ id, name, level, description }) => ({ id, name, level, description, functions: functionsById.get(id) }));
+}
+
+// Find privileged functions in an EVM token contract.
+// Proxies are analyzed through their implementation. Returns
+// { address, contractName, verified, method: "source" | "bytecode", capabilities }.
+export async function getContractCapabilities(tokenAddress, { chain, implementation = null, timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  const address = implementation || tokenAddress;
+  console.log(`[Capabilities] Analyzing ${address} on ${chain.name}`);
+
+  try {
+    const contract = await getContractSource(address, { chain, timeout }).catch((err) => {
+      console.log(`[Capabilities] Source lookup failed: ${err.message}`);
+      return null;
+    });
+
+    let result;
+    if (contract?.verified && Array.isArray(contract.abi)) {
+      const functions = contract.abi.filter(
+        (entry) => entry.type === "function" && !["view", "pure"].includes(entry.stateMutability) && !entry.constant
+      );
+      const matches = functions.flatMap((entry) =>
+        matchCapabilities(entry.name).map((c) => ({ id: c.id, functions: [abiSignature(entry)] }))
+      );
+      const abiNames = new Set(contract.abi.map((entry) => entry.name).filter(Boolean));
+      if (contract.sourceCode) matches.push(...analyzeSource(contract.sourceCode, abiNames));
+
+      result = { address, contractName: contract.contractName, verified: true, method: "source", capabilities: buildCapabilities(matches) };
+    } else {
+      const bytecode = await rpcCall(chain, "eth_getCode", [address, "latest"], { timeout });
+      const selectors = extractSelectors(bytecode || "0x");
+      const matches = CAPABILITIES.map((c) => ({
+        id: c.id,
+        functions: Object.entries(c.selectors)
+          .filter(([selector]) => selectors.has(selector))
+          .map(([, signature]) => signature),
+      })).filter((m) => m.functions.length > 0);
+
+      result = { address, contractName: contract?.contractName || null, verified: false, method: "bytecode", capabilities: buildCapabilities(matches) };
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[Capabilities] ✅ ${result.method}: ${result.capabilities.map((c) => c.id).join(", ") || "none"} - ${duration}ms`);
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Capabilities] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+// Buy/sell probe for honeypot.js. Never deployed: its runtime bytecode is placed at the
+// simulated trader's address with an eth_call state override, so a buy and a sell run in
+// one call on RPCs without eth_simulateV1.
+// Compiled with solc 0.8.20 (optimizer 200 runs, evmVersion paris) into PROBE_RUNTIME_CODE.
+pragma solidity ^0.8.20;
+
+interface IV2Router {
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory);
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external payable;
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external;
+}
+
+interface IERC20Balance {
+    function balanceOf(address owner) external view returns (uint256);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+contract TradeProbe {
+    // Buy with msg.value along buyPath, then sell everything that arrived along sellPath.
+    // Returns [buyOk, expectedBuy, received, buyGas, sellOk, expectedSell, sold, sellGas]:
+    // expected amounts come from getAmountsOut, received/sold are the balances that arrived.
+    function probe(address router, address[] calldata buyPath, address[] calldata sellPath)
+        external
+        payable
+        returns (uint256[8] memory r)
+    {
+        IV2Router v2 = IV2Router(router);
+        IERC20Balance token = IERC20Balance(buyPath[buyPath.length - 1]);
+
+        try v2.getAmountsOut(msg.value, buyPath) returns (uint256[] memory amounts) {
+            r[1] = amounts[amounts.length - 1];
+        } catch {}
+
+        uint256 gasStart = gasleft();
+        try v2.swapExactETHForTokensSupportingFeeOnTransferTokens{value: msg.value}(0, buyPath, address(this), type(uint256).max) {
+            r[0] = 1;
+        } catch {}
+        r[3] = gasStart - gasleft();
+        if (r[0] == 0) return r;
+
+        r[2] = token.balanceOf(address(this));
+        if (r[2] == 0) return r;
+
+        try token.approve(router, type(uint256).max) {} catch {}
+        try v2.getAmountsOut(r[2], sellPath) returns (uint256[] memory amounts) {
+            r[5] = amounts[amounts.length - 1];
+        } catch {}
+
+        gasStart = gasleft();
+        try v2.swapExactTokensForTokensSupportingFeeOnTransferTokens(r[2], 0, sellPath, address(this), type(uint256).max) {
+            r[4] = 1;
+        } catch {}
+        r[7] = gasStart - gasleft();
+        if (r[4] == 1) r[6] = IERC20Balance(sellPath[sellPath.length - 1]).balanceOf(address(this));
+    }
+}
@@ -0,0 +1,4 @@
+// Generated by scripts/build-probe.js from TradeProbe.sol - do not edit, run npm run build:probe
+// (solc 0.8.20, optimizer 200 runs, evmVersion paris)
+export const PROBE_RUNTIME_CODE =
+  "0x60806040526004361061001e5760003560e01c8063f693a9a314610023575b600080fd5b610036610031366004610544565b61004c565b60405161004391906105c5565b60405180910390f35b6100546104bd565b85600086866100646001826105f7565b8181106100735761007361061e565b90506020020160208101906100889190610634565b60405163d06ca61f60e01b81529091506001600160a01b0383169063d06ca61f906100bb9034908b908b9060040161069d565b600060405180830381865afa9250505080156100f957506040513d6000823e601f3d908101601f191682016040526100f691908101906106cd565b60015b1561013f57806001825161010d91906105f7565b8151811061011d5761011d61061e565b6020026020010151846001600881106101385761013861061e565b6020020152505b60005a9050826001600160a01b031663b6f9de953460008b8b306000196040518763ffffffff1660e01b815260040161017c95949392919061078b565b6000604051808303818588803b15801561019557600080fd5b505af1935050505080156101a7575060015b156101b157600184525b5a6101bc90826105f7565b606085015283516000036101d2575050506104b4565b6040516370a0823160e01b81523060048201526001600160a01b038316906370a0823190602401602060405180830381865afa158015610216573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061023a91906107c2565b60408501819052600003610250575050506104b4565b60405163095ea7b360e01b81526001600160a01b038a81166004830152600019602483015283169063095ea7b3906044016020604051808303816000875af19250505080156102bc575060408051601f3d908101601f191682019092526102b9918101906107db565b60015b156102c357505b604080850151905163d06ca61f60e01b81526001600160a01b0385169163d06ca61f916102f791908a908a9060040161069d565b600060405180830381865afa92505050801561033557506040513d6000823e601f3d908101601f1916820160405261033291908101906106cd565b60015b1561037b57806001825161034991906105f7565b815181106103595761035961061e565b6020026020010151856005600881106103745761037461061e565b6020020152505b5a6040808601519051635c11d79560e01b81529192506001600160a01b03851691635c11d795916103bb916000908b908b903090600019906004016107fd565b600060405180830381600087803b1580156103d557600080fd5b505af19250505080156103e6575060015b156103f357600160808501525b5a6103fe90826105f7565b60e085015260808401516001036104b057858561041c6001826105f7565b81811061042b5761042b61061e565b90506020020160208101906104409190610634565b6040516370a0823160e01b81523060048201526001600160a01b0391909116906370a0823190602401602060405180830381865afa158015610486573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906104aa91906107c2565b60c08501525b5050505b95945050505050565b6040518061010001604052806008906020820280368337509192915050565b80356001600160a01b03811681146104f357600080fd5b919050565b60008083601f84011261050a57600080fd5b50813567ffffffffffffffff81111561052257600080fd5b6020830191508360208260051b850101111561053d57600080fd5b9250929050565b60008060008060006060868803121561055c57600080fd5b610565866104dc565b9450602086013567ffffffffffffffff8082111561058257600080fd5b61058e89838a016104f8565b909650945060408801359150808211156105a757600080fd5b506105b4888289016104f8565b969995985093965092949392505050565b6101008101818360005b60088110156105ee5781518352602092830192909101906001016105cf565b50505092915050565b8181038181111561061857634e487b7160e01b600052601160045260246000fd5b92915050565b634e487b7160e01b600052603260045260246000fd5b60006020828403121561064657600080fd5b61064f826104dc565b9392505050565b8183526000602080850194508260005b85811015610692576001600160a01b0361067f836104dc565b1687529582019590820190600101610666565b509495945050505050565b8381526040602082015260006104b4604083018486610656565b634e487b7160e01b600052604160045260246000fd5b600060208083850312156106e057600080fd5b825167ffffffffffffffff808211156106f857600080fd5b818501915085601f83011261070c57600080fd5b81518181111561071e5761071e6106b7565b8060051b604051601f19603f83011681018181108582111715610743576107436106b7565b60405291825284820192508381018501918883111561076157600080fd5b938501935b8285101561077f57845184529385019392850192610766565b98975050505050505050565b8581526080602082015260006107a5608083018688610656565b6001600160a01b0394909416604083015250606001529392505050565b6000602082840312156107d457600080fd5b5051919050565b6000602082840312156107ed57600080fd5b8151801515811461064f57600080fd5b86815285602082015260a06040820152600061081d60a083018688610656565b6001600160a01b03949094166060830152506080015294935050505056fea26469706673582212206b786ce2fc2d43e8abbd07b585b7e9548a467c146e070d70e06e8bf5508a5e9864736f6c63430008140033";
@@ -0,0 +1,175 @@
+// Deployer reputation: what else the wallet behind a token has launched
+// The deployer comes from the token's creators or mint transaction (Solana) or the
+// explorer's contract-creation record (EVM). Tokens launched by the deployer, and by
+// the wallet that funded it, are looked up on DexScreener; a token with (almost) no
+// liquidity left is counted as dead.
+import { isEvmChain } from "./chains.js";
+import { createLiveTransport, getExchangeLabel, traceEvmFunder, traceSolanaFunder } from "./clusters.js";
+import { ethCall } from "./evm.js";
+import { getContractCreator, getDexScreenerLiquidity, getPumpFunCreatedCoins } from "./sources.js";
+
+const DEAD_LIQUIDITY_USD = 1000;
+const PULLED_LIQUIDITY_USD = 100;
+const MAX_TOKENS = 30; // One DexScreener batch
+const DECIMALS_SELECTOR = "0x313ce567";
+
+// Helper: Solana deployer - first verified creator, else whoever paid to create the mint account
+async function findSolanaDeployer(mint, creators, transport) {
+  const creator = creators.find((c) => c.verified)?.address || creators[0]?.address;
+  if (creator) return { deployer: creator, source: "creators" };
+
+  const payer = await traceSolanaFunder(mint, transport);
+  return payer ? { deployer: payer.funder, source: "mint-payer" } : null;
+}
+
+// Helper: Fungible tokens a Solana wallet created (Metaplex creator via DAS, plus pump.fun launches)
+async function listSolanaTokens(wallet, transport, { timeout }) {
+  const [assets, pumpCoins] = await Promise.all([
+    transport
+      .solanaRpc("getAssetsByCreator", { creatorAddress: wallet, onlyVerified: false, page: 1, limit: 100 })
+      .then((result) =>
+        (result?.items || [])
+          .filter((asset) => asset.interface === "FungibleToken" || asset.interface === "FungibleAsset")
+          .map((asset) => ({
+            address: asset.id,
+            name: asset.content?.metadata?.name || null,
+            symbol: asset.content?.metadata?.symbol || null,
+          }))
+      )
+      .catch(() => []),
+    getPumpFunCreatedCoins(wallet, { timeout })
+      .then((coins) => coins.map((coin) => ({ address: coin.mint, name: coin.name, symbol: coin.symbol })))
+      .catch(() => []),
+  ]);
+  return [...assets, ...pumpCoins];
+}
+
+// Helper: ERC-20 contracts an EVM wallet deployed directly (factory launches aren't in its txlist)
+async function listEvmTokens(wallet, chain, transport, { timeout }) {
+  const txs = await transport.explorerApi(chain.id, {
+    module: "account",
+    action: "txlist",
+    address: wallet,
+    startblock: "0",
+    sort: "desc",
+    page: "1",
+    offset: "1000",
+  });
+  const contracts = [
+    ...new Set(txs.filter((tx) => !tx.to && tx.contractAddress).map((tx) => tx.contractAddress.toLowerCase())),
+  ].slice(0, MAX_TOKENS);
+
+  // Only contracts that answer decimals() are tokens
+  const isToken = await Promise.all(
+    contracts.map((address) =>
+      ethCall(chain, address, DECIMALS_SELECTOR, { timeout })
+        .then((result) => !!result && result !== "0x")
+        .catch(() => false)
+    )
+  );
+  return contracts.filter((_, idx) => isToken[idx]).map((address) => ({ address, name: null, symbol: null }));
+}
+
+// Helper: Risk level for a deployer's track record
+function getDeployerRiskLevel(launchedCount, deadCount) {
+  if (deadCount >= 3 || (deadCount >= 2 && deadCount / launchedCount >= 0.5)) return "high";
+  if (deadCount >= 1 || launchedCount >= 5) return "medium";
+  return "low";
+}
+
+// Look up the other tokens launched by a token's deployer (and the deployer's funder).
+// `creators` are Helius creators (Solana); `deployer` skips the lookup when already known (EVM).
+// Returns { deployer, deployerSource, funder, tokens, launchedCount, deadCount, riskFlag }
+// where tokens are [{ address, name, symbol, createdBy, liquidityUsd, status, reason }].
+export async function analyzeDeployerHistory(tokenAddress, chain, {
+  creators = [],
+  deployer: knownDeployer = null,
+  transport = createLiveTransport(),
+  timeout = 8000,
+} = {}) {
+  const startTime = Date.now();
+  const evm = isEvmChain(chain.id);
+  console.log(`[Deployer] Looking up deployer history for ${tokenAddress} on ${chain.name}`);
+
+  try {
+    let found = null;
+    if (evm) {
+      const deployer = knownDeployer || (await getContractCreator(tokenAddress, { chain, timeout }));
+      if (deployer) found = { deployer, source: "explorer" };
+    } else {
+      found = await findSolanaDeployer(tokenAddress, creators || [], transport);
+    }
+    if (!found) {
+      console.log(`[Deployer] No deployer found`);
+      return null;
+    }
+
+    // The funder is followed too: serial launchers often rotate fresh deployer wallets
+    const funding = await (evm ? traceEvmFunder(found.deployer, chain, transport) : traceSolanaFunder(found.deployer, transport))
+      .catch(() => null);
+    const funder = funding && !getExchangeLabel(funding.funder, chain) ? funding.funder : null;
+
+    const listTokens = (wallet) =>
+      evm ? listEvmTokens(wallet, chain, transport, { timeout }) : listSolanaTokens(wallet, transport, { timeout });
+    const [deployerTokens, funderTokens] = await Promise.all([
+      listTokens(found.deployer).catch(() => []),
+      funder ? listTokens(funder).catch(() => []) : [],
+    ]);
+
+    const key = (address) => (evm ? address.toLowerCase() : address);
+    const seen = new Set([key(tokenAddress)]);
+    const launched = [];
+    for (const [createdBy, list] of [["deployer", deployerTokens], ["funder", funderTokens]]) {
+      for (const token of list) {
+        if (seen.has(key(token.address))) continue;
+        seen.add(key(token.address));
+        launched.push({ ...token, createdBy });
+      }
+    }
+    const tokens = launched.slice(0, MAX_TOKENS);
+
+    const liquidity = await getDexScreenerLiquidity(tokens.map((t) => t.address), { chain, timeout });
+    for (const token of tokens) {
+      const market = liquidity.get(token.address);
+      token.name = token.name || market?.name || null;
+      token.symbol = token.symbol || market?.symbol || null;
+      token.liquidityUsd = market ? Math.round(market.liquidityUsd) : 0;
+      if (!market) token.reason = "no-pairs";
+      else if (market.liquidityUsd < PULLED_LIQUIDITY_USD) token.reason = "lp-pulled";
+      else if (market.liquidityUsd < DEAD_LIQUIDITY_USD) token.reason = "low-liquidity";
+      else token.reason = null;
+      token.status = token.reason ? "dead" : "alive";
+    }
+
+    const launchedCount = tokens.length;
+    const deadCount = tokens.filter((t) => t.status === "dead").length;
+    const viaFunder = tokens.some((t) => t.createdBy === "funder");
+
+    const result = {
+      deployer: found.deployer,
+      deployerSource: found.source,
+      funder,
+      tokens,
+      launchedCount,
+      deadCount,
+      riskFlag:
+        launchedCount > 0
+          ? {
+              id: "deployer_history",
+              name: "Serial deployer",
+              level: getDeployerRiskLevel(launchedCount, deadCount),
+              description: `Deployer launched ${launchedCount} other token${launchedCount === 1 ? "" : "s"}${viaFunder ? " (with its funder)" : ""}, ${deadCount} ${deadCount === 1 ? "is" : "are"} dead`,
+            }
+          : null,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(`[Deployer] ✅ ${found.deployer} (${found.source}): ${launchedCount} other tokens, ${deadCount} dead - ${duration}ms`);
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Deployer] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,670 @@
+// Shared token scan engine
+// Used by api/scan.js (REST), api/scan-stream.js (SSE) and server/bot.js (Telegram)
+// so a token gets the same data, score and verdict whichever surface scanned it.
+import { resolveChain, isEvmChain, toPublicChain, getDexScreenerUrl } from "./chains.js";
+import { resolveAddressType } from "./addressType.js";
+import { withHolderGini } from "./holders.js";
+import { analyzeHolderClusters } from "./clusters.js";
+import { getSolanaLiquidityLock } from "./liquidityLock.js";
+import { getSolanaMintRiskFlags } from "./tokenExtensions.js";
+import { analyzeDeployerHistory } from "./deployerHistory.js";
+import { analyzeLaunch } from "./launchAnalysis.js";
+import { analyzeVolumeAuthenticity } from "./volumeAuthenticity.js";
+import { getPriceHistory } from "./priceHistory.js";
+import { analyzeSupply } from "./supply.js";
+import { detectClones } from "./clones.js";
+import { collectRisks, describeRisks } from "./risks.js";
+import { getEvmSecurityData } from "./evmSecurity.js";
+import { fetchFromProviders } from "./providers.js";
+import {
+  searchNitterForTicker,
+  getTwitterFromNitter,
+  getTelegramFeed,
+  scrapeWebsite,
+} from "./social.js";
+import { computeMarketSentiment, explainTokenScore } from "./scoring.js";
+import { DEFAULT_SCORING_PROFILE, getScoringProfile, getScoringProfileError } from "./scoringProfiles.js";
+import {
+  extractNarrativeClaim,
+  searchWebForNarrative,
+  searchTwitterForLore,
+  classifyNarrative,
+  generateSummary,
+  generateFundamentals,
+  generateHype,
+} from "./narrative.js";
+
+// Phase events emitted while scanning (onEvent(type, data)):
+//   status               { message, phase }
+//   addressResolution    { inputAddress, type, tokenAddress, method, pair? }
+//   tokenInfo            { contractAddress, blockchain, chain, tokenName, symbol, tokenScore }
+//   marketData           { price, volume24h, liquidity, priceChange24h, marketCap, dexUrl, priceChange1h/6h/7d, athPrice,
+//                          drawdownFromAthPct, volatilityPct, tokenAgeDays, candles, likelyRugged, priceRiskFlag, ... }
+//   securityData, fundamentals, socials
+//   supplyBreakdown      { totalSupply, burnedSupply, lockedSupply, circulatingSupply, burnedPct, lockedPct, marketCap, fdv, ... }
+//   pairAnalysis         { pairs, pairCount, legitPairCount, liquidityUsd, volume24h, priceUsd, maxPriceDeviationPct, riskFlag, ... }
+//   launchpad            { id, name, status, progressPct, priceUsd, marketCapUsd, curveLiquidityNative, migratedTo, ... }
+//   twitterData, tickerTweets, telegramData, websiteData
+//   liquidityLock        { pairAddress, dex, lpModel, lpMint, status, burnedPct, lockedPct, creatorPct, otherPct, holders, riskFlag }
+//   holderClusters       { analyzedHolders, tracedHolders, clusters, clusteredPct, largestClusterPct, riskFlag }
+//   deployerHistory      { deployer, deployerSource, funder, tokens, launchedCount, deadCount, riskFlag }
+//   launchAnalysis       { pairAddress, poolCreator, launchBlock, analyzedBuys, bundledBuyers, snipers, sniperHeldPct, riskFlag, ... }
+//   volumeAuthenticity   { volume24h, adjustedVolume24h, suspiciousVolumePct, volumeToLiquidity, uniqueTraders24h, patterns, riskFlag, ... }
+//   cloneAnalysis        { matches, matchCount, likelyOriginal, isLikelyOriginal, isLikelyClone, websiteListsAddress, riskFlag }
+//   risks                { risks: [{ id, name, category, severity, source, description, evidence }] }
+//   sentimentScore       { sentimentScore }
+//   tokenScore           { tokenScore, scoringProfile: { id, version },
+//                          scoreBreakdown: { score, baseScore, rawScore, factors, caps, strongIndicators, scoringProfile } }
+//   narrative            { narrativeClaim, entities }
+//   verdict              { verdict, verdictReasoning, confidence, redFlags }
+//   summary, fundamentalsAnalysis, hypeAnalysis
+const noop = () => {};
+
+// Provider fields that make up the fundamentals object
+const FUNDAMENTAL_FIELDS = [
+  "supply",
+  "decimals",
+  "creators",
+  "mintAuthority",
+  "freezeAuthority",
+  "isMutable",
+  "updateAuthority",
+  "tokenExtensions",
+  "createdAt",
+  "description",
+];
+
+// Work out what to scan: the chain, and the token behind the address (a pasted
+// pair/pool or token account is mapped to its token; wallets/programs throw).
+export async function resolveScanTarget(contractAddress, requestedChain = null) {
+  const { chain, resolution: chainResolution } = await resolveChain(contractAddress, requestedChain);
+  console.log(`[TokenData] Resolved chain: ${chain.name} (${chainResolution.method})`);
+
+  const addressResolution = await resolveAddressType(contractAddress, chain);
+
+  return {
+    tokenAddress: addressResolution.tokenAddress,
+    chain,
+    chainResolution,
+    addressResolution,
+  };
+}
+
+// Fetch all token data
+// `chain` is optional: when omitted the chain is resolved from the address (and,
+// for 0x addresses, from where the contract is deployed / traded). Pass `target`
+// (from resolveScanTarget) when the address has already been resolved. `scoringProfile`
+// picks the weights the token is scored with (see scoringProfiles.js).
+export async function getTokenData(inputAddress, {
+  onEvent = noop,
+  chain: requestedChain = null,
+  target = null,
+  scoringProfile = DEFAULT_SCORING_PROFILE,
+} = {}) {
+  const profile = getScoringProfile(scoringProfile);
+  if (!profile) throw new Error(getScoringProfileError(scoringProfile));
+  const overallStart = Date.now();
+  console.log(`\n[TokenData] ===== Starting token data fetch for ${inputAddress} =====`);
+
+  // Resolve chain and address type (throws on invalid address, unsupported chain, wallets and programs)
+  const { tokenAddress: contractAddress, chain, chainResolution, addressResolution } =
+    target || (await resolveScanTarget(inputAddress, requestedChain));
+  const blockchain = chain.id;
+
+  try {
+    onEvent("status", { message: `Fetching token data on ${chain.name}...`, phase: 2 });
+    const fetchStart = Date.now();
+
+    // Fetch from every registered provider that supports this chain
+    const { fields, raw, dataSources } = await fetchFromProviders(contractAddress, blockchain, { chain });
+
+    const fetchDuration = Date.now() - fetchStart;
+    console.log(`[TokenData] Initial fetch completed in ${fetchDuration}ms`);
+
+    const birdeye = raw.birdeye ?? null;
+    let securityData = fields.securityData ?? null;
+    let liquidityLock = null;
+
+    // No RugCheck for EVM tokens: build the security report from on-chain checks
+    if (!securityData && isEvmChain(blockchain)) {
+      try {
+        const evmSecurity = await getEvmSecurityData(contractAddress, { chain, pair: fields.mainPair ?? null });
+        securityData = evmSecurity.securityData;
+        liquidityLock = evmSecurity.liquidityLock;
+      } catch (err) {
+        console.error(`[TokenData] EVM security checks failed:`, err.message);
+      }
+    }
+    const holderCount = fields.holderCount || null;
+    console.log(`[TokenData] Holders: ${holderCount}`);
+
+    const socials = fields.socials || null;
+    const launchpad = fields.launchpad ?? null;
+    const pairAnalysis = fields.pairAnalysis ?? null;
+    const tokenName = fields.tokenName || "Unknown Token";
+    const symbol = fields.symbol || "???";
+
+    // Main pool; unmigrated pump.fun tokens trade on their bonding curve instead
+    const launchPool =
+      fields.mainPair ??
+      (blockchain === "solana" && launchpad?.bondingCurve
+        ? { pairAddress: launchpad.bondingCurve, createdAt: launchpad.createdAt }
+        : null);
+
+    // Candle history, and the supply breakdown that market cap is priced on
+    const [priceHistory, supplyBreakdown] = await Promise.all([
+      getPriceHistory(contractAddress, chain, { pair: launchPool }).catch(() => null),
+      analyzeSupply(contractAddress, chain, {
+        supply: fields.supply,
+        decimals: fields.decimals ?? chain.defaultDecimals,
+        price: fields.price,
+        holderDistribution: fields.holderDistribution ?? null,
+      }).catch(() => null),
+    ]);
+
+    const marketData = {
+      price: fields.price || null,
+      volume24h: fields.volume24h || null,
+      liquidity: fields.liquidity || null,
+      priceChange24h: fields.priceChange24h || priceHistory?.priceChange24h || null,
+      priceChange1h: priceHistory?.priceChange1h ?? null,
+      priceChange6h: priceHistory?.priceChange6h ?? null,
+      priceChange7d: priceHistory?.priceChange7d ?? null,
+      athPrice: priceHistory?.athPrice ?? null,
+      athAt: priceHistory?.athAt ?? null,
+      drawdownFromAthPct: priceHistory?.drawdownFromAthPct ?? null,
+      recentDrawdownPct: priceHistory?.recentDrawdownPct ?? null,
+      volatilityPct: priceHistory?.volatilityPct ?? null,
+      tokenAgeDays: priceHistory?.tokenAgeDays ?? null,
+      candles: priceHistory?.candles ?? [],
+      candleSource: priceHistory?.source ?? null,
+      likelyRugged: priceHistory?.likelyRugged ?? false,
+      priceRiskFlag: priceHistory?.riskFlag ?? null,
+      dexUrl: fields.dexUrl || launchpad?.url || getDexScreenerUrl(chain, contractAddress),
+      // Market cap is priced on circulating supply; bonding-curve tokens without a supply
+      // breakdown fall back to the launchpad's figure
+      marketCap: supplyBreakdown?.marketCap ?? launchpad?.marketCapUsd ?? null,
+      fdv: supplyBreakdown?.fdv ?? null,
+    };
+    const hasMarketData = !!(raw.dexscreener || raw.birdeye);
+
+    // On-chain fundamentals (only the fields some provider actually reported)
+    const fundamentals = {};
+    for (const field of FUNDAMENTAL_FIELDS) {
+      if (field in fields) fundamentals[field] = fields[field];
+    }
+    const holderDistribution = withHolderGini(fields.holderDistribution ?? null, holderCount);
+    const mergedFundamentals = {
+      ...fundamentals,
+      holderCount: holderCount,
+      holders: holderCount, // Alias for compatibility
+      holderDistribution,
+    };
+    // Token-2022 extensions and metadata mutability as normalized risk flags
+    if (blockchain === "solana") {
+      mergedFundamentals.mintRiskFlags = getSolanaMintRiskFlags(fundamentals);
+    }
+
+    // Send on-chain data before the (slower) social scrapes
+    onEvent("tokenInfo", {
+      contractAddress,
+      blockchain,
+      chain: toPublicChain(chain),
+      tokenName,
+      symbol,
+      tokenScore: null,
+    });
+    onEvent("marketData", marketData);
+    if (supplyBreakdown) onEvent("supplyBreakdown", supplyBreakdown);
+    if (pairAnalysis) onEvent("pairAnalysis", pairAnalysis);
+    if (launchpad) onEvent("launchpad", launchpad);
+    onEvent("securityData", securityData);
+    onEvent("fundamentals", mergedFundamentals);
+    onEvent("socials", socials);
+
+    // Addresses treated as the deployer when checking who holds the LP
+    const creatorAddresses = [
+      ...(fields.creators || []).map((c) => c?.address || c),
+      fundamentals.mintAuthority,
+    ].filter((a) => typeof a === "string");
+
+    // Fetch social data in parallel (holder funding, LP locks and recent swaps are checked
+    // alongside). The launch analysis waits for the deployer so it can spot buyers the deployer
+    // funded; unmigrated pump.fun tokens are analyzed on their bonding curve.
+    const deployerHistoryPromise = analyzeDeployerHistory(contractAddress, chain, {
+      creators: fields.creators || [],
+      deployer: securityData?.checks?.deployer ?? null,
+    });
+    onEvent("status", { message: "Fetching social data...", phase: 3 });
+    console.log(`[TokenData] Fetching social data...`);
+    const socialStart = Date.now();
+
+    // The website scrape also tells clone detection which contract the project claims
+    const websitePromise = socials?.website ? scrapeWebsite(socials.website) : Promise.resolve(null);
+    const launchAgeDays = launchPool?.createdAt ? (Date.now() - launchPool.createdAt) / 86400000 : null;
+
+    const [
+      twitterDataResult,
+      twitterSearchResult,
+      telegramDataResult,
+      websiteDataResult,
+      holderClustersResult,
+      liquidityLockResult,
+      deployerHistoryResult,
+      launchAnalysisResult,
+      volumeAuthenticityResult,
+      cloneAnalysisResult,
+    ] = await Promise.allSettled([
+      socials?.x ? getTwitterFromNitter(socials.x) : Promise.resolve(null),
+      searchNitterForTicker(symbol),
+      socials?.telegram
+        ? getTelegramFeed(socials.telegram)
+        : Promise.resolve(null),
+      websitePromise,
+      holderDistribution?.holders?.length
+        ? analyzeHolderClusters(holderDistribution.holders, chain)
+        : Promise.resolve(null),
+      blockchain === "solana" && fields.mainPair
+        ? getSolanaLiquidityLock(fields.mainPair, { creators: creatorAddresses })
+        : Promise.resolve(null),
+      deployerHistoryPromise,
+      launchPool
+        ? deployerHistoryPromise
+            .catch(() => null)
+            .then((history) =>
+              analyzeLaunch(contractAddress, chain, launchPool, {
+                deployer: history?.deployer ?? securityData?.checks?.deployer ?? null,
+              })
+            )
+        : Promise.resolve(null),
+      analyzeVolumeAuthenticity(contractAddress, chain, { marketData, pairAnalysis, birdeye, pair: launchPool }),
+      websitePromise
+        .catch(() => null)
+        .then((websiteData) =>
+          detectClones(contractAddress, chain, {
+            tokenName,
+            symbol,
+            socials,
+            liquidity: marketData.liquidity,
+            ageDays: marketData.tokenAgeDays ?? launchAgeDays,
+            websiteData,
+          })
+        ),
+    ]);
+
+    const socialDuration = Date.now() - socialStart;
+    console.log(`[TokenData] Social fetch completed in ${socialDuration}ms`);
+
+    const twitterData =
+      twitterDataResult.status === "fulfilled"
+        ? twitterDataResult.value
+        : null;
+    const tickerTweets =
+      twitterSearchResult.status === "fulfilled"
+        ? twitterSearchResult.value
+        : null;
+    const telegramData =
+      telegramDataResult.status === "fulfilled"
+        ? telegramDataResult.value
+        : null;
+    const websiteData =
+      websiteDataResult.status === "fulfilled"
+        ? websiteDataResult.value
+        : null;
+    const holderClusters =
+      holderClustersResult.status === "fulfilled"
+        ? holderClustersResult.value
+        : null;
+    if (liquidityLockResult.status === "fulfilled" && liquidityLockResult.value) {
+      liquidityLock = liquidityLockResult.value;
+    }
+    const deployerHistory =
+      deployerHistoryResult.status === "fulfilled"
+        ? deployerHistoryResult.value
+        : null;
+    const launchAnalysis =
+      launchAnalysisResult.status === "fulfilled"
+        ? launchAnalysisResult.value
+        : null;
+    const volumeAuthenticity =
+      volumeAuthenticityResult.status === "fulfilled"
+        ? volumeAuthenticityResult.value
+        : null;
+    const cloneAnalysis =
+      cloneAnalysisResult.status === "fulfilled"
+        ? cloneAnalysisResult.value
+        : null;
+    // Volume that looks like wash trading doesn't count toward sentiment or the score
+    const scoredVolume = volumeAuthenticity?.adjustedVolume24h ?? marketData.volume24h;
+
+    // Calculate sentiment AFTER social data is fetched (so we can include tweet engagement)
+    const sentimentScore = computeMarketSentiment(
+      hasMarketData ? { ...marketData, volume24h: scoredVolume } : null,
+      null,
+      tickerTweets,
+      twitterData,
+      profile
+    );
+    console.log(`[TokenData] Sentiment score: ${sentimentScore || "N/A"}`);
+
+    // Every provider's findings as one normalized list (scoring, prompts, bot and UI read it)
+    const risks = collectRisks({
+      securityData,
+      fundamentals: mergedFundamentals,
+      liquidityLock,
+      holderClusters,
+      deployerHistory,
+      launchAnalysis,
+      pairAnalysis,
+      volumeAuthenticity,
+      cloneAnalysis,
+      marketData,
+      blockchain,
+    });
+    console.log(`[TokenData] Risks: ${risks.length} (${risks.filter((r) => r.severity === "high").length} high)`);
+
+    // Calculate comprehensive token score
+    const tokenScoreData = {
+      marketData: {
+        price: marketData.price,
+        liquidity: marketData.liquidity,
+        marketCap: marketData.marketCap,
+        volume24h: scoredVolume,
+        drawdownFromAthPct: marketData.drawdownFromAthPct,
+      },
+      fundamentals: mergedFundamentals,
+      securityData,
+      holderClusters,
+      liquidityLock,
+      launchpad,
+      risks,
+      socials,
+      sentimentScore,
+      blockchain, // Include blockchain for proper EVM vs Solana handling
+    };
+
+    const scoreBreakdown = explainTokenScore(tokenScoreData, profile);
+    const tokenScore = scoreBreakdown.score;
+    const { scoringProfile: scoredWith } = scoreBreakdown;
+    console.log(`[TokenData] Comprehensive token score: ${tokenScore}/100 (${scoredWith.id} v${scoredWith.version})`);
+    console.log(`[TokenData] Social links: website=${!!socials?.website}, twitter=${!!socials?.x}, telegram=${!!socials?.telegram}`);
+
+    console.log(`[TokenData] Social results: Twitter=${!!twitterData}, TickerTweets=${!!tickerTweets}, Telegram=${!!telegramData}, Website=${!!websiteData}`);
+
+    if (twitterDataResult.status === "rejected") {
+      console.error(`[TokenData] Twitter scrape failed:`, twitterDataResult.reason);
+    }
+    if (twitterSearchResult.status === "rejected") {
+      console.error(`[TokenData] Twitter search failed:`, twitterSearchResult.reason);
+    }
+    if (telegramDataResult.status === "rejected") {
+      console.error(`[TokenData] Telegram scrape failed:`, telegramDataResult.reason);
+    }
+    if (websiteDataResult.status === "rejected") {
+      console.error(`[TokenData] Website scrape failed:`, websiteDataResult.reason);
+    }
+    if (holderClustersResult.status === "rejected") {
+      console.error(`[TokenData] Holder clustering failed:`, holderClustersResult.reason);
+    }
+    if (liquidityLockResult.status === "rejected") {
+      console.error(`[TokenData] LP lock check failed:`, liquidityLockResult.reason);
+    }
+    if (deployerHistoryResult.status === "rejected") {
+      console.error(`[TokenData] Deployer history failed:`, deployerHistoryResult.reason);
+    }
+    if (launchAnalysisResult.status === "rejected") {
+      console.error(`[TokenData] Launch analysis failed:`, launchAnalysisResult.reason);
+    }
+    if (volumeAuthenticityResult.status === "rejected") {
+      console.error(`[TokenData] Volume authenticity check failed:`, volumeAuthenticityResult.reason);
+    }
+    if (cloneAnalysisResult.status === "rejected") {
+      console.error(`[TokenData] Clone detection failed:`, cloneAnalysisResult.reason);
+    }
+
+    if (twitterData) onEvent("twitterData", twitterData);
+    if (tickerTweets) onEvent("tickerTweets", tickerTweets);
+    if (telegramData) onEvent("telegramData", telegramData);
+    if (websiteData) onEvent("websiteData", websiteData);
+    if (holderClusters) onEvent("holderClusters", holderClusters);
+    if (liquidityLock) onEvent("liquidityLock", liquidityLock);
+    if (deployerHistory) onEvent("deployerHistory", deployerHistory);
+    if (launchAnalysis) onEvent("launchAnalysis", launchAnalysis);
+    if (volumeAuthenticity) onEvent("volumeAuthenticity", volumeAuthenticity);
+    if (cloneAnalysis) onEvent("cloneAnalysis", cloneAnalysis);
+    onEvent("risks", { risks });
+    onEvent("sentimentScore", { sentimentScore });
+    onEvent("tokenScore", { tokenScore, scoringProfile: scoredWith, scoreBreakdown });
+
+    // Generate comprehensive project summary; only the contract-control lines differ by chain
+    const ownership = securityData?.checks?.ownership;
+    const capabilities = securityData?.checks?.capabilities?.capabilities;
+    const controlLines = isEvmChain(blockchain)
+      ? [
+          `Ownership: ${ownership ? (ownership.renounced === null ? "no owner() getter (may use roles or an admin mapping)" : ownership.renounced ? "renounced" : `owned by ${ownership.owner}`) : "unknown"}`,
+          `Upgradeable Proxy: ${securityData?.checks?.proxy ? (securityData.checks.proxy.isProxy ? "yes" : "no") : "unknown"}`,
+          `Privileged Functions: ${capabilities ? capabilities.map((c) => c.name).join(", ") || "none" : "unknown"}`,
+        ]
+      : [
+          `Mint Authority: ${fundamentals?.mintAuthority || "unknown"}`,
+          `Freeze Authority: ${fundamentals?.freezeAuthority || "unknown"}`,
+          `Token Program: ${fundamentals?.tokenExtensions ? `${fundamentals.tokenExtensions.tokenProgram}${fundamentals.tokenExtensions.extensions.length ? ` (${fundamentals.tokenExtensions.extensions.join(", ")})` : ""}` : "unknown"}`,
+          `Metadata Update Authority: ${fundamentals?.isMutable === false ? "immutable" : fundamentals?.updateAuthority || "unknown"}`,
+        ];
+    const projectSummary = [
+      `Token ${symbol} is a ${chain.name} token.`,
+      "",
+      `Supply: ${fundamentals?.supply || "unknown"}`,
+      `Supply Breakdown: ${supplyBreakdown ? `${supplyBreakdown.circulatingPct}% circulating, ${supplyBreakdown.burnedPct}% burned, ${supplyBreakdown.lockedPct}% locked` : "unknown"}`,
+      `Decimals: ${fundamentals?.decimals || "unknown"}`,
+      `Holders: ${holderCount || "unknown"}`,
+      `Top 10 Holders: ${holderDistribution ? `${holderDistribution.top10Pct}% of supply (top 1: ${holderDistribution.top1Pct}%, Gini ${holderDistribution.gini ?? "N/A"})` : "unknown"}`,
+      `Holder Clusters: ${holderClusters?.riskFlag ? holderClusters.riskFlag.description : holderClusters ? "none found" : "unknown"}`,
+      ...controlLines,
+      `LP Tokens: ${liquidityLock?.lpModel === "fungible" ? `${liquidityLock.burnedPct}% burned, ${liquidityLock.lockedPct}% locked, ${liquidityLock.creatorPct}% held by creator${liquidityLock.dex ? ` (${liquidityLock.dex})` : ""}` : "unknown"}`,
+      "",
+      `Launchpad: ${launchpad ? (launchpad.status === "bonding" ? `${launchpad.name} bonding curve, ${launchpad.progressPct ?? "?"}% filled (not on a DEX yet)` : `${launchpad.name}, migrated to ${launchpad.migratedTo || "a DEX"}`) : "none"}`,
+      `Price: $${marketData.price || "unknown"}`,
+      `Market Cap: ${marketData.marketCap ? `$${Math.round(marketData.marketCap)} (FDV $${Math.round(marketData.fdv ?? marketData.marketCap)})` : "unknown"}`,
+      `24h Volume: ${marketData.volume24h || "unknown"}`,
+      `Price History: ${marketData.athPrice ? `${marketData.tokenAgeDays} days old, ${marketData.drawdownFromAthPct}% below ATH, 7d change ${marketData.priceChange7d ?? "N/A"}%, daily volatility ${marketData.volatilityPct ?? "N/A"}%${marketData.likelyRugged ? ` (LIKELY RUGGED: ${marketData.priceRiskFlag.description})` : ""}` : "unknown"}`,
+      `Liquidity: ${marketData.liquidity || "unknown"}`,
+      `Trading Pairs: ${pairAnalysis ? `${pairAnalysis.legitPairCount} of ${pairAnalysis.pairCount} quoted in known tokens${pairAnalysis.riskFlag ? ` (${pairAnalysis.riskFlag.description})` : ""}` : "unknown"}`,
+      `Volume Authenticity: ${volumeAuthenticity ? (volumeAuthenticity.riskFlag ? volumeAuthenticity.riskFlag.description : "no wash-trading patterns found") : "unknown"}`,
+      `Lookalike Tokens: ${cloneAnalysis ? (cloneAnalysis.riskFlag ? `POSSIBLE CLONE: ${cloneAnalysis.riskFlag.description}` : cloneAnalysis.matchCount ? `${cloneAnalysis.matchCount} found, this one looks like the original` : "none found") : "unknown"}`,
+      "",
+      `Deployer: ${deployerHistory ? (deployerHistory.riskFlag ? deployerHistory.riskFlag.description : "no other tokens found") : "unknown"}`,
+      `Launch: ${launchAnalysis ? (launchAnalysis.riskFlag ? launchAnalysis.riskFlag.description : "no snipers found") : "unknown"}`,
+      `Risk Flags: ${describeRisks(risks)}`,
+      `Sentiment Score: ${sentimentScore || "N/A"}`,
+    ].join("\n");
+
+    return {
+      projectSummary,
+      blockchain, // Include blockchain in response
+      chain: toPublicChain(chain),
+      chainResolution,
+      contractAddress,
+      addressResolution,
+      tokenName,
+      symbol,
+      socials,
+      marketData,
+      fundamentals: mergedFundamentals,
+      birdeye,
+      sentimentScore,
+      securityData,
+      holderClusters,
+      liquidityLock,
+      deployerHistory,
+      launchAnalysis,
+      launchpad,
+      pairAnalysis,
+      volumeAuthenticity,
+      cloneAnalysis,
+      supplyBreakdown,
+      risks,
+      hasMarketData,
+      dataSources,
+      twitterData,
+      tickerTweets, // Tweets mentioning the token ticker
+      telegramData,
+      websiteData,
+      tokenScore,
+      scoringProfile: scoredWith,
+      scoreBreakdown,
+    };
+  } catch (error) {
+    const overallDuration = Date.now() - overallStart;
+    console.error(`[TokenData] ❌ Failed after ${overallDuration}ms:`, error.message);
+    console.error(`[TokenData] Error stack:`, error.stack);
+    throw new Error(`Failed to fetch token data: ${error.message}`);
+  }
+}
+
+// Run the full scan pipeline: token data -> narrative -> verdict -> AI analysis sections
+export async function runScan(contractAddress, { onEvent = noop, chain = null, scoringProfile = DEFAULT_SCORING_PROFILE } = {}) {
+  const scanStart = Date.now();
+  const trimmedAddress = contractAddress.trim();
+  console.log(`\n[Scan] ===== Starting full scan for ${trimmedAddress} =====`);
+
+  onEvent("status", { message: "Starting analysis...", phase: 1 });
+
+  // Resolve the address to a token before fetching anything
+  const target = await resolveScanTarget(trimmedAddress, chain);
+  onEvent("addressResolution", target.addressResolution);
+
+  // Fetch token data
+  const tokenData = await getTokenData(trimmedAddress, { onEvent, target, scoringProfile });
+
+  // Prepare social context for narrative extraction
+  const socialContext = JSON.stringify({
+    website: tokenData.websiteData,
+    twitter: tokenData.twitterData,
+    telegram: tokenData.telegramData,
+  });
+
+  // Extract narrative
+  onEvent("status", { message: "Extracting narrative...", phase: 4 });
+  const { narrative_claim, entities } = await extractNarrativeClaim(
+    tokenData.projectSummary,
+    socialContext
+  );
+  onEvent("narrative", { narrativeClaim: narrative_claim, entities });
+
+  // Search for evidence (parallel)
+  const [webEvidence, twitterEvidence] = await Promise.allSettled([
+    searchWebForNarrative(narrative_claim, entities),
+    searchTwitterForLore(narrative_claim, entities),
+  ]);
+
+  const webResult =
+    webEvidence.status === "fulfilled" ? webEvidence.value : { articles: [], searchPerformed: false };
+  const twitterResult =
+    twitterEvidence.status === "fulfilled"
+      ? twitterEvidence.value
+      : { loreTweet: null, validationTweets: [] };
+
+  // Classify narrative
+  const { verdict, reasoning, confidence, redFlags } = await classifyNarrative({
+    narrativeClaim: narrative_claim,
+    projectSummary: tokenData.projectSummary,
+    entities,
+    webEvidence: webResult,
+    twitterEvidence: twitterResult,
+  });
+  onEvent("verdict", {
+    verdict,
+    verdictReasoning: reasoning,
+    confidence,
+    redFlags: redFlags || [],
+  });
+
+  // Generate analysis sections in parallel (each is sent as soon as it completes)
+  onEvent("status", { message: "Generating AI analysis...", phase: 5 });
+  const [summaryResult, fundamentalsResult, hypeResult] = await Promise.allSettled([
+    generateSummary({
+      narrativeClaim: narrative_claim,
+      verdict,
+      tokenData,
+      tokenName: tokenData.tokenName,
+    }).then((summary) => {
+      onEvent("summary", { summary });
+      return summary;
+    }),
+    generateFundamentals({
+      tokenData,
+      verdict,
+      reasoning,
+    }).then((fundamentalsAnalysis) => {
+      onEvent("fundamentalsAnalysis", { fundamentalsAnalysis });
+      return fundamentalsAnalysis;
+    }),
+    generateHype({
+      tokenData,
+      narrativeClaim: narrative_claim,
+    }).then((hypeAnalysis) => {
+      onEvent("hypeAnalysis", { hypeAnalysis });
+      return hypeAnalysis;
+    }),
+  ]);
+
+  const summary = summaryResult.status === "fulfilled" ? summaryResult.value : "Summary unavailable.";
+  const fundamentals = fundamentalsResult.status === "fulfilled" ? fundamentalsResult.value : "Fundamentals unavailable.";
+  const hype = hypeResult.status === "fulfilled" ? hypeResult.value : "Hype analysis unavailable.";
+
+  const duration = Date.now() - scanStart;
+  console.log(`[Scan] ✅ Scan complete in ${duration}ms - Verdict: ${verdict} (${confidence} confidence), Score: ${tokenData.tokenScore}/100`);
+
+  // Assemble result
+  return {
+    contractAddress: tokenData.contractAddress,
+    inputAddress: trimmedAddress,
+    addressResolution: tokenData.addressResolution,
+    blockchain: tokenData.blockchain,
+    chain: tokenData.chain,
+    chainResolution: tokenData.chainResolution,
+    projectSummary: tokenData.projectSummary,
+    tokenName: tokenData.tokenName,
+    symbol: tokenData.symbol,
+    narrativeClaim: narrative_claim,
+    entities,
+    marketData: tokenData.marketData,
+    socials: tokenData.socials,
+    securityData: tokenData.securityData,
+    holderClusters: tokenData.holderClusters,
+    liquidityLock: tokenData.liquidityLock,
+    deployerHistory: tokenData.deployerHistory,
+    launchAnalysis: tokenData.launchAnalysis,
+    launchpad: tokenData.launchpad,
+    pairAnalysis: tokenData.pairAnalysis,
+    volumeAuthenticity: tokenData.volumeAuthenticity,
+    cloneAnalysis: tokenData.cloneAnalysis,
+    risks: tokenData.risks,
+    supplyBreakdown: tokenData.supplyBreakdown,
+    fundamentals: tokenData.fundamentals,
+    birdeye: tokenData.birdeye,
+    dataSources: tokenData.dataSources,
+    sentimentScore: tokenData.sentimentScore,
+    tokenScore: tokenData.tokenScore,
+    scoringProfile: tokenData.scoringProfile,
+    scoreBreakdown: tokenData.scoreBreakdown,
+    twitterData: tokenData.twitterData,
+    tickerTweets: tokenData.tickerTweets, // Tweets mentioning the token ticker
+    telegramData: tokenData.telegramData,
+    websiteData: tokenData.websiteData,
+    loreTweet: twitterResult?.loreTweet || null,
+    verdict,
+    verdictReasoning: reasoning,
+    confidence,
+    redFlags: redFlags || [],
+    evidence: {
+      articles: webResult?.articles || [],
+      tweets: twitterResult?.validationTweets || [],
+    },
+    // Analysis sections
+    summary,
+    fundamentalsAnalysis: fundamentals,
+    hypeAnalysis: hype,
+  };
+}
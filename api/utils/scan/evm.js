@@ -0,0 +1,72 @@
+// Minimal EVM JSON-RPC client used by the scan pipeline
+import { fetchWithTimeout } from "./http.js";
+
+// Helper: Resolve the RPC endpoint for a chain (env override, then public default)
+export function getRpcUrl(chain) {
+  return (chain.rpcUrlEnv && process.env[chain.rpcUrlEnv]) || chain.defaultRpcUrl;
+}
+
+// Send a single JSON-RPC request and return its result (throws on RPC errors)
+export async function rpcCall(chain, method, params = [], { timeout = 8000, rpcUrl } = {}) {
+  const url = rpcUrl || getRpcUrl(chain);
+  if (!url) {
+    throw new Error(`No RPC endpoint configured for ${chain.name}`);
+  }
+
+  const response = await fetchWithTimeout(
+    url,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    },
+    timeout
+  );
+
+  if (!response.ok) {
+    throw new Error(`${chain.name} RPC error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  if (json.error) {
+    const error = new Error(`${chain.name} RPC error: ${json.error.message || "unknown"}`);
+    error.code = json.error.code;
+    error.data = json.error.data;
+    throw error;
+  }
+
+  return json.result;
+}
+
+// Call a view function with no arguments and return the raw hex result (throws on revert)
+export async function ethCall(chain, to, data, options) {
+  return rpcCall(chain, "eth_call", [{ to, data }, "latest"], options);
+}
+
+// Helper: Decode an address returned by a view function (last 20 bytes of the word)
+export function decodeAddress(hex) {
+  if (typeof hex !== "string" || hex.length < 66) return null;
+  return `0x${hex.slice(-40)}`;
+}
+
+// Whether an address has contract bytecode deployed on the chain
+export async function hasContractCode(chain, address, options) {
+  const code = await rpcCall(chain, "eth_getCode", [address, "latest"], options);
+  return typeof code === "string" && code !== "0x" && code !== "0x0";
+}
+
+// Helper: ABI-encode an address as a 32-byte word (no 0x prefix)
+export function encodeAddressWord(address) {
+  return address.slice(2).toLowerCase().padStart(64, "0");
+}
+
+// Helper: ABI-encode an unsigned integer as a 32-byte word (no 0x prefix)
+export function encodeUintWord(value) {
+  return BigInt(value).toString(16).padStart(64, "0");
+}
+
+// Helper: Decode a uint256 call result (null for empty results)
+export function decodeUint(hex) {
+  if (typeof hex !== "string" || hex === "0x") return null;
+  return BigInt(hex.slice(0, 66));
+}
@@ -0,0 +1,296 @@
+// Holder counts and top-holder concentration for EVM tokens
+// Explorers don't expose holder lists on their free tiers, so balances are rebuilt
+// from the token's Transfer logs over JSON-RPC. The balances are kept as a snapshot
+// (in memory and in Supabase) so repeat scans only read blocks added since the last one;
+// each save only writes the holders whose balance changed.
+// The RPC endpoint (<CHAIN>_RPC_URL) must serve eth_getLogs.
+import { decodeAddress, decodeUint, ethCall, rpcCall } from "./evm.js";
+import { getContractCreation } from "./sources.js";
+import { getHolderSnapshot, saveHolderSnapshot } from "./cache.js";
+import { EVM_EXCHANGE_WALLETS } from "./clusters.js";
+import { EVM_BURN_ADDRESSES } from "./liquidityLock.js";
+
+// keccak256("Transfer(address,address,uint256)")
+export const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Blocks this close to the head are read for the result but left out of the saved
+// snapshot, so a reorg can't leave the snapshot with transfers that never happened
+const CONFIRMATIONS = 15;
+const DEFAULT_LOG_BLOCK_RANGE = 5000;
+const MIN_LOG_BLOCK_RANGE = 50;
+const TOP_HOLDERS = 20;
+const CANDIDATES = 40; // Largest balances checked for LP/burn/exchange before taking the top 20
+const MAX_MEMORY_BALANCES = 500000; // Holder balances kept in memory across all snapshots
+
+const SELECTORS = {
+  totalSupply: "0x18160ddd",
+  decimals: "0x313ce567",
+  token0: "0x0dfe1681",
+};
+
+// In-process snapshots, so the bot and warm serverless instances skip the Supabase read
+const memorySnapshots = new Map();
+let memoryBalanceCount = 0;
+
+// Helper: Block number as an RPC quantity
+function toBlockHex(block) {
+  return `0x${block.toString(16)}`;
+}
+
+// Helper: Percentage of `whole` (BigInts) with two decimals
+function toPct(part, whole) {
+  if (!whole) return 0;
+  return Number((part * 10000n) / whole) / 100;
+}
+
+// Helper: Saved snapshot for a token ({ lastBlock, transferCount, balances: Map, changed: Set }),
+// or null. `changed` collects holders to write on the next save.
+// Memory snapshots are copied so a failed read can't leave half-applied logs behind.
+async function loadSnapshot(chain, tokenAddress) {
+  const key = `${chain.id}:${tokenAddress}`;
+  const cached = memorySnapshots.get(key);
+  if (cached) return { ...cached, balances: new Map(cached.balances), changed: new Set() };
+
+  const row = await getHolderSnapshot(chain.id, tokenAddress);
+  if (!row) return null;
+  return {
+    lastBlock: Number(row.last_block),
+    transferCount: Number(row.transfer_count) || 0,
+    balances: new Map(Object.entries(row.balances).map(([address, balance]) => [address, BigInt(balance)])),
+    changed: new Set(),
+  };
+}
+
+// Helper: Keep a snapshot in memory (oldest first out, bounded by total balances) and
+// persist the holders it changed
+async function storeSnapshot(chain, tokenAddress, snapshot) {
+  const key = `${chain.id}:${tokenAddress}`;
+  const { balances, changed, lastBlock, transferCount } = snapshot;
+
+  const previous = memorySnapshots.get(key);
+  if (previous) {
+    memorySnapshots.delete(key);
+    memoryBalanceCount -= previous.balances.size;
+  }
+  if (balances.size <= MAX_MEMORY_BALANCES) {
+    memorySnapshots.set(key, { lastBlock, transferCount, balances });
+    memoryBalanceCount += balances.size;
+  }
+  while (memoryBalanceCount > MAX_MEMORY_BALANCES) {
+    const [oldestKey, oldest] = memorySnapshots.entries().next().value;
+    memorySnapshots.delete(oldestKey);
+    memoryBalanceCount -= oldest.balances.size;
+  }
+
+  const changes = [...changed].map((address) => [address, (balances.get(address) ?? 0n).toString()]);
+  const saved = await saveHolderSnapshot(chain.id, tokenAddress, { lastBlock, transferCount, changes });
+  if (!saved) {
+    // The stored snapshot was dropped; later deltas must not be written on top of it
+    if (memorySnapshots.delete(key)) memoryBalanceCount -= balances.size;
+    return;
+  }
+  console.log(`[EvmHolders] Saved ${changes.length} changed balances`);
+}
+
+// Block a contract was deployed in - from the explorer's creation tx, else a
+// binary search on eth_getCode (needs an archive node). Null when neither works.
+export async function findDeploymentBlock(contractAddress, chain, latestBlock, { timeout }) {
+  const creation = await getContractCreation(contractAddress, { chain, timeout }).catch(() => null);
+  if (creation?.txHash) {
+    const tx = await rpcCall(chain, "eth_getTransactionByHash", [creation.txHash], { timeout });
+    if (tx?.blockNumber) return Number(tx.blockNumber);
+  }
+
+  try {
+    let low = 0;
+    let high = latestBlock;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await rpcCall(chain, "eth_getCode", [contractAddress, toBlockHex(mid)], { timeout });
+      if (code && code !== "0x") high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  } catch (err) {
+    console.log(`[EvmHolders] Could not find the deployment block: ${err.message}`);
+    return null;
+  }
+}
+
+// Helper: Apply Transfer logs to a balance map (ERC-721 transfers have 4 topics and are
+// skipped), recording touched holders in `changed` when given
+function applyTransfers(balances, logs, changed = null) {
+  for (const log of logs) {
+    if (log.removed || log.topics?.length !== 3) continue;
+    const from = `0x${log.topics[1].slice(26)}`.toLowerCase();
+    const to = `0x${log.topics[2].slice(26)}`.toLowerCase();
+    const value = decodeUint(log.data) ?? 0n;
+
+    for (const [address, delta] of [[from, -value], [to, value]]) {
+      if (address === ZERO_ADDRESS) continue; // Mints and burns to 0x0
+      changed?.add(address);
+      const balance = (balances.get(address) || 0n) + delta;
+      if (balance === 0n) balances.delete(address);
+      else balances.set(address, balance);
+    }
+  }
+}
+
+// Helper: Milliseconds left until `deadline`, as an RPC timeout
+function timeLeft(deadline) {
+  return Math.max(1, deadline - Date.now());
+}
+
+// Helper: Read Transfer logs for a block span, halving the range whenever the
+// provider rejects it (most cap the block range or the number of results per call).
+// No call starts after `deadline` or runs past `callDeadline`; a call cut off by the
+// deadline ends the read with the blocks read so far.
+async function readTransfers(tokenAddress, chain, fromBlock, toBlock, balances, { deadline, callDeadline, changed = null }) {
+  let range = DEFAULT_LOG_BLOCK_RANGE;
+  let block = fromBlock;
+  let transfers = 0;
+
+  while (block <= toBlock && Date.now() < deadline) {
+    const end = Math.min(block + range - 1, toBlock);
+    let logs;
+    try {
+      logs = await rpcCall(
+        chain,
+        "eth_getLogs",
+        [{ address: tokenAddress, topics: [TRANSFER_TOPIC], fromBlock: toBlockHex(block), toBlock: toBlockHex(end) }],
+        { timeout: timeLeft(callDeadline) }
+      );
+    } catch (err) {
+      if (Date.now() >= deadline) break;
+      if (err.code === undefined || range <= MIN_LOG_BLOCK_RANGE) throw err;
+      range = Math.max(MIN_LOG_BLOCK_RANGE, Math.floor(range / 2));
+      continue;
+    }
+
+    applyTransfers(balances, logs || [], changed);
+    transfers += logs?.length || 0;
+    block = end + 1;
+  }
+
+  return { lastBlock: block - 1, transfers };
+}
+
+// Helper: Label a large balance that isn't a regular holder (null for regular holders)
+async function classifyHolder(address, tokenAddress, chain, { timeout }) {
+  if (EVM_BURN_ADDRESSES[address]) return { type: "burn", label: EVM_BURN_ADDRESSES[address] };
+  if (EVM_EXCHANGE_WALLETS[address]) return { type: "exchange", label: EVM_EXCHANGE_WALLETS[address] };
+  const locker = chain.lpLockers?.find((l) => l.address.toLowerCase() === address);
+  if (locker) return { type: "locker", label: locker.name };
+  if (address === tokenAddress) return { type: "contract", label: "Token contract" };
+
+  // AMM pairs/pools expose token0()
+  const token0 = await ethCall(chain, address, SELECTORS.token0, { timeout })
+    .then(decodeAddress)
+    .catch(() => null);
+  return token0 ? { type: "lp", label: "Liquidity pool" } : null;
+}
+
+// Rebuild holder balances for an EVM token from its Transfer logs.
+// Returns { holderCount, distribution, lastBlock, transferCount, complete } where
+// distribution matches getSolanaHolderDistribution. The whole rebuild runs within `timeout`:
+// logs are read for the first half of it, the rest is left for the supply and holder
+// labels. When the logs don't reach the chain head in time, progress is saved and
+// `complete` is false (counts are partial); the next scan continues from there.
+export async function getEvmHolderDistribution(tokenAddress, { chain, timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  const deadline = startTime + timeout;
+  const token = tokenAddress.toLowerCase();
+  console.log(`[EvmHolders] Starting holder rebuild for ${token} on ${chain.name}`);
+
+  try {
+    const latestBlock = Number(await rpcCall(chain, "eth_blockNumber", [], { timeout: timeLeft(deadline) }));
+    const safeBlock = latestBlock - CONFIRMATIONS;
+
+    let snapshot = await loadSnapshot(chain, token);
+    if (!snapshot) {
+      const deploymentBlock = await findDeploymentBlock(token, chain, latestBlock, { timeout: timeLeft(deadline) });
+      if (deploymentBlock === null) return null;
+      snapshot = { lastBlock: deploymentBlock - 1, transferCount: 0, balances: new Map(), changed: new Set() };
+    }
+
+    // Confirmed blocks go into the snapshot
+    const startBlock = snapshot.lastBlock + 1;
+    const confirmed = await readTransfers(token, chain, startBlock, safeBlock, snapshot.balances, {
+      deadline: startTime + timeout / 2,
+      callDeadline: deadline,
+      changed: snapshot.changed,
+    });
+    if (confirmed.lastBlock > snapshot.lastBlock) {
+      snapshot = { ...snapshot, lastBlock: confirmed.lastBlock, transferCount: snapshot.transferCount + confirmed.transfers };
+      await storeSnapshot(chain, token, snapshot);
+    }
+    console.log(`[EvmHolders] Read blocks ${startBlock}-${snapshot.lastBlock} (${confirmed.transfers} transfers)`);
+
+    const complete = snapshot.lastBlock >= safeBlock;
+    let balances = snapshot.balances;
+    let lastBlock = snapshot.lastBlock;
+
+    // Unconfirmed head blocks only count for this result
+    if (complete && latestBlock > snapshot.lastBlock) {
+      balances = new Map(snapshot.balances);
+      const head = await readTransfers(token, chain, snapshot.lastBlock + 1, latestBlock, balances, {
+        deadline,
+        callDeadline: deadline,
+      });
+      lastBlock = head.lastBlock;
+    }
+
+    const holders = [...balances].filter(([, balance]) => balance > 0n);
+    const holderCount = holders.filter(([address]) => !EVM_BURN_ADDRESSES[address]).length;
+
+    const [totalSupply, decimals] = await Promise.all([
+      ethCall(chain, token, SELECTORS.totalSupply, { timeout: timeLeft(deadline) }).then(decodeUint),
+      ethCall(chain, token, SELECTORS.decimals, { timeout: timeLeft(deadline) }).then(decodeUint).catch(() => null),
+    ]);
+    const unit = 10 ** Number(decimals ?? BigInt(chain.defaultDecimals));
+
+    const candidates = holders.sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0)).slice(0, CANDIDATES);
+    const labels = await Promise.all(
+      candidates.map(([address]) => classifyHolder(address, token, chain, { timeout: timeLeft(deadline) }))
+    );
+
+    const topHolders = [];
+    const excluded = [];
+    candidates.forEach(([owner, balance], idx) => {
+      const entry = { owner, amount: Number(balance) / unit, pct: toPct(balance, totalSupply) };
+      if (labels[idx]) excluded.push({ owner, ...labels[idx], amount: entry.amount, pct: entry.pct });
+      else topHolders.push(entry);
+    });
+
+    const sumPct = (list) => Math.round(list.reduce((sum, h) => sum + h.pct, 0) * 100) / 100;
+
+    const result = {
+      holderCount,
+      distribution: {
+        supply: totalSupply ? Number(totalSupply) / unit : null,
+        sampleSize: candidates.length,
+        top1Pct: sumPct(topHolders.slice(0, 1)),
+        top10Pct: sumPct(topHolders.slice(0, 10)),
+        top20Pct: sumPct(topHolders.slice(0, TOP_HOLDERS)),
+        excludedPct: sumPct(excluded),
+        holders: topHolders.slice(0, TOP_HOLDERS),
+        excluded,
+      },
+      lastBlock,
+      transferCount: snapshot.transferCount,
+      complete,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `[EvmHolders] ✅ ${complete ? "Complete" : `Partial (up to block ${lastBlock} of ${latestBlock})`}: ${holderCount} holders, top10=${result.distribution.top10Pct}% - ${duration}ms`
+    );
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[EvmHolders] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
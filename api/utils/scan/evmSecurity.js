@@ -0,0 +1,158 @@
+// On-chain security checks for EVM tokens
+// RugCheck only covers Solana, so for EVM chains a { riskLevel, risks, score } report
+// is built from ownership, upgradeable-proxy, privileged-function, LP-lock and
+// buy/sell simulation checks.
+import { decodeAddress, ethCall, rpcCall } from "./evm.js";
+import { getContractCapabilities } from "./contractCapabilities.js";
+import { getEvmLiquidityLock } from "./liquidityLock.js";
+import { simulateTrade } from "./honeypot.js";
+import { getContractCreator } from "./sources.js";
+
+// owner() from Ownable, then getOwner() from the BEP-20 interface
+const OWNER_GETTERS = [
+  { selector: "0x8da5cb5b", method: "owner()" },
+  { selector: "0x893d20e8", method: "getOwner()" },
+];
+
+// EIP-1967 storage slots
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeee59ff6cb3582b35133d50";
+
+// Owners that mean ownership was renounced
+const RENOUNCED_OWNERS = new Set([
+  "0x0000000000000000000000000000000000000000",
+  "0x000000000000000000000000000000000000dead",
+]);
+
+const LEVEL_ORDER = ["high", "medium", "low"];
+
+// Helper: One level less severe (owner-only functions can't be called once ownership is renounced)
+function lowerLevel(level) {
+  return LEVEL_ORDER[Math.min(LEVEL_ORDER.indexOf(level) + 1, LEVEL_ORDER.length - 1)];
+}
+
+// Helper: Address stored in a slot / returned by a call (null when empty)
+function toAddress(hex) {
+  const address = decodeAddress(hex)?.toLowerCase() ?? null;
+  return address && address !== "0x0000000000000000000000000000000000000000" ? address : null;
+}
+
+// Who owns the contract: { owner, renounced, method }
+// Contracts without an owner getter are reported with method "no-owner-function" and
+// renounced null - they may still be controlled through roles or a custom admin mapping.
+export async function getOwnershipStatus(tokenAddress, chain, { timeout = 6000 } = {}) {
+  for (const { selector, method } of OWNER_GETTERS) {
+    try {
+      const owner = decodeAddress(await ethCall(chain, tokenAddress, selector, { timeout }))?.toLowerCase();
+      if (!owner) continue;
+      return { owner, renounced: RENOUNCED_OWNERS.has(owner), method };
+    } catch (err) {
+      if (err.code === undefined) throw err; // Transport failure, not a revert
+    }
+  }
+  return { owner: null, renounced: null, method: "no-owner-function" };
+}
+
+// Whether the token is an EIP-1967 proxy: { isProxy, implementation, admin, beacon }
+export async function getProxyStatus(tokenAddress, chain, { timeout = 6000 } = {}) {
+  const readSlot = (slot) => rpcCall(chain, "eth_getStorageAt", [tokenAddress, slot, "latest"], { timeout });
+  const [implementation, admin, beacon] = (
+    await Promise.all([readSlot(IMPLEMENTATION_SLOT), readSlot(ADMIN_SLOT), readSlot(BEACON_SLOT)])
+  ).map(toAddress);
+
+  return { isProxy: !!(implementation || beacon), implementation, admin, beacon };
+}
+
+// Run the EVM security checks for a token.
+// `pair` is the DexScreener main pair; its LP breakdown is returned as `liquidityLock`.
+// Returns { securityData: { riskLevel, risks, score, source, checks }, liquidityLock }.
+export async function getEvmSecurityData(tokenAddress, { chain, pair = null, timeout = 6000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[EvmSecurity] Starting checks for ${tokenAddress} on ${chain.name}`);
+
+  try {
+    const [ownership, proxy, deployer] = await Promise.all([
+      getOwnershipStatus(tokenAddress, chain, { timeout }),
+      getProxyStatus(tokenAddress, chain, { timeout }),
+      getContractCreator(tokenAddress, { chain, timeout }).catch((err) => {
+        console.log(`[EvmSecurity] Deployer lookup failed: ${err.message}`);
+        return null;
+      }),
+    ]);
+
+    const creators = [deployer, ownership.renounced === false ? ownership.owner : null].filter(Boolean);
+    const [liquidityLock, simulation, capabilities] = await Promise.all([
+      pair
+        ? getEvmLiquidityLock(pair, { chain, creators, timeout }).catch((err) => {
+            console.log(`[EvmSecurity] LP check failed: ${err.message}`);
+            return null;
+          })
+        : null,
+      pair ? simulateTrade(tokenAddress, { chain, pair }) : null,
+      getContractCapabilities(tokenAddress, { chain, implementation: proxy.implementation }).catch(() => null),
+    ]);
+
+    // Raw findings ({ id, name, value, description, level }); risks.js normalizes them
+    const risks = [...(simulation?.risks || [])];
+    if (proxy.isProxy) {
+      risks.push({
+        id: "upgradeable_proxy",
+        name: "Upgradeable proxy",
+        value: proxy.implementation || proxy.beacon,
+        description: "Contract logic can be replaced by the proxy admin at any time",
+        level: "high",
+      });
+    }
+    if (ownership.renounced === false) {
+      risks.push({
+        id: "owner_not_renounced",
+        name: "Ownership not renounced",
+        value: ownership.owner,
+        description: "The owner can still call owner-only functions (fees, blacklists, trading switches)",
+        level: "medium",
+      });
+    }
+    // Renouncing only disarms owner functions on a contract that can't be upgraded, and only
+    // when the owner is confirmed as the zero/dead address (not when there is no owner getter)
+    const ownerDisarmed = ownership.renounced === true && !proxy.isProxy;
+    for (const capability of capabilities?.capabilities || []) {
+      risks.push({
+        id: `privileged_${capability.id.replace(/-/g, "_")}`,
+        name: capability.name,
+        value: capability.functions.join(", "),
+        description: ownerDisarmed ? `${capability.description} (ownership renounced)` : capability.description,
+        level: ownerDisarmed ? lowerLevel(capability.level) : capability.level,
+      });
+    }
+    if (liquidityLock?.riskFlag) {
+      risks.push({
+        id: liquidityLock.riskFlag.id,
+        name: liquidityLock.riskFlag.name,
+        value: `${Math.round((liquidityLock.burnedPct + liquidityLock.lockedPct) * 100) / 100}% burned/locked`,
+        description: liquidityLock.riskFlag.description,
+        level: liquidityLock.riskFlag.level,
+      });
+    }
+
+    const riskLevel = LEVEL_ORDER.find((level) => risks.some((r) => r.level === level)) || "none";
+
+    const duration = Date.now() - startTime;
+    console.log(`[EvmSecurity] ✅ ${risks.length} risks (owner renounced: ${ownership.renounced}, proxy: ${proxy.isProxy}, honeypot: ${simulation?.isHoneypot ?? "n/a"}) - ${duration}ms`);
+
+    return {
+      securityData: {
+        riskLevel,
+        risks,
+        score: null,
+        source: "onchain",
+        checks: { ownership, proxy, deployer, simulation, capabilities },
+      },
+      liquidityLock,
+    };
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[EvmSecurity] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
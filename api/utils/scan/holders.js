@@ -0,0 +1,202 @@
+// Top-holder concentration for Solana tokens
+// Fetches the largest token accounts, groups them by owning wallet, drops LP,
+// burn, lock and exchange wallets, and reports top-1/10/20 concentration and a Gini
+// coefficient for the remaining holders.
+import { solanaRpcCall } from "./solana.js";
+
+// Programs whose accounts hold pool liquidity (token vaults are owned by a PDA
+// of the program, or by an account the program owns)
+const AMM_PROGRAM_IDS = {
+  "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8": "Raydium AMM",
+  "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C": "Raydium CPMM",
+  "CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK": "Raydium CLMM",
+  "whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc": "Orca Whirlpool",
+  "LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo": "Meteora DLMM",
+  "Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB": "Meteora Pools",
+  "cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG": "Meteora DAMM v2",
+  "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P": "pump.fun bonding curve",
+  "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA": "PumpSwap",
+};
+
+// Token lock and vesting programs (escrow authorities are accounts the program owns)
+const LOCK_PROGRAM_IDS = {
+  "strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m": "Streamflow",
+  "LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn": "Jupiter Lock",
+};
+
+// Well-known pool authorities that have no account of their own
+const KNOWN_LP_OWNERS = {
+  "5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1": "Raydium AMM authority",
+  "GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL": "Raydium CPMM authority",
+};
+
+// Burn destinations
+export const BURN_OWNERS = {
+  "1nc1nerator11111111111111111111111111111111": "Incinerator",
+  "11111111111111111111111111111111": "System program",
+};
+
+// Exchange hot wallets (not exhaustive - the big ones that show up in top-holder lists)
+export const EXCHANGE_OWNERS = {
+  "5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9": "Binance",
+  "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM": "Binance",
+  "2ojv9BAiHUrvsm9gxDe7fJSzbNZSJcxZvf8dqmWGHG8S": "Binance",
+  "H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS": "Coinbase",
+  "GJRs4FwHtemZ5ZE9x3FNvJ8TMwitKTh21yxdRPqn7npE": "Coinbase",
+  "5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD": "OKX",
+  "AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2": "Bybit",
+  "FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5": "Kraken",
+  "u6PJ8DtQuPFnfmwHbGFULQ4u4EgjDiyYKjVEsynXq2w": "Gate.io",
+  "BmFdpraQhkiDQE6SnfG5omcA1VwzqfXrwtNYBwWTymy6": "KuCoin",
+};
+
+// Helper: Percentage with two decimals
+function toPct(part, whole) {
+  if (!whole) return 0;
+  return Math.round((part / whole) * 10000) / 100;
+}
+
+// Gini coefficient for grouped balances [{ value, count }] (0 = equal, 1 = one holder owns all)
+export function computeGini(groups) {
+  const filtered = groups.filter((g) => g.count > 0 && g.value >= 0);
+  const n = filtered.reduce((sum, g) => sum + g.count, 0);
+  const total = filtered.reduce((sum, g) => sum + g.value * g.count, 0);
+  if (n < 2 || total <= 0) return null;
+
+  let absDiffSum = 0;
+  for (const a of filtered) {
+    for (const b of filtered) {
+      absDiffSum += a.count * b.count * Math.abs(a.value - b.value);
+    }
+  }
+
+  const mean = total / n;
+  return Math.round((absDiffSum / (2 * n * n * mean)) * 1000) / 1000;
+}
+
+// Add a Gini coefficient to a distribution. With a holder count, the holders
+// outside the sampled top accounts are modelled as sharing the rest of the
+// circulating supply equally, so the result approximates the whole population.
+export function withHolderGini(distribution, holderCount = null) {
+  if (!distribution) return null;
+
+  const groups = distribution.holders.map((h) => ({ value: h.pct, count: 1 }));
+  const sampled = distribution.holders.length;
+  const restPct = Math.max(0, 100 - distribution.excludedPct - distribution.holders.reduce((s, h) => s + h.pct, 0));
+  const restCount = holderCount ? Math.max(0, holderCount - sampled - distribution.excluded.length) : 0;
+
+  if (restCount > 0 && restPct > 0) {
+    groups.push({ value: restPct / restCount, count: restCount });
+  }
+
+  return {
+    ...distribution,
+    gini: computeGini(groups),
+    giniScope: restCount > 0 ? "estimated-population" : "top-holders",
+  };
+}
+
+// Fetch and analyze the largest holders of a Solana mint.
+// Percentages are of total supply. Returns null when the RPC has no data.
+export async function getSolanaHolderDistribution(mint, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[Holders] Starting distribution fetch for ${mint}`);
+
+  try {
+    const [supplyResult, largestResult] = await Promise.all([
+      solanaRpcCall("getTokenSupply", [mint], { timeout }),
+      solanaRpcCall("getTokenLargestAccounts", [mint, { commitment: "confirmed" }], { timeout }),
+    ]);
+
+    const supply = Number(supplyResult?.value?.uiAmount ?? 0);
+    const largest = largestResult?.value || [];
+    if (!supply || largest.length === 0) {
+      console.log(`[Holders] No supply or holder data`);
+      return null;
+    }
+
+    // Token account -> owning wallet
+    const tokenAccounts = await solanaRpcCall(
+      "getMultipleAccounts",
+      [largest.map((a) => a.address), { encoding: "jsonParsed" }],
+      { timeout }
+    );
+
+    const byOwner = new Map();
+    largest.forEach((account, idx) => {
+      const owner = tokenAccounts?.value?.[idx]?.data?.parsed?.info?.owner || account.address;
+      const amount = Number(account.uiAmount ?? account.uiAmountString ?? 0);
+      const entry = byOwner.get(owner) || { owner, amount: 0, tokenAccounts: [] };
+      entry.amount += amount;
+      entry.tokenAccounts.push(account.address);
+      byOwner.set(owner, entry);
+    });
+
+    // Which program owns each wallet (pool PDAs and program-owned vault authorities)
+    const owners = [...byOwner.keys()];
+    const ownerAccounts = await solanaRpcCall(
+      "getMultipleAccounts",
+      [owners, { encoding: "base64", dataSlice: { offset: 0, length: 0 } }],
+      { timeout }
+    );
+
+    const holders = [];
+    const excluded = [];
+
+    owners.forEach((owner, idx) => {
+      const entry = byOwner.get(owner);
+      const ownerProgram = ownerAccounts?.value?.[idx]?.owner || null;
+      const pct = toPct(entry.amount, supply);
+
+      let type = null;
+      let label = null;
+      if (KNOWN_LP_OWNERS[owner]) {
+        type = "lp";
+        label = KNOWN_LP_OWNERS[owner];
+      } else if (ownerProgram && AMM_PROGRAM_IDS[ownerProgram]) {
+        type = "lp";
+        label = AMM_PROGRAM_IDS[ownerProgram];
+      } else if (ownerProgram && LOCK_PROGRAM_IDS[ownerProgram]) {
+        type = "locker";
+        label = LOCK_PROGRAM_IDS[ownerProgram];
+      } else if (BURN_OWNERS[owner]) {
+        type = "burn";
+        label = BURN_OWNERS[owner];
+      } else if (EXCHANGE_OWNERS[owner]) {
+        type = "exchange";
+        label = EXCHANGE_OWNERS[owner];
+      }
+
+      if (type) {
+        excluded.push({ owner, type, label, amount: entry.amount, pct });
+      } else {
+        holders.push({ owner, amount: entry.amount, pct, tokenAccounts: entry.tokenAccounts.length });
+      }
+    });
+
+    holders.sort((a, b) => b.amount - a.amount);
+    excluded.sort((a, b) => b.amount - a.amount);
+
+    const sumPct = (list) => Math.round(list.reduce((sum, h) => sum + h.pct, 0) * 100) / 100;
+
+    const result = {
+      supply,
+      sampleSize: largest.length,
+      top1Pct: sumPct(holders.slice(0, 1)),
+      top10Pct: sumPct(holders.slice(0, 10)),
+      top20Pct: sumPct(holders.slice(0, 20)),
+      excludedPct: sumPct(excluded),
+      holders: holders.slice(0, 20),
+      excluded,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(`[Holders] ✅ Success: top1=${result.top1Pct}%, top10=${result.top10Pct}%, excluded=${result.excludedPct}% (${excluded.length} LP/burn/lock/exchange) - ${duration}ms`);
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Holders] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,371 @@
+// Buy/sell simulation for EVM tokens (honeypot and tax detection)
+// Runs a buy and a sell through the main pair's V2 router with eth_simulateV1, so
+// both trades share state without anything being sent on-chain. The simulated
+// trader's native balance comes from a state override. RPCs without eth_simulateV1
+// (most public endpoints) get a single eth_call instead: a probe contract
+// (contracts/TradeProbe.sol) is placed at the trader's address by a state override
+// and runs both legs itself. <CHAIN>_SIMULATION_RPC_URL points the simulation at
+// another node - a local fork (anvil --fork-url ...) works for testing.
+import {
+  decodeUint,
+  encodeAddressWord,
+  encodeUintWord,
+  ethCall,
+  getRpcUrl,
+  rpcCall,
+} from "./evm.js";
+import { PROBE_RUNTIME_CODE } from "./contracts/tradeProbe.js";
+
+// Fresh EOA used as the trader (no code, never excluded from fees)
+const SIMULATED_TRADER = "0x5e1f6a0b3c7d2e4f8a9b0c1d2e3f4a5b6c7d8e9f";
+// Sender of the eth_call fallback (the trader itself holds the probe's code there)
+const SIMULATION_CALLER = "0x5e1f6a0b3c7d2e4f8a9b0c1d2e3f4a5b6c7d8e90";
+const BUY_AMOUNT_WEI = 10n ** 17n; // 0.1 BNB/ETH
+const DEADLINE = 0xffffffffn;
+const CALL_GAS = "0x7a1200"; // 8M
+const PROBE_GAS = "0xf42400"; // 16M - both legs run inside one call
+
+const SELECTORS = {
+  getAmountsOut: "0xd06ca61f", // getAmountsOut(uint256,address[])
+  buy: "0xb6f9de95", // swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)
+  sell: "0x5c11d795", // swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)
+  approve: "0x095ea7b3",
+  balanceOf: "0x70a08231",
+  totalSupply: "0x18160ddd",
+  probe: "0xf693a9a3", // probe(address,address[],address[])
+};
+
+// Common limit getters on fee-on-transfer tokens
+const MAX_TX_GETTERS = [
+  { selector: "0x7d1db4a5", method: "_maxTxAmount()" },
+  { selector: "0x8c0b5e22", method: "maxTxAmount()" },
+  { selector: "0xc8c8ebe4", method: "maxTransactionAmount()" },
+];
+const MAX_WALLET_GETTERS = [
+  { selector: "0x8f9a55c0", method: "_maxWalletSize()" },
+  { selector: "0xf8b45b05", method: "maxWallet()" },
+  { selector: "0xaa4bde28", method: "maxWalletAmount()" },
+  { selector: "0x78109e54", method: "_maxWalletToken()" },
+  { selector: "0x8f3fa860", method: "maxWalletSize()" },
+  { selector: "0x6c0a24eb", method: "_maxWalletAmount()" },
+];
+
+// Helper: ABI-encode an address[] tail (length + items)
+function encodePath(path) {
+  return encodeUintWord(path.length) + path.map(encodeAddressWord).join("");
+}
+
+// Helper: Last element of a uint256[] return value (getAmountsOut)
+function decodeLastAmount(hex) {
+  if (typeof hex !== "string" || hex.length < 130) return null;
+  const words = hex.slice(2).match(/.{64}/g);
+  const length = Number(BigInt(`0x${words[1]}`));
+  return length > 0 ? BigInt(`0x${words[1 + length]}`) : null;
+}
+
+// Helper: Percentage lost between the expected and received amount (0-100, two decimals)
+function toTaxPct(expected, received) {
+  if (!expected) return null;
+  if (received >= expected) return 0;
+  return Number(((expected - received) * 10000n) / expected) / 100;
+}
+
+// Helper: Run calls in one simulated block as the trader
+async function simulateCalls(chain, calls, { rpcUrl, timeout }) {
+  const blocks = await rpcCall(
+    chain,
+    "eth_simulateV1",
+    [
+      {
+        blockStateCalls: [
+          {
+            stateOverrides: { [SIMULATED_TRADER]: { balance: `0x${(BUY_AMOUNT_WEI * 10n).toString(16)}` } },
+            calls: calls.map((call) => ({
+              from: SIMULATED_TRADER,
+              gas: CALL_GAS,
+              ...call,
+              value: `0x${(call.value || 0n).toString(16)}`,
+            })),
+          },
+        ],
+        validation: false,
+      },
+      "latest",
+    ],
+    { rpcUrl, timeout }
+  );
+  return (blocks?.[0]?.calls || []).map((call) => ({
+    ok: call.status === "0x1",
+    returnData: call.returnData,
+    gasUsed: call.gasUsed ? Number(BigInt(call.gasUsed)) : null,
+    error: call.error?.message || null,
+  }));
+}
+
+// Helper: Buy and sell legs with eth_simulateV1 (the sell replays the buy in its own block).
+// Returns { method, buyOk, buyError, buyGas, expectedBuy, received, sellOk, sellError,
+// sellGas, expectedSell, sold }; the sell fields are null when no sell was attempted.
+async function simulateLegsV1(chain, { router, token, wrappedNative, buyPath, sellPath }, options) {
+  const buyCall = {
+    to: router,
+    data: `${SELECTORS.buy}${encodeUintWord(0)}${encodeUintWord(0x80)}${encodeAddressWord(SIMULATED_TRADER)}${encodeUintWord(DEADLINE)}${encodePath(buyPath)}`,
+    value: BUY_AMOUNT_WEI,
+  };
+
+  // Buy: expected output, the swap itself, and what actually arrived
+  const [quoteBuy, buy, boughtBalance] = await simulateCalls(
+    chain,
+    [
+      { to: router, data: `${SELECTORS.getAmountsOut}${encodeUintWord(BUY_AMOUNT_WEI)}${encodeUintWord(0x40)}${encodePath(buyPath)}` },
+      buyCall,
+      { to: token, data: `${SELECTORS.balanceOf}${encodeAddressWord(SIMULATED_TRADER)}` },
+    ],
+    options
+  );
+  const legs = {
+    method: "eth_simulateV1",
+    buyOk: !!buy?.ok,
+    buyError: buy?.ok ? null : buy?.error || "reverted",
+    buyGas: buy?.gasUsed ?? null,
+    expectedBuy: quoteBuy?.ok ? decodeLastAmount(quoteBuy.returnData) : null,
+    received: buy?.ok ? decodeUint(boughtBalance?.returnData) ?? 0n : null,
+    sellOk: null,
+    sellError: null,
+    sellGas: null,
+    expectedSell: null,
+    sold: null,
+  };
+  if (!legs.buyOk || legs.received === 0n) return legs;
+
+  // Sell: replay the buy, approve the router, then sell everything that arrived
+  const [, , quoteSell, sell, wrappedNativeBalance] = await simulateCalls(
+    chain,
+    [
+      buyCall,
+      { to: token, data: `${SELECTORS.approve}${encodeAddressWord(router)}${"f".repeat(64)}` },
+      { to: router, data: `${SELECTORS.getAmountsOut}${encodeUintWord(legs.received)}${encodeUintWord(0x40)}${encodePath(sellPath)}` },
+      {
+        to: router,
+        data: `${SELECTORS.sell}${encodeUintWord(legs.received)}${encodeUintWord(0)}${encodeUintWord(0xa0)}${encodeAddressWord(SIMULATED_TRADER)}${encodeUintWord(DEADLINE)}${encodePath(sellPath)}`,
+      },
+      { to: wrappedNative, data: `${SELECTORS.balanceOf}${encodeAddressWord(SIMULATED_TRADER)}` },
+    ],
+    options
+  );
+  legs.sellOk = !!sell?.ok;
+  legs.sellError = sell?.ok ? null : sell?.error || "reverted";
+  legs.sellGas = sell?.gasUsed ?? null;
+  legs.expectedSell = quoteSell?.ok ? decodeLastAmount(quoteSell.returnData) : null;
+  legs.sold = sell?.ok ? decodeUint(wrappedNativeBalance?.returnData) ?? 0n : null;
+  return legs;
+}
+
+// Helper: The same legs in a single eth_call: the probe contract runs at the trader's
+// address (code override) and is called with the buy amount by a funded caller.
+// Reverts inside the probe are caught per leg, so errors are only reported as "reverted".
+// Tokens that refuse to trade with contracts show up as reverted legs here, so a sell
+// revert from the probe is only reported as unconfirmed (see simulateTrade).
+async function simulateLegsEthCall(chain, { router, buyPath, sellPath }, options) {
+  const sellPathOffset = 0x60 + 32 * (buyPath.length + 1);
+  const data = `${SELECTORS.probe}${encodeAddressWord(router)}${encodeUintWord(0x60)}${encodeUintWord(sellPathOffset)}${encodePath(buyPath)}${encodePath(sellPath)}`;
+  const hex = await rpcCall(
+    chain,
+    "eth_call",
+    [
+      { from: SIMULATION_CALLER, to: SIMULATED_TRADER, data, gas: PROBE_GAS, value: `0x${BUY_AMOUNT_WEI.toString(16)}` },
+      "latest",
+      {
+        [SIMULATED_TRADER]: { code: PROBE_RUNTIME_CODE },
+        [SIMULATION_CALLER]: { balance: `0x${(BUY_AMOUNT_WEI * 10n).toString(16)}` },
+      },
+    ],
+    options
+  );
+  if (typeof hex !== "string" || hex.length < 2 + 8 * 64) {
+    throw new Error("Probe returned no data (state overrides not supported?)");
+  }
+
+  const [buyOk, expectedBuy, received, buyGas, sellOk, expectedSell, sold, sellGas] = hex
+    .slice(2)
+    .match(/.{64}/g)
+    .slice(0, 8)
+    .map((word) => BigInt(`0x${word}`));
+  const sellRan = buyOk === 1n && received > 0n;
+  return {
+    method: "eth_call",
+    buyOk: buyOk === 1n,
+    buyError: buyOk === 1n ? null : "reverted",
+    buyGas: Number(buyGas),
+    expectedBuy: expectedBuy || null,
+    received: buyOk === 1n ? received : null,
+    sellOk: sellRan ? sellOk === 1n : null,
+    sellError: sellRan && sellOk !== 1n ? "reverted" : null,
+    sellGas: sellRan ? Number(sellGas) : null,
+    expectedSell: expectedSell || null,
+    sold: sellOk === 1n ? sold : null,
+  };
+}
+
+// Helper: First limit getter that answers, as { method, amount, pct } of total supply
+async function readLimit(chain, tokenAddress, getters, totalSupply, options) {
+  for (const { selector, method } of getters) {
+    try {
+      const amount = decodeUint(await ethCall(chain, tokenAddress, selector, options));
+      if (amount === null || amount === 0n) continue;
+      if (!totalSupply || amount >= totalSupply) return null; // No effective limit
+      return { method, amount: amount.toString(), pct: Number((amount * 10000n) / totalSupply) / 100 };
+    } catch (err) {
+      if (err.code === undefined) throw err; // Transport failure, not a missing getter
+    }
+  }
+  return null;
+}
+
+// Helper: Risks for a simulation result ({ id, name, value, description, level })
+function getSimulationRisks({ method, isHoneypot, buyReverted, buyError, sellReverted, sellError, buyTax, sellTax, maxTx, maxWallet }) {
+  const risks = [];
+  if (isHoneypot) {
+    risks.push({
+      id: "honeypot",
+      name: "Honeypot",
+      value: sellReverted ? "sell reverts" : `${sellTax}% sell tax`,
+      description: sellReverted
+        ? `A simulated sell reverted${sellError ? ` (${sellError})` : ""} - holders cannot sell`
+        : `A simulated sell lost ${sellTax}% to fees - holders cannot sell at a reasonable price`,
+      level: "high",
+    });
+    return risks;
+  }
+  if (sellReverted && method === "eth_call") {
+    risks.push({
+      id: "sell_reverted_probe",
+      name: "Sell failed in probe",
+      value: "sell reverts (unconfirmed)",
+      description:
+        "A simulated sell from a probe contract reverted - the token may block contract traders (anti-bot) " +
+        "rather than holders; a node with eth_simulateV1 is needed to confirm it",
+      level: "medium",
+    });
+  }
+  if (buyReverted) {
+    risks.push({
+      id: "buy_reverts",
+      name: "Buy simulation failed",
+      value: buyError,
+      description: `A simulated buy reverted${buyError ? ` (${buyError})` : ""} - trading may be disabled`,
+      level: "medium",
+    });
+  }
+
+  const maxTax = Math.max(buyTax ?? 0, sellTax ?? 0);
+  if (maxTax >= 10) {
+    risks.push({
+      id: "high_tax",
+      name: "High trading tax",
+      value: `buy ${buyTax ?? "?"}% / sell ${sellTax ?? "?"}%`,
+      description: `Simulated trades pay ${buyTax ?? "?"}% on buys and ${sellTax ?? "?"}% on sells`,
+      level: maxTax >= 30 ? "high" : "medium",
+    });
+  }
+
+  const limits = [maxTx && `max transaction ${maxTx.pct}%`, maxWallet && `max wallet ${maxWallet.pct}%`].filter(Boolean);
+  if ((maxTx && maxTx.pct < 1) || (maxWallet && maxWallet.pct < 1)) {
+    risks.push({
+      id: "trading_limits",
+      name: "Trading limits",
+      value: limits.join(", "),
+      description: `The contract limits trades (${limits.join(", ")} of supply)`,
+      level: "low",
+    });
+  }
+  return risks;
+}
+
+// Simulate a buy and a sell of `tokenAddress` through the main pair's router.
+// `pair` is the DexScreener main pair ({ pairAddress, dexId, labels, quoteAddress }).
+// Returns { status, method, dex, router, path, buyTax, sellTax, buyReverted, sellReverted,
+// buyError, sellError, buyGas, sellGas, isHoneypot, maxTx, maxWallet, risks } where method
+// is "eth_simulateV1" or "eth_call"; status is "unsupported" (no V2 router for the pool)
+// or "unavailable" (both simulation methods failed) when nothing could be simulated.
+export async function simulateTrade(tokenAddress, { chain, pair, rpcUrl = null, timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  const simulationRpcUrl = rpcUrl || (chain.simulationRpcUrlEnv && process.env[chain.simulationRpcUrlEnv]) || getRpcUrl(chain);
+  const router = pair?.dexId ? chain.v2Routers?.[pair.dexId] : null;
+  const base = { dex: pair?.dexId || null, router: router || null, risks: [] };
+
+  if (!router || (pair.labels || []).some((label) => /^v[34]$/i.test(label))) {
+    console.log(`[Honeypot] No V2 router for ${pair?.dexId || "unknown dex"} ${(pair?.labels || []).join("/")} - skipping simulation`);
+    return { ...base, status: "unsupported" };
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const wrappedNative = chain.quoteTokens[0].toLowerCase();
+  const quote = pair.quoteAddress?.toLowerCase();
+  const buyPath = quote && quote !== wrappedNative ? [wrappedNative, quote, token] : [wrappedNative, token];
+  const sellPath = [...buyPath].reverse();
+  console.log(`[Honeypot] Simulating buy/sell of ${token} via ${pair.dexId} on ${chain.name}`);
+
+  try {
+    // eth_simulateV1 first; RPCs that don't implement it get the single-call probe
+    const legOptions = { rpcUrl: simulationRpcUrl, timeout };
+    const legArgs = { router, token, wrappedNative, buyPath, sellPath };
+    const legs = await simulateLegsV1(chain, legArgs, legOptions).catch((err) => {
+      console.log(`[Honeypot] eth_simulateV1 unavailable (${err.message}) - falling back to eth_call with state overrides`);
+      return simulateLegsEthCall(chain, legArgs, legOptions);
+    });
+
+    // Max-transaction / max-wallet limits as a share of total supply
+    const totalSupply = await ethCall(chain, token, SELECTORS.totalSupply, legOptions).then(decodeUint).catch(() => null);
+    const [maxTx, maxWallet] = await Promise.all([
+      readLimit(chain, token, MAX_TX_GETTERS, totalSupply, legOptions).catch(() => null),
+      readLimit(chain, token, MAX_WALLET_GETTERS, totalSupply, legOptions).catch(() => null),
+    ]);
+
+    const result = {
+      ...base,
+      status: "ok",
+      method: legs.method,
+      path: buyPath,
+      buyTax: null,
+      sellTax: null,
+      buyReverted: !legs.buyOk,
+      sellReverted: false,
+      buyError: legs.buyError,
+      sellError: null,
+      buyGas: legs.buyGas,
+      sellGas: null,
+      isHoneypot: false,
+      maxTx,
+      maxWallet,
+    };
+
+    if (legs.buyOk) {
+      result.buyTax = toTaxPct(legs.expectedBuy, legs.received);
+
+      if (legs.received === 0n) {
+        result.isHoneypot = true;
+        result.buyTax = 100;
+      } else {
+        result.sellReverted = !legs.sellOk;
+        result.sellError = legs.sellError;
+        result.sellGas = legs.sellGas;
+        if (legs.sellOk) result.sellTax = toTaxPct(legs.expectedSell, legs.sold);
+        // The probe trades from a contract, so its sell reverts can be anti-bot checks;
+        // only a revert from the EOA simulation marks a honeypot
+        const confirmedRevert = result.sellReverted && legs.method === "eth_simulateV1";
+        result.isHoneypot = confirmedRevert || (result.sellTax ?? 0) >= 90;
+      }
+    }
+
+    result.risks = getSimulationRisks(result);
+
+    const duration = Date.now() - startTime;
+    console.log(`[Honeypot] ✅ (${result.method}) honeypot=${result.isHoneypot}, buyTax=${result.buyTax}%, sellTax=${result.sellTax}%, buyReverted=${result.buyReverted}, sellReverted=${result.sellReverted} - ${duration}ms`);
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.log(`[Honeypot] Simulation unavailable after ${duration}ms: ${err.message}`);
+    return { ...base, status: "unavailable", reason: err.message };
+  }
+}
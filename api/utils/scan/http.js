@@ -0,0 +1,67 @@
+// Shared HTTP helpers for the token scan pipeline
+
+// ScrapingBee API configuration
+export const SCRAPINGBEE_API_KEY = process.env.SCRAPINGBEE_KEY;
+const SCRAPINGBEE_BASE_URL = 'https://app.scrapingbee.com/api/v1/';
+
+// Fetch HTML from ScrapingBee
+export async function fetchWithScrapingBee(url) {
+  if (!SCRAPINGBEE_API_KEY) {
+    throw new Error('SCRAPINGBEE_KEY environment variable is not set');
+  }
+
+  const apiUrl = `${SCRAPINGBEE_BASE_URL}?api_key=${SCRAPINGBEE_API_KEY}&url=${encodeURIComponent(url)}&render_js=true&premium_proxy=true`;
+  
+  const response = await fetch(apiUrl, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`ScrapingBee API error: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.text();
+}
+
+// Helper: Fetch with timeout
+export async function fetchWithTimeout(url, options = {}, timeout = 10000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+    });
+    clearTimeout(timeoutId);
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === "AbortError") {
+      throw new Error(`Request timeout: ${url}`);
+    }
+    throw error;
+  }
+}
+
+// Helper: Whether an HTTP status is worth retrying (rate limit or server error)
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Helper: Sleep for the given number of milliseconds
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Helper: Safe JSON parse with fallback
+export function safeJsonParse(jsonString, fallback = null) {
+  try {
+    return JSON.parse(jsonString);
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,125 @@
+// Shared scan-input parser: pulls a contract address (and chain, when the link
+// says which one) out of a bare address, a pasted link or a longer message.
+// Used by ScanForm, /api/scan, /api/scan-stream and the Telegram bot, so it must
+// stay free of Node-only imports. Chain ids match api/utils/scan/chains.js.
+
+// Chain slugs used in URLs by DexScreener, Birdeye, GeckoTerminal, GMGN, ...
+const URL_CHAIN_SLUGS = {
+  solana: "solana",
+  sol: "solana",
+  bsc: "bnb",
+  bnb: "bnb",
+  ethereum: "ethereum",
+  eth: "ethereum",
+  base: "base",
+  arbitrum: "arbitrum",
+  arb: "arbitrum",
+};
+
+// Explorer hosts and the chain they belong to
+const EXPLORER_HOSTS = {
+  "solscan.io": "solana",
+  "explorer.solana.com": "solana",
+  "solana.fm": "solana",
+  "bscscan.com": "bnb",
+  "etherscan.io": "ethereum",
+  "basescan.org": "base",
+  "arbiscan.io": "arbitrum",
+};
+
+const EVM_ADDRESS = /0x[a-fA-F0-9]{40}(?![a-fA-F0-9])/g;
+const SOLANA_ADDRESS = /(?<![1-9A-HJ-NP-Za-km-z])[1-9A-HJ-NP-Za-km-z]{32,44}(?![1-9A-HJ-NP-Za-km-z])/g;
+const URL_PATTERN = /https?:\/\/[^\s<>()"']+/gi;
+
+// Helper: Find the first address in a piece of text (EVM or Solana, whichever comes first)
+export function findAddressInText(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const evm = text.match(EVM_ADDRESS)?.[0];
+  // Blank out EVM addresses first: 40 hex chars without a zero are valid base58
+  const withoutEvm = text.replace(EVM_ADDRESS, (m) => " ".repeat(m.length));
+  const solana = withoutEvm.match(SOLANA_ADDRESS)?.[0];
+
+  if (evm && solana) {
+    return text.indexOf(evm) < withoutEvm.indexOf(solana) ? evm : solana;
+  }
+  return evm || solana || null;
+}
+
+// Helper: Host without "www." / subdomains we don't care about
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, "");
+}
+
+// Parse a single URL into { address, chain, source } (null if not a supported link)
+function parseUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return null;
+  }
+
+  const host = normalizeHost(url.hostname);
+  const segments = url.pathname.split("/").filter(Boolean);
+  const address = findAddressInText(segments.join(" "));
+  if (!address) return null;
+
+  // dexscreener.com/{chain}/{pairOrToken}
+  if (host === "dexscreener.com") {
+    return { address, chain: URL_CHAIN_SLUGS[segments[0]?.toLowerCase()] || null, source: "dexscreener" };
+  }
+
+  // pump.fun/coin/{mint} (older links: pump.fun/{mint})
+  if (host === "pump.fun") {
+    return { address, chain: "solana", source: "pump.fun" };
+  }
+
+  // birdeye.so/token/{mint}?chain=solana
+  if (host === "birdeye.so") {
+    const chainParam = url.searchParams.get("chain")?.toLowerCase();
+    return { address, chain: URL_CHAIN_SLUGS[chainParam] || "solana", source: "birdeye" };
+  }
+
+  // geckoterminal.com/{network}/pools/{pool}
+  if (host === "geckoterminal.com") {
+    return { address, chain: URL_CHAIN_SLUGS[segments[0]?.toLowerCase()] || null, source: "geckoterminal" };
+  }
+
+  // gmgn.ai/{chain}/token/{address}
+  if (host === "gmgn.ai") {
+    return { address, chain: URL_CHAIN_SLUGS[segments[0]?.toLowerCase()] || null, source: "gmgn" };
+  }
+
+  // Explorers: {explorer}/token/{address}, /address/{address}, /account/{address}
+  if (EXPLORER_HOSTS[host]) {
+    return { address, chain: EXPLORER_HOSTS[host], source: host.split(".")[0] };
+  }
+
+  // Any other link that carries an address (swap UIs, trading bots, ...)
+  return { address, chain: null, source: "link" };
+}
+
+// Parse whatever the user pasted. Returns { address, chain, source } or null.
+// `chain` is null when the input doesn't say which chain (bare 0x address).
+export function parseScanInput(input) {
+  if (!input || typeof input !== "string") return null;
+  const text = input.trim();
+  if (!text) return null;
+
+  // Links first: they can tell us the chain
+  const urls = text.match(URL_PATTERN) || [];
+  for (const url of urls) {
+    const parsed = parseUrl(url);
+    if (parsed) return parsed;
+  }
+
+  const address = findAddressInText(text.replace(URL_PATTERN, " "));
+  if (!address) return null;
+
+  return {
+    address,
+    chain: address.startsWith("0x") ? null : "solana",
+    source: address === text ? "address" : "text",
+  };
+}
@@ -0,0 +1,304 @@
+// Launch fairness: who bought a young token in its first swaps
+// The first buys out of the main pool are replayed (Transfer logs on EVM chains, the
+// pool's first transactions on Solana). Buys packed into one block/slot are bundles,
+// buyers funded by the deployer or pool creator are insiders, and together with the
+// launch-block buyers they make up the snipers whose remaining balance is reported.
+import { isEvmChain } from "./chains.js";
+import { createLiveTransport, traceEvmFunder, traceSolanaFunder } from "./clusters.js";
+import { decodeUint, encodeAddressWord, ethCall, rpcCall } from "./evm.js";
+import { findDeploymentBlock, TRANSFER_TOPIC } from "./evmHolders.js";
+import { getTokenBalanceDeltas } from "./solana.js";
+import { getContractCreation } from "./sources.js";
+
+const MAX_AGE_DAYS = 7;
+const MAX_SWAPS = 50; // First buys analyzed
+const MAX_TRACED_BUYERS = 20;
+const BUNDLE_MIN_BUYERS = 3; // Distinct buyers in one block/slot that count as a bundle
+const MIN_VAULT_SAMPLE = 4; // Swaps needed before recurring owners are treated as pool vaults
+const MAX_SIGNATURE_PAGES = 3; // Pools with more history than this aren't young
+const SIGNATURE_PAGE_SIZE = 1000;
+const MAX_LAUNCH_BLOCKS = 2000; // EVM blocks after pool creation searched for buys
+const LOG_BLOCK_RANGE = 500;
+const MIN_LOG_BLOCK_RANGE = 25;
+const BALANCE_OF_SELECTOR = "0x70a08231";
+
+// Helper: Percentage of `whole` with two decimals (BigInts or numbers)
+function toPct(part, whole) {
+  if (!whole) return 0;
+  if (typeof part === "bigint") return Number((part * 10000n) / whole) / 100;
+  return Math.round((part / whole) * 10000) / 100;
+}
+
+// Helper: Oldest (up to MAX_SWAPS + 1) successful signatures of a Solana pool, oldest first.
+// Null when the pool's history is too long to reach its creation.
+async function findLaunchSignatures(poolAddress, transport) {
+  let before = null;
+  let oldest = [];
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const options = { limit: SIGNATURE_PAGE_SIZE, commitment: "confirmed" };
+    if (before) options.before = before;
+
+    const signatures = await transport.solanaRpc("getSignaturesForAddress", [poolAddress, options]);
+    if (!signatures?.length) break;
+    oldest = signatures;
+    if (signatures.length < SIGNATURE_PAGE_SIZE) break;
+    before = signatures[signatures.length - 1].signature;
+    if (page === MAX_SIGNATURE_PAGES - 1) return null;
+  }
+  return oldest
+    .filter((sig) => !sig.err)
+    .reverse()
+    .slice(0, MAX_SWAPS + 1)
+    .map((sig) => sig.signature);
+}
+
+// Helper: First buys from a Solana pool ([{ wallet, block, amount }]) plus the pool creator.
+// Owners whose balance moves in most later swaps are the pool's vault authorities, not
+// buyers. The creation transaction is read as well, since launchpads like pump.fun bundle
+// the creator's first buy into it - but only once there are enough swaps to tell the vaults
+// apart, otherwise the pool's initial deposit would read as a buy.
+async function readSolanaBuys(mint, poolAddress, transport, { deadline }) {
+  const signatures = await findLaunchSignatures(poolAddress, transport);
+  if (!signatures?.length) return null;
+
+  const txs = [];
+  for (const signature of signatures) {
+    if (Date.now() > deadline) break;
+    const tx = await transport.solanaRpc("getTransaction", [
+      signature,
+      { encoding: "jsonParsed", maxSupportedTransactionVersion: 0, commitment: "confirmed" },
+    ]);
+    if (tx) txs.push(tx);
+  }
+  if (txs.length === 0) return null;
+
+  const [creation, ...swaps] = txs;
+  const feePayer = creation.transaction?.message?.accountKeys?.[0];
+  const deltasPerTx = txs.map((tx) => ({ slot: tx.slot, deltas: getTokenBalanceDeltas(tx, mint) }));
+
+  const appearances = new Map();
+  for (const { deltas } of deltasPerTx.slice(1)) {
+    for (const owner of deltas.keys()) appearances.set(owner, (appearances.get(owner) || 0) + 1);
+  }
+  const canSpotVaults = swaps.length >= MIN_VAULT_SAMPLE;
+  const isVault = (owner) =>
+    owner === poolAddress || (canSpotVaults && appearances.get(owner) > swaps.length / 2);
+
+  const buys = [];
+  for (const { slot, deltas } of canSpotVaults ? deltasPerTx : deltasPerTx.slice(1)) {
+    for (const [owner, delta] of deltas) {
+      if (delta > 0 && !isVault(owner)) buys.push({ wallet: owner, block: slot, amount: delta });
+    }
+  }
+
+  const supply = await transport.solanaRpc("getTokenSupply", [mint]);
+  return {
+    poolCreator: typeof feePayer === "string" ? feePayer : feePayer?.pubkey || null,
+    launchBlock: creation.slot,
+    launchedAt: creation.blockTime ?? null,
+    buys,
+    supply: Number(supply?.value?.uiAmountString ?? supply?.value?.uiAmount ?? 0),
+  };
+}
+
+// Helper: Current token balance of a Solana wallet (all its accounts for the mint)
+async function getSolanaBalance(wallet, mint, transport) {
+  const result = await transport.solanaRpc("getTokenAccountsByOwner", [wallet, { mint }, { encoding: "jsonParsed" }]);
+  return (result?.value || []).reduce(
+    (sum, account) => sum + Number(account.account?.data?.parsed?.info?.tokenAmount?.uiAmountString ?? 0),
+    0
+  );
+}
+
+// Helper: First buys from an EVM pair - Transfer logs with the pair as sender, from the
+// pair's creation block on, halving the block range when the provider rejects it
+async function readEvmBuys(tokenAddress, pairAddress, chain, { timeout }) {
+  const latestBlock = Number(await rpcCall(chain, "eth_blockNumber", [], { timeout }));
+  const creation = await getContractCreation(pairAddress, { chain, timeout }).catch(() => null);
+  const creationTx = creation?.txHash
+    ? await rpcCall(chain, "eth_getTransactionByHash", [creation.txHash], { timeout })
+    : null;
+  const launchBlock = creationTx?.blockNumber
+    ? Number(creationTx.blockNumber)
+    : await findDeploymentBlock(pairAddress, chain, latestBlock, { timeout });
+  if (launchBlock === null) return null;
+
+  const lastBlock = Math.min(latestBlock, launchBlock + MAX_LAUNCH_BLOCKS);
+  const fromPair = `0x${encodeAddressWord(pairAddress)}`;
+  const logs = [];
+  let range = LOG_BLOCK_RANGE;
+  let block = launchBlock;
+  while (block <= lastBlock && logs.length < MAX_SWAPS) {
+    const end = Math.min(block + range - 1, lastBlock);
+    try {
+      const result = await rpcCall(
+        chain,
+        "eth_getLogs",
+        [{ address: tokenAddress, topics: [TRANSFER_TOPIC, fromPair], fromBlock: `0x${block.toString(16)}`, toBlock: `0x${end.toString(16)}` }],
+        { timeout }
+      );
+      logs.push(...(result || []).filter((log) => !log.removed && log.topics?.length === 3));
+      block = end + 1;
+    } catch (err) {
+      if (err.code === undefined || range <= MIN_LOG_BLOCK_RANGE) throw err;
+      range = Math.max(MIN_LOG_BLOCK_RANGE, Math.floor(range / 2));
+    }
+  }
+
+  const token = tokenAddress.toLowerCase();
+  const buys = logs
+    .map((log) => ({
+      wallet: `0x${log.topics[2].slice(26)}`.toLowerCase(),
+      block: Number(log.blockNumber),
+      amount: decodeUint(log.data) ?? 0n,
+    }))
+    .filter((buy) => buy.wallet !== token && buy.wallet !== pairAddress.toLowerCase())
+    .slice(0, MAX_SWAPS);
+
+  return {
+    poolCreator: creation?.creator || creationTx?.from?.toLowerCase() || null,
+    launchBlock,
+    launchedAt: null,
+    buys,
+    supply: decodeUint(await ethCall(chain, tokenAddress, "0x18160ddd", { timeout })),
+  };
+}
+
+// Helper: Risk level for a launch
+function getLaunchRiskLevel({ sniperHeldPct, deployerFundedBuyers, bundledBuyers }) {
+  if (sniperHeldPct >= 15 || deployerFundedBuyers >= 3) return "high";
+  if (sniperHeldPct >= 5 || deployerFundedBuyers >= 1 || bundledBuyers >= BUNDLE_MIN_BUYERS) return "medium";
+  return "low";
+}
+
+// Analyze the first buys of a young token's main pool.
+// `pair` is the DexScreener main pair ({ pairAddress, createdAt }); `deployer` is the
+// token's deployer when known. Returns null for pools older than MAX_AGE_DAYS, else
+// { pairAddress, poolCreator, launchBlock, launchedAt, analyzedBuys, buyerCount, bundledBuys,
+// bundledBuyers, deployerFundedBuyers, snipers, sniperBoughtPct, sniperHeldPct, riskFlag }.
+// launchBlock is a slot on Solana; snipers are
+// [{ wallet, block, boughtPct, heldPct, bundled, launchBlock, funder, deployerFunded }].
+export async function analyzeLaunch(tokenAddress, chain, pair, {
+  deployer = null,
+  transport = createLiveTransport(),
+  timeout = 8000,
+  budgetMs = 15000,
+} = {}) {
+  if (!pair?.pairAddress) return null;
+  if (pair.createdAt && Date.now() - pair.createdAt > MAX_AGE_DAYS * 86400000) {
+    console.log(`[Launch] Pool is older than ${MAX_AGE_DAYS} days, skipping`);
+    return null;
+  }
+
+  const startTime = Date.now();
+  const evm = isEvmChain(chain.id);
+  console.log(`[Launch] Analyzing first buys of ${tokenAddress} in pool ${pair.pairAddress}`);
+
+  try {
+    const launch = evm
+      ? await readEvmBuys(tokenAddress, pair.pairAddress, chain, { timeout })
+      : await readSolanaBuys(tokenAddress, pair.pairAddress, transport, { deadline: startTime + budgetMs / 2 });
+    if (!launch) {
+      console.log(`[Launch] Could not reach the pool's launch`);
+      return null;
+    }
+    const { buys, supply } = launch;
+    const normalize = evm ? (a) => a?.toLowerCase() : (a) => a;
+
+    // Blocks/slots where several distinct wallets bought at once
+    const buyersPerBlock = new Map();
+    for (const buy of buys) {
+      if (!buyersPerBlock.has(buy.block)) buyersPerBlock.set(buy.block, new Set());
+      buyersPerBlock.get(buy.block).add(buy.wallet);
+    }
+    const firstBuyBlock = buys[0]?.block ?? null;
+    const isBundled = (block) =>
+      buyersPerBlock.get(block).size >= BUNDLE_MIN_BUYERS || (block === firstBuyBlock && buyersPerBlock.get(block).size >= 2);
+
+    // Per-wallet totals, in order of first buy
+    const wallets = new Map();
+    for (const buy of buys) {
+      const entry = wallets.get(buy.wallet) || { wallet: buy.wallet, block: buy.block, amount: evm ? 0n : 0, bundled: false };
+      entry.amount += buy.amount;
+      entry.bundled = entry.bundled || isBundled(buy.block);
+      wallets.set(buy.wallet, entry);
+    }
+
+    // Trace the earliest buyers' funders (within the budget); ones funded by the deployer or pool creator are insiders
+    const insiders = new Set([normalize(deployer), normalize(launch.poolCreator)].filter(Boolean));
+    const trace = evm ? (wallet) => traceEvmFunder(wallet, chain, transport) : (wallet) => traceSolanaFunder(wallet, transport);
+    for (const entry of [...wallets.values()].slice(0, MAX_TRACED_BUYERS)) {
+      if (Date.now() - startTime > budgetMs) break;
+      const funding = await trace(entry.wallet).catch(() => null);
+      entry.funder = funding ? normalize(funding.funder) : null;
+      entry.deployerFunded = insiders.has(entry.wallet) || insiders.has(entry.funder);
+    }
+
+    // Snipers: bundled, insider-funded or launch-block buyers, with what they still hold
+    const sniperEntries = [...wallets.values()].filter((e) => e.bundled || e.deployerFunded || e.block === firstBuyBlock);
+    const balances = await Promise.all(
+      sniperEntries.map((e) =>
+        (evm
+          ? ethCall(chain, tokenAddress, `${BALANCE_OF_SELECTOR}${encodeAddressWord(e.wallet)}`, { timeout }).then(decodeUint)
+          : getSolanaBalance(e.wallet, tokenAddress, transport)
+        ).catch(() => null)
+      )
+    );
+    const snipers = sniperEntries.map((e, idx) => ({
+      wallet: e.wallet,
+      block: e.block,
+      boughtPct: toPct(e.amount, supply),
+      heldPct: balances[idx] === null ? null : toPct(balances[idx], supply),
+      bundled: e.bundled,
+      launchBlock: e.block === firstBuyBlock,
+      funder: e.funder ?? null,
+      deployerFunded: !!e.deployerFunded,
+    }));
+
+    const round = (n) => Math.round(n * 100) / 100;
+    const bundledBuyers = [...wallets.values()].filter((e) => e.bundled).length;
+    const deployerFundedBuyers = snipers.filter((s) => s.deployerFunded).length;
+    const sniperBoughtPct = round(snipers.reduce((sum, s) => sum + s.boughtPct, 0));
+    const sniperHeldPct = round(snipers.reduce((sum, s) => sum + (s.heldPct ?? 0), 0));
+    const details = [
+      bundledBuyers && `${bundledBuyers} in bundled buys`,
+      deployerFundedBuyers && `${deployerFundedBuyers} funded by the deployer`,
+    ].filter(Boolean);
+
+    const result = {
+      pairAddress: pair.pairAddress,
+      poolCreator: launch.poolCreator,
+      launchBlock: launch.launchBlock,
+      launchedAt: launch.launchedAt ?? (pair.createdAt ? Math.floor(pair.createdAt / 1000) : null),
+      analyzedBuys: buys.length,
+      buyerCount: wallets.size,
+      bundledBuys: buys.filter((b) => isBundled(b.block)).length,
+      bundledBuyers,
+      deployerFundedBuyers,
+      snipers,
+      sniperBoughtPct,
+      sniperHeldPct,
+      riskFlag:
+        snipers.length > 0
+          ? {
+              id: "launch_snipers",
+              name: "Sniped launch",
+              level: getLaunchRiskLevel({ sniperHeldPct, deployerFundedBuyers, bundledBuyers }),
+              description:
+                `${snipers.length} wallet${snipers.length === 1 ? "" : "s"} sniped the launch` +
+                (details.length ? ` (${details.join(", ")})` : "") +
+                ` and still hold ${sniperHeldPct}% of supply`,
+            }
+          : null,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(`[Launch] ✅ ${buys.length} buys, ${snipers.length} snipers holding ${sniperHeldPct}% - ${duration}ms`);
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Launch] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
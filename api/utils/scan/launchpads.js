@@ -0,0 +1,259 @@
+// Launchpad detection: tokens still trading on a bonding curve
+// Launchpad tokens (pump.fun, Raydium LaunchLab, four.meme) trade against the launchpad's
+// bonding curve until enough has been raised, then migrate their liquidity to a DEX. Before
+// that DexScreener usually has no pair, so the curve itself is read for progress, price and
+// market cap. On Solana the curve account is a program-derived address of the mint, so it's
+// found without any launchpad API. Add a launchpad by appending to LAUNCHPADS.
+import { decodeAddress, decodeUint, encodeAddressWord, ethCall } from "./evm.js";
+import { decodeBase58, findProgramAddress, getRawAccount, readPubkey, readU64, SYSTEM_PROGRAM_ID } from "./solana.js";
+import { getNativeUsdPrice, getPumpFunCoin } from "./sources.js";
+
+// pump.fun curves start with 793.1M tokens (6 decimals) for sale and migrate when they run out
+const PUMP_FUN_PROGRAM_ID = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+const PUMP_FUN_INITIAL_REAL_TOKEN_RESERVES = 793_100_000_000_000n;
+const PUMP_FUN_TOKEN_DECIMALS = 6;
+
+// Raydium LaunchLab pools are PDAs of (base mint, quote mint); only SOL-quoted pools are read
+const LAUNCHLAB_PROGRAM_ID = "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj";
+const LAUNCHLAB_CURVES = { constantProduct: 0, fixedPrice: 1, linearPrice: 2 };
+
+// four.meme's helper contract answers getTokenInfo(token) for every four.meme token
+const FOUR_MEME_HELPER = "0xF251F83e40a78868FcfA3FA4599Dad6494E46034";
+const GET_TOKEN_INFO_SELECTOR = "0x1f69565f";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Helper: Round a percentage to two decimals, clamped to 0-100
+function toProgressPct(value) {
+  return Math.min(100, Math.max(0, Math.round(value * 100) / 100));
+}
+
+// Helper: Read a pump.fun bonding curve account (8-byte discriminator, u64 reserves, the
+// completion flag, then the creator on curves created since creator fees were introduced)
+async function readPumpFunCurve(address, { timeout }) {
+  const account = await getRawAccount(address, { timeout });
+  if (!account || account.owner !== PUMP_FUN_PROGRAM_ID || account.data.length < 49) return null;
+  const creator = readPubkey(account.data, 49);
+  return {
+    virtualTokenReserves: readU64(account.data, 8),
+    virtualSolReserves: readU64(account.data, 16),
+    realTokenReserves: readU64(account.data, 24),
+    realSolReserves: readU64(account.data, 32),
+    tokenTotalSupply: readU64(account.data, 40),
+    complete: account.data[48] === 1,
+    creator: creator === SYSTEM_PROGRAM_ID ? null : creator,
+  };
+}
+
+// Helper: pump.fun coin state from its bonding curve (the PDA ["bonding-curve", mint]). The
+// pump.fun API only fills in metadata (socials, migration pool) and, when the RPC read fails,
+// the curve numbers; an API outage just leaves those fields empty. pump.fun mints are vanity
+// addresses ending in "pump": for those the API and SOL price are fetched alongside the
+// curve, for any other mint only once its curve turns out to exist.
+async function readPumpFun(mint, { chain, timeout }) {
+  const bondingCurve = await findProgramAddress(["bonding-curve", decodeBase58(mint)], PUMP_FUN_PROGRAM_ID);
+  const fetchCoinAndPrice = () =>
+    Promise.all([
+      getPumpFunCoin(mint, { timeout }).catch((err) => {
+        console.log(`[Launchpad] pump.fun API unavailable (${err.message}), using on-chain data only`);
+        return null;
+      }),
+      getNativeUsdPrice(chain, { timeout }).catch(() => null),
+    ]);
+
+  const coinAndPrice = mint.endsWith("pump") ? fetchCoinAndPrice() : null;
+  const { curve = null, error } = await readPumpFunCurve(bondingCurve, { timeout }).then(
+    (curve) => ({ curve }),
+    (err) => ({ error: err })
+  );
+  if (!coinAndPrice && !curve && !error) return null;
+  const [coin, nativeUsd] = await (coinAndPrice || fetchCoinAndPrice());
+
+  if (error) {
+    if (!coin) throw error;
+    console.log(`[Launchpad] pump.fun curve unreadable (${error.message}), using the API's copy`);
+  }
+  if (!curve && !coin) return null;
+
+  const virtualSol = Number(curve?.virtualSolReserves ?? coin?.virtual_sol_reserves ?? 0) / 1e9;
+  const virtualTokens = Number(curve?.virtualTokenReserves ?? coin?.virtual_token_reserves ?? 0) / 10 ** PUMP_FUN_TOKEN_DECIMALS;
+  const totalSupply = Number(curve?.tokenTotalSupply ?? coin?.total_supply ?? 0) / 10 ** PUMP_FUN_TOKEN_DECIMALS;
+  const priceNative = virtualTokens ? virtualSol / virtualTokens : null;
+  const complete = curve ? curve.complete : !!coin.complete;
+  const migratedTo = coin?.pump_swap_pool || coin?.raydium_pool || null;
+
+  const realTokens = curve?.realTokenReserves ?? (coin?.real_token_reserves != null ? BigInt(coin.real_token_reserves) : null);
+  const progressPct = complete
+    ? 100
+    : realTokens !== null
+      ? toProgressPct(100 - Number((realTokens * 10000n) / PUMP_FUN_INITIAL_REAL_TOKEN_RESERVES) / 100)
+      : null;
+
+  const marketCapNative = priceNative !== null ? priceNative * totalSupply : coin?.market_cap ?? null;
+  const curveLiquidityNative = Number(curve?.realSolReserves ?? coin?.real_sol_reserves ?? 0) / 1e9;
+
+  return {
+    status: complete || migratedTo ? "migrated" : "bonding",
+    progressPct,
+    priceUsd: priceNative !== null && nativeUsd ? priceNative * nativeUsd : null,
+    marketCapNative,
+    marketCapUsd: marketCapNative !== null && nativeUsd ? marketCapNative * nativeUsd : coin?.usd_market_cap ?? null,
+    curveLiquidityNative,
+    curveLiquidityUsd: nativeUsd ? curveLiquidityNative * nativeUsd : null,
+    quoteSymbol: chain.nativeSymbol,
+    migratedTo,
+    bondingCurve,
+    creator: curve?.creator || coin?.creator || null,
+    createdAt: coin?.created_timestamp || null,
+    url: `https://pump.fun/coin/${mint}`,
+    socials: {
+      website: coin?.website || null,
+      x: coin?.twitter || null,
+      telegram: coin?.telegram || null,
+    },
+  };
+}
+
+// Helper: Raydium LaunchLab pool state (PDA ["pool", mint, wSOL]). Layout after the 8-byte
+// discriminator: epoch u64, bump, status (0 trading, 1 migrating, 2 migrated), base and
+// quote decimals, migrate type, then u64 supply, totalSellA, virtualA, virtualB, realA,
+// realB, totalFundRaisingB (offsets 21-77). The curve type lives in the pool's config
+// account (pubkey at 141), whose curveType byte follows its discriminator and epoch.
+async function readLaunchLab(mint, { chain, timeout }) {
+  const quoteMint = chain.quoteTokens[0];
+  const pool = await findProgramAddress(["pool", decodeBase58(mint), decodeBase58(quoteMint)], LAUNCHLAB_PROGRAM_ID);
+  const account = await getRawAccount(pool, { timeout });
+  if (!account || account.owner !== LAUNCHLAB_PROGRAM_ID || account.data.length < 365) return null;
+
+  const { data } = account;
+  const status = data[17];
+  const [baseDecimals, quoteDecimals] = [data[18], data[19]];
+  const supply = readU64(data, 21);
+  const [virtualA, virtualB, realA, realB] = [37, 45, 53, 61].map((offset) => readU64(data, offset));
+  const fundRaising = readU64(data, 69);
+  const creator = readPubkey(data, 333);
+
+  const [config, nativeUsd] = await Promise.all([
+    getRawAccount(readPubkey(data, 141), { timeout }).catch(() => null),
+    getNativeUsdPrice(chain, { timeout }).catch(() => null),
+  ]);
+
+  // Quote per base token in whole units, by curve type (as Raydium's SDK prices pools)
+  const curveType = config?.data?.[16] ?? null;
+  const scale = 10 ** (baseDecimals - quoteDecimals);
+  let priceNative = null;
+  if (curveType === LAUNCHLAB_CURVES.constantProduct && virtualA > realA) {
+    priceNative = (Number(virtualB + realB) / Number(virtualA - realA)) * scale;
+  } else if (curveType === LAUNCHLAB_CURVES.fixedPrice && virtualA > 0n) {
+    priceNative = (Number(virtualB) / Number(virtualA)) * scale;
+  } else if (curveType === LAUNCHLAB_CURVES.linearPrice) {
+    priceNative = (Number(virtualA * realA) / 2 ** 64) * scale;
+  }
+
+  const marketCapNative = priceNative !== null ? priceNative * (Number(supply) / 10 ** baseDecimals) : null;
+  const curveLiquidityNative = Number(realB) / 10 ** quoteDecimals;
+  const migrated = status !== 0;
+
+  return {
+    status: migrated ? "migrated" : "bonding",
+    progressPct: migrated ? 100 : fundRaising ? toProgressPct(Number((realB * 10000n) / fundRaising) / 100) : null,
+    priceUsd: priceNative !== null && nativeUsd ? priceNative * nativeUsd : null,
+    marketCapNative,
+    marketCapUsd: marketCapNative !== null && nativeUsd ? marketCapNative * nativeUsd : null,
+    curveLiquidityNative,
+    curveLiquidityUsd: nativeUsd ? curveLiquidityNative * nativeUsd : null,
+    quoteSymbol: chain.nativeSymbol,
+    migratedTo: status === 2 ? "Raydium" : null,
+    bondingCurve: pool,
+    creator: creator === SYSTEM_PROGRAM_ID ? null : creator,
+    createdAt: null,
+    url: `https://raydium.io/launchpad/token/?mint=${mint}`,
+    socials: null,
+  };
+}
+
+// Helper: four.meme token state from TokenManagerHelper3.getTokenInfo(token), which returns
+// (version, tokenManager, quote, lastPrice, tradingFeeRate, minTradingFee, launchTime,
+// offers, maxOffers, funds, maxFunds, liquidityAdded); tokenManager is zero for other tokens
+async function readFourMeme(tokenAddress, { chain, timeout }) {
+  const result = await ethCall(chain, FOUR_MEME_HELPER, `${GET_TOKEN_INFO_SELECTOR}${encodeAddressWord(tokenAddress)}`, { timeout });
+  if (typeof result !== "string" || result.length < 2 + 64 * 12) return null;
+
+  const word = (idx) => `0x${result.slice(2 + idx * 64, 2 + (idx + 1) * 64)}`;
+  const tokenManager = decodeAddress(word(1));
+  if (!tokenManager || tokenManager === ZERO_ADDRESS) return null;
+
+  const quote = decodeAddress(word(2));
+  const lastPrice = decodeUint(word(3));
+  const launchTime = Number(decodeUint(word(6)));
+  const funds = decodeUint(word(9));
+  const maxFunds = decodeUint(word(10));
+  const liquidityAdded = decodeUint(word(11)) === 1n;
+
+  // Quote is BNB (zero address) or a BEP-20; stablecoin quotes are already in USD
+  const stableQuotes = chain.quoteTokens.slice(1).map((t) => t.toLowerCase());
+  const quoteIsStable = quote !== ZERO_ADDRESS && stableQuotes.includes(quote.toLowerCase());
+  const [totalSupply, nativeUsd] = await Promise.all([
+    ethCall(chain, tokenAddress, "0x18160ddd", { timeout }).then(decodeUint),
+    quoteIsStable ? 1 : getNativeUsdPrice(chain, { timeout }).catch(() => null),
+  ]);
+
+  const priceNative = Number(lastPrice) / 1e18;
+  const marketCapNative = totalSupply ? priceNative * (Number(totalSupply) / 1e18) : null;
+  const curveLiquidityNative = Number(funds) / 1e18;
+
+  return {
+    status: liquidityAdded ? "migrated" : "bonding",
+    progressPct: liquidityAdded ? 100 : maxFunds ? toProgressPct(Number((funds * 10000n) / maxFunds) / 100) : null,
+    priceUsd: nativeUsd ? priceNative * nativeUsd : null,
+    marketCapNative,
+    marketCapUsd: marketCapNative !== null && nativeUsd ? marketCapNative * nativeUsd : null,
+    curveLiquidityNative,
+    curveLiquidityUsd: nativeUsd ? curveLiquidityNative * nativeUsd : null,
+    quoteSymbol: quoteIsStable ? "USD" : chain.nativeSymbol,
+    migratedTo: liquidityAdded ? "PancakeSwap" : null,
+    bondingCurve: tokenManager,
+    creator: null,
+    createdAt: launchTime ? launchTime * 1000 : null,
+    url: `https://four.meme/token/${tokenAddress}`,
+    socials: null,
+  };
+}
+
+const LAUNCHPADS = [
+  { id: "pumpfun", name: "pump.fun", chains: ["solana"], read: readPumpFun },
+  { id: "launchlab", name: "Raydium LaunchLab", chains: ["solana"], read: readLaunchLab },
+  { id: "fourmeme", name: "four.meme", chains: ["bnb"], read: readFourMeme },
+];
+
+// Find the launchpad a token was created on and read its bonding-curve state.
+// Returns null for tokens from no known launchpad, else { id, name, status
+// ("bonding" | "migrated"), progressPct, priceUsd, marketCapNative, marketCapUsd,
+// curveLiquidityNative, curveLiquidityUsd, quoteSymbol, migratedTo, bondingCurve,
+// creator, createdAt, url, socials }.
+export async function getLaunchpadData(tokenAddress, { chain, timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  const launchpads = LAUNCHPADS.filter((l) => l.chains.includes(chain.id));
+  if (launchpads.length === 0) return null;
+  console.log(`[Launchpad] Checking ${launchpads.map((l) => l.name).join(", ")} for ${tokenAddress}`);
+
+  try {
+    for (const launchpad of launchpads) {
+      const data = await launchpad.read(tokenAddress, { chain, timeout });
+      if (!data) continue;
+
+      const result = { id: launchpad.id, name: launchpad.name, ...data };
+      const duration = Date.now() - startTime;
+      console.log(
+        `[Launchpad] ✅ ${launchpad.name}: ${result.status}${result.progressPct !== null ? ` (${result.progressPct}%)` : ""} - ${duration}ms`
+      );
+      return result;
+    }
+
+    console.log(`[Launchpad] Not a launchpad token`);
+    return null;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Launchpad] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,319 @@
+// LP burn / lock verification for the main pool
+// Solana: reads the LP mint out of the pool account. EVM: the V2 pair contract is
+// the LP token. Either way the result says how much of the LP supply is burned,
+// locked in a known locker, held by the token/pool creator, or held by anyone
+// else (and so can be pulled at any time).
+import { getRawAccount, readPubkey, readU64, solanaRpcCall } from "./solana.js";
+import { decodeUint, encodeAddressWord, ethCall } from "./evm.js";
+
+// Pool account layouts for AMMs with a fungible LP token (byte offsets into account data).
+// lpReserveOffset is the pool's own record of LP minted; LP burned with the token
+// program reduces the mint supply but not this value.
+const FUNGIBLE_LP_POOLS = {
+  "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8": { dex: "Raydium AMM", lpMintOffset: 464, lpReserveOffset: 720, creatorOffset: null },
+  "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C": { dex: "Raydium CPMM", lpMintOffset: 136, lpReserveOffset: 333, creatorOffset: 40 },
+  "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA": { dex: "PumpSwap", lpMintOffset: 107, lpReserveOffset: 203, creatorOffset: 11 },
+  "Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB": { dex: "Meteora Pools", lpMintOffset: 8, lpReserveOffset: null, creatorOffset: null },
+};
+
+// Concentrated-liquidity programs: liquidity sits in per-position NFTs, there is no LP token
+const CONCENTRATED_POOLS = {
+  "CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK": "Raydium CLMM",
+  "whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc": "Orca Whirlpool",
+  "LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo": "Meteora DLMM",
+  "cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG": "Meteora DAMM v2",
+};
+
+// Programs whose escrow accounts hold locked LP
+const LP_LOCKER_PROGRAMS = {
+  "strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m": "Streamflow",
+  "LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE": "Raydium Burn & Earn",
+  "LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn": "Jupiter Lock",
+  "Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB": "Meteora lock escrow",
+};
+
+// Burn destinations
+const BURN_WALLETS = {
+  "1nc1nerator11111111111111111111111111111111": "Incinerator",
+  "11111111111111111111111111111111": "System program",
+};
+
+// EVM burn destinations (lowercase)
+export const EVM_BURN_ADDRESSES = {
+  "0x000000000000000000000000000000000000dead": "Dead address",
+  "0x0000000000000000000000000000000000000000": "Zero address",
+};
+
+// Helper: Percentage of `whole` (BigInts) with two decimals
+function toPct(part, whole) {
+  if (!whole) return 0;
+  return Number((part * 10000n) / whole) / 100;
+}
+
+// Helper: Overall status from the secured (burned + locked) share
+function getLockStatus(burnedPct, lockedPct) {
+  if (burnedPct >= 95) return "burned";
+  if (burnedPct + lockedPct >= 95) return "locked";
+  if (burnedPct + lockedPct >= 50) return "partially-locked";
+  return "unlocked";
+}
+
+// Helper: Risk flag for an LP breakdown (null when the LP is secured)
+function getLockRiskFlag({ status, creatorPct, burnedPct, lockedPct }) {
+  const securedPct = Math.round((burnedPct + lockedPct) * 100) / 100;
+  if (creatorPct >= 5) {
+    return {
+      id: "lp_unlocked_creator",
+      name: "Creator holds unlocked LP",
+      level: "high",
+      description: `The creator holds ${creatorPct}% of the LP tokens unlocked and can pull the liquidity`,
+    };
+  }
+  if (status === "unlocked") {
+    return {
+      id: "lp_unlocked",
+      name: "Liquidity not locked",
+      level: "medium",
+      description: `Only ${securedPct}% of the LP tokens are burned or locked`,
+    };
+  }
+  if (status === "partially-locked") {
+    return {
+      id: "lp_partially_locked",
+      name: "Liquidity partially locked",
+      level: "low",
+      description: `${securedPct}% of the LP tokens are burned or locked`,
+    };
+  }
+  return null;
+}
+
+// Check how the LP tokens of a Solana pool are held.
+// `pair` is the DexScreener main pair ({ pairAddress, dexId }); `creators` are
+// addresses treated as the deployer (token creators, update authority).
+// Returns { pairAddress, dex, lpModel, lpMint, status, burnedPct, lockedPct,
+// creatorPct, otherPct, holders, riskFlag } or null when the pool is unknown.
+export async function getSolanaLiquidityLock(pair, { creators = [], timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  if (!pair?.pairAddress) return null;
+  console.log(`[LPLock] Checking LP for pool ${pair.pairAddress} (${pair.dexId || "unknown dex"})`);
+
+  try {
+    const pool = await getRawAccount(pair.pairAddress, { timeout });
+    if (!pool) {
+      console.log(`[LPLock] Pool account not found`);
+      return null;
+    }
+
+    if (CONCENTRATED_POOLS[pool.owner]) {
+      console.log(`[LPLock] ${CONCENTRATED_POOLS[pool.owner]} pool uses position NFTs - no LP token to check`);
+      return {
+        pairAddress: pair.pairAddress,
+        dex: CONCENTRATED_POOLS[pool.owner],
+        lpModel: "concentrated",
+        lpMint: null,
+        status: "unsupported",
+        riskFlag: null,
+      };
+    }
+
+    const layout = FUNGIBLE_LP_POOLS[pool.owner];
+    if (!layout) {
+      console.log(`[LPLock] Unsupported pool program ${pool.owner}`);
+      return null;
+    }
+
+    const lpMint = readPubkey(pool.data, layout.lpMintOffset);
+    const lpReserve = layout.lpReserveOffset !== null ? readU64(pool.data, layout.lpReserveOffset) : null;
+    const creatorSet = new Set(creators.filter(Boolean));
+    const poolCreator = layout.creatorOffset !== null ? readPubkey(pool.data, layout.creatorOffset) : null;
+    if (poolCreator) creatorSet.add(poolCreator);
+
+    const [supplyResult, largestResult] = await Promise.all([
+      solanaRpcCall("getTokenSupply", [lpMint], { timeout }),
+      solanaRpcCall("getTokenLargestAccounts", [lpMint, { commitment: "confirmed" }], { timeout }),
+    ]);
+
+    const lpSupply = BigInt(supplyResult?.value?.amount ?? "0");
+    const largest = largestResult?.value || [];
+
+    // LP minted by the pool; anything missing from the mint supply was burned
+    const totalLp = lpReserve && lpReserve > lpSupply ? lpReserve : lpSupply;
+    if (!totalLp) {
+      console.log(`[LPLock] LP mint ${lpMint} has no supply`);
+      return null;
+    }
+
+    const totals = { burned: totalLp - lpSupply, locked: 0n, creator: 0n, other: 0n };
+    const holders = [];
+    let sampledLp = 0n;
+
+    if (largest.length > 0) {
+      // Token account -> owning wallet -> program that owns the wallet
+      const tokenAccounts = await solanaRpcCall(
+        "getMultipleAccounts",
+        [largest.map((a) => a.address), { encoding: "jsonParsed" }],
+        { timeout }
+      );
+      const owners = largest.map((account, idx) => tokenAccounts?.value?.[idx]?.data?.parsed?.info?.owner || account.address);
+      const ownerAccounts = await solanaRpcCall(
+        "getMultipleAccounts",
+        [owners, { encoding: "base64", dataSlice: { offset: 0, length: 0 } }],
+        { timeout }
+      );
+
+      largest.forEach((account, idx) => {
+        const owner = owners[idx];
+        const ownerProgram = ownerAccounts?.value?.[idx]?.owner || null;
+        const amount = BigInt(account.amount ?? "0");
+
+        let type = "other";
+        let label = null;
+        if (BURN_WALLETS[owner]) {
+          type = "burned";
+          label = BURN_WALLETS[owner];
+        } else if (ownerProgram && LP_LOCKER_PROGRAMS[ownerProgram]) {
+          type = "locked";
+          label = LP_LOCKER_PROGRAMS[ownerProgram];
+        } else if (creatorSet.has(owner)) {
+          type = "creator";
+          label = "Creator";
+        }
+
+        totals[type] += amount;
+        sampledLp += amount;
+        holders.push({ owner, type, label, pct: toPct(amount, totalLp) });
+      });
+    }
+
+    // LP outside the sampled largest accounts is spread across other wallets
+    if (lpSupply > sampledLp) totals.other += lpSupply - sampledLp;
+
+    const breakdown = {
+      burnedPct: toPct(totals.burned, totalLp),
+      lockedPct: toPct(totals.locked, totalLp),
+      creatorPct: toPct(totals.creator, totalLp),
+      otherPct: toPct(totals.other, totalLp),
+    };
+    const status = getLockStatus(breakdown.burnedPct, breakdown.lockedPct);
+
+    const result = {
+      pairAddress: pair.pairAddress,
+      dex: layout.dex,
+      lpModel: "fungible",
+      lpMint,
+      status,
+      ...breakdown,
+      holders: holders.filter((h) => h.pct > 0).slice(0, 10),
+      riskFlag: getLockRiskFlag({ status, ...breakdown }),
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(`[LPLock] ✅ ${layout.dex}: burned=${breakdown.burnedPct}%, locked=${breakdown.lockedPct}%, creator=${breakdown.creatorPct}%, other=${breakdown.otherPct}% (${status}) - ${duration}ms`);
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[LPLock] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
+
+// Helper: Call data for balanceOf(address)
+function encodeBalanceOf(address) {
+  return `0x70a08231${encodeAddressWord(address)}`;
+}
+
+// Check how the LP tokens of an EVM V2-style pair are held.
+// Lockers come from the chain config (chain.lpLockers). V3-style pools have no
+// LP token (totalSupply() reverts) and are reported as "concentrated".
+export async function getEvmLiquidityLock(pair, { chain, creators = [], timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  if (!pair?.pairAddress) return null;
+  console.log(`[LPLock] Checking LP for ${chain.name} pair ${pair.pairAddress} (${pair.dexId || "unknown dex"})`);
+
+  const concentrated = {
+    pairAddress: pair.pairAddress,
+    dex: pair.dexId || null,
+    lpModel: "concentrated",
+    lpMint: null,
+    status: "unsupported",
+    riskFlag: null,
+  };
+  if ((pair.labels || []).some((label) => /^v[34]$/i.test(label))) {
+    console.log(`[LPLock] ${pair.labels.join("/")} pool uses position NFTs - no LP token to check`);
+    return concentrated;
+  }
+
+  try {
+    let totalLp;
+    try {
+      totalLp = decodeUint(await ethCall(chain, pair.pairAddress, "0x18160ddd", { timeout }));
+    } catch (err) {
+      if (err.code === undefined) throw err; // Transport failure, not a revert
+      console.log(`[LPLock] Pair has no totalSupply() - treating as concentrated liquidity`);
+      return concentrated;
+    }
+    if (!totalLp) {
+      console.log(`[LPLock] Pair ${pair.pairAddress} has no LP supply`);
+      return null;
+    }
+
+    // Every address whose LP balance matters, with the bucket it counts towards
+    const tracked = new Map();
+    for (const [address, label] of Object.entries(EVM_BURN_ADDRESSES)) {
+      tracked.set(address, { type: "burned", label });
+    }
+    for (const locker of chain.lpLockers || []) {
+      tracked.set(locker.address.toLowerCase(), { type: "locked", label: locker.name });
+    }
+    for (const creator of creators.filter(Boolean)) {
+      const address = creator.toLowerCase();
+      if (!tracked.has(address)) tracked.set(address, { type: "creator", label: "Creator" });
+    }
+
+    const entries = [...tracked.entries()];
+    const balances = await Promise.all(
+      entries.map(([address]) =>
+        ethCall(chain, pair.pairAddress, encodeBalanceOf(address), { timeout }).then(decodeUint)
+      )
+    );
+
+    const totals = { burned: 0n, locked: 0n, creator: 0n, other: 0n };
+    const holders = [];
+    entries.forEach(([owner, { type, label }], idx) => {
+      const amount = balances[idx] || 0n;
+      if (amount === 0n) return;
+      totals[type] += amount;
+      holders.push({ owner, type, label, pct: toPct(amount, totalLp) });
+    });
+    const trackedLp = totals.burned + totals.locked + totals.creator;
+    totals.other = totalLp > trackedLp ? totalLp - trackedLp : 0n;
+
+    const breakdown = {
+      burnedPct: toPct(totals.burned, totalLp),
+      lockedPct: toPct(totals.locked, totalLp),
+      creatorPct: toPct(totals.creator, totalLp),
+      otherPct: toPct(totals.other, totalLp),
+    };
+    const status = getLockStatus(breakdown.burnedPct, breakdown.lockedPct);
+
+    const duration = Date.now() - startTime;
+    console.log(`[LPLock] ✅ ${pair.dexId || "pair"}: burned=${breakdown.burnedPct}%, locked=${breakdown.lockedPct}%, creator=${breakdown.creatorPct}%, other=${breakdown.otherPct}% (${status}) - ${duration}ms`);
+
+    return {
+      pairAddress: pair.pairAddress,
+      dex: pair.dexId || null,
+      lpModel: "fungible",
+      lpMint: pair.pairAddress,
+      status,
+      ...breakdown,
+      holders: holders.sort((a, b) => b.pct - a.pct),
+      riskFlag: getLockRiskFlag({ status, ...breakdown }),
+    };
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[LPLock] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,561 @@
+// AI narrative extraction, classification and report sections
+import OpenAI from "openai";
+import { safeJsonParse } from "./http.js";
+import { describeRisks } from "./risks.js";
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+// Extract narrative claim using AI
+export async function extractNarrativeClaim(projectSummary, socialContext) {
+  const startTime = Date.now();
+  console.log(`\n[Narrative] ===== Starting narrative extraction =====`);
+  console.log(`[Narrative] Project summary length: ${projectSummary?.length || 0} chars`);
+  console.log(`[Narrative] Social context provided: ${!!socialContext}`);
+  
+  try {
+    const socialDataText = socialContext
+      ? `
+SOCIAL CONTEXT:
+${socialContext}
+`
+      : "";
+
+  const fullContext = `
+PROJECT SUMMARY:
+${projectSummary}
+${socialDataText}
+`.trim();
+    
+    console.log(`[Narrative] Full context length: ${fullContext.length} chars`);
+
+  const prompt = `
+You are an expert crypto narrative analyst.
+
+Analyze this token's information and extract the core narrative claim - the story this token is telling.
+
+Look for:
+- References to real companies, products, or events
+- Partnerships or associations being claimed
+- Technology or innovation being referenced
+- Any real-world narratives being leveraged
+
+Return:
+1. A clear, specific narrative claim (what real-world story is this token using?)
+2. Entities involved (organizations, products, people, events)
+3. Key topics and themes
+
+If the token has no clear narrative beyond "it's a meme token", say so.
+
+Return STRICT JSON only.
+
+CONTEXT:
+${fullContext}
+`;
+
+    console.log(`[Narrative] Calling OpenAI API (gpt-4o-mini)...`);
+    const aiStart = Date.now();
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    messages: [
+      {
+        role: "user",
+        content: prompt,
+      },
+    ],
+    response_format: {
+      type: "json_schema",
+      json_schema: {
+        name: "NarrativeExtraction",
+        schema: {
+          type: "object",
+          properties: {
+            narrative_claim: { type: "string" },
+            entities: {
+              type: "object",
+              properties: {
+                organizations: {
+                  type: "array",
+                  items: { type: "string" },
+                },
+                products: {
+                  type: "array",
+                  items: { type: "string" },
+                },
+                topics: {
+                  type: "array",
+                  items: { type: "string" },
+                },
+              },
+              required: ["organizations", "products", "topics"],
+            },
+          },
+          required: ["narrative_claim", "entities"],
+        },
+      },
+    },
+      temperature: 0.7,
+      max_tokens: 1000,
+    });
+
+    const aiDuration = Date.now() - aiStart;
+    console.log(`[Narrative] OpenAI response received in ${aiDuration}ms`);
+
+    const content = completion.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error("No response from AI model");
+    }
+
+    console.log(`[Narrative] Response content length: ${content.length} chars`);
+
+    const parsed = safeJsonParse(content);
+    if (!parsed || !parsed.narrative_claim) {
+      console.error(`[Narrative] Invalid response format:`, content.substring(0, 200));
+      throw new Error("Invalid AI response format");
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[Narrative] ✅ Success: "${parsed.narrative_claim.substring(0, 100)}..." - ${duration}ms`);
+    console.log(`[Narrative] Entities: ${parsed.entities?.organizations?.length || 0} orgs, ${parsed.entities?.products?.length || 0} products, ${parsed.entities?.topics?.length || 0} topics\n`);
+
+  return parsed;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`[Narrative] ❌ Failed after ${duration}ms:`, error.message);
+    console.error(`[Narrative] Error details:`, error);
+    throw new Error(`Failed to extract narrative: ${error.message}`);
+  }
+}
+
+// Search web for narrative verification (placeholder)
+export async function searchWebForNarrative(narrativeClaim, entities) {
+  try {
+    // Placeholder for web search API integration
+    return {
+      articles: [],
+      searchPerformed: false,
+    };
+  } catch (error) {
+    console.error("Web search error:", error);
+    return { articles: [], searchPerformed: false };
+  }
+}
+
+// Search Twitter for lore tweet (placeholder)
+export async function searchTwitterForLore(narrativeClaim, entities) {
+  try {
+    // Placeholder for Twitter API integration
+    return {
+      loreTweet: null,
+      validationTweets: [],
+    };
+  } catch (error) {
+    console.error("Twitter search error:", error);
+    return { loreTweet: null, validationTweets: [] };
+  }
+}
+
+// Classify narrative with AI
+export async function classifyNarrative({
+  narrativeClaim,
+  projectSummary,
+  entities,
+  webEvidence,
+  twitterEvidence,
+}) {
+  const startTime = Date.now();
+  console.log(`\n[Classification] ===== Starting narrative classification =====`);
+  console.log(`[Classification] Narrative claim: "${narrativeClaim.substring(0, 100)}..."`);
+  
+  try {
+    const evidenceSummary =
+      webEvidence && webEvidence.searchPerformed
+    ? `\nWEB EVIDENCE: ${webEvidence.articles.length} articles found`
+        : "\nWEB EVIDENCE: No external search performed yet";
+
+    const twitterSummary =
+      twitterEvidence && twitterEvidence.loreTweet
+    ? `\nLORE TWEET: Found origin tweet`
+        : "\nLORE TWEET: Not identified";
+    
+    console.log(`[Classification] Web evidence: ${webEvidence?.articles?.length || 0} articles`);
+    console.log(`[Classification] Twitter evidence: ${twitterEvidence?.loreTweet ? "found" : "none"}`);
+
+    const prompt = `
+You are a professional cryptocurrency analyst conducting objective narrative verification.
+
+Analyze this token's narrative claims using balanced analytical standards:
+
+NARRATIVE CLAIM:
+${narrativeClaim}
+
+PROJECT SUMMARY:
+${projectSummary}
+
+ENTITIES IDENTIFIED:
+${JSON.stringify(entities, null, 2)}
+${evidenceSummary}
+${twitterSummary}
+
+Evaluation Criteria:
+
+1. Does the narrative reference verifiable real-world events, products, or concepts?
+2. Are the mentioned entities legitimate and accurately represented?
+3. What is the nature of the association (official partnership vs. inspiration vs. unsubstantiated claim)?
+
+IMPORTANT: Default to PARTIAL when evidence is mixed or limited. Only use UNVERIFIED when there is clear evidence that claims are false or misleading. Many legitimate tokens may not have extensive external documentation - this does not make them UNVERIFIED.
+
+Classification:
+- CONFIRMED: Strong verified connection to legitimate real-world elements with clear supporting evidence.
+- PARTIAL: Mix of verified elements and unverified claims, or limited evidence but no clear falsehoods. Most tokens fall here.
+- UNVERIFIED: Clear evidence that claims are false, misleading, or completely fabricated. Use sparingly.
+
+Provide reasoning (3-4 sentences) that:
+- Presents factual findings objectively
+- Focuses on what IS known rather than what is unknown
+- Highlights material risks only when significant
+- Enables informed investment decision-making
+
+Tone: Professional, analytical, and balanced. Avoid being overly cautious. Focus on evidence-based assessment.
+
+Return STRICT JSON:
+
+{
+  "verdict": "CONFIRMED" | "PARTIAL" | "UNVERIFIED",
+  "reasoning": "objective analysis (3-4 sentences)",
+  "confidence": "high" | "medium" | "low",
+  "redFlags": ["only material concerns, be selective"]
+}
+`;
+
+    console.log(`[Classification] Calling OpenAI API (gpt-4o-mini)...`);
+    const aiStart = Date.now();
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    messages: [
+      {
+        role: "user",
+        content: prompt,
+      },
+    ],
+    response_format: {
+      type: "json_schema",
+      json_schema: {
+        name: "NarrativeVerdict",
+        schema: {
+          type: "object",
+          properties: {
+            verdict: {
+              type: "string",
+              enum: ["CONFIRMED", "PARTIAL", "UNVERIFIED"],
+            },
+            reasoning: { type: "string" },
+            confidence: {
+              type: "string",
+              enum: ["high", "medium", "low"],
+            },
+            redFlags: {
+              type: "array",
+              items: { type: "string" },
+            },
+          },
+          required: ["verdict", "reasoning", "confidence", "redFlags"],
+        },
+      },
+    },
+      temperature: 0.7,
+      max_tokens: 800,
+    });
+
+    const aiDuration = Date.now() - aiStart;
+    console.log(`[Classification] OpenAI response received in ${aiDuration}ms`);
+
+    const content = completion.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error("No response from AI model");
+    }
+
+    const parsed = safeJsonParse(content);
+    if (!parsed || !parsed.verdict) {
+      console.error(`[Classification] Invalid response format:`, content.substring(0, 200));
+      throw new Error("Invalid AI response format");
+    }
+
+    const result = {
+    verdict: parsed.verdict,
+      reasoning: parsed.reasoning || "Analysis completed",
+    confidence: parsed.confidence || "medium",
+    redFlags: parsed.redFlags || [],
+  };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Classification] ✅ Success: ${result.verdict} (${result.confidence} confidence) - ${duration}ms`);
+    console.log(`[Classification] Red flags: ${result.redFlags.length}\n`);
+
+    return result;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`[Classification] ❌ Failed after ${duration}ms:`, error.message);
+    console.error(`[Classification] Error details:`, error);
+    throw new Error(`Failed to classify narrative: ${error.message}`);
+  }
+}
+
+// Helper: Prompt line for a launchpad token (null when it isn't one)
+function describeLaunchpad(launchpad) {
+  if (!launchpad) return null;
+  if (launchpad.status === "migrated") {
+    return `- Launchpad: launched on ${launchpad.name}, migrated to ${launchpad.migratedTo || "a DEX"}`;
+  }
+  const marketCap = launchpad.marketCapUsd ? `, market cap $${Math.round(launchpad.marketCapUsd).toLocaleString()}` : "";
+  return `- Launchpad: still on the ${launchpad.name} bonding curve (${launchpad.progressPct ?? "?"}% filled${marketCap}); it trades against the curve, so no DEX liquidity is expected yet`;
+}
+
+// Generate summary (TL;DR)
+export async function generateSummary({ narrativeClaim, verdict, tokenData, tokenName }) {
+  const startTime = Date.now();
+  console.log(`\n[Summary] ===== Starting summary generation =====`);
+  
+  try {
+    const score = tokenData?.tokenScore || 50;
+    const sentiment = tokenData?.sentimentScore || 50;
+    const holders = tokenData?.fundamentals?.holderCount || null;
+    const liquidity = tokenData?.marketData?.liquidity || null;
+    const volume24h = tokenData?.marketData?.volume24h || null;
+    const priceChange = tokenData?.marketData?.priceChange24h || null;
+    
+    // Format tweet data for analysis
+    const tickerTweets = tokenData?.tickerTweets?.tweets || [];
+    const twitterData = tokenData?.twitterData?.tweets || [];
+    const allTweets = [...tickerTweets, ...twitterData].slice(0, 10); // Limit to 10 most recent
+    
+    let tweetContext = "";
+    if (allTweets.length > 0) {
+      const tweetSummaries = allTweets.map((tweet, idx) => {
+        const text = tweet.text || tweet.content || "";
+        const likes = tweet.likes || tweet.likeCount || 0;
+        const retweets = tweet.retweets || tweet.retweetCount || 0;
+        return `${idx + 1}. "${text.substring(0, 150)}..." (${likes} likes, ${retweets} retweets)`;
+      }).join("\n");
+      tweetContext = `\n\nRECENT TWEETS ABOUT THIS TOKEN:\n${tweetSummaries}`;
+    }
+    
+    // Build data section dynamically - only include available data
+    const dataLines = [`- Score: ${score}/100`, `- Sentiment: ${sentiment}/100`];
+    if (holders) dataLines.push(`- Holders: ${holders.toLocaleString()}`);
+    if (liquidity) dataLines.push(`- Liquidity: $${(liquidity / 1000000).toFixed(2)}M`);
+    const launchpadLine = describeLaunchpad(tokenData?.launchpad);
+    if (launchpadLine) dataLines.push(launchpadLine);
+    if (volume24h) dataLines.push(`- 24h Volume: $${(volume24h / 1000000).toFixed(2)}M`);
+    if (priceChange !== null) dataLines.push(`- 24h Price Change: ${priceChange > 0 ? "+" : ""}${priceChange.toFixed(2)}%`);
+    if (narrativeClaim) dataLines.push(`- Narrative: ${narrativeClaim}`);
+    
+    const prompt = `
+You are an expert cryptocurrency analyst. Provide an insightful summary for ${tokenName || "this token"}.
+
+Format EXACTLY as follows:
+1. Two sentences - analyze what makes this token unique based on the data provided. Use **bold** for key insights.
+2. Three bullet points - one line each, use **bold** for key metrics
+
+AVAILABLE DATA:
+${dataLines.join('\n')}${tweetContext}
+
+CRITICAL RULES:
+- ONLY analyze data that is provided above - DO NOT mention missing data or say "unknown"
+- NEVER mention "Solana blockchain" or "uses Solana" - obvious
+- NEVER mention "UNVERIFIED" status
+- Focus on what the available data reveals, not what's missing
+- Provide actionable insights based on actual metrics
+
+Structure:
+[Two sentences with **bold** for insights]
+
+• [Bullet 1 - one line, **bold** key terms]
+• [Bullet 2 - one line, **bold** key terms]
+• [Bullet 3 - one line, **bold** key terms]
+`;
+
+    console.log(`[Summary] Calling OpenAI...`);
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.7,
+      max_tokens: 250,
+    });
+
+    const text = completion.choices[0]?.message?.content?.trim();
+    const duration = Date.now() - startTime;
+    console.log(`[Summary] ✅ Generated in ${duration}ms\n`);
+    
+    return text || "No summary available.";
+  } catch (error) {
+    console.error(`[Summary] ❌ Failed:`, error.message);
+    return "Analysis in progress...";
+  }
+}
+
+// Generate fundamentals analysis
+export async function generateFundamentals({ tokenData, verdict, reasoning }) {
+  const startTime = Date.now();
+  console.log(`\n[Fundamentals] ===== Starting fundamentals generation =====`);
+  
+  try {
+    const score = tokenData?.tokenScore || 50;
+    const holders = tokenData?.fundamentals?.holderCount || null;
+    const liquidity = tokenData?.marketData?.liquidity || null;
+    const volume24h = tokenData?.marketData?.volume24h || null;
+    
+    // Build data section dynamically - only include available data
+    const fundDataLines = [`- Score: ${score}/100`];
+    if (holders) fundDataLines.push(`- Holders: ${holders.toLocaleString()}`);
+    const distribution = tokenData?.fundamentals?.holderDistribution;
+    if (distribution) {
+      fundDataLines.push(`- Top holders (excl. LP/burn/exchanges): top 1 ${distribution.top1Pct}%, top 10 ${distribution.top10Pct}% of supply`);
+    }
+    const lpLock = tokenData?.liquidityLock;
+    if (lpLock?.lpModel === "fungible") {
+      fundDataLines.push(`- LP tokens (${lpLock.dex}): ${lpLock.burnedPct}% burned, ${lpLock.lockedPct}% locked, ${lpLock.creatorPct}% held by creator`);
+    }
+    const supplyBreakdown = tokenData?.supplyBreakdown;
+    if (supplyBreakdown) {
+      const market = tokenData.marketData;
+      const valuation = market?.marketCap
+        ? `; market cap $${Math.round(market.marketCap).toLocaleString()}, FDV $${Math.round(market.fdv ?? market.marketCap).toLocaleString()}`
+        : "";
+      fundDataLines.push(
+        `- Supply: ${supplyBreakdown.circulatingPct}% circulating, ${supplyBreakdown.burnedPct}% burned, ${supplyBreakdown.lockedPct}% locked${valuation}`
+      );
+    }
+    if (tokenData?.marketData?.athPrice) {
+      const market = tokenData.marketData;
+      fundDataLines.push(
+        `- Price history: ${market.tokenAgeDays} days old, ${market.drawdownFromAthPct}% below ATH, 7d change ${market.priceChange7d ?? "N/A"}%, daily volatility ${market.volatilityPct ?? "N/A"}%`
+      );
+    }
+    if (liquidity) fundDataLines.push(`- Liquidity: $${(liquidity / 1000000).toFixed(2)}M`);
+    const launchpadLine = describeLaunchpad(tokenData?.launchpad);
+    if (launchpadLine) fundDataLines.push(launchpadLine);
+    if (volume24h) fundDataLines.push(`- Volume (24h): $${(volume24h / 1000000).toFixed(2)}M`);
+    fundDataLines.push(`- Risk flags: ${describeRisks(tokenData?.risks)}`);
+    
+    const prompt = `
+Analyze token fundamentals. Provide insights in 2 sentences max.
+
+AVAILABLE DATA:
+${fundDataLines.join('\n')}
+
+RULES:
+- ONLY discuss data provided above - never mention missing/unknown data
+- NEVER mention "Solana" or blockchain basics
+- Use **bold** for key metrics and conclusions
+- Connect the metrics - what do they reveal together?
+
+Provide 2 concise, insightful sentences.
+`;
+
+    console.log(`[Fundamentals] Calling OpenAI...`);
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.7,
+      max_tokens: 150,
+    });
+
+    const text = completion.choices[0]?.message?.content?.trim();
+    const duration = Date.now() - startTime;
+    console.log(`[Fundamentals] ✅ Generated in ${duration}ms\n`);
+    
+    return text || "No fundamentals data available.";
+  } catch (error) {
+    console.error(`[Fundamentals] ❌ Failed:`, error.message);
+    return "Fundamentals data unavailable.";
+  }
+}
+
+// Generate hype analysis
+export async function generateHype({ tokenData, narrativeClaim }) {
+  const startTime = Date.now();
+  console.log(`\n[Hype] ===== Starting hype generation =====`);
+  
+  try {
+    const sentiment = tokenData?.sentimentScore || 50;
+    const volume24h = tokenData?.marketData?.volume24h || null;
+    const priceChange = tokenData?.marketData?.priceChange24h || null;
+    const holders = tokenData?.fundamentals?.holderCount || null;
+    const liquidity = tokenData?.marketData?.liquidity || null;
+    
+    // Format tweet data for deep analysis
+    const tickerTweets = tokenData?.tickerTweets?.tweets || [];
+    const twitterData = tokenData?.twitterData?.tweets || [];
+    const allTweets = [...tickerTweets, ...twitterData].slice(0, 15); // Analyze up to 15 tweets
+    
+    let tweetAnalysis = "";
+    if (allTweets.length > 0) {
+      const totalEngagement = allTweets.reduce((sum, tweet) => {
+        const likes = parseInt(tweet.likes || tweet.likeCount || 0);
+        const retweets = parseInt(tweet.retweets || tweet.retweetCount || 0);
+        return sum + likes + (retweets * 2);
+      }, 0);
+      const avgEngagement = Math.round(totalEngagement / allTweets.length);
+      const highEngagementTweets = allTweets.filter(tweet => {
+        const likes = parseInt(tweet.likes || tweet.likeCount || 0);
+        const retweets = parseInt(tweet.retweets || tweet.retweetCount || 0);
+        return (likes + retweets) > 50;
+      }).length;
+      
+      const tweetTexts = allTweets.map(t => (t.text || t.content || "").substring(0, 100)).join(" | ");
+      
+      tweetAnalysis = `
+TWEET ANALYSIS:
+- Total tweets analyzed: ${allTweets.length}
+- Average engagement per tweet: ${avgEngagement} (likes + retweets)
+- High-engagement tweets (>50 interactions): ${highEngagementTweets}
+- Tweet content themes: ${tweetTexts.substring(0, 500)}...
+`;
+    }
+    
+    // Build data section dynamically - only include available data
+    const hypeDataLines = [`- Sentiment score: ${sentiment}/100`];
+    if (volume24h) hypeDataLines.push(`- 24h volume: $${(volume24h / 1000000).toFixed(2)}M`);
+    if (priceChange !== null) hypeDataLines.push(`- Price change (24h): ${priceChange > 0 ? "+" : ""}${priceChange.toFixed(2)}%`);
+    if (holders) hypeDataLines.push(`- Holders: ${holders.toLocaleString()}`);
+    if (liquidity) hypeDataLines.push(`- Liquidity: $${(liquidity / 1000000).toFixed(2)}M`);
+    if (narrativeClaim) hypeDataLines.push(`- Narrative: ${narrativeClaim.substring(0, 150)}...`);
+    
+    const prompt = `
+Assess market sentiment and community hype for this token. Provide analysis in 2 sentences max.
+
+AVAILABLE DATA:
+${hypeDataLines.join('\n')}${tweetAnalysis}
+
+RULES:
+- ONLY discuss data provided - never mention missing/unknown data
+- NEVER mention "Solana" or blockchain basics
+- Use **bold** for sentiment scores, volumes, price changes, engagement metrics
+- If tweet data is provided, analyze engagement quality and community momentum
+- Connect social signals to market behavior
+
+Provide 2 concise, insightful sentences about hype and momentum.
+`;
+
+    console.log(`[Hype] Calling OpenAI...`);
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.7,
+      max_tokens: 180,
+    });
+
+    const text = completion.choices[0]?.message?.content?.trim();
+    const duration = Date.now() - startTime;
+    console.log(`[Hype] ✅ Generated in ${duration}ms\n`);
+    
+    return text || "No hype data available.";
+  } catch (error) {
+    console.error(`[Hype] ❌ Failed:`, error.message);
+    return "Hype analysis unavailable.";
+  }
+}
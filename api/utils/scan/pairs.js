@@ -0,0 +1,113 @@
+// Pair analysis: every DexScreener pool a token trades in, not just the deepest one
+// Liquidity and volume are summed over pairs quoted in the chain's known quote tokens
+// (wrapped native, stables). Pairs against anything else are reported but not counted:
+// their USD liquidity is priced off a token that may be worthless, which is how fake
+// pools inflate liquidity. Prices are compared across pools to catch divergence.
+import { isQuoteToken } from "./chains.js";
+
+const MIN_PRICE_LIQUIDITY_USD = 1000; // Shallower pools don't count toward the reference price
+const PRICE_DIVERGENCE_PCT = 10;
+const HIGH_PRICE_DIVERGENCE_PCT = 25;
+
+// Helper: Normalize one DexScreener pair from the scanned token's side. The tokens
+// endpoint also returns pairs where the token is the quote; its USD price is then
+// the base price divided by the base-per-quote rate.
+function normalizePair(pair, tokenAddress, chain) {
+  const isBase = pair.baseToken?.address?.toLowerCase() === tokenAddress.toLowerCase();
+  const other = isBase ? pair.quoteToken : pair.baseToken;
+  const basePriceUsd = Number(pair.priceUsd) || null;
+  const priceNative = Number(pair.priceNative) || null;
+  const priceUsd = isBase ? basePriceUsd : basePriceUsd && priceNative ? basePriceUsd / priceNative : null;
+
+  return {
+    pairAddress: pair.pairAddress,
+    dexId: pair.dexId || null,
+    labels: pair.labels || [],
+    url: pair.url || null,
+    quoteAddress: other?.address || null,
+    quoteSymbol: other?.symbol || null,
+    knownQuote: isQuoteToken(chain, other?.address),
+    priceUsd,
+    liquidityUsd: pair.liquidity?.usd || 0,
+    volume24h: pair.volume?.h24 || 0,
+    buys24h: pair.txns?.h24?.buys || 0,
+    sells24h: pair.txns?.h24?.sells || 0,
+    createdAt: pair.pairCreatedAt || null,
+  };
+}
+
+// Helper: Risk level for the pair set
+function getPairRiskLevel({ unknownQuoteLiquidityUsd, liquidityUsd, maxPriceDeviationPct, unknownQuotePairs }) {
+  if (unknownQuoteLiquidityUsd > liquidityUsd || maxPriceDeviationPct >= HIGH_PRICE_DIVERGENCE_PCT) return "high";
+  if (unknownQuoteLiquidityUsd >= MIN_PRICE_LIQUIDITY_USD || maxPriceDeviationPct >= PRICE_DIVERGENCE_PCT) return "medium";
+  return unknownQuotePairs > 0 ? "low" : null;
+}
+
+// Aggregate a token's DexScreener pairs on one chain.
+// Returns { pairs, pairCount, legitPairCount, liquidityUsd, volume24h, buys24h, sells24h,
+// priceUsd, unknownQuotePairs, unknownQuoteLiquidityUsd, maxPriceDeviationPct, riskFlag }
+// where pairs are [{ pairAddress, dexId, quoteAddress, quoteSymbol, knownQuote, priceUsd,
+// liquidityUsd, volume24h, buys24h, sells24h, priceDeviationPct, flags }] sorted by
+// liquidity, and the totals only cover pairs with a known quote token.
+export function analyzePairs(rawPairs, tokenAddress, chain) {
+  const pairs = rawPairs
+    .map((pair) => normalizePair(pair, tokenAddress, chain))
+    .sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+  const legit = pairs.filter((p) => p.knownQuote);
+
+  // Liquidity-weighted reference price over legitimate pools deep enough to trust
+  const priced = legit.filter((p) => p.priceUsd && p.liquidityUsd >= MIN_PRICE_LIQUIDITY_USD);
+  const pricedLiquidity = priced.reduce((sum, p) => sum + p.liquidityUsd, 0);
+  const priceUsd = pricedLiquidity
+    ? priced.reduce((sum, p) => sum + p.priceUsd * p.liquidityUsd, 0) / pricedLiquidity
+    : legit.find((p) => p.priceUsd)?.priceUsd ?? null;
+
+  let maxPriceDeviationPct = 0;
+  for (const pair of pairs) {
+    pair.flags = [];
+    if (!pair.knownQuote) pair.flags.push("unknown-quote");
+
+    pair.priceDeviationPct =
+      priceUsd && pair.priceUsd ? Math.round((Math.abs(pair.priceUsd - priceUsd) / priceUsd) * 10000) / 100 : null;
+    if (pair.priceDeviationPct >= PRICE_DIVERGENCE_PCT && pair.liquidityUsd >= MIN_PRICE_LIQUIDITY_USD) {
+      pair.flags.push("price-divergence");
+      maxPriceDeviationPct = Math.max(maxPriceDeviationPct, pair.priceDeviationPct);
+    }
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+  const liquidityUsd = round(legit.reduce((sum, p) => sum + p.liquidityUsd, 0));
+  const unknownQuote = pairs.filter((p) => !p.knownQuote);
+  const unknownQuoteLiquidityUsd = round(unknownQuote.reduce((sum, p) => sum + p.liquidityUsd, 0));
+  const divergent = pairs.filter((p) => p.flags.includes("price-divergence"));
+
+  const summary = {
+    liquidityUsd,
+    unknownQuotePairs: unknownQuote.length,
+    unknownQuoteLiquidityUsd,
+    maxPriceDeviationPct,
+  };
+  const level = getPairRiskLevel(summary);
+
+  const details = [
+    unknownQuote.length &&
+      `${unknownQuote.length} pair${unknownQuote.length === 1 ? "" : "s"} quoted in unknown tokens ($${Math.round(unknownQuoteLiquidityUsd).toLocaleString()} claimed liquidity)`,
+    divergent.length &&
+      `${divergent.length} pair${divergent.length === 1 ? "" : "s"} priced up to ${maxPriceDeviationPct}% away from the main pools`,
+  ].filter(Boolean);
+
+  return {
+    pairs,
+    pairCount: pairs.length,
+    legitPairCount: legit.length,
+    liquidityUsd,
+    volume24h: round(legit.reduce((sum, p) => sum + p.volume24h, 0)),
+    buys24h: legit.reduce((sum, p) => sum + p.buys24h, 0),
+    sells24h: legit.reduce((sum, p) => sum + p.sells24h, 0),
+    priceUsd,
+    ...summary,
+    riskFlag: level
+      ? { id: "pair_anomalies", name: "Suspicious pairs", level, description: details.join("; ") }
+      : null,
+  };
+}
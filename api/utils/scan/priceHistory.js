@@ -0,0 +1,130 @@
+// Price history: age, all-time high, drawdown and volatility from OHLCV candles
+// Candles come from Birdeye for Solana tokens when BIRDEYE_KEY is set, else from
+// GeckoTerminal for the main pool. Hourly candles cover the last week (short-term
+// changes, volatility, the sparkline); daily candles reach back to the first trade.
+import { getBirdeyeOhlcv, getGeckoTerminalOhlcv } from "./sources.js";
+
+const HOURLY_CANDLES = 168; // 7 days
+const DAILY_CANDLES = 1000;
+const RUG_DRAWDOWN_PCT = 90; // Drop from the 7-day high that marks a token as likely rugged
+
+// Helper: Percentage change with two decimals
+function pctChange(from, to) {
+  if (!from || to === null || to === undefined) return null;
+  return Math.round(((to - from) / from) * 10000) / 100;
+}
+
+// Helper: Change from the close `hours` ago to the latest close (null when history is shorter)
+function changeOver(hourly, hours) {
+  const latest = hourly[hourly.length - 1];
+  const cutoff = latest.time - hours * 3600;
+  const past = [...hourly].reverse().find((candle) => candle.time <= cutoff);
+  return past ? pctChange(past.close, latest.close) : null;
+}
+
+// Helper: Daily realized volatility (%) - standard deviation of hourly log returns, scaled to 24h
+function realizedVolatility(hourly) {
+  const returns = [];
+  for (let i = 1; i < hourly.length; i++) {
+    if (hourly[i - 1].close > 0 && hourly[i].close > 0) returns.push(Math.log(hourly[i].close / hourly[i - 1].close));
+  }
+  if (returns.length < 12) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.round(Math.sqrt(variance) * Math.sqrt(24) * 10000) / 100;
+}
+
+// Helper: Hourly and daily candles from the first source that has them
+async function fetchCandles(tokenAddress, chain, pair, { timeout }) {
+  const now = Math.floor(Date.now() / 1000);
+  if (chain.id === "solana" && process.env.BIRDEYE_KEY) {
+    const [hourly, daily] = await Promise.all([
+      getBirdeyeOhlcv(tokenAddress, { type: "1H", timeFrom: now - HOURLY_CANDLES * 3600, timeTo: now, timeout }),
+      getBirdeyeOhlcv(tokenAddress, { type: "1D", timeFrom: now - DAILY_CANDLES * 86400, timeTo: now, timeout }),
+    ]).catch((err) => {
+      console.log(`[PriceHistory] Birdeye candles failed: ${err.message}`);
+      return [[], []];
+    });
+    if (hourly.length) return { source: "birdeye", hourly, daily };
+  }
+
+  if (!pair?.pairAddress || !chain.geckoTerminalId) return null;
+  const [hourly, daily] = await Promise.all([
+    getGeckoTerminalOhlcv(pair.pairAddress, tokenAddress, { chain, timeframe: "hour", limit: HOURLY_CANDLES, timeout }),
+    getGeckoTerminalOhlcv(pair.pairAddress, tokenAddress, { chain, timeframe: "day", limit: DAILY_CANDLES, timeout }),
+  ]);
+  return hourly.length ? { source: "geckoterminal", hourly, daily } : null;
+}
+
+// Fetch candles for a token and derive its price-history metrics.
+// `pair` is the main pool ({ pairAddress, createdAt }) used for GeckoTerminal and as a
+// lower bound on the token's age. Returns null when no candles are found, else { source,
+// candles, tokenAgeDays, firstTradeAt, athPrice, athAt, drawdownFromAthPct, recentHighPrice,
+// recentDrawdownPct, priceChange1h, priceChange6h, priceChange24h, priceChange7d,
+// volatilityPct, likelyRugged, riskFlag }. candles are the hourly
+// [{ time, open, high, low, close, volume }] of the last 7 days; times are in seconds.
+export async function getPriceHistory(tokenAddress, chain, { pair = null, timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[PriceHistory] Fetching candles for ${tokenAddress}`);
+
+  try {
+    const candles = await fetchCandles(tokenAddress, chain, pair, { timeout });
+    if (!candles) {
+      console.log(`[PriceHistory] No candles found`);
+      return null;
+    }
+    const { source, hourly, daily } = candles;
+    const latest = hourly[hourly.length - 1];
+
+    // ATH over both series (daily for the long run, hourly for the recent wicks)
+    let ath = hourly[0];
+    for (const candle of [...daily, ...hourly]) {
+      if (candle.high > ath.high) ath = candle;
+    }
+
+    // The rug check uses the 7-day closing high so a single bad wick can't trigger it
+    const recentHighPrice = Math.max(...hourly.map((candle) => candle.close));
+    const recentDrawdownPct = Math.max(0, -pctChange(recentHighPrice, latest.close));
+
+    const firstCandleAt = Math.min(daily[0]?.time ?? Infinity, hourly[0].time);
+    const firstTradeAt = pair?.createdAt ? Math.min(firstCandleAt, Math.floor(pair.createdAt / 1000)) : firstCandleAt;
+    const likelyRugged = recentDrawdownPct >= RUG_DRAWDOWN_PCT;
+
+    const result = {
+      source,
+      candles: hourly,
+      tokenAgeDays: Math.round(((Date.now() / 1000 - firstTradeAt) / 86400) * 10) / 10,
+      firstTradeAt,
+      athPrice: ath.high,
+      athAt: ath.time,
+      drawdownFromAthPct: Math.max(0, -pctChange(ath.high, latest.close)),
+      recentHighPrice,
+      recentDrawdownPct,
+      priceChange1h: changeOver(hourly, 1),
+      priceChange6h: changeOver(hourly, 6),
+      priceChange24h: changeOver(hourly, 24),
+      priceChange7d: changeOver(hourly, HOURLY_CANDLES - 1), // From the oldest hourly candle
+      volatilityPct: realizedVolatility(hourly),
+      likelyRugged,
+      riskFlag: likelyRugged
+        ? {
+            id: "likely_rugged",
+            name: "Likely rugged",
+            level: "high",
+            description: `Price is down ${recentDrawdownPct}% from its 7-day high`,
+          }
+        : null,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `[PriceHistory] ✅ ${source}: ${hourly.length} hourly / ${daily.length} daily candles, ${result.drawdownFromAthPct}% below ATH - ${duration}ms`
+    );
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[PriceHistory] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
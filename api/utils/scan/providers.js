@@ -0,0 +1,318 @@
+// Data-provider registry for token scans
+// Each provider declares the chains it supports, its timeout, retry policy and the
+// normalized tokenData fields it fills. Registry order is field priority: when two
+// providers fill the same field, the first one with a non-null value wins. The one exception
+// is liquidity and volume: once DexScreener's pair analysis has found pools against known quote
+// tokens, its totals over those pools replace any aggregate figure (Birdeye's included), since
+// those count fake pools against worthless tokens.
+//
+// Providers receive { timeout, chain } where chain is the entry from chains.js, so
+// chain-specific endpoints (explorer, RPC, DexScreener chain id) come from config.
+//
+// Config (comma-separated provider ids):
+//   SCAN_PROVIDERS           - only run these providers (default: every enabled provider)
+//   SCAN_DISABLED_PROVIDERS  - never run these providers
+import { sleep } from "./http.js";
+import {
+  getDexScreenerData,
+  getRugCheckData,
+  getSolscanHolders,
+  getExplorerTokenInfo,
+  getHeliusFundamentals,
+  getBirdeyeData,
+} from "./sources.js";
+import { getSolanaHolderDistribution } from "./holders.js";
+import { getEvmHolderDistribution } from "./evmHolders.js";
+import { getSolanaTokenExtensions } from "./tokenExtensions.js";
+import { getLaunchpadData } from "./launchpads.js";
+
+const DEFAULT_RETRY = { attempts: 2, backoffMs: 500 };
+
+const PROVIDERS = [
+  {
+    id: "birdeye",
+    name: "Birdeye",
+    chains: ["solana"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: ["price", "volume24h", "liquidity", "priceChange24h"],
+    fetch: getBirdeyeData,
+    normalize: (data) => ({
+      price: data.price,
+      volume24h: data.volume24h,
+      liquidity: data.liquidity,
+      priceChange24h: data.priceChange24h,
+    }),
+  },
+  {
+    id: "dexscreener",
+    name: "DexScreener",
+    chains: ["solana", "bnb", "ethereum", "base", "arbitrum"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: [
+      "tokenName", "symbol", "price", "volume24h", "liquidity", "priceChange24h", "dexUrl", "socials", "mainPair",
+      "pairAnalysis",
+    ],
+    fetch: getDexScreenerData,
+    normalize: (data) => ({
+      tokenName: data.tokenName,
+      symbol: data.symbol,
+      price: data.priceUsd,
+      volume24h: data.volume24h,
+      liquidity: data.liquidity,
+      priceChange24h: data.priceChange24h,
+      dexUrl: data.dexUrl,
+      socials: data.socials,
+      mainPair: data.pair,
+      pairAnalysis: data.pairAnalysis ?? undefined,
+    }),
+  },
+  {
+    id: "launchpad",
+    name: "Launchpad",
+    chains: ["solana", "bnb"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: ["launchpad", "price", "socials"],
+    fetch: getLaunchpadData,
+    // Curve price and launchpad socials only fill in for tokens DexScreener doesn't list yet
+    normalize: (data) => ({
+      launchpad: data,
+      price: data.priceUsd ?? undefined,
+      socials: data.socials && Object.values(data.socials).some(Boolean) ? data.socials : undefined,
+    }),
+  },
+  {
+    id: "solscan",
+    name: "Solscan",
+    chains: ["solana"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: ["holderCount"],
+    fetch: getSolscanHolders,
+    normalize: (holderCount) => ({ holderCount }),
+  },
+  {
+    id: "helius",
+    name: "Helius",
+    chains: ["solana"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: [
+      "tokenName", "symbol", "supply", "decimals", "creators", "mintAuthority",
+      "freezeAuthority", "isMutable", "updateAuthority", "createdAt", "description", "holderCount",
+    ],
+    fetch: getHeliusFundamentals,
+    normalize: (data) => ({
+      tokenName: data.tokenName,
+      symbol: data.tokenSymbol,
+      supply: data.supply,
+      decimals: data.decimals,
+      creators: data.creators,
+      mintAuthority: data.mintAuthority,
+      freezeAuthority: data.freezeAuthority,
+      isMutable: data.isMutable,
+      updateAuthority: data.updateAuthority,
+      createdAt: data.createdAt,
+      description: data.description,
+      holderCount: data.holderCount,
+    }),
+  },
+  {
+    id: "token-extensions",
+    name: "Token Extensions",
+    chains: ["solana"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: ["tokenExtensions", "updateAuthority"],
+    fetch: getSolanaTokenExtensions,
+    normalize: (data) => ({ tokenExtensions: data, updateAuthority: data.updateAuthority }),
+  },
+  {
+    id: "solana-holders",
+    name: "Solana Top Holders",
+    chains: ["solana"],
+    timeout: 10000,
+    retry: DEFAULT_RETRY,
+    fields: ["holderDistribution"],
+    fetch: getSolanaHolderDistribution,
+    normalize: (holderDistribution) => ({ holderDistribution }),
+  },
+  {
+    id: "explorer",
+    name: "Block Explorer",
+    chains: ["bnb", "ethereum", "base", "arbitrum"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: ["tokenName", "symbol", "supply", "decimals", "holderCount"],
+    fetch: getExplorerTokenInfo,
+    normalize: (data) => ({
+      tokenName: data.tokenName,
+      symbol: data.tokenSymbol,
+      supply: data.supply,
+      decimals: data.decimals,
+      holderCount: data.holderCount,
+    }),
+  },
+  {
+    id: "bnb-holders",
+    name: "BNB Transfer Logs",
+    chains: ["bnb"],
+    timeout: 8000,
+    retry: { attempts: 1, backoffMs: 0 },
+    fields: ["holderCount", "holderDistribution"],
+    fetch: getEvmHolderDistribution,
+    // Partial rebuilds (time budget hit before the chain head) would undercount
+    normalize: (data) =>
+      data.complete ? { holderCount: data.holderCount, holderDistribution: data.distribution } : {},
+  },
+  {
+    id: "rugcheck",
+    name: "RugCheck",
+    chains: ["solana"],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: ["securityData"],
+    fetch: getRugCheckData,
+    normalize: (data) => ({ securityData: data }),
+  },
+];
+
+// Helper: Read a comma-separated provider id list from the environment
+function readProviderList(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Add a provider (or replace one with the same id) without touching the engine
+export function registerProvider(provider, { before } = {}) {
+  if (!provider?.id || typeof provider.fetch !== "function") {
+    throw new Error("Provider must have an id and a fetch function");
+  }
+
+  const existing = PROVIDERS.findIndex((p) => p.id === provider.id);
+  if (existing !== -1) PROVIDERS.splice(existing, 1);
+
+  const normalized = {
+    chains: [],
+    timeout: 8000,
+    retry: DEFAULT_RETRY,
+    fields: [],
+    normalize: (data) => data,
+    ...provider,
+  };
+
+  const index = before ? PROVIDERS.findIndex((p) => p.id === before) : -1;
+  if (index === -1) PROVIDERS.push(normalized);
+  else PROVIDERS.splice(index, 0, normalized);
+}
+
+// List providers that will run for a chain, honoring SCAN_PROVIDERS / SCAN_DISABLED_PROVIDERS
+export function getProviders(blockchain) {
+  const only = readProviderList("SCAN_PROVIDERS");
+  const disabled = readProviderList("SCAN_DISABLED_PROVIDERS");
+
+  return PROVIDERS.filter((provider) => {
+    if (!provider.chains.includes(blockchain)) return false;
+    if (disabled.includes(provider.id)) return false;
+    if (only.length > 0) return only.includes(provider.id);
+    return provider.enabled !== false;
+  });
+}
+
+// Run a single provider with its timeout and retry policy. Never throws.
+async function runProvider(provider, address, context) {
+  const startTime = Date.now();
+  const { attempts = 1, backoffMs = 0 } = provider.retry || {};
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const data = await provider.fetch(address, { timeout: provider.timeout, ...context });
+      return {
+        id: provider.id,
+        name: provider.name,
+        status: data === null || data === undefined ? "empty" : "ok",
+        attempts: attempt,
+        durationMs: Date.now() - startTime,
+        data: data ?? null,
+      };
+    } catch (error) {
+      lastError = error;
+      if (attempt < attempts) {
+        console.log(`[Providers] ${provider.name} attempt ${attempt}/${attempts} failed: ${error.message} - retrying`);
+        await sleep(backoffMs * attempt);
+      }
+    }
+  }
+
+  console.error(`[Providers] ${provider.name} failed after ${attempts} attempt(s):`, lastError?.message);
+  return {
+    id: provider.id,
+    name: provider.name,
+    status: "failed",
+    attempts,
+    durationMs: Date.now() - startTime,
+    error: lastError?.message || "Unknown error",
+    data: null,
+  };
+}
+
+// Merge provider outputs into normalized fields. A field is only present when
+// at least one provider filled it, so "null" (e.g. no mint authority) stays
+// distinguishable from "not reported by any source".
+function mergeProviderResults(providers, results) {
+  const fields = {};
+
+  providers.forEach((provider, idx) => {
+    const { data } = results[idx];
+    if (data === null) return;
+
+    const normalized = provider.normalize(data) || {};
+    for (const field of provider.fields) {
+      if (!(field in normalized) || normalized[field] === undefined) continue;
+      const value = normalized[field];
+      if (fields[field] === undefined || fields[field] === null) {
+        fields[field] = value;
+      }
+    }
+  });
+
+  const { pairAnalysis } = fields;
+  if (pairAnalysis?.legitPairCount > 0) {
+    if (pairAnalysis.liquidityUsd) fields.liquidity = pairAnalysis.liquidityUsd;
+    if (pairAnalysis.volume24h) fields.volume24h = pairAnalysis.volume24h;
+  }
+
+  return fields;
+}
+
+// Fetch from every enabled provider for the chain and merge the results
+export async function fetchFromProviders(address, blockchain, context = {}) {
+  const providers = getProviders(blockchain);
+  console.log(`[Providers] Fetching from ${providers.length} sources: ${providers.map((p) => p.name).join(", ")}`);
+
+  const results = await Promise.all(providers.map((provider) => runProvider(provider, address, context)));
+  const fields = mergeProviderResults(providers, results);
+
+  const raw = {};
+  results.forEach((result) => {
+    raw[result.id] = result.data;
+  });
+
+  const dataSources = results.map(({ id, name, status, attempts, durationMs, error }) => ({
+    id,
+    name,
+    status,
+    attempts,
+    durationMs,
+    ...(error ? { error } : {}),
+  }));
+
+  console.log(`[Providers] Results: ${dataSources.map((s) => `${s.name}=${s.status}`).join(", ")}`);
+
+  return { fields, raw, dataSources };
+}
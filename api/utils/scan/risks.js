@@ -0,0 +1,264 @@
+// Normalized risk model shared by scoring, the AI prompts, the bot and the web report
+// Every provider reports findings its own way: RugCheck uses danger/warn/info levels and
+// free-form names, the EVM checks and the on-chain analyses use high/medium/low flags.
+// Each gets an adapter that maps its findings onto one shape:
+// { id, name, category, severity, source, description, evidence }
+// where `id` is stable across providers (the same finding from two providers is merged)
+// and severity is always high | medium | low.
+
+export const SEVERITY_ORDER = ["high", "medium", "low"];
+
+// What part of the token a risk is about
+export const RISK_CATEGORIES = {
+  contract: "Contract",
+  trading: "Trading",
+  liquidity: "Liquidity",
+  holders: "Holders",
+  deployer: "Deployer",
+  market: "Market",
+  identity: "Identity",
+  other: "Other",
+};
+
+// Stable risk IDs and their category. Anything not listed is a contract risk, except
+// RugCheck findings without a stable ID: their wording says nothing reliable about what
+// they are, so they go under "other" and don't count as contract/trading risks.
+const RISK_CATEGORY_BY_ID = {
+  mint_authority: "contract",
+  freeze_authority: "contract",
+  upgradeable_proxy: "contract",
+  owner_not_renounced: "contract",
+  mutable_metadata: "contract",
+  non_transferable: "trading",
+  permanent_delegate: "contract",
+  transfer_hook: "trading",
+  transfer_fee: "trading",
+  confidential_transfers: "contract",
+  honeypot: "trading",
+  buy_reverts: "trading",
+  sell_reverted_probe: "trading",
+  high_tax: "trading",
+  trading_limits: "trading",
+  lp_unlocked_creator: "liquidity",
+  lp_unlocked: "liquidity",
+  lp_partially_locked: "liquidity",
+  low_liquidity: "liquidity",
+  lp_providers: "liquidity",
+  pair_anomalies: "liquidity",
+  holder_concentration: "holders",
+  holder_clusters: "holders",
+  insider_wallets: "holders",
+  launch_snipers: "holders",
+  deployer_history: "deployer",
+  wash_trading: "market",
+  likely_rugged: "market",
+  impersonation: "identity",
+};
+
+// RugCheck risk names (matched loosely - the wording changes) to stable IDs
+const RUGCHECK_IDS = [
+  [/mint authority/i, "mint_authority"],
+  [/freeze authority/i, "freeze_authority"],
+  [/mutable metadata/i, "mutable_metadata"],
+  [/permanent delegate/i, "permanent_delegate"],
+  [/transfer fee/i, "transfer_fee"],
+  [/transfer hook/i, "transfer_hook"],
+  [/non.?transferable/i, "non_transferable"],
+  [/lp providers/i, "lp_providers"],
+  [/lp unlocked|unlocked lp/i, "lp_unlocked"],
+  [/low liquidity/i, "low_liquidity"],
+  [/top 10 holders|single holder|holder concentration|high ownership/i, "holder_concentration"],
+  [/insider/i, "insider_wallets"],
+  [/copycat/i, "impersonation"],
+  [/creator.*(rug|history)/i, "deployer_history"],
+  [/rugged/i, "likely_rugged"],
+];
+
+// RugCheck levels to severities
+const RUGCHECK_SEVERITY = { danger: "high", error: "high", warn: "medium", warning: "medium", info: "low" };
+
+// Helper: snake_case ID from a free-form name
+function slugify(name) {
+  return (name || "unknown")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Helper: Evidence object without empty values
+function compactEvidence(evidence) {
+  return Object.fromEntries(
+    Object.entries(evidence).filter(([, value]) => value !== null && value !== undefined && value !== "")
+  );
+}
+
+// Helper: Build a normalized risk
+function makeRisk({ id, name, category, severity, source, description, evidence = {} }) {
+  return {
+    id,
+    name,
+    category: category || RISK_CATEGORY_BY_ID[id] || "contract",
+    severity: SEVERITY_ORDER.includes(severity) ? severity : "low",
+    source,
+    description: description || name,
+    evidence: compactEvidence(evidence),
+  };
+}
+
+// Helper: Whether `risk` should replace `existing` (same ID) when merging
+function isPreferredRisk(risk, existing) {
+  const fromRugCheck = risk.source === "rugcheck";
+  if (fromRugCheck !== (existing.source === "rugcheck")) return !fromRugCheck;
+  return SEVERITY_ORDER.indexOf(risk.severity) < SEVERITY_ORDER.indexOf(existing.severity);
+}
+
+// Adapter: RugCheck report risks ({ name, value, description, score, level: danger | warn | info })
+export function fromRugCheck(risks = []) {
+  return risks.map((risk) => {
+    const id = RUGCHECK_IDS.find(([pattern]) => pattern.test(risk.name || ""))?.[1] || null;
+    return makeRisk({
+      id: id || `rugcheck_${slugify(risk.name)}`,
+      name: risk.name,
+      category: id ? null : "other",
+      severity: RUGCHECK_SEVERITY[String(risk.level).toLowerCase()] || "low",
+      source: "rugcheck",
+      description: risk.description,
+      evidence: { value: risk.value, score: risk.score },
+    });
+  });
+}
+
+// Adapter: EVM on-chain security findings ({ id, name, value, description, level })
+export function fromOnchainChecks(risks = []) {
+  return risks.map((risk) =>
+    makeRisk({
+      id: risk.id || slugify(risk.name),
+      name: risk.name,
+      severity: risk.level,
+      source: "onchain",
+      description: risk.description,
+      evidence: { value: risk.value },
+    })
+  );
+}
+
+// Adapter: Solana mint and freeze authorities read from the mint account
+export function fromSolanaAuthorities({ mintAuthority, freezeAuthority } = {}) {
+  const risks = [];
+  if (mintAuthority) {
+    risks.push(
+      makeRisk({
+        id: "mint_authority",
+        name: "Mint authority enabled",
+        severity: "high",
+        source: "onchain",
+        description: `${mintAuthority} can mint new tokens`,
+        evidence: { authority: mintAuthority },
+      })
+    );
+  }
+  if (freezeAuthority) {
+    risks.push(
+      makeRisk({
+        id: "freeze_authority",
+        name: "Freeze authority enabled",
+        severity: "high",
+        source: "onchain",
+        description: `${freezeAuthority} can freeze holders' token accounts`,
+        evidence: { authority: freezeAuthority },
+      })
+    );
+  }
+  return risks;
+}
+
+// Adapter: Risk flags from the scan's own analyses ({ id, name, level, description })
+export function fromRiskFlag(flag, source, evidence = {}) {
+  if (!flag) return [];
+  return [
+    makeRisk({
+      id: flag.id,
+      name: flag.name,
+      severity: flag.level,
+      source,
+      description: flag.description,
+      evidence,
+    }),
+  ];
+}
+
+// Collect every provider's findings for a scanned token into one list.
+// Findings with the same ID are merged: one read from the chain or found by the scan's own
+// analyses wins over RugCheck's, otherwise the most severe one is kept. The list is
+// sorted by severity. Returns [{ id, name, category, severity, source, description, evidence }].
+export function collectRisks({
+  securityData = null,
+  fundamentals = null,
+  liquidityLock = null,
+  holderClusters = null,
+  deployerHistory = null,
+  launchAnalysis = null,
+  pairAnalysis = null,
+  volumeAuthenticity = null,
+  cloneAnalysis = null,
+  marketData = null,
+  blockchain = null,
+} = {}) {
+  const securityRisks =
+    securityData?.source === "onchain" ? fromOnchainChecks(securityData.risks) : fromRugCheck(securityData?.risks);
+
+  const all = [
+    ...securityRisks,
+    ...(blockchain === "solana" ? fromSolanaAuthorities(fundamentals || {}) : []),
+    ...(fundamentals?.mintRiskFlags || []).flatMap((flag) => fromRiskFlag(flag, "token-extensions")),
+    ...fromRiskFlag(liquidityLock?.riskFlag, "liquidity-lock", {
+      burnedPct: liquidityLock?.burnedPct,
+      lockedPct: liquidityLock?.lockedPct,
+      creatorPct: liquidityLock?.creatorPct,
+    }),
+    ...fromRiskFlag(holderClusters?.riskFlag, "holder-clusters", {
+      clusteredPct: holderClusters?.clusteredPct,
+      largestClusterPct: holderClusters?.largestClusterPct,
+    }),
+    ...fromRiskFlag(deployerHistory?.riskFlag, "deployer-history", {
+      deployer: deployerHistory?.deployer,
+      launchedCount: deployerHistory?.launchedCount,
+      deadCount: deployerHistory?.deadCount,
+    }),
+    ...fromRiskFlag(launchAnalysis?.riskFlag, "launch-analysis", {
+      sniperHeldPct: launchAnalysis?.sniperHeldPct,
+      bundledBuyers: launchAnalysis?.bundledBuyers,
+      deployerFundedBuyers: launchAnalysis?.deployerFundedBuyers,
+    }),
+    ...fromRiskFlag(pairAnalysis?.riskFlag, "pair-analysis", {
+      unknownQuotePairs: pairAnalysis?.unknownQuotePairs,
+      maxPriceDeviationPct: pairAnalysis?.maxPriceDeviationPct,
+    }),
+    ...fromRiskFlag(volumeAuthenticity?.riskFlag, "volume-authenticity", {
+      suspiciousVolumePct: volumeAuthenticity?.suspiciousVolumePct,
+      patterns: volumeAuthenticity?.patterns?.map((pattern) => pattern.id),
+    }),
+    ...fromRiskFlag(cloneAnalysis?.riskFlag, "clone-detection", {
+      originalAddress: cloneAnalysis?.likelyOriginal?.address,
+      originalChain: cloneAnalysis?.likelyOriginal?.chain,
+    }),
+    ...fromRiskFlag(marketData?.priceRiskFlag, "price-history", {
+      recentDrawdownPct: marketData?.recentDrawdownPct,
+    }),
+  ];
+
+  const byId = new Map();
+  for (const risk of all) {
+    const existing = byId.get(risk.id);
+    if (!existing || isPreferredRisk(risk, existing)) byId.set(risk.id, risk);
+  }
+  return [...byId.values()].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+// One line per risk for the AI prompts ("none" when the list is empty)
+export function describeRisks(risks = []) {
+  if (risks.length === 0) return "none";
+  return risks
+    .map((risk) => `\n- [${risk.severity}] ${risk.name} (${RISK_CATEGORIES[risk.category]}, via ${risk.source}): ${risk.description}`)
+    .join("");
+}
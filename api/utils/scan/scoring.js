@@ -0,0 +1,406 @@
+// Sentiment and token scoring
+// Every weight and threshold comes from a scoring profile (see scoringProfiles.js)
+import { isEvmChain } from "./chains.js";
+import { getScoringProfile } from "./scoringProfiles.js";
+
+// Solana Token-2022 extensions and metadata mutability (see tokenExtensions.js)
+const MINT_EXTENSION_RISKS = new Set([
+  "non_transferable",
+  "permanent_delegate",
+  "transfer_hook",
+  "transfer_fee",
+  "confidential_transfers",
+  "mutable_metadata",
+]);
+
+// Helper: Score penalty for one normalized risk (see risks.js). Risks the profile doesn't
+// list get its default penalty; null means the risk is scored from its underlying numbers
+// instead (liquidity, LP breakdown, holder distribution, cluster sizes, price history) - unless those
+// numbers are missing from this scan (`measured`), e.g. a RugCheck "LP unlocked" finding
+// without our own LP breakdown, which then gets the default penalty.
+function getRiskPenalty(risk, { riskPenalties }, measured) {
+  let penalties = riskPenalties.default;
+  if (risk.id in riskPenalties.byId) penalties = riskPenalties.byId[risk.id] ?? (measured.has(risk.id) ? null : penalties);
+  else if (MINT_EXTENSION_RISKS.has(risk.id)) penalties = riskPenalties.mintExtensions;
+  return penalties?.[risk.severity] ?? 0;
+}
+
+// Helper: Points for the first [threshold, points] tier the value clears, else null
+function tierPoints(value, tiers, clears = (v, threshold) => v > threshold) {
+  const tier = tiers.find(([threshold]) => clears(value, threshold));
+  return tier ? tier[1] : null;
+}
+const atLeast = (v, threshold) => v >= threshold;
+const under = (v, threshold) => v < threshold;
+
+// Compute market sentiment score (0-100)
+export function computeMarketSentiment(birdeye, dex, tickerTweets, twitterData, profile = getScoringProfile()) {
+  const { weights, social, floors, ...scale } = profile.marketSentiment;
+  let priceChange = 0;
+  let volume = 0;
+  let totalTweets = 0;
+  let totalEngagement = 0;
+  let highEngagementTweets = 0;
+
+  // Use Birdeye if available, otherwise fall back to DexScreener
+  if (birdeye) {
+    priceChange = birdeye.priceChange24h ?? 0;
+    volume = birdeye.volume24h ?? 0;
+  } else if (dex) {
+    priceChange = dex.priceChange24h ?? 0;
+    volume = dex.volume24h ?? 0;
+  }
+
+  // Factor in social activity (tweets, engagement)
+  const allTweets = [
+    ...(tickerTweets?.tweets || []),
+    ...(twitterData?.tweets || [])
+  ];
+  
+  if (allTweets.length > 0) {
+    totalTweets = allTweets.length;
+    allTweets.forEach(tweet => {
+      const likes = parseInt(tweet.likes || tweet.likeCount || 0);
+      const retweets = parseInt(tweet.retweets || tweet.retweetCount || 0);
+      const engagement = likes + (retweets * 2);
+      totalEngagement += engagement;
+      if (engagement > scale.viralEngagement) highEngagementTweets++;
+    });
+  }
+
+  // If no market data at all, but we have tweets, use tweet-based sentiment
+  if (!birdeye && !dex && totalTweets === 0) {
+    return null;
+  }
+
+  // Calculate component scores (0-1 scale)
+  
+  // Price momentum: -range..+range maps to 0-1, with bonus for positive
+  let priceScore = 0.5; // neutral baseline
+  if (priceChange !== 0) {
+    priceScore = Math.max(0, Math.min(1, (priceChange + scale.priceRangePct) / (2 * scale.priceRangePct)));
+    // Bonus for strong positive momentum
+    if (priceChange > scale.momentumBonus.over) priceScore = Math.min(1, priceScore + scale.momentumBonus.bonus);
+  }
+
+  // Volume score: logarithmic scale, higher volume = higher score
+  let volumeScore = 0.3; // baseline
+  if (volume > 0) {
+    volumeScore = Math.max(0.2, Math.min(1, Math.log10(volume) / scale.volumeLogScale));
+  }
+  
+  // Social engagement score: based on tweets + engagement quality
+  let socialScore = 0;
+  if (totalTweets > 0) {
+    const avgEngagement = totalEngagement / totalTweets;
+    
+    // Tweet count contribution (more tweets = more buzz)
+    const tweetCountScore = Math.min(social.maxTweets, totalTweets * social.perTweet);
+    
+    // Engagement quality (avg engagement per tweet)
+    const engagementScore = Math.min(social.maxEngagement, Math.log10(avgEngagement + 1) / 3);
+    
+    // High-engagement tweets bonus (viral potential)
+    const viralScore = Math.min(social.maxViral, highEngagementTweets * social.perViral);
+    
+    socialScore = tweetCountScore + engagementScore + viralScore;
+  }
+
+  // Calculate weighted sentiment
+  // Weight distribution comes from the profile (conservative: Price 25%, Volume 25%, Social 50%)
+  const sentiment = (weights.price * priceScore) + (weights.volume * volumeScore) + (weights.social * socialScore);
+
+  // Scale to 0-100 and apply minimum thresholds
+  let finalSentiment = Math.round(sentiment * 100);
+  
+  // Minimum scores based on activity
+  if (totalTweets > 0) {
+    if (highEngagementTweets >= floors.viralTweets) finalSentiment = Math.max(finalSentiment, floors.viral);
+    else if (totalTweets >= floors.busyTweets) finalSentiment = Math.max(finalSentiment, floors.busy);
+    else finalSentiment = Math.max(finalSentiment, floors.any);
+  }
+  
+  // Cap at 100
+  return Math.min(100, finalSentiment);
+}
+
+// Helper: Compact USD amount for factor details ($1.2M, $35K)
+function formatUsd(value) {
+  if (value >= 1e6) return `$${Math.round(value / 1e5) / 10}M`;
+  if (value >= 1e3) return `$${Math.round(value / 1e2) / 10}K`;
+  return `$${Math.round(value)}`;
+}
+
+// Score a token and explain how the score was reached, using the given scoring profile.
+// Returns { score, baseScore, rawScore, factors, caps, strongIndicators, scoringProfile } where
+// factors are the adjustments that moved the score ([{ id, label, points, detail }], in scoring
+// order), caps are the hard caps whose condition held ([{ id, limit, reason, applied }], applied
+// when the cap actually lowered the score), strongIndicators is { count, required, threshold,
+// met, missing } for the high-score gate and scoringProfile is the { id, version } that scored it.
+export function explainTokenScore(tokenData, profile = getScoringProfile()) {
+  const baseScore = profile.baseScore;
+  let score = baseScore;
+  const factors = [];
+  const caps = [];
+  
+  // Helper: Apply one adjustment and record it
+  const add = (id, label, points, detail = null) => {
+    if (!points) return;
+    score += points;
+    factors.push({ id, label, points: Math.round(points * 100) / 100, detail });
+  };
+  // Helper: Apply one hard cap and record why
+  const cap = (id, limit, reason) => {
+    const applied = score > limit;
+    if (applied) score = limit;
+    caps.push({ id, limit, reason, applied });
+  };
+  
+  const { marketData, fundamentals, securityData, holderClusters, liquidityLock, launchpad, risks = [], socials, sentimentScore, blockchain } = tokenData;
+  
+  // Normalized risks (risks.js) - every provider's findings, one entry per risk ID
+  const severityOf = (id) => risks.find((r) => r.id === id)?.severity ?? null;
+  const securityRisks = risks.filter((r) => r.category === "contract" || r.category === "trading");
+  
+  // Launchpad tokens still on their bonding curve have no DEX pool yet: the curve holds the
+  // liquidity and can't be pulled, so they're scored on how far the curve has filled instead
+  const onBondingCurve = launchpad?.status === "bonding";
+  if (onBondingCurve) {
+    const progress = launchpad.progressPct ?? 0;
+    const { atLeast: tiers, lowBelow, low } = profile.bondingCurve;
+    const points = tierPoints(progress, tiers, atLeast) ?? (progress < lowBelow ? low : 0);
+    add("bonding_curve", "Bonding curve progress", points, `${launchpad.name} curve ${progress}% filled`);
+  } else if (marketData?.liquidity) {
+    // CRITICAL: Low liquidity is a major red flag - penalized with the profile's floor
+    const liquidity = marketData.liquidity;
+    const points = tierPoints(liquidity, profile.liquidity.over) ?? profile.liquidity.floor;
+    add("liquidity", "Liquidity", points, `${formatUsd(liquidity)} liquidity`);
+  } else {
+    add("liquidity", "Liquidity", profile.liquidity.missing, "No liquidity data"); // No liquidity = very bad
+  }
+  
+  // Holder Count Score - very few holders is a red flag
+  if (fundamentals?.holderCount) {
+    const holders = fundamentals.holderCount;
+    const points = tierPoints(holders, profile.holders.over) ?? profile.holders.floor;
+    add("holders", "Holder count", points, `${holders.toLocaleString()} holders`);
+  } else {
+    add("holders", "Holder count", profile.holders.missing, "No holder data"); // Missing holder data = suspicious
+  }
+  
+  // Holder Concentration Score - a few wallets owning most of the supply can dump on everyone
+  // (LP, burn and exchange wallets are already excluded from these numbers)
+  const distribution = fundamentals?.holderDistribution;
+  if (distribution) {
+    const { top1Pct, top10Pct, gini } = distribution;
+    const concentration = profile.holderConcentration;
+    const top10Points = tierPoints(top10Pct, concentration.top10Over) ?? tierPoints(top10Pct, concentration.top10Under, under);
+    add("holder_concentration", "Holder concentration", top10Points, `Top 10 hold ${top10Pct}%`);
+    add("top_holder", "Largest holder", tierPoints(top1Pct, concentration.top1Over), `Top holder has ${top1Pct}%`); // Single whale
+
+    if (gini !== null && gini !== undefined && gini > concentration.giniOver) {
+      add("holder_gini", "Holder inequality", concentration.gini, `Gini ${gini}`);
+    }
+  }
+
+  // LP Lock - liquidity only counts if it can't be pulled
+  const lpSecuredPct = liquidityLock?.lpModel === "fungible" ? liquidityLock.burnedPct + liquidityLock.lockedPct : null;
+  if (lpSecuredPct !== null) {
+    const points = tierPoints(lpSecuredPct, profile.lpLock.atLeast, atLeast) ?? profile.lpLock.floor;
+    add("lp_lock", "LP lock", points, `${Math.round(lpSecuredPct * 100) / 100}% of LP burned or locked`);
+  }
+
+  // Holder Clusters - top wallets funded from one source are usually one entity
+  const largestClusterPct = holderClusters?.largestClusterPct ?? 0;
+  const clusterPoints = tierPoints(largestClusterPct, profile.holderClusters.atLeast, atLeast);
+  add("holder_clusters", "Holder clusters", clusterPoints, `Largest cluster holds ${largestClusterPct}%`);
+  
+  // Risk Flags - contract, trading, deployer, launch, pair, volume and impersonation risks
+  // from every provider (wash-traded volume is also discounted by the caller)
+  const measured = new Set(["likely_rugged"]);
+  if (onBondingCurve || marketData?.liquidity) measured.add("low_liquidity");
+  if (distribution) measured.add("holder_concentration");
+  if (lpSecuredPct !== null) ["lp_unlocked_creator", "lp_unlocked", "lp_partially_locked"].forEach((id) => measured.add(id));
+  if (holderClusters) measured.add("holder_clusters");
+  for (const risk of risks) {
+    add(`risk:${risk.id}`, risk.name, -getRiskPenalty(risk, profile, measured), `${risk.severity} ${risk.category} risk (${risk.source})`);
+  }
+  const deployerRiskLevel = severityOf("deployer_history");
+  const launchRiskLevel = severityOf("launch_snipers");
+  const cloneRiskLevel = severityOf("impersonation");
+  
+  // Price History - tokens trading far below their all-time high
+  if (marketData?.drawdownFromAthPct >= profile.athDrawdown.atLeast) {
+    add("ath_drawdown", "Drawdown from ATH", profile.athDrawdown.points, `${marketData.drawdownFromAthPct}% below ATH`);
+  }
+  
+  // Market Cap Score - require substantial market cap (priced on circulating supply)
+  if (marketData?.marketCap) {
+    const marketCap = marketData.marketCap;
+    const points = tierPoints(marketCap, profile.marketCap.over) ?? profile.marketCap.floor;
+    add("market_cap", "Market cap", points, `${formatUsd(marketCap)} market cap`);
+  } else {
+    add("market_cap", "Market cap", profile.marketCap.missing, "No market cap data"); // Missing market cap data
+  }
+  
+  // Security Score - CRITICAL for safety (contract and trading risks are penalized above)
+  const security = profile.security;
+  if (securityData) {
+    if (securityRisks.length === 0) {
+      add("security", "Security checks", security.clean, "No contract or trading risks found");
+    }
+    if (blockchain === "solana" && fundamentals?.mintAuthority === null && fundamentals?.freezeAuthority === null) {
+      add("authorities", "Mint/freeze authority", security.authoritiesRevoked, "Both revoked");
+    }
+  } else {
+    // For EVM tokens, securityData is only null when the on-chain security checks failed
+    if (isEvmChain(blockchain)) {
+      add("security", "Security checks", security.missingEvm, "Security checks unavailable");
+    } else {
+      add("security", "Security checks", security.missingSolana, "No security report"); // No security data = very suspicious
+    }
+  }
+  
+  // Social Presence Score - require real presence
+  if (socials) {
+    let socialCount = 0;
+    if (socials.website) socialCount++;
+    if (socials.x) socialCount++;
+    if (socials.telegram) socialCount++;
+    add("socials", "Social presence", profile.socials.byCount[socialCount], `${socialCount} of 3 social links`);
+  } else {
+    add("socials", "Social presence", profile.socials.missing, "No social links"); // No socials = suspicious
+  }
+  
+  // Volume/Activity Score - require substantial volume
+  if (marketData?.volume24h) {
+    const volume = marketData.volume24h;
+    const points = tierPoints(volume, profile.volume.over) ?? profile.volume.floor;
+    add("volume", "Trading volume", points, `${formatUsd(volume)} 24h volume`);
+  } else {
+    add("volume", "Trading volume", profile.volume.missing, "No volume data"); // No volume data
+  }
+  
+  // Sentiment Score - weighted by the profile
+  if (sentimentScore !== null && sentimentScore !== undefined) {
+    add("sentiment", "Market sentiment", (sentimentScore / 100) * profile.sentiment.weight, `Sentiment ${sentimentScore}/100`);
+  } else {
+    add("sentiment", "Market sentiment", profile.sentiment.missing, "No sentiment data"); // Missing sentiment
+  }
+  
+  const rawScore = Math.round(score * 100) / 100;
+  
+  // HARD CAPS: Prevent high scores for tokens with red flags
+  const limits = profile.caps;
+  const liquidity = marketData?.liquidity || 0;
+  const holders = fundamentals?.holderCount || 0;
+  const hasRisks = securityRisks.some((r) => r.severity !== "low");
+  const hasMintAuth = !!severityOf("mint_authority");
+  const hasFreezeAuth = !!severityOf("freeze_authority");
+  const creatorHoldsLp = (liquidityLock?.creatorPct ?? 0) >= 5;
+  const isHoneypot = severityOf("honeypot") === "high";
+  const isNonTransferable = !!severityOf("non_transferable");
+  const likelyRugged = !!severityOf("likely_rugged");
+  const hasHighMintFlag = risks.some((r) => MINT_EXTENSION_RISKS.has(r.id) && r.severity === "high");
+  
+  // Cap if liquidity is too low; tokens that haven't left their bonding curve have their own cap
+  if (onBondingCurve) {
+    cap("bonding_curve", limits.bondingCurve, "Still on the launchpad bonding curve");
+  } else if (liquidity < limits.lowLiquidity.below) {
+    cap("low_liquidity", limits.lowLiquidity.limit, `Liquidity under ${formatUsd(limits.lowLiquidity.below)}`);
+  }
+  
+  // Cap if holders are too few
+  if (holders < limits.fewHolders.below) {
+    cap("few_holders", limits.fewHolders.limit, `Fewer than ${limits.fewHolders.below.toLocaleString()} holders`);
+  }
+  
+  // Cap if there are security risks
+  if (hasRisks) {
+    cap("security_risks", limits.securityRisks, "Medium or high contract/trading risks");
+  }
+  
+  // Cap if the top 10 holders control most of the supply
+  const top10Pct = distribution?.top10Pct ?? null;
+  if (top10Pct !== null && top10Pct > limits.holderConcentration.over) {
+    cap("holder_concentration", limits.holderConcentration.limit, `Top 10 holders control ${top10Pct}% of supply`);
+  }
+  
+  // Cap if one funder controls a large share of the supply through several wallets,
+  // the deployer has a record of dead launches, or snipers still hold a large share
+  if (severityOf("holder_clusters") === "high" || deployerRiskLevel === "high" || launchRiskLevel === "high") {
+    cap("insiders", limits.insiders, "Clustered holders, a serial deployer or snipers holding supply");
+  }
+  
+  // Cap if mint/freeze authority exists, a Token-2022 extension lets someone take or
+  // block holders' tokens, or the creator can pull the liquidity
+  if (hasMintAuth || hasFreezeAuth || hasHighMintFlag || creatorHoldsLp) {
+    cap("control", limits.control, "Someone can mint, freeze or take tokens, or pull the liquidity");
+  }
+  
+  // Cap if the token looks like a copy of an older, deeper token on the same chain
+  if (cloneRiskLevel === "high") {
+    cap("impersonation", limits.impersonation, "Looks like a copy of an established token");
+  }
+  
+  // Cap if the token can be bought but not sold, or its price already collapsed
+  if (isHoneypot || isNonTransferable || likelyRugged) {
+    cap("cannot_sell", limits.cannotSell, isHoneypot || isNonTransferable ? "Holders cannot sell" : "Price already collapsed (likely rugged)");
+  }
+  
+  // Require multiple strong indicators for high scores
+  const strong = profile.strongIndicators;
+  const indicators = [
+    [`Liquidity over ${formatUsd(strong.liquidityOver)}`, liquidity > strong.liquidityOver],
+    [`Over ${strong.holdersOver.toLocaleString()} holders`, holders > strong.holdersOver],
+    ["No contract or trading risks", !hasRisks],
+    ["No mint or freeze authority", !hasMintAuth && !hasFreezeAuth],
+    ["Has social links", socials && (socials.website || socials.x || socials.telegram)],
+    [`Volume over ${formatUsd(strong.volumeOver)}`, marketData?.volume24h > strong.volumeOver],
+    [`Top 10 holders under ${strong.top10Under}%`, top10Pct !== null && top10Pct < strong.top10Under],
+    ["No large holder cluster", holderClusters && largestClusterPct < strong.clusterUnder],
+    [`LP ${strong.lpSecuredAtLeast}%+ burned or locked`, lpSecuredPct !== null && lpSecuredPct >= strong.lpSecuredAtLeast],
+  ];
+  const strongIndicators = {
+    count: indicators.filter(([, met]) => met).length,
+    required: strong.required,
+    threshold: strong.threshold,
+    met: indicators.filter(([, met]) => met).map(([label]) => label),
+    missing: indicators.filter(([, met]) => !met).map(([label]) => label),
+  };
+  
+  if (score > strong.threshold && strongIndicators.count < strong.required) {
+    cap("strong_indicators", strong.threshold, `Only ${strongIndicators.count} of ${strong.required} required strong indicators`);
+  }
+  
+  // Clamp between 1 and 100
+  return {
+    score: Math.max(1, Math.min(100, Math.round(score))),
+    baseScore,
+    rawScore,
+    factors,
+    caps,
+    strongIndicators,
+    scoringProfile: { id: profile.id, version: profile.version },
+  };
+}
+
+// Calculate comprehensive token score (1-100)
+export function calculateTokenScore(tokenData, profile = getScoringProfile()) {
+  return explainTokenScore(tokenData, profile).score;
+}
+
+// The adjustments that explain a score best: the tightest cap that lowered it, then the
+// factors with the largest effect. Returns [{ type: "cap" | "factor", label, points?, limit?, detail }].
+export function getScoreDrivers(breakdown, limit = 3) {
+  if (!breakdown) return [];
+  const binding = breakdown.caps
+    .filter((c) => c.applied)
+    .sort((a, b) => a.limit - b.limit)
+    .slice(0, 1)
+    .map((c) => ({ type: "cap", label: `Capped at ${c.limit}`, limit: c.limit, detail: c.reason }));
+  const factors = [...breakdown.factors]
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .map((f) => ({ type: "factor", label: f.label, points: f.points, detail: f.detail }));
+  return [...binding, ...factors].slice(0, limit);
+}
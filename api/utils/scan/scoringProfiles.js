@@ -0,0 +1,167 @@
+// Scoring profiles: every weight and threshold the token and sentiment scores use, as data
+// A profile is selected per request and its { id, version } is recorded on every result.
+// Bump a profile's version whenever one of its numbers changes, so scores produced under
+// different weights are never compared as if they were the same scale.
+//
+// Tier tables are [threshold, points] pairs, checked in order; the first threshold the
+// value clears wins (`over` for strictly greater, `atLeast` for greater or equal).
+
+// The default profile
+const CONSERVATIVE = {
+  id: "conservative",
+  version: 3,
+  name: "Conservative",
+  description: "Strict on liquidity, holders and contract risks; sentiment carries little weight",
+  baseScore: 30,
+  bondingCurve: { atLeast: [[80, 4], [40, 2]], lowBelow: 10, low: -5 },
+  liquidity: { over: [[1000000, 12], [500000, 10], [100000, 7], [50000, 4], [10000, 2], [5000, 1]], floor: -15, missing: -20 },
+  holders: { over: [[10000, 10], [5000, 8], [1000, 6], [500, 4], [100, 2], [50, 1]], floor: -10, missing: -8 },
+  holderConcentration: {
+    top10Over: [[80, -15], [50, -10], [30, -4]],
+    top10Under: [[15, 6], [25, 3]],
+    top1Over: [[20, -8], [10, -3]],
+    giniOver: 0.95,
+    gini: -3,
+  },
+  lpLock: { atLeast: [[95, 6], [50, 2]], floor: -8 },
+  holderClusters: { atLeast: [[20, -12], [8, -6]] },
+  athDrawdown: { atLeast: 80, points: -4 },
+  marketCap: { over: [[10000000, 8], [1000000, 6], [100000, 4], [10000, 2], [1000, 1]], floor: -5, missing: -5 },
+  security: { clean: 10, authoritiesRevoked: 3, missingEvm: -5, missingSolana: -10 },
+  socials: { byCount: [0, 1, 3, 5], missing: -8 },
+  volume: { over: [[1000000, 8], [500000, 6], [100000, 4], [50000, 2], [10000, 1]], floor: -5, missing: -5 },
+  sentiment: { weight: 8, missing: -3 },
+  // Per-severity penalties for normalized risks (risks.js); null = scored from the underlying
+  // numbers when the scan has them, else the default penalty
+  riskPenalties: {
+    default: { high: 15, medium: 8, low: 0 },
+    mintExtensions: { high: 15, medium: 6, low: 3 },
+    byId: {
+      deployer_history: { high: 15, medium: 6, low: 0 },
+      launch_snipers: { high: 12, medium: 5, low: 0 },
+      pair_anomalies: { high: 10, medium: 4, low: 0 },
+      wash_trading: { high: 8, medium: 3, low: 0 },
+      impersonation: { high: 15, medium: 5, low: 0 },
+      low_liquidity: null,
+      lp_unlocked_creator: null,
+      lp_unlocked: null,
+      lp_partially_locked: null,
+      holder_concentration: null,
+      holder_clusters: null,
+      likely_rugged: null,
+    },
+  },
+  caps: {
+    bondingCurve: 50,
+    lowLiquidity: { below: 50000, limit: 60 },
+    fewHolders: { below: 100, limit: 50 },
+    securityRisks: 40,
+    holderConcentration: { over: 70, limit: 45 },
+    insiders: 40,
+    control: 30,
+    impersonation: 25,
+    cannotSell: 10,
+  },
+  strongIndicators: {
+    required: 4,
+    threshold: 70,
+    liquidityOver: 100000,
+    holdersOver: 1000,
+    volumeOver: 100000,
+    top10Under: 30,
+    clusterUnder: 8,
+    lpSecuredAtLeast: 95,
+  },
+  marketSentiment: {
+    weights: { price: 0.25, volume: 0.25, social: 0.5 }, // Social is key for memecoins
+    priceRangePct: 30, // -30%..+30% maps onto 0..1
+    momentumBonus: { over: 10, bonus: 0.1 },
+    volumeLogScale: 7, // log10(volume) / 7, so $10M = 1
+    viralEngagement: 50, // Likes + 2x retweets for a tweet to count as high-engagement
+    social: { perTweet: 0.03, maxTweets: 0.3, maxEngagement: 0.4, perViral: 0.06, maxViral: 0.3 },
+    floors: { viralTweets: 3, viral: 55, busyTweets: 5, busy: 40, any: 30 },
+  },
+};
+
+// Helper: Deep merge of plain objects (arrays and scalars in `overrides` replace the base)
+function withOverrides(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    merged[key] = isObject && base[key] ? withOverrides(base[key], value) : value;
+  }
+  return merged;
+}
+
+// Early-stage memecoins: thin liquidity and few holders are expected, momentum matters more.
+// Contract and trading risks are penalized exactly as in the conservative profile.
+const DEGEN = withOverrides(CONSERVATIVE, {
+  id: "degen",
+  version: 3,
+  name: "Degen",
+  description: "For fresh launches: relaxed liquidity and holder expectations, more weight on momentum and sentiment",
+  liquidity: { over: [[250000, 12], [100000, 10], [50000, 8], [20000, 6], [5000, 3], [1000, 1]], floor: -10 },
+  holders: { over: [[2000, 10], [1000, 8], [500, 6], [200, 4], [50, 2], [20, 1]], floor: -6 },
+  marketCap: { over: [[1000000, 8], [250000, 6], [50000, 4], [10000, 2], [1000, 1]] },
+  volume: { over: [[500000, 10], [100000, 8], [50000, 6], [10000, 3], [2000, 1]] },
+  athDrawdown: { atLeast: 90, points: -4 },
+  sentiment: { weight: 14 },
+  caps: {
+    bondingCurve: 65,
+    lowLiquidity: { below: 10000, limit: 60 },
+    fewHolders: { below: 30, limit: 50 },
+  },
+  strongIndicators: { liquidityOver: 25000, holdersOver: 300, volumeOver: 25000 },
+});
+
+// Established tokens: a high bar for liquidity, holders and distribution; hype barely counts
+const BLUECHIP = withOverrides(CONSERVATIVE, {
+  id: "bluechip",
+  version: 3,
+  name: "Bluechip",
+  description: "For established tokens: deep liquidity, broad holder bases and even distribution are expected",
+  baseScore: 25,
+  liquidity: { over: [[10000000, 14], [5000000, 12], [1000000, 9], [500000, 5], [100000, 2], [50000, 0]], floor: -20 },
+  holders: { over: [[100000, 12], [50000, 10], [10000, 8], [5000, 5], [1000, 2], [500, 0]], floor: -12 },
+  holderConcentration: { top10Over: [[60, -15], [40, -10], [25, -4]], top10Under: [[10, 6], [20, 3]] },
+  marketCap: { over: [[1000000000, 10], [100000000, 8], [10000000, 5], [1000000, 2], [100000, 0]], floor: -8 },
+  volume: { over: [[10000000, 8], [1000000, 6], [500000, 4], [100000, 2], [50000, 0]], floor: -8 },
+  sentiment: { weight: 4 },
+  caps: {
+    bondingCurve: 30,
+    lowLiquidity: { below: 500000, limit: 50 },
+    fewHolders: { below: 1000, limit: 45 },
+    holderConcentration: { over: 50, limit: 40 },
+  },
+  strongIndicators: {
+    required: 5,
+    liquidityOver: 1000000,
+    holdersOver: 10000,
+    volumeOver: 1000000,
+    top10Under: 20,
+  },
+});
+
+export const SCORING_PROFILES = {
+  [CONSERVATIVE.id]: CONSERVATIVE,
+  [DEGEN.id]: DEGEN,
+  [BLUECHIP.id]: BLUECHIP,
+};
+
+export const DEFAULT_SCORING_PROFILE = CONSERVATIVE.id;
+
+// Look up a profile by id (case-insensitive); null for unknown ids
+export function getScoringProfile(id = DEFAULT_SCORING_PROFILE) {
+  const key = String(id ?? DEFAULT_SCORING_PROFILE).toLowerCase();
+  return Object.hasOwn(SCORING_PROFILES, key) ? SCORING_PROFILES[key] : null;
+}
+
+// Validation message for a requested profile, or null when it's usable (or omitted)
+export function getScoringProfileError(id) {
+  if (id === undefined || id === null) return null;
+  if (typeof id !== "string") return "scoringProfile must be a string";
+  if (!getScoringProfile(id)) {
+    return `Unknown scoring profile "${id}". Supported: ${Object.keys(SCORING_PROFILES).join(", ")}`;
+  }
+  return null;
+}
@@ -0,0 +1,131 @@
+// Token search by name or $TICKER using DexScreener's search endpoint.
+// Pairs are grouped into one candidate per (chain, token) and ranked by
+// liquidity, 24h volume and age so the established token comes first.
+import { fetchWithTimeout } from "./http.js";
+import { getChain, getChainByDexScreenerId, getDexScreenerUrl } from "./chains.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: Normalize a user query ("$PEPE " -> "PEPE")
+export function normalizeSearchQuery(query) {
+  if (!query || typeof query !== "string") return "";
+  return query.trim().replace(/^\$+/, "").trim();
+}
+
+// Helper: Website and social links DexScreener lists for a pair (null when it has none)
+function getPairSocials(pair) {
+  const socials = {
+    website: pair.info?.websites?.[0]?.url || null,
+    x: pair.info?.socials?.find((s) => s.type === "twitter")?.url || null,
+    telegram: pair.info?.socials?.find((s) => s.type === "telegram")?.url || null,
+  };
+  return socials.website || socials.x || socials.telegram ? socials : null;
+}
+
+// Helper: Rank score for a candidate (higher is better)
+// Liquidity matters most, then volume; very young tokens and non-exact symbol
+// matches are pushed down because they are the usual copycats.
+function rankCandidate(candidate, query) {
+  const liquidityScore = Math.log10(1 + candidate.liquidity) * 3;
+  const volumeScore = Math.log10(1 + candidate.volume24h) * 2;
+  const ageScore = candidate.ageDays === null ? 0 : Math.min(Math.log2(1 + candidate.ageDays), 8);
+  const symbolScore = candidate.symbol?.toUpperCase() === query.toUpperCase() ? 5 : 0;
+  return Math.round((liquidityScore + volumeScore + ageScore + symbolScore) * 100) / 100;
+}
+
+// Search tokens across supported chains. Returns ranked candidates:
+// [{ address, chain, chainName, name, symbol, priceUsd, liquidity, volume24h,
+//    pairCreatedAt, ageDays, pairCount, dexUrl, socials, exactMatch, rankScore }]
+export async function searchTokens(query, { chain = null, limit = 8, timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  const normalized = normalizeSearchQuery(query);
+  if (!normalized) return [];
+
+  const chainFilter = chain ? getChain(chain) : null;
+  console.log(`[Search] Searching DexScreener for "${normalized}"${chainFilter ? ` on ${chainFilter.name}` : ""}`);
+
+  const response = await fetchWithTimeout(
+    `https://api.dexscreener.com/latest/dex/search?q=${encodeURIComponent(normalized)}`,
+    {},
+    timeout
+  );
+
+  if (!response.ok) {
+    throw new Error(`DexScreener search error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const candidates = new Map();
+  const topPairLiquidity = new Map(); // key -> liquidity of the deepest pool seen so far
+
+  for (const pair of data.pairs || []) {
+    const pairChain = getChainByDexScreenerId(pair.chainId);
+    if (!pairChain) continue;
+    if (chainFilter && pairChain.id !== chainFilter.id) continue;
+
+    const base = pair.baseToken;
+    if (!base?.address) continue;
+
+    // Only keep tokens that actually match the query (search also returns quote-side hits)
+    const q = normalized.toUpperCase();
+    const matches = base.symbol?.toUpperCase().includes(q) || base.name?.toUpperCase().includes(q) || base.address.toUpperCase() === q;
+    if (!matches) continue;
+
+    const key = `${pairChain.id}:${base.address}`;
+    const liquidity = pair.liquidity?.usd || 0;
+    const existing = candidates.get(key);
+
+    if (!existing) {
+      candidates.set(key, {
+        address: base.address,
+        chain: pairChain.id,
+        chainName: pairChain.name,
+        name: base.name || null,
+        symbol: base.symbol || null,
+        priceUsd: pair.priceUsd || null,
+        liquidity,
+        volume24h: pair.volume?.h24 || 0,
+        pairCreatedAt: pair.pairCreatedAt || null,
+        pairCount: 1,
+        dexUrl: getDexScreenerUrl(pairChain, base.address),
+        socials: getPairSocials(pair),
+      });
+      topPairLiquidity.set(key, liquidity);
+      continue;
+    }
+
+    existing.liquidity += liquidity;
+    existing.volume24h += pair.volume?.h24 || 0;
+    existing.pairCount += 1;
+    if (!existing.socials) existing.socials = getPairSocials(pair);
+    if (pair.pairCreatedAt && (!existing.pairCreatedAt || pair.pairCreatedAt < existing.pairCreatedAt)) {
+      existing.pairCreatedAt = pair.pairCreatedAt;
+    }
+    // Price from the deepest pool
+    if (liquidity > topPairLiquidity.get(key)) {
+      topPairLiquidity.set(key, liquidity);
+      existing.priceUsd = pair.priceUsd || existing.priceUsd;
+    }
+  }
+
+  const now = Date.now();
+  const ranked = [...candidates.values()]
+    .map((candidate) => {
+      const ageDays = candidate.pairCreatedAt
+        ? Math.max(0, Math.floor((now - candidate.pairCreatedAt) / DAY_MS))
+        : null;
+      const withAge = {
+        ...candidate,
+        ageDays,
+        exactMatch: candidate.symbol?.toUpperCase() === normalized.toUpperCase(),
+      };
+      return { ...withAge, rankScore: rankCandidate(withAge, normalized) };
+    })
+    .sort((a, b) => b.rankScore - a.rankScore)
+    .slice(0, limit);
+
+  const duration = Date.now() - startTime;
+  console.log(`[Search] ✅ ${ranked.length} candidates for "${normalized}" - ${duration}ms`);
+
+  return ranked;
+}
@@ -0,0 +1,508 @@
+// Social data scrapers (X via Nitter, Telegram, project website)
+import * as cheerio from "cheerio";
+import { SCRAPINGBEE_API_KEY, fetchWithScrapingBee, fetchWithTimeout } from "./http.js";
+
+// Search Nitter for tweets containing a ticker/symbol
+export async function searchNitterForTicker(ticker) {
+  const startTime = Date.now();
+  console.log(`[Nitter Scraper] Starting search for ticker: ${ticker}`);
+  
+  if (!ticker || ticker === "???") {
+    console.log(`[Nitter Scraper] No valid ticker provided`);
+    return null;
+  }
+
+  if (!SCRAPINGBEE_API_KEY) {
+    console.log(`[Nitter Scraper] SCRAPINGBEE_KEY not set, skipping search`);
+    return {
+      tweets: [],
+      ticker,
+      tweetCount: 0,
+    };
+  }
+
+  // Nitter mirrors to try (in order of preference)
+  const nitterMirrors = [
+    'https://nitter.net',
+    'https://nitter.privacydev.net',
+    'https://nitter.poast.org',
+  ];
+
+  // Search for token with $ symbol (e.g., "$PEPE")
+  const searchQuery = `$${ticker}`;
+
+  for (const mirror of nitterMirrors) {
+    try {
+      console.log(`[Nitter Scraper] Trying mirror: ${mirror}`);
+      
+      // Build Nitter search URL
+      const searchUrl = `${mirror}/search?f=tweets&q=${encodeURIComponent(searchQuery)}`;
+      console.log(`[Nitter Scraper] Fetching via ScrapingBee: ${searchUrl}`);
+      
+      // Fetch HTML using ScrapingBee
+      const html = await fetchWithScrapingBee(searchUrl);
+      
+      // Check for rate limiting or errors
+      if (html.includes('rate limit') || html.includes('Too many requests')) {
+        console.log(`[Nitter Scraper] ${mirror} is rate limited`);
+        continue; // Try next mirror
+      }
+
+      // Parse HTML with cheerio
+      const $ = cheerio.load(html);
+      
+      // Check if we have tweets
+      const tweetElements = $('.timeline-item');
+      if (tweetElements.length === 0) {
+        console.log(`[Nitter Scraper] No tweets found on ${mirror}`);
+        continue; // Try next mirror
+      }
+
+      // Extract tweets using Nitter's HTML structure
+      const tweets = [];
+      
+      tweetElements.slice(0, 5).each((i, el) => {
+        const $tweet = $(el);
+        
+        // Extract tweet text
+        const text = $tweet.find('.tweet-content').text().trim();
+        
+        // Extract author and username
+        const authorElement = $tweet.find('.tweet-header a').first();
+        const author = authorElement.text().trim();
+        const usernameHref = authorElement.attr('href') || '';
+        const username = usernameHref ? usernameHref.replace('/', '') : '';
+        
+        // Extract time
+        const timeElement = $tweet.find('time');
+        const date = timeElement.attr('datetime') || '';
+        const timeText = timeElement.text().trim();
+        
+        // Extract engagement metrics (Nitter format)
+        const replyElement = $tweet.find('.icon-reply').parent();
+        const retweetElement = $tweet.find('.icon-retweet').parent();
+        const likeElement = $tweet.find('.icon-heart').parent();
+        
+        const replies = replyElement.text().match(/\d+/) ? replyElement.text().match(/\d+/)[0] : '0';
+        const retweets = retweetElement.text().match(/\d+/) ? retweetElement.text().match(/\d+/)[0] : '0';
+        const likes = likeElement.text().match(/\d+/) ? likeElement.text().match(/\d+/)[0] : '0';
+        
+        // Extract tweet URL
+        const linkElement = $tweet.find('a[href*="/status/"]').first();
+        let tweetUrl = null;
+        let tweetId = null;
+        
+        if (linkElement.length > 0) {
+          const href = linkElement.attr('href') || '';
+          if (href) {
+            // Convert Nitter URL to X.com URL
+            const statusMatch = href.match(/\/status\/(\d+)/);
+            if (statusMatch) {
+              tweetId = statusMatch[1];
+              if (username) {
+                tweetUrl = `https://x.com/${username}/status/${tweetId}`;
+              } else {
+                tweetUrl = href.startsWith('http') ? href : `https://x.com${href}`;
+              }
+            } else {
+              tweetUrl = href.startsWith('http') ? href : `https://x.com${href}`;
+            }
+          }
+        }
+
+        // Only include tweets that actually mention the ticker
+        if (text && (text.includes(`$${ticker}`) || text.toLowerCase().includes(ticker.toLowerCase()))) {
+          tweets.push({
+            text,
+            author,
+            username,
+            date,
+            timeText,
+            replies: parseInt(replies) || 0,
+            retweets: parseInt(retweets) || 0,
+            likes: parseInt(likes) || 0,
+            tweetId,
+            tweetUrl,
+          });
+        }
+      });
+
+      if (tweets.length > 0) {
+        const duration = Date.now() - startTime;
+        console.log(`[Nitter Scraper] ✅ Success via ${mirror}: Found ${tweets.length} tweets - ${duration}ms`);
+
+        // Format to match expected structure
+        const formattedTweets = tweets.map(tweet => ({
+          text: tweet.text,
+          date: tweet.date || tweet.timeText,
+          likes: tweet.likes.toString(),
+          retweets: tweet.retweets.toString(),
+          tweetId: tweet.tweetId,
+          tweetUrl: tweet.tweetUrl,
+          username: tweet.username,
+          author: tweet.author,
+        }));
+
+        return {
+          tweets: formattedTweets,
+          query: searchQuery,
+          ticker,
+          tweetCount: formattedTweets.length,
+        };
+      } else {
+        console.log(`[Nitter Scraper] ${mirror} returned 0 relevant tweets`);
+      }
+    } catch (error) {
+      console.log(`[Nitter Scraper] Error with ${mirror}: ${error.message}`);
+      continue; // Try next mirror
+    }
+  }
+
+  // All mirrors failed
+  const duration = Date.now() - startTime;
+  console.log(`[Nitter Scraper] ❌ All mirrors failed after ${duration}ms`);
+  
+  return {
+    tweets: [],
+    ticker,
+    tweetCount: 0,
+  };
+}
+
+// Fetch Twitter via Nitter using ScrapingBee
+export async function getTwitterFromNitter(twitterUrl) {
+  const startTime = Date.now();
+  console.log(`[Nitter Scraper] Starting Twitter scrape for: ${twitterUrl}`);
+  
+  if (!twitterUrl) {
+    console.log(`[Nitter Scraper] No Twitter URL provided`);
+    return null;
+  }
+
+  // Extract username from Twitter URL
+  const usernameMatch = twitterUrl.match(/(?:twitter\.com|x\.com)\/([^\/\?]+)/);
+  const username = usernameMatch ? usernameMatch[1] : null;
+
+  if (!username) {
+    console.log(`[Nitter Scraper] Could not extract username from URL`);
+    return null;
+  }
+
+  console.log(`[Nitter Scraper] Extracted username: ${username}`);
+
+  if (!SCRAPINGBEE_API_KEY) {
+    console.log(`[Nitter Scraper] SCRAPINGBEE_KEY not set, skipping`);
+      return null;
+    }
+
+  // Nitter mirrors to try (in order of preference)
+  const nitterMirrors = [
+    'https://nitter.net',
+    'https://nitter.privacydev.net',
+    'https://nitter.poast.org',
+  ];
+
+  for (const mirror of nitterMirrors) {
+    try {
+      console.log(`[Nitter Scraper] Trying mirror: ${mirror}`);
+      
+      // Build Nitter user profile URL
+      const nitterUrl = `${mirror}/${username}`;
+      console.log(`[Nitter Scraper] Fetching via ScrapingBee: ${nitterUrl}`);
+      
+      // Fetch HTML using ScrapingBee
+      const html = await fetchWithScrapingBee(nitterUrl);
+      
+      // Check for rate limiting or errors
+      if (html.includes('rate limit') || html.includes('Too many requests')) {
+        console.log(`[Nitter Scraper] ${mirror} is rate limited`);
+        continue; // Try next mirror
+      }
+
+      // Parse HTML with cheerio
+    const $ = cheerio.load(html);
+
+      // Check if we have tweets
+      const tweetElements = $('.timeline-item');
+      if (tweetElements.length === 0) {
+        console.log(`[Nitter Scraper] No tweets found on ${mirror}`);
+        continue; // Try next mirror
+      }
+
+      // Extract tweets using Nitter's HTML structure
+    const tweets = [];
+
+      tweetElements.slice(0, 5).each((i, el) => {
+        const $tweet = $(el);
+        
+        // Extract tweet text
+        const text = $tweet.find('.tweet-content').text().trim();
+        
+        // Extract time
+        const timeElement = $tweet.find('time');
+        const date = timeElement.attr('datetime') || '';
+        const timeText = timeElement.text().trim();
+        
+        // Extract engagement metrics (Nitter format)
+        const replyElement = $tweet.find('.icon-reply').parent();
+        const retweetElement = $tweet.find('.icon-retweet').parent();
+        const likeElement = $tweet.find('.icon-heart').parent();
+        
+        const replies = replyElement.text().match(/\d+/) ? replyElement.text().match(/\d+/)[0] : '0';
+        const retweets = retweetElement.text().match(/\d+/) ? retweetElement.text().match(/\d+/)[0] : '0';
+        const likes = likeElement.text().match(/\d+/) ? likeElement.text().match(/\d+/)[0] : '0';
+        
+        // Extract tweet URL
+        const linkElement = $tweet.find('a[href*="/status/"]').first();
+        let tweetUrl = null;
+        let tweetId = null;
+        
+        if (linkElement.length > 0) {
+          const href = linkElement.attr('href') || '';
+          if (href) {
+            // Convert Nitter URL to X.com URL
+            const statusMatch = href.match(/\/status\/(\d+)/);
+            if (statusMatch) {
+              tweetId = statusMatch[1];
+              tweetUrl = `https://x.com/${username}/status/${tweetId}`;
+            } else {
+              tweetUrl = href.startsWith('http') ? href : `https://x.com${href}`;
+            }
+          }
+        }
+
+        if (text) {
+      tweets.push({
+        text,
+        date,
+            timeText,
+            likes: parseInt(likes) || 0,
+            retweets: parseInt(retweets) || 0,
+            replies: parseInt(replies) || 0,
+            tweetId,
+            tweetUrl,
+          });
+        }
+      });
+
+      if (tweets.length > 0) {
+        const duration = Date.now() - startTime;
+        console.log(`[Nitter Scraper] ✅ Success via ${mirror}: Found ${tweets.length} tweets - ${duration}ms`);
+
+    const result = {
+      tweets,
+      topTweet: tweets[0] || null,
+      tweetCount: tweets.length,
+    };
+    
+    return result;
+      } else {
+        console.log(`[Nitter Scraper] ${mirror} returned 0 tweets`);
+      }
+    } catch (error) {
+      console.log(`[Nitter Scraper] Error with ${mirror}: ${error.message}`);
+      continue; // Try next mirror
+    }
+  }
+
+    const duration = Date.now() - startTime;
+  console.error(`[Nitter Scraper] ❌ All mirrors failed after ${duration}ms`);
+    return null;
+}
+
+// Fetch Telegram via public t.me/s/{channel}
+export async function getTelegramFeed(telegramUrl) {
+  const startTime = Date.now();
+  console.log(`[Telegram] Starting scrape for: ${telegramUrl}`);
+  
+  if (!telegramUrl) {
+    console.log(`[Telegram] No Telegram URL provided`);
+    return null;
+  }
+
+  const publicUrl = telegramUrl
+    .replace("https://t.me/", "https://t.me/s/")
+    .replace("http://t.me/", "https://t.me/s/");
+
+  console.log(`[Telegram] Converted to public URL: ${publicUrl}`);
+
+  try {
+    const response = await fetchWithTimeout(publicUrl, {}, 8000);
+    console.log(`[Telegram] Response status: ${response.status}`);
+    
+    if (!response.ok) {
+      console.log(`[Telegram] Request failed: ${response.status}`);
+      return null;
+    }
+
+    const html = await response.text();
+    const $ = cheerio.load(html);
+
+    const messages = [];
+
+    $(".tgme_widget_message").each((i, el) => {
+      if (i >= 10) return; // limit
+
+      const text = $(el).find(".tgme_widget_message_text").text().trim();
+      const date = $(el).find("time").attr("datetime");
+
+      messages.push({ text, date });
+    });
+
+    const result = {
+      messages,
+      recentMessageCount: messages.length,
+      lastMessage: messages[0] || null,
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Telegram] ✅ Success: ${messages.length} messages scraped - ${duration}ms`);
+    
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Telegram] ❌ Failed after ${duration}ms:`, err.message);
+    console.error(`[Telegram] Error details:`, err);
+    return null;
+  }
+}
+
+// Helper: Contract addresses a page mentions (EVM and Solana-style), deduplicated.
+// Project sites list their contract address; clone detection checks which one.
+function extractAddresses(html) {
+  const matches = html.match(/\b(0x[a-fA-F0-9]{40}|[1-9A-HJ-NP-Za-km-z]{32,44})\b/g) || [];
+  return [...new Set(matches)].slice(0, 100);
+}
+
+// Scrape website HTML using CORSProxy (free)
+export async function scrapeWebsite(websiteUrl) {
+  const startTime = Date.now();
+  console.log(`[Website] Starting scrape for: ${websiteUrl}`);
+  
+  if (!websiteUrl) {
+    console.log(`[Website] No website URL provided`);
+    return null;
+  }
+
+  // Method 1: Try allorigins proxy (more reliable than corsproxy)
+  try {
+    const proxied = `https://api.allorigins.win/raw?url=${encodeURIComponent(websiteUrl)}`;
+    console.log(`[Website] Trying allorigins proxy...`);
+
+    const response = await fetchWithTimeout(proxied, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      }
+    }, 10000);
+    
+    console.log(`[Website] Response status: ${response.status}`);
+    
+    if (!response.ok) {
+      throw new Error(`Response not OK: ${response.status}`);
+    }
+
+    const html = await response.text();
+
+    // Detect Cloudflare protection
+    if (html.includes('Just a moment') || 
+        html.includes('cf-browser-verification') || 
+        html.includes('Checking your browser')) {
+      console.log(`[Website] Cloudflare protection detected, trying direct fetch...`);
+      throw new Error('Cloudflare protected');
+    }
+
+    // Detect empty or error responses
+    if (html.length < 100) {
+      console.log(`[Website] Response too short (${html.length} chars), likely empty`);
+      throw new Error('Empty response from proxy');
+    }
+
+    const $ = cheerio.load(html);
+
+    const title = $("title").text().trim();
+    const metaDesc = $('meta[name="description"]').attr("content") || 
+                     $('meta[property="og:description"]').attr("content") || '';
+    const text = $("body").text().replace(/\s+/g, " ").trim();
+
+    // Validate we got actual content
+    if (!title && text.length < 100) {
+      console.log(`[Website] No meaningful content extracted`);
+      throw new Error('No content extracted');
+    }
+
+    const result = {
+      title,
+      metaDesc,
+      shortText: text.slice(0, 1500),
+      addresses: extractAddresses(html),
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Website] ✅ Success via allorigins: Title="${title.substring(0, 50)}...", ${text.length} chars - ${duration}ms`);
+    
+    return result;
+  } catch (proxyErr) {
+    console.log(`[Website] Proxy method failed: ${proxyErr.message}`);
+  }
+
+  // Method 2: Direct fetch with proper headers (bypasses most Cloudflare)
+  try {
+    console.log(`[Website] Attempting direct fetch with browser headers...`);
+    
+    const response = await fetchWithTimeout(websiteUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'DNT': '1',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'none',
+      }
+    }, 8000);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = await response.text();
+
+    // Same validation checks
+    if (html.includes('Just a moment') || 
+        html.includes('cf-browser-verification') ||
+        html.length < 100) {
+      throw new Error('Cloudflare or empty response');
+    }
+
+    const $ = cheerio.load(html);
+
+    const title = $("title").text().trim();
+    const metaDesc = $('meta[name="description"]').attr("content") || 
+                     $('meta[property="og:description"]').attr("content") || '';
+    const text = $("body").text().replace(/\s+/g, " ").trim();
+
+    if (!title && text.length < 100) {
+      throw new Error('No content extracted');
+    }
+
+    const result = {
+      title,
+      metaDesc,
+      shortText: text.slice(0, 1500),
+      addresses: extractAddresses(html),
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Website] ✅ Success via direct fetch: Title="${title.substring(0, 50)}...", ${text.length} chars - ${duration}ms`);
+    
+    return result;
+  } catch (directErr) {
+    const duration = Date.now() - startTime;
+    console.error(`[Website] ❌ All methods failed after ${duration}ms`);
+    console.error(`[Website] Final error:`, directErr.message);
+    return null;
+  }
+}
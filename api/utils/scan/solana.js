@@ -0,0 +1,178 @@
+// Minimal Solana JSON-RPC client used by the scan pipeline
+import { fetchWithTimeout } from "./http.js";
+
+export const SYSTEM_PROGRAM_ID = "11111111111111111111111111111111";
+export const TOKEN_PROGRAM_ID = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+export const TOKEN_2022_PROGRAM_ID = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+
+// Helper: Resolve the Solana RPC endpoint (SOLANA_RPC_URL, then Helius, then public mainnet)
+export function getSolanaRpcUrl() {
+  if (process.env.SOLANA_RPC_URL) return process.env.SOLANA_RPC_URL;
+  if (process.env.HELIUS_KEY) return `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_KEY}`;
+  return "https://api.mainnet-beta.solana.com";
+}
+
+// Send a single JSON-RPC request and return its result (throws on RPC errors)
+export async function solanaRpcCall(method, params = [], { timeout = 8000, rpcUrl } = {}) {
+  const response = await fetchWithTimeout(
+    rpcUrl || getSolanaRpcUrl(),
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    },
+    timeout
+  );
+
+  if (!response.ok) {
+    throw new Error(`Solana RPC error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  if (json.error) {
+    const error = new Error(`Solana RPC error: ${json.error.message || "unknown"}`);
+    error.code = json.error.code;
+    error.data = json.error.data;
+    throw error;
+  }
+
+  return json.result;
+}
+
+// Fetch a parsed account (null when the account does not exist)
+export async function getParsedAccountInfo(address, options) {
+  const result = await solanaRpcCall(
+    "getAccountInfo",
+    [address, { encoding: "jsonParsed", commitment: "confirmed" }],
+    options
+  );
+  return result?.value ?? null;
+}
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Helper: Base58-encode raw bytes (used for public keys read out of account data)
+export function encodeBase58(bytes) {
+  let value = 0n;
+  for (const byte of bytes) value = value * 256n + BigInt(byte);
+
+  let encoded = "";
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+
+  // Each leading zero byte is a leading "1"
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = "1" + encoded;
+  }
+  return encoded;
+}
+
+// Helper: Decode a base58 string into bytes (throws on characters outside the alphabet)
+export function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid base58 character "${char}"`);
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+
+  // Each leading "1" is a leading zero byte
+  for (const char of text) {
+    if (char !== "1") break;
+    bytes.unshift(0);
+  }
+  return Uint8Array.from(bytes);
+}
+
+// ed25519 field prime and curve constant d = -121665/121666
+const ED25519_P = 2n ** 255n - 19n;
+
+// Helper: Modular exponentiation over the ed25519 field
+function powMod(base, exponent) {
+  let result = 1n;
+  base %= ED25519_P;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % ED25519_P;
+    base = (base * base) % ED25519_P;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+const ED25519_D = (((-121665n * powMod(121666n, ED25519_P - 2n)) % ED25519_P) + ED25519_P) % ED25519_P;
+
+// Helper: Whether 32 bytes decompress to an ed25519 point, i.e. x^2 = (y^2 - 1) / (d*y^2 + 1)
+// has a solution. Program-derived addresses must be off the curve so no private key exists.
+function isOnCurve(bytes) {
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) y = (y << 8n) | BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+  const y2 = (y * y) % ED25519_P;
+  const u = (y2 - 1n + ED25519_P) % ED25519_P;
+  const v = (ED25519_D * y2 + 1n) % ED25519_P;
+  const x2 = (u * powMod(v, ED25519_P - 2n)) % ED25519_P;
+  return x2 === 0n || powMod(x2, (ED25519_P - 1n) / 2n) === 1n;
+}
+
+// Derive a program address the way the runtime does: sha256(seeds, bump, program id,
+// "ProgramDerivedAddress") for bump 255 downwards until the hash is off the curve.
+// Seeds are strings (UTF-8) or byte arrays; returns the base58 address.
+export async function findProgramAddress(seeds, programId) {
+  const encoder = new TextEncoder();
+  const parts = seeds.map((seed) => (typeof seed === "string" ? encoder.encode(seed) : seed));
+  const suffix = [...decodeBase58(programId), ...encoder.encode("ProgramDerivedAddress")];
+
+  for (let bump = 255; bump >= 0; bump--) {
+    const input = Uint8Array.from([...parts.flatMap((part) => [...part]), bump, ...suffix]);
+    const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", input));
+    if (!isOnCurve(hash)) return encodeBase58(hash);
+  }
+  throw new Error(`No program address found for ${programId}`);
+}
+
+// Helper: Read a 32-byte public key from account data
+export function readPubkey(data, offset) {
+  if (data.length < offset + 32) return null;
+  return encodeBase58(data.subarray(offset, offset + 32));
+}
+
+// Helper: Read a little-endian u64 from account data (BigInt)
+export function readU64(data, offset) {
+  if (data.length < offset + 8) return null;
+  return new DataView(data.buffer, data.byteOffset, data.byteLength).getBigUint64(offset, true);
+}
+
+// Fetch raw account data as bytes along with its owner program (null when missing)
+export async function getRawAccount(address, options) {
+  const result = await solanaRpcCall(
+    "getAccountInfo",
+    [address, { encoding: "base64", commitment: "confirmed" }],
+    options
+  );
+  const account = result?.value;
+  if (!account) return null;
+  return { owner: account.owner, data: Uint8Array.from(atob(account.data[0]), (c) => c.charCodeAt(0)) };
+}
+
+// Helper: Token balance change per owner in a jsonParsed transaction (UI amounts)
+export function getTokenBalanceDeltas(tx, mint) {
+  const deltas = new Map();
+  const add = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.mint !== mint || !balance.owner) continue;
+      const amount = Number(balance.uiTokenAmount?.uiAmountString ?? balance.uiTokenAmount?.uiAmount ?? 0);
+      deltas.set(balance.owner, (deltas.get(balance.owner) || 0) + sign * amount);
+    }
+  };
+  add(tx.meta?.preTokenBalances, -1);
+  add(tx.meta?.postTokenBalances, 1);
+  return deltas;
+}
@@ -0,0 +1,570 @@
+// On-chain and market data sources for token scans
+import { fetchWithTimeout, isRetryableStatus } from "./http.js";
+import { isQuoteToken } from "./chains.js";
+import { analyzePairs } from "./pairs.js";
+
+// Fetch token data from DexScreener
+export async function getDexScreenerData(contractAddress, { timeout = 8000, chain } = {}) {
+  const startTime = Date.now();
+  console.log(`[DexScreener] Starting fetch for ${contractAddress}`);
+  
+  try {
+    const url = `https://api.dexscreener.com/latest/dex/tokens/${contractAddress}`;
+    console.log(`[DexScreener] Fetching: ${url}`);
+    
+    const response = await fetchWithTimeout(url, {}, timeout);
+
+    console.log(`[DexScreener] Response status: ${response.status}`);
+    
+    if (!response.ok) {
+      if (response.status === 404) {
+        console.log(`[DexScreener] Token not found (404)`);
+      return null;
+      }
+      throw new Error(`DexScreener API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    console.log(`[DexScreener] Received data: ${data.pairs?.length || 0} pairs`);
+    
+    // The tokens endpoint is cross-chain; only keep pairs on the chain being scanned
+    const pairs = (data.pairs || []).filter(
+      (pair) => !chain?.dexscreenerId || pair.chainId === chain.dexscreenerId
+    );
+    
+    if (pairs.length === 0) {
+      console.log(`[DexScreener] No trading pairs found${chain ? ` on ${chain.name}` : ""}`);
+      return null;
+    }
+    
+    // Main pair: the deepest pool against a known quote token where the token is the base
+    // (fake pools against worthless tokens can claim any liquidity), else the deepest pool
+    const pairAnalysis = chain ? analyzePairs(pairs, contractAddress, chain) : null;
+    const byLiquidity = [...pairs].sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+    const isBase = (pair) => pair.baseToken?.address?.toLowerCase() === contractAddress.toLowerCase();
+    const mainPair =
+      byLiquidity.find((pair) => isBase(pair) && (!chain || isQuoteToken(chain, pair.quoteToken?.address))) ||
+      byLiquidity.find(isBase) ||
+      byLiquidity[0];
+    const isQuote = mainPair.quoteToken?.address?.toLowerCase() === contractAddress.toLowerCase();
+    const token = isQuote ? mainPair.quoteToken : mainPair.baseToken;
+
+    // Liquidity and volume are summed over known-quote pairs; with none, the main pair's own numbers are kept
+    const hasLegitPairs = pairAnalysis?.legitPairCount > 0;
+    const result = {
+      tokenName: token?.name || "Unknown Token",
+      symbol: token?.symbol || "???",
+      priceUsd: (isQuote ? pairAnalysis?.priceUsd : mainPair.priceUsd) || null,
+      volume24h: (hasLegitPairs ? pairAnalysis.volume24h : mainPair.volume?.h24) || null,
+      liquidity: (hasLegitPairs ? pairAnalysis.liquidityUsd : mainPair.liquidity?.usd) || null,
+      priceChange24h: mainPair.priceChange?.h24 || null,
+      socials: {
+        website: mainPair.info?.websites?.[0]?.url || null,
+        x: mainPair.info?.socials?.find((s) => s.type === "twitter")?.url || null,
+        telegram: mainPair.info?.socials?.find((s) => s.type === "telegram")?.url || null,
+      },
+      dexUrl: mainPair.url || null,
+      pair: {
+        pairAddress: mainPair.pairAddress,
+        dexId: mainPair.dexId || null,
+        labels: mainPair.labels || [],
+        quoteAddress: mainPair.quoteToken?.address || null,
+        quoteSymbol: mainPair.quoteToken?.symbol || null,
+        liquidityUsd: mainPair.liquidity?.usd || null,
+        createdAt: mainPair.pairCreatedAt || null,
+      },
+      pairAnalysis,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(`[DexScreener] ✅ Success: ${result.symbol} (${result.tokenName}), ${pairs.length} pairs - ${duration}ms`);
+    console.log(`[DexScreener] Socials: website=${!!result.socials.website}, twitter=${!!result.socials.x}, telegram=${!!result.socials.telegram}`);
+
+    return result;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`[DexScreener] ❌ Failed after ${duration}ms:`, error.message);
+    console.error(`[DexScreener] Error details:`, error);
+    throw new Error(`Failed to fetch market data: ${error.message}`);
+  }
+}
+
+// Fetch current liquidity for up to 30 tokens on one chain from DexScreener.
+// Returns a Map of token address -> { liquidityUsd, pairCount, name, symbol }; tokens
+// without pairs are left out.
+export async function getDexScreenerLiquidity(addresses, { timeout = 8000, chain } = {}) {
+  const liquidity = new Map();
+  if (addresses.length === 0) return liquidity;
+
+  const url = `https://api.dexscreener.com/tokens/v1/${chain.dexscreenerId}/${addresses.slice(0, 30).join(",")}`;
+  const response = await fetchWithTimeout(url, {}, timeout);
+  if (!response.ok) {
+    throw new Error(`DexScreener API error: ${response.status}`);
+  }
+
+  const pairs = await response.json();
+  const wanted = new Map(addresses.map((address) => [address.toLowerCase(), address]));
+  for (const pair of Array.isArray(pairs) ? pairs : []) {
+    const token = wanted.get(pair.baseToken?.address?.toLowerCase());
+    if (!token) continue;
+    const entry = liquidity.get(token) || { liquidityUsd: 0, pairCount: 0, name: pair.baseToken.name, symbol: pair.baseToken.symbol };
+    entry.liquidityUsd += pair.liquidity?.usd || 0;
+    entry.pairCount += 1;
+    liquidity.set(token, entry);
+  }
+  return liquidity;
+}
+
+// Fetch coins a wallet launched on pump.fun (unofficial frontend API, best effort).
+// Returns [{ mint, name, symbol }].
+export async function getPumpFunCreatedCoins(wallet, { timeout = 8000, limit = 50 } = {}) {
+  const url = `https://frontend-api-v3.pump.fun/coins/user-created-coins/${wallet}?offset=0&limit=${limit}&includeNsfw=true`;
+  const response = await fetchWithTimeout(url, {}, timeout);
+  if (!response.ok) {
+    if (response.status === 404) return [];
+    throw new Error(`pump.fun API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  const coins = Array.isArray(json) ? json : json?.coins || [];
+  return coins
+    .filter((coin) => coin?.mint)
+    .map((coin) => ({ mint: coin.mint, name: coin.name || null, symbol: coin.symbol || null }));
+}
+
+// Fetch a pump.fun coin (unofficial frontend API). Null when pump.fun doesn't know the mint.
+export async function getPumpFunCoin(mint, { timeout = 8000 } = {}) {
+  const response = await fetchWithTimeout(`https://frontend-api-v3.pump.fun/coins/${mint}`, {}, timeout);
+  if (!response.ok) {
+    if (response.status === 404 || response.status === 400) return null;
+    throw new Error(`pump.fun API error: ${response.status}`);
+  }
+
+  const coin = await response.json().catch(() => null);
+  return coin?.mint ? coin : null;
+}
+
+// Fetch the USD price of a chain's native coin from its most liquid wrapped-native pair
+export async function getNativeUsdPrice(chain, { timeout = 8000 } = {}) {
+  const wrapped = chain.quoteTokens[0];
+  const response = await fetchWithTimeout(`https://api.dexscreener.com/tokens/v1/${chain.dexscreenerId}/${wrapped}`, {}, timeout);
+  if (!response.ok) {
+    throw new Error(`DexScreener API error: ${response.status}`);
+  }
+
+  const pairs = await response.json();
+  const mainPair = (Array.isArray(pairs) ? pairs : [])
+    .filter((pair) => pair.baseToken?.address?.toLowerCase() === wrapped.toLowerCase() && pair.priceUsd)
+    .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+  return mainPair ? Number(mainPair.priceUsd) : null;
+}
+
+// Fetch token safety data from RugCheck
+export async function getRugCheckData(contractAddress, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[RugCheck] Starting fetch for ${contractAddress}`);
+  
+  try {
+    const url = `https://api.rugcheck.xyz/v1/tokens/${contractAddress}/report`;
+    console.log(`[RugCheck] Fetching: ${url}`);
+    
+    const response = await fetchWithTimeout(url, {}, timeout);
+    console.log(`[RugCheck] Response status: ${response.status}`);
+    
+    if (!response.ok) {
+      if (response.status === 404 || response.status === 400) {
+        console.log(`[RugCheck] No data available (${response.status})`);
+      return null;
+      }
+      throw new Error(`RugCheck API error: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const result = {
+      riskLevel: data.riskLevel || "unknown",
+      risks: data.risks || [],
+      score: data.score || null,
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[RugCheck] ✅ Success: ${result.risks.length} risks found - ${duration}ms`);
+    console.log(`[RugCheck] Risk level: ${result.riskLevel}, Score: ${result.score}`);
+    
+    return result;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`[RugCheck] ❌ Failed after ${duration}ms:`, error.message);
+    // Rethrow so the provider registry can retry; it falls back to null
+    throw error;
+  }
+}
+
+// Fetch token holders from Solscan
+export async function getSolscanHolders(mint, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[Solscan] Starting fetch for holders: ${mint}`);
+  
+  try {
+    // Solscan public API endpoint for token holders
+    const url = `https://public-api.solscan.io/token/holders?tokenAddress=${mint}&offset=0&size=1`;
+    
+    const response = await fetchWithTimeout(
+      url,
+      {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      },
+      timeout
+    );
+
+    if (!response.ok) {
+      if (isRetryableStatus(response.status)) {
+        throw new Error(`Solscan API error: ${response.status}`);
+      }
+      console.log(`[Solscan] Request failed: ${response.status}`);
+      return null;
+    }
+
+    const json = await response.json();
+    
+    // Solscan returns total count in the response
+    const holderCount = json?.total || null;
+    
+    const duration = Date.now() - startTime;
+    if (holderCount !== null) {
+      console.log(`[Solscan] ✅ Success: ${holderCount} holders - ${duration}ms`);
+    } else {
+      console.log(`[Solscan] No holder count in response - ${duration}ms`);
+    }
+    
+    return holderCount;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Solscan] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
+
+// Fetch token info from the chain's Etherscan-style explorer (BSCScan, Etherscan, BaseScan, Arbiscan)
+export async function getExplorerTokenInfo(contractAddress, { timeout = 8000, chain } = {}) {
+  const startTime = Date.now();
+  const explorer = chain?.explorerName || "Explorer";
+  console.log(`[${explorer}] Starting fetch for ${contractAddress}`);
+  
+  if (!chain?.explorerApiUrl) {
+    console.log(`[${explorer}] No explorer API for this chain`);
+    return null;
+  }
+  
+  const apiKey = process.env[chain.explorerApiKeyEnv];
+  if (!apiKey) {
+    console.log(`[${explorer}] No API key configured (${chain.explorerApiKeyEnv})`);
+    return null;
+  }
+  
+  try {
+    // Get token info (name, symbol, decimals, total supply)
+    const tokenInfoUrl = `${chain.explorerApiUrl}?module=token&action=tokeninfo&contractaddress=${contractAddress}&apikey=${apiKey}`;
+    
+    const response = await fetchWithTimeout(
+      tokenInfoUrl,
+      {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      },
+      timeout
+    );
+
+    if (!response.ok) {
+      if (isRetryableStatus(response.status)) {
+        throw new Error(`${explorer} API error: ${response.status}`);
+      }
+      console.log(`[${explorer}] Request failed: ${response.status}`);
+      return null;
+    }
+
+    const json = await response.json();
+    
+    if (json.status !== "1" || !json.result) {
+      console.log(`[${explorer}] API returned error: ${json.message || "Unknown error"}`);
+      return null;
+    }
+
+    const token = Array.isArray(json.result) ? json.result[0] : json.result;
+    if (!token) return null;
+
+    const result = {
+      tokenName: token.name || token.tokenName || null,
+      tokenSymbol: token.symbol || null,
+      decimals: token.decimals || token.divisor ? parseInt(token.decimals || token.divisor) : null,
+      supply: token.totalSupply ? BigInt(token.totalSupply).toString() : null,
+      holderCount: null, // Will be fetched separately
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[${explorer}] ✅ Success: ${result.tokenSymbol || "N/A"} - ${duration}ms`);
+    console.log(`[${explorer}] Supply: ${result.supply}, Decimals: ${result.decimals}`);
+    
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[${explorer}] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
+
+// Fetch who deployed a contract and in which transaction from the chain's explorer.
+// Returns { creator, txHash } (null without an API key).
+export async function getContractCreation(contractAddress, { timeout = 8000, chain } = {}) {
+  const apiKey = chain?.explorerApiKeyEnv ? process.env[chain.explorerApiKeyEnv] : null;
+  if (!chain?.explorerApiUrl || !apiKey) return null;
+
+  const url = `${chain.explorerApiUrl}?module=contract&action=getcontractcreation&contractaddresses=${contractAddress}&apikey=${apiKey}`;
+  const response = await fetchWithTimeout(url, {}, timeout);
+  if (!response.ok) {
+    throw new Error(`${chain.explorerName} API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  const creation = Array.isArray(json.result) ? json.result[0] : null;
+  if (!creation?.contractCreator) return null;
+  return { creator: creation.contractCreator.toLowerCase(), txHash: creation.txHash || null };
+}
+
+// Fetch the address that deployed a contract from the chain's explorer (null without an API key)
+export async function getContractCreator(contractAddress, options) {
+  const creation = await getContractCreation(contractAddress, options);
+  return creation?.creator ?? null;
+}
+
+// Helper: Flatten explorer SourceCode (plain text, or standard-JSON input wrapped in {{ }})
+function flattenSourceCode(sourceCode) {
+  const text = sourceCode.trim();
+  if (!text.startsWith("{")) return text;
+  try {
+    const input = JSON.parse(text.startsWith("{{") ? text.slice(1, -1) : text);
+    const files = input.sources || input;
+    return Object.values(files).map((file) => file?.content || "").join("\n");
+  } catch {
+    return text;
+  }
+}
+
+// Fetch verified source and ABI from the chain's explorer (null without an API key).
+// Returns { verified, contractName, compilerVersion, sourceCode, abi, implementation }.
+export async function getContractSource(contractAddress, { timeout = 8000, chain } = {}) {
+  const apiKey = chain?.explorerApiKeyEnv ? process.env[chain.explorerApiKeyEnv] : null;
+  if (!chain?.explorerApiUrl || !apiKey) return null;
+
+  const url = `${chain.explorerApiUrl}?module=contract&action=getsourcecode&address=${contractAddress}&apikey=${apiKey}`;
+  const response = await fetchWithTimeout(url, {}, timeout);
+  if (!response.ok) {
+    throw new Error(`${chain.explorerName} API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  const contract = Array.isArray(json.result) ? json.result[0] : null;
+  if (!contract) return null;
+
+  // Unverified contracts come back with an empty SourceCode and a message in ABI
+  const verified = !!contract.SourceCode;
+  let abi = null;
+  if (verified) {
+    try {
+      abi = JSON.parse(contract.ABI);
+    } catch {
+      abi = null;
+    }
+  }
+
+  return {
+    verified,
+    contractName: contract.ContractName || null,
+    compilerVersion: contract.CompilerVersion || null,
+    sourceCode: verified ? flattenSourceCode(contract.SourceCode) : null,
+    abi,
+    implementation: contract.Proxy === "1" && contract.Implementation ? contract.Implementation.toLowerCase() : null,
+  };
+}
+
+// Fetch on-chain fundamentals from Helius
+export async function getHeliusFundamentals(mint, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[Helius] Starting fetch for ${mint}`);
+  
+  const url = `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_KEY}`;
+  const hasApiKey = !!process.env.HELIUS_KEY;
+  console.log(`[Helius] API key present: ${hasApiKey}`);
+
+  const body = {
+    jsonrpc: "2.0",
+    id: "helius-asset",
+    method: "getAsset",
+    params: { id: mint },
+  };
+
+  try {
+    console.log(`[Helius] Fetching from: ${url.substring(0, 50)}...`);
+    
+    const response = await fetchWithTimeout(
+      url,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      },
+      timeout
+    );
+
+    console.log(`[Helius] Response status: ${response.status}`);
+
+    if (!response.ok) {
+      if (isRetryableStatus(response.status)) {
+        throw new Error(`Helius API error: ${response.status}`);
+      }
+      console.log(`[Helius] Request failed: ${response.status}`);
+      return null;
+    }
+
+    const json = await response.json();
+    console.log(`[Helius] Response received:`, json.result ? "has result" : "no result");
+    
+    const asset = json?.result;
+
+    if (!asset) {
+      console.log(`[Helius] No asset data in response`);
+      return null;
+    }
+
+    const result = {
+      supply: asset.supply ?? null,
+      decimals: asset.decimals ?? null,
+      creators: asset.creators ?? [],
+      mintAuthority: asset.mintAuthority ?? null,
+      freezeAuthority: asset.freezeAuthority ?? null,
+      holderCount: asset.ownership?.ownerCount ?? null,
+      isMutable: asset.mutable ?? null,
+      updateAuthority: asset.authorities?.find((a) => a.scopes?.includes("full"))?.address ?? null,
+      createdAt: asset.createdAt ?? null,
+      tokenName: asset.content?.metadata?.name || null,
+      tokenSymbol: asset.content?.metadata?.symbol || null,
+      description: asset.content?.metadata?.description || null,
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Helius] ✅ Success: ${result.tokenSymbol || "N/A"} - ${duration}ms`);
+    console.log(`[Helius] Supply: ${result.supply}, Holders: ${result.holderCount}, Mint Authority: ${result.mintAuthority || "none"}`);
+    
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Helius] ❌ Failed after ${duration}ms:`, err.message);
+    console.error(`[Helius] Error details:`, err);
+    throw err;
+  }
+}
+
+// Fetch USD candles for a token in one pool from GeckoTerminal (`timeframe` is day, hour
+// or minute). Returns [{ time, open, high, low, close, volume }] oldest first; time is in seconds.
+export async function getGeckoTerminalOhlcv(poolAddress, tokenAddress, { chain, timeframe = "hour", limit = 168, timeout = 8000 } = {}) {
+  const query = new URLSearchParams({ aggregate: "1", limit: String(limit), currency: "usd", token: tokenAddress });
+  const url = `https://api.geckoterminal.com/api/v2/networks/${chain.geckoTerminalId}/pools/${poolAddress}/ohlcv/${timeframe}?${query}`;
+  const response = await fetchWithTimeout(url, { headers: { accept: "application/json" } }, timeout);
+  if (!response.ok) {
+    if (response.status === 404) return [];
+    throw new Error(`GeckoTerminal API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  return (json.data?.attributes?.ohlcv_list || [])
+    .map(([time, open, high, low, close, volume]) => ({ time, open, high, low, close, volume }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Fetch USD candles for a Solana token from Birdeye (`type` is e.g. 1H or 1D).
+// Returns [{ time, open, high, low, close, volume }] oldest first; time is in seconds.
+export async function getBirdeyeOhlcv(mint, { type = "1H", timeFrom, timeTo = Math.floor(Date.now() / 1000), timeout = 8000 } = {}) {
+  const query = new URLSearchParams({ address: mint, type, time_from: String(timeFrom), time_to: String(timeTo) });
+  const response = await fetchWithTimeout(
+    `https://public-api.birdeye.so/defi/ohlcv?${query}`,
+    { headers: { "X-API-KEY": process.env.BIRDEYE_KEY, "x-chain": "solana", accept: "application/json" } },
+    timeout
+  );
+  if (!response.ok) {
+    throw new Error(`Birdeye API error: ${response.status}`);
+  }
+
+  const json = await response.json();
+  return (json.data?.items || [])
+    .map((item) => ({ time: item.unixTime, open: item.o, high: item.h, low: item.l, close: item.c, volume: item.v }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Fetch market data from Birdeye
+export async function getBirdeyeData(mint, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[Birdeye] Starting fetch for ${mint}`);
+  
+  const url = `https://public-api.birdeye.so/defi/token_overview?address=${mint}`;
+  const hasApiKey = !!process.env.BIRDEYE_KEY;
+  console.log(`[Birdeye] API key present: ${hasApiKey}`);
+
+  try {
+    console.log(`[Birdeye] Fetching: ${url}`);
+    
+    const response = await fetchWithTimeout(
+      url,
+      {
+        method: "GET",
+        headers: {
+          "X-API-KEY": process.env.BIRDEYE_KEY,
+          accept: "application/json",
+        },
+      },
+      timeout
+    );
+
+    console.log(`[Birdeye] Response status: ${response.status}`);
+
+    if (!response.ok) {
+      if (isRetryableStatus(response.status)) {
+        throw new Error(`Birdeye API error: ${response.status}`);
+      }
+      console.log(`[Birdeye] Request failed: ${response.status}`);
+      return null;
+    }
+
+    const json = await response.json();
+    console.log(`[Birdeye] Response received:`, json.data ? "has data" : "no data");
+
+    if (!json.data) {
+      console.log(`[Birdeye] No data in response`);
+      return null;
+    }
+
+    const result = {
+      price: json.data.price ?? null,
+      priceChange24h: json.data.priceChange24h ?? null,
+      volume24h: json.data.volume24h ?? null,
+      liquidity: json.data.liquidity ?? null,
+      tradeCount24h: json.data.tradeCount24h ?? json.data.trade24h ?? null,
+      uniqueWallets24h: json.data.uniqueWallet24h ?? null,
+      trendingRank: json.data.tokenRanking ?? null,
+    };
+    
+    const duration = Date.now() - startTime;
+    console.log(`[Birdeye] ✅ Success: Price=$${result.price || "N/A"}, Volume=$${result.volume24h || "N/A"} - ${duration}ms`);
+    console.log(`[Birdeye] Trending rank: ${result.trendingRank || "N/A"}`);
+    
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Birdeye] ❌ Failed after ${duration}ms:`, err.message);
+    console.error(`[Birdeye] Error details:`, err);
+    throw err;
+  }
+}
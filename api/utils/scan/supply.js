@@ -0,0 +1,124 @@
+// Supply breakdown: total, burned, locked and circulating supply
+// Burned tokens sit in dead/incinerator wallets but still count toward total supply;
+// locked tokens sit in lockers or vesting escrows. Circulating supply is what's left,
+// and it - not total supply - is what market cap is priced on. FDV prices every token
+// that hasn't been burned.
+import { isEvmChain } from "./chains.js";
+import { decodeUint, encodeAddressWord, ethCall } from "./evm.js";
+import { BURN_OWNERS } from "./holders.js";
+import { EVM_BURN_ADDRESSES } from "./liquidityLock.js";
+import { solanaRpcCall } from "./solana.js";
+
+const BALANCE_OF_SELECTOR = "0x70a08231";
+
+// Helper: Percentage with two decimals
+function toPct(part, whole) {
+  if (!whole) return 0;
+  return Math.round((part / whole) * 10000) / 100;
+}
+
+// Helper: Balances of labeled EVM wallets ([{ address, label, amount }], zero balances dropped)
+async function getEvmBalances(tokenAddress, chain, wallets, unit, { timeout }) {
+  const balances = await Promise.all(
+    wallets.map(({ address }) =>
+      ethCall(chain, tokenAddress, `${BALANCE_OF_SELECTOR}${encodeAddressWord(address)}`, { timeout })
+        .then(decodeUint)
+        .catch(() => null)
+    )
+  );
+  return wallets
+    .map((wallet, idx) => ({ ...wallet, amount: balances[idx] ? Number(balances[idx]) / unit : 0 }))
+    .filter((wallet) => wallet.amount > 0);
+}
+
+// Helper: Balances held by Solana burn wallets ([{ address, label, amount }])
+async function getSolanaBurnBalances(mint, { timeout }) {
+  const results = await Promise.all(
+    Object.entries(BURN_OWNERS).map(async ([address, label]) => {
+      const accounts = await solanaRpcCall(
+        "getTokenAccountsByOwner",
+        [address, { mint }, { encoding: "jsonParsed" }],
+        { timeout }
+      ).catch(() => null);
+      const amount = (accounts?.value || []).reduce(
+        (sum, account) => sum + Number(account.account?.data?.parsed?.info?.tokenAmount?.uiAmountString ?? 0),
+        0
+      );
+      return { address, label, amount };
+    })
+  );
+  return results.filter((wallet) => wallet.amount > 0);
+}
+
+// Break a token's supply down and price it.
+// `supply` is the raw total supply (base units) and `holderDistribution` the top-holder
+// breakdown, whose `locker` entries are Solana lock/vesting escrows. Returns null without
+// a total supply, else { totalSupply, burnedSupply, lockedSupply, circulatingSupply,
+// burnedPct, lockedPct, circulatingPct, burned, locked, marketCap, fdv, marketCapToFdvPct }
+// where amounts are in whole tokens and burned/locked are [{ address, label, amount }].
+export async function analyzeSupply(tokenAddress, chain, {
+  supply,
+  decimals,
+  price = null,
+  holderDistribution = null,
+  timeout = 8000,
+} = {}) {
+  if (!supply) return null;
+
+  const startTime = Date.now();
+  console.log(`[Supply] Breaking down supply for ${tokenAddress}`);
+
+  try {
+    const unit = 10 ** decimals;
+    const totalSupply = Number(BigInt(supply)) / unit;
+
+    let burned;
+    let locked;
+    if (isEvmChain(chain.id)) {
+      const burnWallets = Object.entries(EVM_BURN_ADDRESSES).map(([address, label]) => ({ address, label }));
+      const lockers = (chain.lpLockers || []).map(({ address, name }) => ({ address, label: name }));
+      [burned, locked] = await Promise.all([
+        getEvmBalances(tokenAddress, chain, burnWallets, unit, { timeout }),
+        getEvmBalances(tokenAddress, chain, lockers, unit, { timeout }),
+      ]);
+    } else {
+      burned = await getSolanaBurnBalances(tokenAddress, { timeout });
+      locked = (holderDistribution?.excluded || [])
+        .filter((entry) => entry.type === "locker")
+        .map((entry) => ({ address: entry.owner, label: entry.label, amount: entry.amount }));
+    }
+
+    const burnedSupply = burned.reduce((sum, wallet) => sum + wallet.amount, 0);
+    const lockedSupply = locked.reduce((sum, wallet) => sum + wallet.amount, 0);
+    const circulatingSupply = Math.max(0, totalSupply - burnedSupply - lockedSupply);
+    const numericPrice = Number(price) || null;
+    const marketCap = numericPrice ? circulatingSupply * numericPrice : null;
+    const fdv = numericPrice ? (totalSupply - burnedSupply) * numericPrice : null;
+
+    const result = {
+      totalSupply,
+      burnedSupply,
+      lockedSupply,
+      circulatingSupply,
+      burnedPct: toPct(burnedSupply, totalSupply),
+      lockedPct: toPct(lockedSupply, totalSupply),
+      circulatingPct: toPct(circulatingSupply, totalSupply),
+      burned,
+      locked,
+      marketCap,
+      fdv,
+      marketCapToFdvPct: marketCap !== null && fdv ? toPct(marketCap, fdv) : null,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `[Supply] ✅ ${result.circulatingPct}% circulating (${result.burnedPct}% burned, ${result.lockedPct}% locked) - ${duration}ms`
+    );
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[Supply] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
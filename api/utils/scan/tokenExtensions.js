@@ -0,0 +1,141 @@
+// Token program and Token-2022 extension checks for Solana mints
+// Token-2022 mints can carry extensions that change how transfers work (fees, hooks,
+// a delegate that can move anyone's tokens). The RPC's jsonParsed encoding already
+// decodes them, so this reads the mint account and turns the risky ones into flags.
+import { getParsedAccountInfo, TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID } from "./solana.js";
+
+const LEVEL_ORDER = ["high", "medium", "low"];
+
+// Helper: State of a parsed extension (undefined when the mint doesn't have it)
+function findExtension(extensions, name) {
+  const extension = extensions.find((e) => e.extension === name);
+  return extension ? extension.state ?? {} : undefined;
+}
+
+// Helper: Transfer fee details from transferFeeConfig. The older and newer fee
+// switch at an epoch boundary, so the higher of the two is reported.
+function readTransferFee(state) {
+  if (!state) return null;
+  const fees = [state.olderTransferFee, state.newerTransferFee].filter(Boolean);
+  const active = fees.reduce(
+    (max, fee) => (Number(fee.transferFeeBasisPoints) > Number(max?.transferFeeBasisPoints ?? -1) ? fee : max),
+    null
+  );
+  const bps = Number(active?.transferFeeBasisPoints ?? 0);
+  return {
+    bps,
+    pct: bps / 100,
+    maxFee: active?.maximumFee != null ? String(active.maximumFee) : null,
+    authority: state.transferFeeConfigAuthority || null,
+    withdrawAuthority: state.withdrawWithheldAuthority || null,
+  };
+}
+
+// Read the token program and extensions of a Solana mint.
+// Returns { tokenProgram, extensions, transferFee, permanentDelegate, transferHook,
+// nonTransferable, confidentialTransfers, updateAuthority } or null when the mint is missing.
+export async function getSolanaTokenExtensions(mint, { timeout = 8000 } = {}) {
+  const startTime = Date.now();
+  console.log(`[TokenExtensions] Reading mint ${mint}`);
+
+  try {
+    const account = await getParsedAccountInfo(mint, { timeout });
+    if (!account || (account.owner !== TOKEN_PROGRAM_ID && account.owner !== TOKEN_2022_PROGRAM_ID)) {
+      console.log(`[TokenExtensions] Not a token mint`);
+      return null;
+    }
+
+    const extensions = account.data?.parsed?.info?.extensions || [];
+    const transferHook = findExtension(extensions, "transferHook");
+    const confidential = findExtension(extensions, "confidentialTransferMint");
+
+    const result = {
+      tokenProgram: account.owner === TOKEN_2022_PROGRAM_ID ? "token-2022" : "spl-token",
+      extensions: extensions.map((e) => e.extension),
+      transferFee: readTransferFee(findExtension(extensions, "transferFeeConfig")),
+      permanentDelegate: findExtension(extensions, "permanentDelegate")?.delegate || null,
+      transferHook: transferHook ? { programId: transferHook.programId || null, authority: transferHook.authority || null } : null,
+      nonTransferable: findExtension(extensions, "nonTransferable") !== undefined,
+      confidentialTransfers: confidential
+        ? { authority: confidential.authority || null, autoApprove: !!confidential.autoApproveNewAccounts }
+        : null,
+      // Token-2022 metadata lives on the mint; classic SPL metadata authority comes from Helius
+      updateAuthority: findExtension(extensions, "tokenMetadata")?.updateAuthority || null,
+    };
+
+    const duration = Date.now() - startTime;
+    console.log(`[TokenExtensions] ✅ ${result.tokenProgram}, extensions: ${result.extensions.join(", ") || "none"} - ${duration}ms`);
+
+    return result;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    console.error(`[TokenExtensions] ❌ Failed after ${duration}ms:`, err.message);
+    throw err;
+  }
+}
+
+// Turn mint extensions and metadata mutability into normalized risk flags
+// ({ id, name, level, description }), most severe first.
+export function getSolanaMintRiskFlags({ tokenExtensions, isMutable, updateAuthority }) {
+  const flags = [];
+  const ext = tokenExtensions;
+
+  if (ext?.nonTransferable) {
+    flags.push({
+      id: "non_transferable",
+      name: "Non-transferable token",
+      level: "high",
+      description: "Token-2022 non-transferable extension: holders cannot sell or send the token",
+    });
+  }
+  if (ext?.permanentDelegate) {
+    flags.push({
+      id: "permanent_delegate",
+      name: "Permanent delegate",
+      level: "high",
+      description: `${ext.permanentDelegate} can transfer or burn tokens from any holder's account`,
+    });
+  }
+  if (ext?.transferHook) {
+    const { programId, authority } = ext.transferHook;
+    if (programId || authority) {
+      flags.push({
+        id: "transfer_hook",
+        name: "Transfer hook",
+        level: programId ? "high" : "medium",
+        description: programId
+          ? `Every transfer runs program ${programId}, which can block sells${authority ? " and can be swapped by the hook authority" : ""}`
+          : "No hook program is set, but the hook authority can add one",
+      });
+    }
+  }
+  if (ext?.transferFee && (ext.transferFee.bps > 0 || ext.transferFee.authority)) {
+    const { pct, authority } = ext.transferFee;
+    const level = pct >= 10 ? "high" : pct >= 1 || authority ? "medium" : "low";
+    flags.push({
+      id: "transfer_fee",
+      name: "Transfer fee",
+      level,
+      description: `${pct}% of every transfer is withheld${authority ? "; the fee authority can change the rate" : ""}`,
+    });
+  }
+  if (ext?.confidentialTransfers) {
+    flags.push({
+      id: "confidential_transfers",
+      name: "Confidential transfers",
+      level: "medium",
+      description: "Transfer amounts and balances can be hidden, so holder data may be incomplete",
+    });
+  }
+  // Token-2022 metadata is mutable exactly when it has an update authority
+  if (isMutable ?? !!updateAuthority) {
+    flags.push({
+      id: "mutable_metadata",
+      name: "Mutable metadata",
+      level: "low",
+      description: `${updateAuthority || "The update authority"} can change the token's name, symbol and image`,
+    });
+  }
+
+  return flags.sort((a, b) => LEVEL_ORDER.indexOf(a.level) - LEVEL_ORDER.indexOf(b.level));
+}
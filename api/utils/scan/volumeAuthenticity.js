@@ -0,0 +1,271 @@
+// Volume authenticity: how much of a token's 24h volume looks like real trading
+// Wash trading shows up as volume far above the pool's liquidity from a handful of
+// wallets, buys and sells in lockstep, and the same wallets trading back and forth in
+// same-sized clips. DexScreener's 24h buy/sell counts (and Birdeye's unique wallets when
+// available) give the trade mix; a sample of the main pool's recent swaps gives the
+// per-wallet picture. Each pattern found discounts the volume the score relies on.
+import { isEvmChain } from "./chains.js";
+import { createLiveTransport } from "./clusters.js";
+import { decodeUint, encodeAddressWord, rpcCall } from "./evm.js";
+import { TRANSFER_TOPIC } from "./evmHolders.js";
+import { getTokenBalanceDeltas } from "./solana.js";
+
+const SAMPLE_SWAPS = 40; // Recent pool transactions read on Solana
+const MAX_SAMPLE_SWAPS = 200; // Recent Transfer logs kept on EVM chains
+const SAMPLE_BLOCKS = 1000;
+const MIN_SAMPLE_BLOCKS = 50;
+const MIN_SAMPLE_SIZE = 20; // Fewer sampled swaps than this aren't used for per-wallet patterns
+const MAX_DISCOUNT = 0.9;
+
+// Patterns and the share of volume each one discounts
+const PATTERNS = {
+  volumeVsLiquidity: { id: "volume-vs-liquidity", discount: 0.4 },
+  fewTraders: { id: "few-traders", discount: 0.3 },
+  balancedFlow: { id: "balanced-flow", discount: 0.15 },
+  oversizedTrades: { id: "oversized-trades", discount: 0.15 },
+  roundTrips: { id: "round-trips", discount: 0.3 },
+  uniformSizes: { id: "uniform-sizes", discount: 0.2 },
+};
+
+// Helper: Recent swaps in a Solana pool ([{ wallet, side, amount }]). Owners whose balance
+// moves in most sampled transactions are the pool's vault authorities, not traders.
+async function readSolanaSwaps(mint, poolAddress, transport, { deadline }) {
+  const signatures = await transport.solanaRpc("getSignaturesForAddress", [
+    poolAddress,
+    { limit: SAMPLE_SWAPS, commitment: "confirmed" },
+  ]);
+
+  const deltasPerTx = [];
+  for (const sig of (signatures || []).filter((s) => !s.err)) {
+    if (Date.now() > deadline) break;
+    const tx = await transport.solanaRpc("getTransaction", [
+      sig.signature,
+      { encoding: "jsonParsed", maxSupportedTransactionVersion: 0, commitment: "confirmed" },
+    ]);
+    if (tx) deltasPerTx.push(getTokenBalanceDeltas(tx, mint));
+  }
+
+  const appearances = new Map();
+  for (const deltas of deltasPerTx) {
+    for (const owner of deltas.keys()) appearances.set(owner, (appearances.get(owner) || 0) + 1);
+  }
+  const isPool = (owner) =>
+    owner === poolAddress || (deltasPerTx.length >= 4 && appearances.get(owner) > deltasPerTx.length / 2);
+
+  const swaps = [];
+  for (const deltas of deltasPerTx) {
+    for (const [owner, delta] of deltas) {
+      if (delta === 0 || isPool(owner)) continue;
+      swaps.push({ wallet: owner, side: delta > 0 ? "buy" : "sell", amount: Math.abs(delta) });
+    }
+  }
+  return swaps;
+}
+
+// Helper: Recent swaps in an EVM pair - Transfer logs out of the pair (buys) and into it
+// (sells) over the latest blocks, shrinking the window when the provider rejects it
+async function readEvmSwaps(tokenAddress, pairAddress, chain, { timeout }) {
+  const latestBlock = Number(await rpcCall(chain, "eth_blockNumber", [], { timeout }));
+  const pairTopic = `0x${encodeAddressWord(pairAddress)}`;
+
+  let range = SAMPLE_BLOCKS;
+  for (;;) {
+    const fromBlock = `0x${Math.max(0, latestBlock - range + 1).toString(16)}`;
+    const toBlock = `0x${latestBlock.toString(16)}`;
+    try {
+      const [buyLogs, sellLogs] = await Promise.all(
+        [[TRANSFER_TOPIC, pairTopic], [TRANSFER_TOPIC, null, pairTopic]].map((topics) =>
+          rpcCall(chain, "eth_getLogs", [{ address: tokenAddress, topics, fromBlock, toBlock }], { timeout })
+        )
+      );
+
+      const token = tokenAddress.toLowerCase();
+      const toSwap = (side) => (log) => ({
+        wallet: `0x${log.topics[side === "buy" ? 2 : 1].slice(26)}`.toLowerCase(),
+        side,
+        block: Number(log.blockNumber),
+        amount: Number(decodeUint(log.data) ?? 0n),
+      });
+      const valid = (log) => !log.removed && log.topics?.length === 3;
+      return [
+        ...(buyLogs || []).filter(valid).map(toSwap("buy")),
+        ...(sellLogs || []).filter(valid).map(toSwap("sell")),
+      ]
+        .filter((swap) => swap.wallet !== token && swap.wallet !== pairAddress.toLowerCase())
+        .sort((a, b) => b.block - a.block)
+        .slice(0, MAX_SAMPLE_SWAPS);
+    } catch (err) {
+      if (err.code === undefined || range <= MIN_SAMPLE_BLOCKS) throw err;
+      range = Math.max(MIN_SAMPLE_BLOCKS, Math.floor(range / 2));
+    }
+  }
+}
+
+// Helper: Per-wallet statistics for a swap sample
+function summarizeSwaps(swaps) {
+  const sides = new Map();
+  for (const swap of swaps) {
+    if (!sides.has(swap.wallet)) sides.set(swap.wallet, new Set());
+    sides.get(swap.wallet).add(swap.side);
+  }
+
+  // Coefficient of variation of trade sizes: near zero means the same clip over and over
+  const amounts = swaps.map((s) => s.amount).filter((a) => a > 0);
+  const mean = amounts.reduce((sum, a) => sum + a, 0) / (amounts.length || 1);
+  const variance = amounts.reduce((sum, a) => sum + (a - mean) ** 2, 0) / (amounts.length || 1);
+
+  return {
+    swaps: swaps.length,
+    wallets: sides.size,
+    roundTripWallets: [...sides.values()].filter((s) => s.size === 2).length,
+    sizeVariation: mean ? Math.round((Math.sqrt(variance) / mean) * 100) / 100 : null,
+  };
+}
+
+// Helper: Wash-trading patterns in the trade mix and swap sample
+function findPatterns({ volumeToLiquidity, txCount24h, tradesPerTrader, buyShare, avgTradeUsd, liquidityUsd, uniqueTraders24h }, sample) {
+  const patterns = [];
+  const add = (pattern, description) => patterns.push({ ...pattern, description });
+
+  if (volumeToLiquidity >= 10 && tradesPerTrader >= 5) {
+    add(PATTERNS.volumeVsLiquidity, `24h volume is ${volumeToLiquidity}x liquidity from only ~${uniqueTraders24h} traders`);
+  } else if (volumeToLiquidity >= 50) {
+    add(PATTERNS.volumeVsLiquidity, `24h volume is ${volumeToLiquidity}x liquidity`);
+  }
+  if (tradesPerTrader >= 10 && txCount24h >= 100) {
+    add(PATTERNS.fewTraders, `~${tradesPerTrader} trades per wallet`);
+  }
+  if (buyShare !== null && Math.abs(buyShare - 50) <= 3 && volumeToLiquidity >= 5 && txCount24h >= 100) {
+    add(PATTERNS.balancedFlow, `buys and sells are matched (${buyShare}% buys) at high turnover`);
+  }
+  if (avgTradeUsd && liquidityUsd && avgTradeUsd >= liquidityUsd * 0.05 && txCount24h >= 50) {
+    add(PATTERNS.oversizedTrades, `average trade ($${Math.round(avgTradeUsd).toLocaleString()}) is over 5% of liquidity`);
+  }
+  if (sample?.swaps >= MIN_SAMPLE_SIZE) {
+    if (sample.roundTripWallets / sample.wallets >= 0.4) {
+      add(PATTERNS.roundTrips, `${sample.roundTripWallets} of ${sample.wallets} recent traders both bought and sold`);
+    }
+    if (sample.sizeVariation !== null && sample.sizeVariation < 0.15) {
+      add(PATTERNS.uniformSizes, `recent trades are near-identical in size`);
+    }
+  }
+  return patterns;
+}
+
+// Helper: Risk level for the share of volume discounted
+function getVolumeRiskLevel(discount) {
+  if (discount >= 0.5) return "high";
+  if (discount >= 0.25) return "medium";
+  return discount > 0 ? "low" : null;
+}
+
+// Helper: 24h volume, liquidity and trade count taken from one source, so the ratios between
+// them compare like with like: DexScreener's totals over known-quote pools, else Birdeye, else
+// the merged market data (which has no trade count of its own)
+function pickVolumeSource(marketData, pairAnalysis, birdeye) {
+  if (pairAnalysis?.legitPairCount > 0 && pairAnalysis.volume24h > 0) {
+    const trades = (pairAnalysis.buys24h || 0) + (pairAnalysis.sells24h || 0);
+    return { source: "dexscreener", volume24h: pairAnalysis.volume24h, liquidityUsd: pairAnalysis.liquidityUsd || 0, txCount24h: trades || null };
+  }
+  if (birdeye?.volume24h > 0) {
+    return { source: "birdeye", volume24h: birdeye.volume24h, liquidityUsd: birdeye.liquidity || 0, txCount24h: birdeye.tradeCount24h ?? null };
+  }
+  return { source: "market-data", volume24h: marketData?.volume24h || 0, liquidityUsd: marketData?.liquidity || 0, txCount24h: null };
+}
+
+// Estimate how much of a token's 24h volume is genuine.
+// Volume, liquidity and trade count come from `pairAnalysis` (DexScreener) when it found
+// known-quote pools, else `birdeye` (Solana), else the merged `marketData` { volume24h,
+// liquidity }; `birdeye` also supplies unique-wallet counts and `pair` is the main pool
+// ({ pairAddress }) whose recent swaps are sampled. Returns null without volume, else
+// { volume24h, volumeSource ("dexscreener" | "birdeye" | "market-data"), adjustedVolume24h,
+// suspiciousVolumePct, liquidityUsd, volumeToLiquidity, txCount24h, buys24h, sells24h,
+// buyShare, avgTradeUsd, uniqueTraders24h, uniqueTradersSource ("birdeye" | "swap-sample" |
+// null), tradesPerTrader, sample, patterns, riskFlag } where sample is { swaps, wallets,
+// roundTripWallets, sizeVariation } or null.
+export async function analyzeVolumeAuthenticity(tokenAddress, chain, {
+  marketData,
+  pairAnalysis = null,
+  birdeye = null,
+  pair = null,
+  transport = createLiveTransport(),
+  timeout = 8000,
+  budgetMs = 10000,
+} = {}) {
+  const { source: volumeSource, volume24h, liquidityUsd, txCount24h } = pickVolumeSource(marketData, pairAnalysis, birdeye);
+  if (!volume24h) return null;
+
+  const startTime = Date.now();
+  console.log(`[Volume] Checking volume authenticity for ${tokenAddress}`);
+
+  let sample = null;
+  if (pair?.pairAddress) {
+    try {
+      const swaps = isEvmChain(chain.id)
+        ? await readEvmSwaps(tokenAddress, pair.pairAddress, chain, { timeout })
+        : await readSolanaSwaps(tokenAddress, pair.pairAddress, transport, { deadline: startTime + budgetMs });
+      if (swaps.length) sample = summarizeSwaps(swaps);
+    } catch (err) {
+      console.log(`[Volume] Could not sample recent swaps: ${err.message}`);
+    }
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+  const buys24h = pairAnalysis?.buys24h ?? null;
+  const sells24h = pairAnalysis?.sells24h ?? null;
+
+  // Unique traders: Birdeye's count when it has one, else the sample's wallets-per-swap ratio.
+  // Trades per trader divides by the trade count of the same source.
+  let uniqueTraders24h = null;
+  let uniqueTradersSource = null;
+  let traderTxCount = txCount24h;
+  if (birdeye?.uniqueWallets24h) {
+    uniqueTraders24h = birdeye.uniqueWallets24h;
+    uniqueTradersSource = "birdeye";
+    traderTxCount = birdeye.tradeCount24h ?? null;
+  } else if (txCount24h && sample?.swaps >= MIN_SAMPLE_SIZE) {
+    uniqueTraders24h = Math.max(sample.wallets, Math.round(txCount24h * (sample.wallets / sample.swaps)));
+    uniqueTradersSource = "swap-sample";
+  }
+
+  const metrics = {
+    liquidityUsd,
+    volumeToLiquidity: liquidityUsd ? round(volume24h / liquidityUsd) : null,
+    txCount24h,
+    buyShare: buys24h !== null && buys24h + sells24h > 0 ? round((buys24h / (buys24h + sells24h)) * 100) : null,
+    avgTradeUsd: txCount24h ? round(volume24h / txCount24h) : null,
+    uniqueTraders24h,
+    tradesPerTrader: traderTxCount && uniqueTraders24h ? round(traderTxCount / uniqueTraders24h) : null,
+  };
+
+  const patterns = findPatterns(metrics, sample);
+  const discount = Math.min(MAX_DISCOUNT, patterns.reduce((sum, p) => sum + p.discount, 0));
+  const level = getVolumeRiskLevel(discount);
+  const suspiciousVolumePct = Math.round(discount * 100);
+
+  const result = {
+    volume24h,
+    volumeSource,
+    adjustedVolume24h: round(volume24h * (1 - discount)),
+    suspiciousVolumePct,
+    ...metrics,
+    buys24h,
+    sells24h,
+    uniqueTradersSource,
+    sample,
+    patterns: patterns.map(({ id, description }) => ({ id, description })),
+    riskFlag: level
+      ? {
+          id: "wash_trading",
+          name: "Suspicious volume",
+          level,
+          description: `~${suspiciousVolumePct}% of 24h volume looks inorganic: ${patterns.map((p) => p.description).join("; ")}`,
+        }
+      : null,
+  };
+
+  const duration = Date.now() - startTime;
+  console.log(`[Volume] ✅ ${patterns.length} patterns, ${suspiciousVolumePct}% of volume discounted - ${duration}ms`);
+
+  return result;
+}
@@ -0,0 +1,73 @@
+// Compile the Solidity contracts whose bytecode is committed
+// Usage: npm run build:probe
+//
+// - api/utils/scan/contracts/TradeProbe.sol -> api/utils/scan/contracts/tradeProbe.js (runtime
+//   code placed at the simulated trader by honeypot.js)
+// - test/fixtures/TestToken.sol -> test/fixtures/testToken.json (creation code for the tests)
+//
+// solc is pinned in package.json, so the output is reproducible; test/buildProbe.test.js
+// recompiles and fails when the committed bytecode no longer matches its source.
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import solc from 'solc';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOLC_VERSION = '0.8.20';
+const SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: 'paris',
+  outputSelection: { '*': { '*': ['evm.bytecode.object', 'evm.deployedBytecode.object'] } },
+};
+
+const CONTRACTS = {
+  TradeProbe: 'api/utils/scan/contracts/TradeProbe.sol',
+  TestToken: 'test/fixtures/TestToken.sol',
+};
+const PROBE_MODULE = 'api/utils/scan/contracts/tradeProbe.js';
+const TEST_TOKEN_FIXTURE = 'test/fixtures/testToken.json';
+
+// Compile every contract; returns { Name: { bytecode, runtime } } as 0x-prefixed hex.
+// Sources are keyed by file name, which ends up in the metadata hash of the bytecode.
+export function compileContracts() {
+  if (!solc.version().startsWith(`${SOLC_VERSION}+`)) {
+    throw new Error(`solc ${SOLC_VERSION} is required, found ${solc.version()}`);
+  }
+
+  const sources = Object.fromEntries(
+    Object.values(CONTRACTS).map((file) => [path.basename(file), { content: fs.readFileSync(path.join(ROOT, file), 'utf8') }])
+  );
+  const output = JSON.parse(solc.compile(JSON.stringify({ language: 'Solidity', sources, settings: SETTINGS })));
+  const errors = (output.errors || []).filter((error) => error.severity === 'error');
+  if (errors.length) {
+    throw new Error(errors.map((error) => error.formattedMessage).join('\n'));
+  }
+
+  return Object.fromEntries(
+    Object.entries(CONTRACTS).map(([name, file]) => {
+      const { evm } = output.contracts[path.basename(file)][name];
+      return [name, { bytecode: `0x${evm.bytecode.object}`, runtime: `0x${evm.deployedBytecode.object}` }];
+    })
+  );
+}
+
+// Source of the generated probe module
+export function renderProbeModule(runtime) {
+  return `// Generated by scripts/build-probe.js from TradeProbe.sol - do not edit, run npm run build:probe
+// (solc ${SOLC_VERSION}, optimizer ${SETTINGS.optimizer.runs} runs, evmVersion ${SETTINGS.evmVersion})
+export const PROBE_RUNTIME_CODE =
+  "${runtime}";
+`;
+}
+
+function main() {
+  const { TradeProbe, TestToken } = compileContracts();
+  fs.writeFileSync(path.join(ROOT, PROBE_MODULE), renderProbeModule(TradeProbe.runtime));
+  fs.writeFileSync(path.join(ROOT, TEST_TOKEN_FIXTURE), `${JSON.stringify({ bytecode: TestToken.bytecode }, null, 2)}\n`);
+  console.log(`Wrote ${PROBE_MODULE} (${(TradeProbe.runtime.length - 2) / 2} bytes) and ${TEST_TOKEN_FIXTURE}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -2,6 +2,10 @@
 import 'dotenv/config';
 import TelegramBot from 'node-telegram-bot-api';
 import { performFullScan } from './scan.js';
+import { parseScanInput } from '../api/utils/scan/input.js';
+import { searchTokens } from '../api/utils/scan/search.js';
+import { getScoreDrivers } from '../api/utils/scan/scoring.js';
+import { getChainValidationError, getDexScreenerUrl, getChain } from '../api/utils/scan/chains.js';
 
 // Initialize bot with token from environment
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_KEY, { polling: true });
@@ -9,12 +13,36 @@ const bot = new TelegramBot(process.env.TELEGRAM_BOT_KEY, { polling: true });
 // Store user states (for tracking conversations)
 const userStates = new Map();
 
+// The bot's @username, so group messages that mention it count as explicit requests
+let botUsername = null;
+bot.getMe()
+  .then((me) => { botUsername = me.username; })
+  .catch((error) => console.error('[Telegram Bot] getMe failed:', error.message));
+
 // Helper: Format number with commas (returns null if invalid)
 function formatNumber(num) {
   if (!num && num !== 0) return null;
   return num.toLocaleString('en-US');
 }
 
+// Helper: Escape Telegram Markdown characters in text taken from token data
+// (an underscore or asterisk in a token name otherwise makes Telegram reject the reply)
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/[_*`[]/g, (ch) => `\\${ch}`);
+}
+
+// Helper: Send a message, logging instead of throwing when Telegram rejects it (bot blocked,
+// chat gone, rate limit), so a failed reply never becomes an unhandled rejection.
+// Returns the sent message, or null.
+async function sendMessage(chatId, text, options = {}) {
+  try {
+    return await bot.sendMessage(chatId, text, options);
+  } catch (error) {
+    console.error(`[Telegram Bot] Failed to send message to ${chatId}:`, error.message);
+    return null;
+  }
+}
+
 // Helper: Format price (returns null if invalid)
 function formatPrice(price) {
   if (!price) return null;
@@ -64,21 +92,43 @@ function formatScanResult(result) {
   // Tweets
   const tickerTweets = result.tickerTweets;
   
-  // Risks
-  const risks = result.redFlags || [];
+  // Risks (normalized provider findings first, then the AI red flags)
+  const onChainFlags = (result.risks || [])
+    .filter((risk) => risk.severity !== 'low')
+    .map((risk) => `${risk.severity === 'high' ? '🔴' : '🟠'} ${escapeMarkdown(risk.name)}: ${escapeMarkdown(risk.description)}`);
+  const risks = [...onChainFlags, ...(result.redFlags || []).map(escapeMarkdown)];
 
   // Build message with Telegram markdown formatting
   let message = `🔍 *DYOR Token Analysis*\n\n`;
   
   // Token Info
-  message += `📊 *Token: ${tokenName || 'Unknown'} (${symbol || '???'})*\n`;
+  message += `📊 *Token:* ${escapeMarkdown(tokenName || 'Unknown')} (${escapeMarkdown(symbol || '???')})\n`;
   if (contractAddress) {
     message += `📝 Contract: \`${contractAddress}\`\n`;
   }
+  if (result.chain?.name) {
+    message += `⛓ Chain: ${result.chain.name}\n`;
+  }
+  const resolution = result.addressResolution;
+  if (resolution && resolution.inputAddress !== resolution.tokenAddress) {
+    const kind = resolution.type === 'pair' ? 'pair' : 'token account';
+    message += `↪️ Resolved from ${kind} \`${resolution.inputAddress}\`\n`;
+  }
+  
+  // Clone warning goes right under the token info so it can't be missed
+  const cloneAnalysis = result.cloneAnalysis;
+  if (cloneAnalysis?.isLikelyClone && cloneAnalysis.riskFlag.level !== 'low') {
+    const original = cloneAnalysis.likelyOriginal;
+    message += `🚨 *Possible clone* of ${escapeMarkdown(original.symbol || original.name)} on ${original.chainName}: \`${original.address}\`\n`;
+  }
   message += `\n`;
   
   // Scores
   message += `⚡ *Overall Score: ${score || 0}/100*\n`;
+  for (const driver of getScoreDrivers(result.scoreBreakdown)) {
+    const effect = driver.type === 'cap' ? '⛔' : `${driver.points > 0 ? '+' : ''}${Math.round(driver.points)}`;
+    message += `   ${effect} ${escapeMarkdown(driver.label)}${driver.detail ? ` (${escapeMarkdown(driver.detail)})` : ''}\n`;
+  }
   message += `💭 *Sentiment: ${sentiment || 0}/100*\n`;
   
   // Only show verdict if it's not UNVERIFIED
@@ -101,23 +151,94 @@ function formatScanResult(result) {
     marketDataItems.push(`• 24h Change: ${priceChangeText}`);
   }
   
+  const priceChange7d = marketData.priceChange7d;
+  if (typeof priceChange7d === 'number') {
+    marketDataItems.push(`• 7d Change: ${priceChange7d > 0 ? '+' : ''}${priceChange7d.toFixed(2)}%`);
+  }
+  
+  if (marketData.athPrice) {
+    const rugged = marketData.likelyRugged ? ' ⚠️ likely rugged' : '';
+    marketDataItems.push(`• From ATH: -${marketData.drawdownFromAthPct}% (${marketData.tokenAgeDays} days old)${rugged}`);
+  }
+  
   if (liquidity) {
     marketDataItems.push(`• Liquidity: $${formatNumber(Math.round(liquidity))}`);
   }
   
   if (volume24h) {
-    marketDataItems.push(`• Volume (24h): $${formatNumber(Math.round(volume24h))}`);
+    const suspiciousPct = result.volumeAuthenticity?.suspiciousVolumePct;
+    const suspicious = suspiciousPct >= 25 ? ` (~${suspiciousPct}% looks inorganic ⚠️)` : '';
+    marketDataItems.push(`• Volume (24h): $${formatNumber(Math.round(volume24h))}${suspicious}`);
   }
   
   if (marketCap) {
     marketDataItems.push(`• Market Cap: $${formatNumber(Math.round(marketCap))}`);
   }
   
+  const supplyBreakdown = result.supplyBreakdown;
+  if (marketData.fdv && supplyBreakdown && supplyBreakdown.circulatingPct < 100) {
+    marketDataItems.push(`• FDV: $${formatNumber(Math.round(marketData.fdv))} (${supplyBreakdown.circulatingPct}% circulating)`);
+  }
+  
+  const pairAnalysis = result.pairAnalysis;
+  if (pairAnalysis?.pairCount > 1) {
+    const warning = pairAnalysis.riskFlag && pairAnalysis.riskFlag.level !== 'low' ? ' ⚠️' : '';
+    marketDataItems.push(`• Pairs: ${pairAnalysis.pairCount} (${pairAnalysis.legitPairCount} in known quote tokens)${warning}`);
+  }
+  
+  const launchpad = result.launchpad;
+  if (launchpad?.status === 'bonding') {
+    marketDataItems.push(`• ${escapeMarkdown(launchpad.name)} Bonding Curve: ${launchpad.progressPct ?? '?'}% (not migrated yet)`);
+  } else if (launchpad) {
+    marketDataItems.push(`• Launchpad: ${escapeMarkdown(launchpad.name)}, migrated to ${escapeMarkdown(launchpad.migratedTo || 'a DEX')}`);
+  }
+  
   const holdersFormatted = formatNumber(holders);
   if (holdersFormatted) {
     marketDataItems.push(`• Holders: ${holdersFormatted}`);
   }
   
+  const distribution = fundamentals.holderDistribution;
+  if (distribution) {
+    const warning = distribution.top10Pct > 50 ? ' ⚠️' : '';
+    marketDataItems.push(`• Top 10 Holders: ${distribution.top10Pct}% (top 1: ${distribution.top1Pct}%)${warning}`);
+  }
+  
+  const simulation = result.securityData?.checks?.simulation;
+  if (simulation?.isHoneypot) {
+    marketDataItems.push(`• 🍯 Honeypot: simulated sell ${simulation.sellReverted ? 'reverted' : `lost ${simulation.sellTax}%`} ⚠️`);
+  } else if (simulation?.status === 'ok' && simulation.sellReverted) {
+    marketDataItems.push(`• Sell Check: simulated sell reverted (probe contract, unconfirmed) ⚠️`);
+  } else if (simulation?.status === 'ok' && simulation.buyTax !== null) {
+    const warning = Math.max(simulation.buyTax ?? 0, simulation.sellTax ?? 0) >= 10 ? ' ⚠️' : '';
+    marketDataItems.push(`• Buy/Sell Tax: ${simulation.buyTax}% / ${simulation.sellTax ?? '?'}%${warning}`);
+  }
+  
+  const lpLock = result.liquidityLock;
+  if (lpLock?.lpModel === 'fungible') {
+    const securedPct = Math.round((lpLock.burnedPct + lpLock.lockedPct) * 100) / 100;
+    const warning = lpLock.riskFlag && lpLock.riskFlag.level !== 'low' ? ' ⚠️' : '';
+    marketDataItems.push(`• LP Burned/Locked: ${securedPct}%${warning}`);
+  }
+  
+  const largestCluster = result.holderClusters?.clusters?.[0];
+  if (largestCluster) {
+    const warning = result.holderClusters.riskFlag?.level === 'high' ? ' ⚠️' : '';
+    marketDataItems.push(`• Largest Holder Cluster: ${largestCluster.holderCount} wallets, ${largestCluster.pct}%${warning}`);
+  }
+  
+  const deployerHistory = result.deployerHistory;
+  if (deployerHistory?.launchedCount > 0) {
+    const warning = deployerHistory.riskFlag?.level === 'high' ? ' ⚠️' : '';
+    marketDataItems.push(`• Deployer: ${deployerHistory.launchedCount} other tokens, ${deployerHistory.deadCount} dead${warning}`);
+  }
+  
+  const launchAnalysis = result.launchAnalysis;
+  if (launchAnalysis?.snipers?.length > 0) {
+    const warning = launchAnalysis.riskFlag?.level === 'high' ? ' ⚠️' : '';
+    marketDataItems.push(`• Snipers: ${launchAnalysis.snipers.length} wallets, ${launchAnalysis.sniperHeldPct}% still held${warning}`);
+  }
+  
   if (marketDataItems.length > 0) {
     message += `📈 *Market Data*\n`;
     message += marketDataItems.join('\n') + '\n\n';
@@ -130,7 +251,7 @@ function formatScanResult(result) {
   
   // Tweets about the token
   if (tickerTweets && tickerTweets.tweets && tickerTweets.tweets.length > 0) {
-    message += `🐦 *Recent X Posts About ${symbol || 'Token'}*\n\n`;
+    message += `🐦 *Recent X Posts About* ${escapeMarkdown(symbol || 'Token')}\n\n`;
     tickerTweets.tweets.slice(0, 3).forEach((tweet, idx) => {
       const tweetText = tweet.text ? tweet.text.substring(0, 150) + (tweet.text.length > 150 ? '...' : '') : '';
       const likes = tweet.likes || '0';
@@ -161,50 +282,158 @@ function formatScanResult(result) {
   return message;
 }
 
-// Helper: Validate Solana address
-// Helper: Detect blockchain from address format
-function detectBlockchain(address) {
-  if (!address || typeof address !== "string") return null;
-  const trimmed = address.trim();
+// Helper: Compact USD amount for picker buttons ($1.2M, $350K)
+function formatCompactUsd(value) {
+  if (!value) return '$0';
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${Math.round(value)}`;
+}
+
+// Helper: Search a name / $TICKER and scan it, or show a picker when several tokens match
+async function searchAndReply(chatId, query) {
+  let candidates;
+  try {
+    candidates = await searchTokens(query, { limit: 6 });
+  } catch (error) {
+    console.error(`[Telegram Bot] Search failed:`, error);
+    await sendMessage(chatId, '❌ Token search is unavailable right now. Please send the contract address instead.');
+    return;
+  }
+  
+  const exactMatches = candidates.filter((c) => c.exactMatch);
+  const choices = exactMatches.length > 0 ? exactMatches : candidates;
   
-  // BNB/BSC addresses are Ethereum-style: 0x followed by 40 hex characters
-  if (/^0x[a-fA-F0-9]{40}$/.test(trimmed)) {
-    return "bnb";
+  if (choices.length === 0) {
+    await sendMessage(chatId, `❌ No tokens found for "${query}". Try the contract address or a DexScreener link.`);
+    return;
   }
   
-  // Solana addresses are base58 encoded and typically 32-44 characters
-  const base58Regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
-  if (base58Regex.test(trimmed)) {
-    return "solana";
+  if (choices.length === 1) {
+    await scanAndReply(chatId, choices[0].address, choices[0].chain);
+    return;
   }
   
-  return null;
+  // Callback data is limited to 64 bytes: "scan:<chain>:<address>" fits for every supported chain
+  const keyboard = {
+    inline_keyboard: choices.map((c) => [
+      {
+        text: `${c.symbol || '???'} · ${c.chainName} · Liq ${formatCompactUsd(c.liquidity)} · ${c.ageDays ?? '?'}d`,
+        callback_data: `scan:${c.chain}:${c.address}`,
+      },
+    ]),
+  };
+  
+  await sendMessage(
+    chatId,
+    `🔎 ${choices.length} tokens match *$${query.replace(/[_*`[\]]/g, '')}*. Pick the one you want to scan:`,
+    { parse_mode: 'Markdown', reply_markup: keyboard, disable_web_page_preview: true }
+  );
 }
 
-// Helper: Validate BNB/BSC address format
-function validateBNBAddress(address) {
-  if (!address || typeof address !== "string") return false;
-  return /^0x[a-fA-F0-9]{40}$/.test(address.trim());
-}
+// Helper: Run a full scan and send the formatted report with quick actions
+async function scanAndReply(chatId, text, chainArg = null) {
+  // Send "analyzing" message
+  const analyzingMsg = await sendMessage(
+    chatId,
+    `🔍 Analyzing token...\n\nContract: \`${text}\`\n\nThis may take 10-15 seconds...`,
+    { parse_mode: 'Markdown', disable_web_page_preview: true }
+  );
+  
+  try {
+    console.log(`[Telegram Bot] Scanning contract: ${text} for user ${chatId}`);
+    
+    // Call the full scan function (includes AI analysis)
+    const result = await performFullScan(text, { chain: chainArg || null });
+    
+    if (!result || result.error) {
+      throw new Error(result?.error || 'Analysis failed');
+    }
+    
+    // Format and send result
+    const formattedResult = formatScanResult(result);
+    
+    // Delete "analyzing" message
+    if (analyzingMsg) await bot.deleteMessage(chatId, analyzingMsg.message_id);
+    
+    // Send result (split if too long)
+    if (formattedResult.length > 4096) {
+      // Telegram message limit is 4096 characters
+      const parts = formattedResult.match(/[\s\S]{1,4000}/g) || [];
+      for (const part of parts) {
+        await bot.sendMessage(chatId, part, { parse_mode: 'Markdown', disable_web_page_preview: true });
+      }
+    } else {
+      await bot.sendMessage(chatId, formattedResult, { parse_mode: 'Markdown', disable_web_page_preview: true });
+    }
+    
+    // DexScreener URL for the chain the token was actually scanned on
+    const scannedChain = getChain(result.blockchain);
+    const dexUrl = result.marketData?.dexUrl || (scannedChain ? getDexScreenerUrl(scannedChain, result.contractAddress) : `https://dexscreener.com/search?q=${text}`);
+    
+    // Add inline keyboard with actions
+    const keyboard = {
+      inline_keyboard: [
+        [
+          { text: '🔗 View on DexScreener', url: dexUrl },
+        ],
+        [
+          { text: '🔍 Scan Another Token', callback_data: 'scan_another' },
+          { text: '📊 View on Website', url: 'https://www.dyorscan.fun/' },
+        ],
+      ],
+    };
+    
+    await bot.sendMessage(
+      chatId,
+      '👆 Quick Actions:',
+      { reply_markup: keyboard, disable_web_page_preview: true }
+    );
+    
+    console.log(`[Telegram Bot] ✅ Scan completed for user ${chatId}`);
+    
+  } catch (error) {
+    console.error(`[Telegram Bot] Error scanning token:`, error);
+    
+    // Delete "analyzing" message
+    try {
+      if (analyzingMsg) await bot.deleteMessage(chatId, analyzingMsg.message_id);
+    } catch (e) {
+      // Ignore if already deleted
+    }
+    
+    // Send error message (the error text can carry token data, e.g. a name with an underscore)
+    await sendMessage(
+      chatId,
+      `❌ *Analysis Failed*
 
-// Helper: Validate any supported blockchain address
-function validateAddress(address) {
-  return validateSolanaAddress(address) || validateBNBAddress(address);
+${escapeMarkdown(error.message || 'Something went wrong. Please try again or contact support.')}
+
+Common issues:
+• Token might be too new or have no trading data
+• Invalid contract address
+• Temporary API issues
+
+Try again or send /help for more information.`,
+      { parse_mode: 'Markdown', disable_web_page_preview: true }
+    );
+  }
 }
 
 // Command: /start
-bot.onText(/\/start/, (msg) => {
+bot.onText(/\/start/, async (msg) => {
   const chatId = msg.chat.id;
   const firstName = msg.from.first_name || 'there';
   
   const welcomeMessage = `
 👋 Welcome to *DYOR Scanner Bot*, ${firstName}!
 
-I analyze Solana and BNB tokens to help you make informed decisions.
+I analyze Solana, BNB, Ethereum, Base and Arbitrum tokens to help you make informed decisions.
 
 🔍 *How it works:*
-1. Send me a Solana or BNB contract address
-2. I'll automatically detect the blockchain
+1. Send me a Solana or EVM (0x) contract address
+2. I'll automatically detect the blockchain (or add one after the address, e.g. \`0x... base\`)
 3. Analyze the token's security, fundamentals, and hype
 4. Get a detailed report in seconds
 
@@ -217,11 +446,11 @@ Examples:
 ⚡ Powered by AI • Real-time data • Professional analysis
   `.trim();
   
-  bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  await sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
 });
 
 // Command: /help
-bot.onText(/\/help/, (msg) => {
+bot.onText(/\/help/, async (msg) => {
   const chatId = msg.chat.id;
   
   const helpMessage = `
@@ -231,9 +460,13 @@ bot.onText(/\/help/, (msg) => {
 /start - Start the bot and see welcome message
 /help - Show this help message
 /about - Learn more about DYOR Scanner
+/scan - Scan an address, link or \`$TICKER\`
 
 *How to use:*
-Simply send any Solana or BNB contract address and I'll automatically detect the blockchain and analyze it for you!
+Simply send any Solana or EVM contract address (or a DexScreener, pump.fun, Birdeye or explorer link) and I'll automatically detect the blockchain and analyze it for you!
+You can also send a token name or \`$TICKER\` — if several tokens share it, I'll let you pick.
+In groups, forward a message containing a token link or address, or use /scan \`$TICKER\` (or mention me) to search by ticker.
+To pick the chain yourself, add it after the address: \`<address> ethereum\` (solana, bnb, ethereum, base, arbitrum)
 
 *What we analyze:*
 • Security (mint/freeze authority, red flags)
@@ -249,17 +482,17 @@ Simply send any Solana or BNB contract address and I'll automatically detect the
 Need help? Contact: @dyorscan
   `.trim();
   
-  bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  await sendMessage(chatId, helpMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
 });
 
 // Command: /about
-bot.onText(/\/about/, (msg) => {
+bot.onText(/\/about/, async (msg) => {
   const chatId = msg.chat.id;
   
   const aboutMessage = `
 ℹ️ *About DYOR Scanner*
 
-DYOR (Do Your Own Research) Scanner is an AI-powered tool for analyzing Solana and BNB tokens.
+DYOR (Do Your Own Research) Scanner is an AI-powered tool for analyzing Solana and EVM (BNB, Ethereum, Base, Arbitrum) tokens.
 
 *Features:*
 ✅ Real-time market data
@@ -267,12 +500,12 @@ DYOR (Do Your Own Research) Scanner is an AI-powered tool for analyzing Solana a
 ✅ AI narrative verification
 ✅ Social sentiment analysis
 ✅ Professional scoring system
-✅ Multi-chain support (Solana & BNB)
+✅ Multi-chain support (Solana, BNB, Ethereum, Base & Arbitrum)
 
 *Data Sources:*
-• DexScreener - Market data (Solana & BNB)
+• DexScreener - Market data (all chains)
 • RugCheck - Security analysis (Solana)
-• BSCScan - BNB on-chain data
+• BSCScan / Etherscan / BaseScan / Arbiscan - EVM on-chain data
 • Helius - Solana on-chain data
 • Social media - Community sentiment
 • GPT-4 - Intelligent analysis
@@ -285,133 +518,114 @@ DYOR (Do Your Own Research) Scanner is an AI-powered tool for analyzing Solana a
 This tool is for informational purposes only. Always do your own research and never invest more than you can afford to lose.
   `.trim();
   
-  bot.sendMessage(chatId, aboutMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  await sendMessage(chatId, aboutMessage, { parse_mode: 'Markdown', disable_web_page_preview: true });
 });
 
-// Handle text messages (contract addresses)
-bot.on('message', async (msg) => {
-  // Skip if it's a command
-  if (msg.text && msg.text.startsWith('/')) {
-    return;
-  }
-  
+// Helper: Scan the token in a message: an address or link is scanned directly; a $TICKER
+// or name is searched only when the request is explicit (private chat, /scan or a mention),
+// so ordinary group chatter can't start searches and full scans
+async function handleScanRequest(msg, rawText, { explicit }) {
   const chatId = msg.chat.id;
-  const text = msg.text?.trim();
+  const isPrivate = msg.chat.type === 'private';
   
-  if (!text) {
-    return;
-  }
+  // Pull the address (and chain) out of a bare address, a link or a forwarded message
+  const parsed = parseScanInput(rawText);
   
-  // Check if it looks like a valid address (Solana or BNB)
-  if (!validateAddress(text)) {
-    bot.sendMessage(
+  if (!parsed) {
+    // $TICKER anywhere in the message (or a short name) -> token search
+    const ticker = rawText.match(/\$([A-Za-z][A-Za-z0-9]{1,19})\b/)?.[1];
+    if (explicit && (ticker || rawText.length <= 40)) {
+      await searchAndReply(chatId, ticker || rawText);
+      return;
+    }
+    
+    // In group chats, stay quiet on messages that don't contain a token
+    if (!isPrivate) {
+      return;
+    }
+    await sendMessage(
       chatId,
-      `❌ Invalid contract address format.
+      `❌ I couldn't find a contract address in that message.
 
-Please send a valid contract address:
+Please send a contract address or a link to the token:
 • Solana: 32-44 characters, base58 encoded (e.g., \`EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v\`)
-• BNB/BSC: 0x followed by 40 hex characters (e.g., \`0x2170Ed0880ac9A755fd29B2688956BD959F933F8\`)`,
+• EVM (BNB, Ethereum, Base, Arbitrum): 0x followed by 40 hex characters (e.g., \`0x2170Ed0880ac9A755fd29B2688956BD959F933F8\`)
+• Links: DexScreener, pump.fun, Birdeye, Solscan, BSCScan, Etherscan, ...`,
       { parse_mode: 'Markdown', disable_web_page_preview: true }
     );
     return;
   }
   
-  // Send "analyzing" message
-  const analyzingMsg = await bot.sendMessage(
-    chatId,
-    `🔍 Analyzing token...\n\nContract: \`${text}\`\n\nThis may take 10-15 seconds...`,
-    { parse_mode: 'Markdown', disable_web_page_preview: true }
-  );
+  const text = parsed.address;
+  // "<address> <chain>" picks the chain explicitly; otherwise use the chain from the link
+  const words = rawText.split(/\s+/);
+  const chainArg = (words.length === 2 && words[0] === text ? words[1] : null) || parsed.chain;
   
-  try {
-    console.log(`[Telegram Bot] Scanning contract: ${text} for user ${chatId}`);
-    
-    // Call the full scan function (includes AI analysis)
-    const result = await performFullScan(text);
-    
-    if (!result || result.error) {
-      throw new Error(result?.error || 'Analysis failed');
-    }
-    
-    // Format and send result
-    const formattedResult = formatScanResult(result);
-    
-    // Delete "analyzing" message
-    await bot.deleteMessage(chatId, analyzingMsg.message_id);
-    
-    // Send result (split if too long)
-    if (formattedResult.length > 4096) {
-      // Telegram message limit is 4096 characters
-      const parts = formattedResult.match(/[\s\S]{1,4000}/g) || [];
-      for (const part of parts) {
-        await bot.sendMessage(chatId, part, { parse_mode: 'Markdown', disable_web_page_preview: true });
-      }
-    } else {
-      await bot.sendMessage(chatId, formattedResult, { parse_mode: 'Markdown', disable_web_page_preview: true });
-    }
-    
-    // Detect blockchain for DexScreener URL
-    const blockchain = detectBlockchain(text);
-    const chainParam = blockchain === "bnb" ? "bsc" : "solana";
-    
-    // Add inline keyboard with actions
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '🔗 View on DexScreener', url: `https://dexscreener.com/${chainParam}/${text}` },
-        ],
-        [
-          { text: '🔍 Scan Another Token', callback_data: 'scan_another' },
-          { text: '📊 View on Website', url: 'https://www.dyorscan.fun/' },
-        ],
-      ],
-    };
-    
-    await bot.sendMessage(
-      chatId,
-      '👆 Quick Actions:',
-      { reply_markup: keyboard, disable_web_page_preview: true }
-    );
-    
-    console.log(`[Telegram Bot] ✅ Scan completed for user ${chatId}`);
-    
-  } catch (error) {
-    console.error(`[Telegram Bot] Error scanning token:`, error);
-    
-    // Delete "analyzing" message
-    try {
-      await bot.deleteMessage(chatId, analyzingMsg.message_id);
-    } catch (e) {
-      // Ignore if already deleted
-    }
-    
-    // Send error message
-    bot.sendMessage(
-      chatId,
-      `❌ *Analysis Failed*
-
-${error.message || 'Something went wrong. Please try again or contact support.'}
+  // Optional chain after the address (e.g. "0x... base")
+  const chainError = getChainValidationError(text, chainArg);
+  if (chainError) {
+    await sendMessage(chatId, `❌ ${chainError}`, { disable_web_page_preview: true });
+    return;
+  }
+  
+  await scanAndReply(chatId, text, chainArg);
+}
 
-Common issues:
-• Token might be too new or have no trading data
-• Invalid contract address
-• Temporary API issues
+// Command: /scan <address | link | $TICKER | name> (the explicit way to scan in groups)
+bot.onText(/^\/scan(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const query = match[1]?.trim();
+  if (!query) {
+    await sendMessage(msg.chat.id, '📝 Usage: /scan <contract address, link or $TICKER>', { disable_web_page_preview: true });
+    return;
+  }
+  await handleScanRequest(msg, query, { explicit: true });
+});
 
-Try again or send /help for more information.`,
-      { parse_mode: 'Markdown', disable_web_page_preview: true }
-    );
+// Handle text messages (contract addresses)
+bot.on('message', async (msg) => {
+  // Skip if it's a command
+  if (msg.text && msg.text.startsWith('/')) {
+    return;
+  }
+  
+  let rawText = (msg.text || msg.caption)?.trim(); // Forwarded media posts carry text in the caption
+  
+  if (!rawText) {
+    return;
+  }
+  
+  // Private chats are always explicit; in groups the bot has to be mentioned
+  const mention = botUsername ? new RegExp(`@${botUsername}\\b`, 'i') : null;
+  const mentioned = !!mention && mention.test(rawText);
+  if (mentioned) {
+    rawText = rawText.replace(mention, '').trim();
+    if (!rawText) return;
   }
+  
+  await handleScanRequest(msg, rawText, { explicit: msg.chat.type === 'private' || mentioned });
 });
 
 // Handle callback queries (inline button clicks)
 bot.on('callback_query', async (query) => {
   const chatId = query.message.chat.id;
   
+  // Picker selection from a ticker search: "scan:<chain>:<address>"
+  if (query.data?.startsWith('scan:')) {
+    const [, chain, address] = query.data.split(':');
+    await bot.answerCallbackQuery(query.id).catch((error) => {
+      console.error('[Telegram Bot] answerCallbackQuery failed:', error.message);
+    });
+    await scanAndReply(chatId, address, chain);
+    return;
+  }
+  
   if (query.data === 'scan_another') {
-    bot.answerCallbackQuery(query.id);
-    bot.sendMessage(
+    await bot.answerCallbackQuery(query.id).catch((error) => {
+      console.error('[Telegram Bot] answerCallbackQuery failed:', error.message);
+    });
+    await sendMessage(
       chatId,
-      '📝 Send me another Solana or BNB contract address to analyze!',
+      '📝 Send me another Solana or EVM contract address, link or $TICKER to analyze!',
       { parse_mode: 'Markdown', disable_web_page_preview: true }
     );
   }
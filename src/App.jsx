@@ -80,7 +80,7 @@ function AppContent() {
     }
   };
 
-  const handleScan = async (contractAddress) => {
+  const handleScan = async (contractAddress, chain = null) => {
     setLoading(true);
     setErrorMsg("");
     setResult(null);
@@ -89,7 +89,7 @@ function AppContent() {
       const response = await fetch("/api/scan-stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ contractAddress }),
+        body: JSON.stringify({ contractAddress, chain }),
       });
 
       if (!response.ok) {
@@ -118,6 +118,10 @@ function AppContent() {
                 case "status":
                   setLoadingMessage(data.message);
                   break;
+                case "addressResolution":
+                  partialResult.addressResolution = data;
+                  setResult({ ...partialResult });
+                  break;
                 case "tokenInfo":
                   partialResult = { ...partialResult, ...data };
                   setResult({ ...partialResult });
@@ -138,6 +142,46 @@ function AppContent() {
                   partialResult.socials = data;
                   setResult({ ...partialResult });
                   break;
+                case "liquidityLock":
+                  partialResult.liquidityLock = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "holderClusters":
+                  partialResult.holderClusters = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "pairAnalysis":
+                  partialResult.pairAnalysis = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "supplyBreakdown":
+                  partialResult.supplyBreakdown = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "volumeAuthenticity":
+                  partialResult.volumeAuthenticity = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "cloneAnalysis":
+                  partialResult.cloneAnalysis = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "risks":
+                  partialResult.risks = data.risks;
+                  setResult({ ...partialResult });
+                  break;
+                case "launchpad":
+                  partialResult.launchpad = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "deployerHistory":
+                  partialResult.deployerHistory = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "launchAnalysis":
+                  partialResult.launchAnalysis = data;
+                  setResult({ ...partialResult });
+                  break;
                 case "twitterData":
                   partialResult.twitterData = data;
                   setResult({ ...partialResult });
@@ -152,10 +196,25 @@ function AppContent() {
                   break;
                 case "tokenScore":
                   partialResult.tokenScore = data.tokenScore;
+                  partialResult.scoreBreakdown = data.scoreBreakdown;
+                  partialResult.scoringProfile = data.scoringProfile;
+                  setResult({ ...partialResult });
+                  break;
+                case "telegramData":
+                  partialResult.telegramData = data;
+                  setResult({ ...partialResult });
+                  break;
+                case "websiteData":
+                  partialResult.websiteData = data;
                   setResult({ ...partialResult });
                   break;
                 case "narrative":
                   partialResult.narrativeClaim = data.narrativeClaim;
+                  partialResult.entities = data.entities;
+                  setResult({ ...partialResult });
+                  break;
+                case "verdict":
+                  partialResult = { ...partialResult, ...data };
                   setResult({ ...partialResult });
                   break;
                 case "summary":
@@ -230,7 +289,7 @@ function AppContent() {
           <div className="hero-content">
             <div className="hero-badge">CA: </div>
             <h1 className="hero-title">Verify Token Narratives<br/>Before You Invest</h1>
-            <p className="hero-subtitle">AI-powered analysis that extracts claims, identifies entities, and verifies narratives from Solana and BNB token data. Make informed decisions with real-time market intelligence.</p>
+            <p className="hero-subtitle">AI-powered analysis that extracts claims, identifies entities, and verifies narratives from Solana and EVM token data. Make informed decisions with real-time market intelligence.</p>
             
             <div className="hero-scanner">
               <ScanForm onScan={handleScan} loading={loading} />
@@ -349,7 +408,7 @@ function AppContent() {
           <div className="features-grid">
             <div className="feature-card">
               <h3>Market Data</h3>
-              <p>Real-time price, liquidity, and volume from DexScreener. Track 24h changes and trading metrics across Solana and BNB DEXs.</p>
+              <p>Real-time price, liquidity, and volume from DexScreener. Track 24h changes and trading metrics across Solana, BNB, Ethereum, Base and Arbitrum DEXs.</p>
             </div>
             
             <div className="feature-card">
@@ -390,7 +449,7 @@ function AppContent() {
               <div className="step-number">01</div>
               <div className="step-content">
                 <h3>Enter Contract Address</h3>
-                <p>Paste any Solana or BNB token contract address into the scanner</p>
+                <p>Paste any Solana or EVM (BNB, Ethereum, Base, Arbitrum) token contract address into the scanner</p>
               </div>
             </div>
             
@@ -465,7 +524,7 @@ function AppContent() {
           <div className="scan-container">
             <div className="scan-header">
               <h2 className="scan-title">Token Scanner</h2>
-              <p className="scan-subtitle">Enter a Solana or BNB contract address to analyze token claims, extract entities, and verify narratives</p>
+              <p className="scan-subtitle">Enter a Solana or EVM contract address to analyze token claims, extract entities, and verify narratives</p>
             </div>
             
             <ScanForm onScan={handleScan} loading={loading} />
@@ -1,12 +1,67 @@
 import React, { useState } from "react";
+import { parseScanInput } from "../../api/utils/scan/input.js";
+import TokenPicker from "./TokenPicker.jsx";
 
 function ScanForm({ onScan, loading }) {
   const [contractAddress, setContractAddress] = useState("");
+  const [inputError, setInputError] = useState("");
+  const [searching, setSearching] = useState(false);
+  const [search, setSearch] = useState(null); // { query, candidates } when a picker is needed
+
+  // Look up a name or $TICKER and scan it (or show a picker when several tokens match)
+  const searchAndScan = async (query) => {
+    setSearching(true);
+    try {
+      const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Search failed (${response.status})`);
+      }
+
+      const { candidates = [] } = data;
+      const exactMatches = candidates.filter((c) => c.exactMatch);
+      const choices = exactMatches.length > 0 ? exactMatches : candidates;
+      if (choices.length === 0) {
+        setInputError(`No tokens found for "${query}".`);
+      } else if (choices.length === 1) {
+        onScan(choices[0].address, choices[0].chain);
+      } else {
+        setSearch({ query: data.query, candidates: choices });
+      }
+    } catch (err) {
+      setInputError(err.message || "Search failed. Please try again.");
+    } finally {
+      setSearching(false);
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!contractAddress.trim()) return;
-    onScan(contractAddress.trim());
+    setSearch(null);
+
+    // Accept bare addresses and DexScreener / pump.fun / Birdeye / explorer links
+    const parsed = parseScanInput(contractAddress);
+    if (parsed) {
+      setInputError("");
+      onScan(parsed.address, parsed.chain);
+      return;
+    }
+
+    // Anything else short enough is treated as a token name or $TICKER
+    const query = contractAddress.trim().replace(/^\$+/, "");
+    if (query.length < 2 || query.length > 40) {
+      setInputError("Enter a contract address, a token link, or a name / $TICKER.");
+      return;
+    }
+
+    setInputError("");
+    searchAndScan(query);
+  };
+
+  const handlePick = (candidate) => {
+    setSearch(null);
+    onScan(candidate.address, candidate.chain);
   };
 
   return (
@@ -15,18 +70,30 @@ function ScanForm({ onScan, loading }) {
         Contract address
         <input
           type="text"
-          placeholder="Paste BNB contract address..."
+          placeholder="Paste a contract address, a DexScreener / pump.fun link, or a $TICKER..."
           value={contractAddress}
-          onChange={(e) => setContractAddress(e.target.value)}
+          onChange={(e) => {
+            setContractAddress(e.target.value);
+            if (inputError) setInputError("");
+          }}
         />
       </label>
+      {inputError && <p className="scan-form-error">{inputError}</p>}
 
-      <button type="submit" disabled={loading}>
-        {loading ? "Scanning..." : "Scan"}
+      {search && (
+        <TokenPicker
+          query={search.query}
+          candidates={search.candidates}
+          onPick={handlePick}
+          onCancel={() => setSearch(null)}
+        />
+      )}
+
+      <button type="submit" disabled={loading || searching}>
+        {loading ? "Scanning..." : searching ? "Searching..." : "Scan"}
       </button>
     </form>
   );
 }
 
 export default ScanForm;
-
@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { RISK_CATEGORIES } from "../../api/utils/scan/risks.js";
 
 // Loading indicator for streaming sections
 function SectionLoader({ text = "Generating..." }) {
@@ -122,6 +123,430 @@ function renderWithBold(text) {
   return parts.length > 0 ? parts : text;
 }
 
+// Helper: Shorten a wallet address for display
+function shortAddress(address) {
+  if (!address || address.length < 12) return address;
+  return `${address.slice(0, 4)}...${address.slice(-4)}`;
+}
+
+// Top-holder concentration breakdown (LP, burn and exchange wallets excluded)
+function HolderDistribution({ distribution }) {
+  const { top1Pct, top10Pct, top20Pct, gini, holders = [], excluded = [], excludedPct } = distribution;
+  const maxPct = Math.max(...holders.map((h) => h.pct), 1);
+  const concentrationClass = top10Pct > 50 ? "warning" : top10Pct > 30 ? "neutral" : "good";
+
+  return (
+    <div className="holder-distribution">
+      <div className="holder-stats">
+        <div className={`holder-stat ${top1Pct > 10 ? "warning" : "good"}`}>
+          <span className="holder-stat-label">Top 1</span>
+          <span className="holder-stat-value">{top1Pct}%</span>
+        </div>
+        <div className={`holder-stat ${concentrationClass}`}>
+          <span className="holder-stat-label">Top 10</span>
+          <span className="holder-stat-value">{top10Pct}%</span>
+        </div>
+        <div className="holder-stat">
+          <span className="holder-stat-label">Top 20</span>
+          <span className="holder-stat-value">{top20Pct}%</span>
+        </div>
+        {gini !== null && gini !== undefined && (
+          <div className="holder-stat">
+            <span className="holder-stat-label">Gini</span>
+            <span className="holder-stat-value">{gini.toFixed(2)}</span>
+          </div>
+        )}
+      </div>
+
+      {holders.length > 0 && (
+        <div className="holder-bars">
+          {holders.slice(0, 10).map((holder, idx) => (
+            <div key={holder.owner} className="holder-bar-row">
+              <span className="holder-rank">#{idx + 1}</span>
+              <span className="holder-address" title={holder.owner}>{shortAddress(holder.owner)}</span>
+              <div className="holder-bar">
+                <div className="holder-bar-fill" style={{ width: `${(holder.pct / maxPct) * 100}%` }} />
+              </div>
+              <span className="holder-pct">{holder.pct.toFixed(2)}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {excluded.length > 0 && (
+        <p className="holder-excluded">
+          Excluded {excludedPct}% held by {excluded.map((e) => `${e.label} (${e.type}, ${e.pct}%)`).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Top holders that share a funding source (only clusters of 2+ wallets are listed)
+function HolderClusters({ holderClusters }) {
+  const { clusters = [], riskFlag, tracedHolders, analyzedHolders } = holderClusters;
+
+  return (
+    <div className="holder-clusters">
+      {riskFlag ? (
+        <div className={`security-detail ${riskFlag.level === "low" ? "" : "warning"}`}>
+          <span>⚠</span> {riskFlag.description}
+        </div>
+      ) : (
+        <div className="security-detail good">
+          <span>✓</span> No common funding source among the top holders
+        </div>
+      )}
+
+      {clusters.slice(0, 5).map((cluster) => (
+        <div key={cluster.holders[0]} className="holder-cluster">
+          <span className="holder-cluster-pct">{cluster.pct}%</span>
+          <span className="holder-cluster-info">
+            {cluster.holderCount} wallets funded by{" "}
+            {cluster.funders.map((f) => (
+              <span key={f} className="holder-address" title={f}>{shortAddress(f)} </span>
+            ))}
+          </span>
+        </div>
+      ))}
+
+      <p className="holder-excluded">
+        Funding traced for {tracedHolders} of {analyzedHolders} top holders
+      </p>
+    </div>
+  );
+}
+
+// Other tokens from the same deployer (or its funder), dead ones first
+function DeployerHistory({ deployerHistory }) {
+  const { deployer, tokens = [], riskFlag } = deployerHistory;
+  const sorted = [...tokens].sort((a, b) => (a.status === b.status ? b.liquidityUsd - a.liquidityUsd : a.status === "dead" ? -1 : 1));
+
+  return (
+    <div className="deployer-history">
+      <p className="holder-excluded">
+        Deployer: <span className="holder-address" title={deployer}>{shortAddress(deployer)}</span>
+      </p>
+      {riskFlag ? (
+        <div className={`security-detail ${riskFlag.level === "low" ? "" : "warning"}`}>
+          <span>⚠</span> {riskFlag.description}
+        </div>
+      ) : (
+        <div className="security-detail good">
+          <span>✓</span> No other tokens found from this deployer
+        </div>
+      )}
+
+      {sorted.slice(0, 8).map((token) => (
+        <div key={token.address} className="deployer-token">
+          <span className={`deployer-token-status ${token.status}`}>{token.status}</span>
+          <span className="holder-cluster-info">
+            {token.symbol || shortAddress(token.address)} - ${token.liquidityUsd.toLocaleString()} liquidity
+            {token.createdBy === "funder" && " (funder)"}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// First buyers of a young token: bundles, deployer-funded wallets and what they still hold
+function LaunchFairness({ launchAnalysis }) {
+  const { analyzedBuys, buyerCount, bundledBuyers, deployerFundedBuyers, sniperHeldPct, snipers = [], riskFlag } = launchAnalysis;
+
+  return (
+    <div className="deployer-history">
+      <p className="holder-excluded">
+        First {analyzedBuys} buys from {buyerCount} wallets: {bundledBuyers} bundled, {deployerFundedBuyers} funded by the
+        deployer
+      </p>
+      {riskFlag ? (
+        <div className={`security-detail ${riskFlag.level === "low" ? "" : "warning"}`}>
+          <span>⚠</span> {riskFlag.description}
+        </div>
+      ) : (
+        <div className="security-detail good">
+          <span>✓</span> No snipers found in the first buys
+        </div>
+      )}
+
+      {[...snipers]
+        .sort((a, b) => (b.heldPct ?? 0) - (a.heldPct ?? 0))
+        .slice(0, 8)
+        .map((sniper) => (
+          <div key={sniper.wallet} className="deployer-token">
+            <span className="holder-cluster-pct">{sniper.heldPct ?? "?"}%</span>
+            <span className="holder-cluster-info">
+              <span className="holder-address" title={sniper.wallet}>{shortAddress(sniper.wallet)}</span> bought{" "}
+              {sniper.boughtPct}%
+              {sniper.deployerFunded && " - funded by deployer"}
+              {sniper.bundled && " - bundled"}
+              {!sniper.bundled && sniper.launchBlock && " - launch block"}
+            </span>
+          </div>
+        ))}
+      {sniperHeldPct > 0 && <p className="holder-excluded">Snipers still hold {sniperHeldPct}% of supply</p>}
+    </div>
+  );
+}
+
+// Every pool the token trades in, deepest first, with fake-quote and price-divergence flags
+function TradingPairs({ pairAnalysis }) {
+  const { pairs = [], pairCount, legitPairCount, liquidityUsd, riskFlag } = pairAnalysis;
+
+  return (
+    <div className="deployer-history">
+      <p className="holder-excluded">
+        {pairCount} pairs, {legitPairCount} quoted in known tokens with ${Math.round(liquidityUsd).toLocaleString()} combined
+        liquidity
+      </p>
+      {riskFlag && (
+        <div className={`security-detail ${riskFlag.level === "low" ? "" : "warning"}`}>
+          <span>⚠</span> {riskFlag.description}
+        </div>
+      )}
+
+      {pairs.slice(0, 8).map((pair) => (
+        <div key={pair.pairAddress} className="deployer-token">
+          <span className={`deployer-token-status ${pair.flags.length ? "dead" : ""}`}>
+            {pair.flags.length ? "flagged" : "ok"}
+          </span>
+          <span className="holder-cluster-info">
+            {pair.dexId || "dex"} / {pair.quoteSymbol || shortAddress(pair.quoteAddress)} - $
+            {Math.round(pair.liquidityUsd).toLocaleString()} liquidity
+            {pair.flags.includes("unknown-quote") && " - unknown quote token"}
+            {pair.flags.includes("price-divergence") && ` - price ${pair.priceDeviationPct}% off`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Total, burned, locked and circulating supply, with the wallets behind the burned and locked amounts
+function SupplyBreakdown({ supplyBreakdown }) {
+  const { totalSupply, circulatingSupply, circulatingPct, burnedPct, lockedPct, burned = [], locked = [] } = supplyBreakdown;
+  const formatAmount = (amount) => Math.round(amount).toLocaleString();
+
+  return (
+    <div className="deployer-history">
+      <p className="holder-excluded">
+        {formatAmount(circulatingSupply)} of {formatAmount(totalSupply)} tokens circulating ({circulatingPct}%) - {burnedPct}%
+        burned, {lockedPct}% locked
+      </p>
+      {[...burned.map((w) => ({ ...w, kind: "burned" })), ...locked.map((w) => ({ ...w, kind: "locked" }))].map((wallet) => (
+        <div key={`${wallet.kind}-${wallet.address}`} className="deployer-token">
+          <span className="deployer-token-status">{wallet.kind}</span>
+          <span className="holder-cluster-info">
+            {wallet.label || shortAddress(wallet.address)} - {formatAmount(wallet.amount)} tokens
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Hourly candles for the last 7 days, drawn as an SVG candle chart
+function PriceChart({ candles }) {
+  const width = candles.length * 6;
+  const height = 120;
+  const high = Math.max(...candles.map((c) => c.high));
+  const low = Math.min(...candles.map((c) => c.low));
+  const range = high - low || high || 1;
+  const y = (price) => height - ((price - low) / range) * height;
+
+  return (
+    <svg className="price-chart" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+      {candles.map((candle, idx) => {
+        const up = candle.close >= candle.open;
+        const top = y(Math.max(candle.open, candle.close));
+        const bodyHeight = Math.max(1, Math.abs(y(candle.open) - y(candle.close)));
+        return (
+          <g key={candle.time} className={up ? "candle-up" : "candle-down"}>
+            <line x1={idx * 6 + 3} x2={idx * 6 + 3} y1={y(candle.high)} y2={y(candle.low)} />
+            <rect x={idx * 6 + 1} y={top} width={4} height={bodyHeight} />
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Age, ATH, drawdown and volatility from the candle history
+function PriceHistory({ marketData }) {
+  const {
+    candles = [],
+    tokenAgeDays,
+    athPrice,
+    drawdownFromAthPct,
+    priceChange1h,
+    priceChange6h,
+    priceChange7d,
+    volatilityPct,
+    priceRiskFlag,
+  } = marketData;
+  const formatChange = (value) => (value === null || value === undefined ? "N/A" : `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`);
+
+  return (
+    <div className="deployer-history">
+      {candles.length > 1 && <PriceChart candles={candles} />}
+      <p className="holder-excluded">
+        {tokenAgeDays} days old - ATH {formatPrice(athPrice)}, now {drawdownFromAthPct}% below - 1h {formatChange(priceChange1h)},
+        6h {formatChange(priceChange6h)}, 7d {formatChange(priceChange7d)}
+        {volatilityPct !== null && ` - ${volatilityPct}% daily volatility`}
+      </p>
+      {priceRiskFlag && (
+        <div className="security-detail warning">
+          <span>⚠</span> Likely rugged: {priceRiskFlag.description}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// How much of the 24h volume looks organic, with the wash-trading patterns behind the discount
+function VolumeAuthenticity({ volumeAuthenticity }) {
+  const {
+    volume24h,
+    adjustedVolume24h,
+    suspiciousVolumePct,
+    volumeToLiquidity,
+    txCount24h,
+    uniqueTraders24h,
+    avgTradeUsd,
+    patterns = [],
+    riskFlag,
+  } = volumeAuthenticity;
+
+  return (
+    <div className="deployer-history">
+      <p className="holder-excluded">
+        ${Math.round(volume24h).toLocaleString()} 24h volume
+        {volumeToLiquidity !== null && ` (${volumeToLiquidity}x liquidity)`}
+        {txCount24h ? ` across ${txCount24h.toLocaleString()} trades` : ""}
+        {uniqueTraders24h ? ` from ~${uniqueTraders24h.toLocaleString()} wallets` : ""}
+        {avgTradeUsd ? `, $${Math.round(avgTradeUsd).toLocaleString()} average trade` : ""}
+      </p>
+      {riskFlag ? (
+        <div className={`security-detail ${riskFlag.level === "low" ? "" : "warning"}`}>
+          <span>⚠</span> ~{suspiciousVolumePct}% looks inorganic - ${Math.round(adjustedVolume24h).toLocaleString()} counted
+          toward the score
+        </div>
+      ) : (
+        <div className="security-detail good">
+          <span>✓</span> No wash-trading patterns found
+        </div>
+      )}
+
+      {patterns.map((pattern) => (
+        <div key={pattern.id} className="deployer-token">
+          <span className="deployer-token-status dead">{pattern.id}</span>
+          <span className="holder-cluster-info">{pattern.description}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Other tokens trading under the same or a near-identical name/ticker, most established first
+function LookalikeTokens({ cloneAnalysis }) {
+  const { matches = [], matchCount, isLikelyClone, websiteListsAddress } = cloneAnalysis;
+
+  return (
+    <div className="deployer-history">
+      <p className="holder-excluded">
+        {matchCount} other token{matchCount === 1 ? "" : "s"} use this name or ticker
+        {websiteListsAddress && " · the project website lists this contract"}
+      </p>
+      {!isLikelyClone && (
+        <div className="security-detail good">
+          <span>✓</span> No better-established token found - this looks like the original
+        </div>
+      )}
+
+      {matches.map((match) => (
+        <div key={`${match.chain}:${match.address}`} className="deployer-token">
+          <span className={`deployer-token-status ${match.similarity === "exact" ? "dead" : ""}`}>{match.similarity}</span>
+          <span className="holder-cluster-info">
+            {match.dexUrl ? (
+              <a href={match.dexUrl} target="_blank" rel="noopener noreferrer">
+                {match.symbol} · {match.chainName}
+              </a>
+            ) : (
+              `${match.symbol} · ${match.chainName}`
+            )}
+            {" "}- ${Math.round(match.liquidity || 0).toLocaleString()} liquidity
+            {match.ageDays !== null && match.ageDays !== undefined && `, ${match.ageDays} days old`}
+            {match.sharedSocials.length > 0 && `, same ${match.sharedSocials.join("/")}`}
+            {match.linkedFromWebsite && ", listed on the project website"}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Expandable "why this score" panel: every adjustment, the caps that held and the 70+ gate
+function ScoreBreakdown({ scoreBreakdown }) {
+  const [open, setOpen] = useState(false);
+  const { score, baseScore, rawScore, factors = [], caps = [], strongIndicators, scoringProfile } = scoreBreakdown;
+
+  return (
+    <div className="score-breakdown">
+      <button type="button" className="score-breakdown-toggle" onClick={() => setOpen(!open)}>
+        {open ? "▾" : "▸"} Why this score?
+      </button>
+      {open && (
+        <div className="score-breakdown-body">
+          <div className="score-factor">
+            <span className="score-factor-label">Starting score</span>
+            <span className="score-factor-points">{baseScore}</span>
+          </div>
+          {factors.map((factor) => (
+            <div key={factor.id} className="score-factor">
+              <span className="score-factor-label">
+                {factor.label}
+                {factor.detail && <span className="score-factor-detail"> - {factor.detail}</span>}
+              </span>
+              <span className={`score-factor-points ${factor.points >= 0 ? "positive" : "negative"}`}>
+                {factor.points > 0 ? "+" : ""}
+                {factor.points}
+              </span>
+            </div>
+          ))}
+          <div className="score-factor total">
+            <span className="score-factor-label">Before caps</span>
+            <span className="score-factor-points">{Math.round(rawScore)}</span>
+          </div>
+
+          {caps.map((c) => (
+            <div key={c.id} className={`security-detail ${c.applied ? "warning" : ""}`}>
+              <span>{c.applied ? "⚠" : "ℹ"}</span> {c.applied ? `Capped at ${c.limit}` : `Cap ${c.limit} (not reached)`}: {c.reason}
+            </div>
+          ))}
+          {strongIndicators && (
+            <p className="holder-excluded">
+              {strongIndicators.count} of {strongIndicators.met.length + strongIndicators.missing.length} strong indicators
+              ({strongIndicators.required} needed above {strongIndicators.threshold})
+              {strongIndicators.missing.length > 0 && ` · missing: ${strongIndicators.missing.join(", ")}`}
+            </p>
+          )}
+
+          <div className="score-factor total">
+            <span className="score-factor-label">
+              Final score
+              {scoringProfile && (
+                <span className="score-factor-detail"> - {scoringProfile.id} profile v{scoringProfile.version}</span>
+              )}
+            </span>
+            <span className="score-factor-points">{score}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function ScanResult({ result }) {
   const {
     tokenName,
@@ -148,8 +573,46 @@ function ScanResult({ result }) {
     tokenScore,
     twitterData,
     tickerTweets,
+    chain,
+    addressResolution,
+    holderClusters,
+    liquidityLock,
+    deployerHistory,
+    launchAnalysis,
+    launchpad,
+    pairAnalysis,
+    volumeAuthenticity,
+    supplyBreakdown,
+    cloneAnalysis,
+    risks,
+    scoreBreakdown,
+    scoringProfile,
   } = result;
 
+  // Launchpad tokens that haven't migrated trade against the bonding curve, not a DEX pool
+  const onBondingCurve = launchpad?.status === "bonding";
+
+  // LP burn/lock line (fungible-LP pools only)
+  const lpAtRisk = liquidityLock?.riskFlag && liquidityLock.riskFlag.level !== "low";
+
+  // EVM buy/sell simulation (honeypot and taxes)
+  const simulation = securityData?.checks?.simulation;
+  const highTax = Math.max(simulation?.buyTax ?? 0, simulation?.sellTax ?? 0) >= 10;
+
+  // Note shown when the pasted address was a pair/pool or token account, not the token itself
+  const resolvedFrom =
+    addressResolution && addressResolution.inputAddress !== addressResolution.tokenAddress
+      ? addressResolution
+      : null;
+
+  // The token most likely being impersonated, when this one looks like the copy
+  const cloneOf = cloneAnalysis?.isLikelyClone ? cloneAnalysis.likelyOriginal : null;
+
+  // Chart link for the chain the token was scanned on (older results have no chain info)
+  const chartUrl =
+    marketData?.dexUrl ||
+    `https://dexscreener.com/${chain?.dexscreenerId || "bsc"}/${contractAddress}`;
+
   const [copySuccess, setCopySuccess] = useState(false);
 
   const formatFullReport = () => {
@@ -157,7 +620,8 @@ function ScanResult({ result }) {
     report += `${"=".repeat(50)}\n\n`;
     report += `TOKEN: ${tokenName || "Unknown Token"} (${symbol || "N/A"})\n`;
     report += `CONTRACT: ${contractAddress}\n`;
-    report += `SCORE: ${tokenScore || 50}/100\n`;
+    if (cloneOf) report += `WARNING: possible clone of ${cloneOf.symbol} on ${cloneOf.chainName} (${cloneOf.address})\n`;
+    report += `SCORE: ${tokenScore || 50}/100${scoringProfile ? ` (${scoringProfile.id} profile v${scoringProfile.version})` : ""}\n`;
 
     if (summary) {
       report += `SUMMARY\n`;
@@ -191,6 +655,7 @@ function ScanResult({ result }) {
       if (marketData.liquidity) report += `Liquidity: $${(marketData.liquidity / 1000000).toFixed(2)}M\n`;
       if (marketData.volume24h) report += `24h Volume: $${(marketData.volume24h / 1000000).toFixed(2)}M\n`;
       if (marketData.priceChange24h) report += `24h Change: ${marketData.priceChange24h >= 0 ? '+' : ''}${marketData.priceChange24h.toFixed(2)}%\n`;
+      if (onBondingCurve) report += `${launchpad.name} bonding curve: ${launchpad.progressPct ?? '?'}% (not migrated)\n`;
       report += `\n`;
     }
 
@@ -209,6 +674,15 @@ function ScanResult({ result }) {
     report += `${narrativeClaim || "No narrative extracted."}\n\n`;
 
 
+    if (risks?.length > 0) {
+      report += `RISK FLAGS\n`;
+      report += `${"-".repeat(50)}\n`;
+      risks.forEach((risk) => {
+        report += `[${risk.severity.toUpperCase()}] ${risk.name}: ${risk.description}\n`;
+      });
+      report += `\n`;
+    }
+
     if (result.redFlags && result.redFlags.length > 0) {
       report += `CONCERNS\n`;
       report += `${"-".repeat(50)}\n`;
@@ -306,7 +780,21 @@ function ScanResult({ result }) {
           <h2>
             {tokenName || "Unknown Token"} {symbol && <span className="symbol">({symbol})</span>}
           </h2>
-          <p className="ca">{contractAddress}</p>
+          <p className="ca">
+            {contractAddress}
+            {chain?.name && <span className="chain-tag"> · {chain.name}</span>}
+          </p>
+          {resolvedFrom && (
+            <p className="resolved-from">
+              Resolved from {resolvedFrom.type === "pair" ? "pair" : "token account"} {resolvedFrom.inputAddress}
+              {resolvedFrom.pair?.dexId && ` (${resolvedFrom.pair.dexId})`}
+            </p>
+          )}
+          {cloneOf && (
+            <p className={`clone-warning ${cloneAnalysis.riskFlag.level}`}>
+              🚨 Possible clone: {cloneAnalysis.riskFlag.description}
+            </p>
+          )}
         </div>
         <div className="result-header-aside">
           {tokenScore !== undefined && tokenScore !== null ? (
@@ -334,7 +822,7 @@ function ScanResult({ result }) {
 
       <div className="result-actions">
         <a 
-          href={`https://dexscreener.com/bsc/${contractAddress}`}
+          href={chartUrl}
           target="_blank"
           rel="noopener noreferrer"
           className="btn-view-chart"
@@ -349,6 +837,8 @@ function ScanResult({ result }) {
         </button>
       </div>
 
+      {scoreBreakdown && <ScoreBreakdown scoreBreakdown={scoreBreakdown} />}
+
       {/* Analysis Sections - Show loading states when streaming */}
       <div className="analysis-section summary-section">
         <h3 className="analysis-section-title">SUMMARY</h3>
@@ -435,6 +925,26 @@ function ScanResult({ result }) {
             <div className="metric-value">${(marketData.liquidity / 1000000).toFixed(2)}M</div>
           </div>
         )}
+        {launchpad && (
+          <div className="metric-card">
+            <div className="metric-label">{onBondingCurve ? `${launchpad.name} Curve` : "Launchpad"}</div>
+            <div className="metric-value">
+              {onBondingCurve ? `${launchpad.progressPct ?? "?"}%` : `${launchpad.name} (migrated)`}
+            </div>
+          </div>
+        )}
+        {marketData?.marketCap && (
+          <div className="metric-card">
+            <div className="metric-label">Market Cap</div>
+            <div className="metric-value">${Math.round(marketData.marketCap).toLocaleString()}</div>
+          </div>
+        )}
+        {marketData?.fdv && marketData.fdv !== marketData.marketCap && (
+          <div className="metric-card">
+            <div className="metric-label">FDV</div>
+            <div className="metric-value">${Math.round(marketData.fdv).toLocaleString()}</div>
+          </div>
+        )}
         {fundamentals?.holderCount && (
           <div className="metric-card">
             <div className="metric-label">Holders</div>
@@ -463,16 +973,19 @@ function ScanResult({ result }) {
         )}
       </div>
 
-      {/* Security Status */}
-      {securityData && (
+      {/* Security Status - normalized risks from every provider */}
+      {(securityData || risks?.length > 0) && (
         <div className="result-section">
           <h3>Security Analysis</h3>
-          {securityData.risks && securityData.risks.length > 0 ? (
+          {risks?.length > 0 ? (
             <div className="security-risks">
-              {securityData.risks.map((risk, idx) => (
-                <div key={idx} className="risk-item">
-                  <span className={`risk-badge risk-${risk.level}`}>{risk.level}</span>
-                  <span className="risk-description">{risk.description}</span>
+              {risks.map((risk) => (
+                <div key={risk.id} className="risk-item">
+                  <span className={`risk-badge risk-${risk.severity}`}>{risk.severity}</span>
+                  <span className="risk-level">{RISK_CATEGORIES[risk.category] || risk.category}</span>
+                  <span className="risk-description">
+                    {risk.name}: {risk.description}
+                  </span>
                 </div>
               ))}
             </div>
@@ -504,11 +1017,111 @@ function ScanResult({ result }) {
                   <span>⚠</span> Has freeze authority (can freeze accounts)
                 </div>
               )}
+              {fundamentals.tokenExtensions?.tokenProgram === "token-2022" && (
+                <div className="security-detail">
+                  <span>ℹ</span> Token-2022 program
+                  {fundamentals.tokenExtensions.extensions.length > 0 &&
+                    ` (${fundamentals.tokenExtensions.extensions.join(", ")})`}
+                </div>
+              )}
+              {securityData?.checks?.ownership?.renounced === null && (
+                <div className="security-detail">
+                  <span>ℹ</span> No owner() getter - control may sit with roles or an admin mapping
+                </div>
+              )}
+              {typeof securityData?.checks?.ownership?.renounced === "boolean" && (
+                <div className={`security-detail ${securityData.checks.ownership.renounced ? "good" : "warning"}`}>
+                  <span>{securityData.checks.ownership.renounced ? "✓" : "⚠"}</span>{" "}
+                  {securityData.checks.ownership.renounced ? "Ownership renounced" : "Owner can still change the contract settings"}
+                </div>
+              )}
+              {simulation?.status === "ok" && !simulation.isHoneypot && simulation.sellReverted && (
+                <div className="security-detail warning">
+                  <span>⚠</span> Simulated sell reverted in a probe contract (may be an anti-bot check, unconfirmed)
+                </div>
+              )}
+              {simulation?.status === "ok" && !simulation.isHoneypot && !simulation.buyReverted && !simulation.sellReverted && (
+                <div className={`security-detail ${highTax ? "warning" : "good"}`}>
+                  <span>{highTax ? "⚠" : "✓"}</span> Simulated tax: {simulation.buyTax ?? "?"}% buy / {simulation.sellTax ?? "?"}% sell
+                </div>
+              )}
+              {liquidityLock?.lpModel === "fungible" && (
+                <div className={`security-detail ${lpAtRisk ? "warning" : "good"}`}>
+                  <span>{lpAtRisk ? "⚠" : "✓"}</span> LP tokens ({liquidityLock.dex}): {liquidityLock.burnedPct}% burned,{" "}
+                  {liquidityLock.lockedPct}% locked
+                  {liquidityLock.creatorPct > 0 && `, ${liquidityLock.creatorPct}% held by creator`}
+                </div>
+              )}
             </div>
           )}
         </div>
       )}
 
+      {/* Holder Distribution */}
+      {fundamentals?.holderDistribution && (
+        <div className="result-section">
+          <h3>Holder Distribution</h3>
+          <HolderDistribution distribution={fundamentals.holderDistribution} />
+          {holderClusters && <HolderClusters holderClusters={holderClusters} />}
+        </div>
+      )}
+
+      {/* Deployer History */}
+      {deployerHistory && (
+        <div className="result-section">
+          <h3>Deployer History</h3>
+          <DeployerHistory deployerHistory={deployerHistory} />
+        </div>
+      )}
+
+      {/* Trading Pairs */}
+      {pairAnalysis?.pairCount > 1 && (
+        <div className="result-section">
+          <h3>Trading Pairs</h3>
+          <TradingPairs pairAnalysis={pairAnalysis} />
+        </div>
+      )}
+
+      {/* Supply */}
+      {supplyBreakdown && (
+        <div className="result-section">
+          <h3>Supply</h3>
+          <SupplyBreakdown supplyBreakdown={supplyBreakdown} />
+        </div>
+      )}
+
+      {/* Price History */}
+      {marketData?.athPrice && (
+        <div className="result-section">
+          <h3>Price History</h3>
+          <PriceHistory marketData={marketData} />
+        </div>
+      )}
+
+      {/* Volume Authenticity */}
+      {volumeAuthenticity && (
+        <div className="result-section">
+          <h3>Volume Authenticity</h3>
+          <VolumeAuthenticity volumeAuthenticity={volumeAuthenticity} />
+        </div>
+      )}
+
+      {/* Lookalike Tokens */}
+      {cloneAnalysis?.matchCount > 0 && (
+        <div className="result-section">
+          <h3>Lookalike Tokens</h3>
+          <LookalikeTokens cloneAnalysis={cloneAnalysis} />
+        </div>
+      )}
+
+      {/* Launch Fairness */}
+      {launchAnalysis && (
+        <div className="result-section">
+          <h3>Launch Fairness</h3>
+          <LaunchFairness launchAnalysis={launchAnalysis} />
+        </div>
+      )}
+
       {/* Narrative */}
       <div className="result-section">
         <h3>Narrative</h3>
@@ -0,0 +1,57 @@
+import React from "react";
+
+// Helper: Compact USD amount ($1.2M, $350K)
+function formatUsd(value) {
+  if (!value && value !== 0) return "N/A";
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${Math.round(value)}`;
+}
+
+// Helper: Token age from days
+function formatAge(days) {
+  if (days === null || days === undefined) return "unknown age";
+  if (days < 1) return "< 1 day";
+  if (days < 60) return `${days}d`;
+  if (days < 730) return `${Math.floor(days / 30)}mo`;
+  return `${Math.floor(days / 365)}y`;
+}
+
+// Picker shown when a name/$TICKER search matches several tokens
+function TokenPicker({ query, candidates, onPick, onCancel }) {
+  return (
+    <div className="token-picker">
+      <div className="token-picker-header">
+        <span>
+          {candidates.length} tokens match <strong>${query}</strong> — pick one to scan
+        </span>
+        <button type="button" className="token-picker-cancel" onClick={onCancel}>
+          ✕
+        </button>
+      </div>
+      <ul className="token-picker-list">
+        {candidates.map((candidate) => (
+          <li key={`${candidate.chain}:${candidate.address}`}>
+            <button
+              type="button"
+              className="token-picker-item"
+              onClick={() => onPick(candidate)}
+            >
+              <span className="token-picker-name">
+                {candidate.name || "Unknown"} <span className="symbol">({candidate.symbol || "???"})</span>
+              </span>
+              <span className="token-picker-chain">{candidate.chainName}</span>
+              <span className="token-picker-stats">
+                Liq {formatUsd(candidate.liquidity)} · Vol {formatUsd(candidate.volume24h)} · {formatAge(candidate.ageDays)}
+              </span>
+              <span className="token-picker-address">{candidate.address}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default TokenPicker;
@@ -0,0 +1,26 @@
+-- EVM holder snapshots (api/utils/scan/evmHolders.js, read and written by api/utils/scan/cache.js)
+-- The upserts in saveHolderSnapshot() rely on the two unique constraints below.
+
+-- Block each token's stored balances are current to
+create table if not exists public.dyor_holder_snapshots (
+  chain text not null,
+  token_address text not null,
+  last_block bigint not null,
+  transfer_count bigint not null default 0,
+  updated_at timestamptz not null default now(),
+  constraint dyor_holder_snapshots_chain_token_key unique (chain, token_address)
+);
+
+-- One row per holder with a non-zero balance (raw token units as a decimal string,
+-- since balances can exceed 2^64)
+create table if not exists public.dyor_holder_balances (
+  chain text not null,
+  token_address text not null,
+  holder text not null,
+  balance text not null,
+  constraint dyor_holder_balances_chain_token_holder_key unique (chain, token_address, holder)
+);
+
+-- Only the service role (server side) touches these tables
+alter table public.dyor_holder_snapshots enable row level security;
+alter table public.dyor_holder_balances enable row level security;
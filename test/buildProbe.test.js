@@ -0,0 +1,24 @@
+// Committed contract bytecode must match its Solidity source
+// Recompiles TradeProbe.sol and TestToken.sol with the pinned solc (scripts/build-probe.js) and
+// compares the output with what honeypot.js and the honeypot test load. A mismatch means a .sol
+// file was edited without running npm run build:probe.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { compileContracts } from "../scripts/build-probe.js";
+import { PROBE_RUNTIME_CODE } from "../api/utils/scan/contracts/tradeProbe.js";
+
+const require = createRequire(import.meta.url);
+const testToken = require("./fixtures/testToken.json");
+
+describe("build:probe", () => {
+  const compiled = compileContracts();
+
+  it("matches the committed probe runtime code", () => {
+    assert.equal(compiled.TradeProbe.runtime, PROBE_RUNTIME_CODE);
+  });
+
+  it("matches the committed test token bytecode", () => {
+    assert.equal(compiled.TestToken.bytecode, testToken.bytecode);
+  });
+});
@@ -0,0 +1,155 @@
+// Clone detection over DexScreener search results: lookalike matching and which match counts as the original
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectClones } from "../api/utils/scan/clones.js";
+import { getChain } from "../api/utils/scan/chains.js";
+
+const SOL_PEPE = "PepeSo1ana111111111111111111111111111111111";
+const SOL_PEP3 = "Pep3C1one111111111111111111111111111111111";
+const ETH_PEPE = "0x6982508145454Ce325dDbE47a25d4ec3d2311933";
+const BASE_PEPE = "0x00000000000000000000000000000000000000b1";
+const ARB_PEPE = "0x00000000000000000000000000000000000000a1";
+
+// DexScreener search pair for a token `ageDays` old
+const pair = (chainId, address, symbol, name, liquidity, ageDays, info) => ({
+  chainId,
+  pairAddress: `${address}-pool`,
+  baseToken: { address, symbol, name },
+  quoteToken: { symbol: "USDC" },
+  priceUsd: "1",
+  liquidity: { usd: liquidity },
+  volume: { h24: 1000 },
+  pairCreatedAt: Date.now() - ageDays * 86400000,
+  info,
+});
+const withX = (url) => ({ socials: [{ type: "twitter", url }] });
+
+// Stub the DexScreener search endpoint with the same pairs for every query
+function stubSearch(t, pairs) {
+  const queries = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    queries.push(new URL(url).searchParams.get("q"));
+    return { ok: true, status: 200, json: async () => ({ pairs }) };
+  });
+  return queries;
+}
+
+describe("detectClones", () => {
+  it("prefers a better-established lookalike on the scanned chain over a bigger one elsewhere", async (t) => {
+    const queries = stubSearch(t, [
+      pair("solana", SOL_PEPE, "PEPE", "Pepe", 5000000, 400, withX("https://x.com/pepe")),
+      pair("ethereum", ETH_PEPE, "PEPE", "Pepe", 50000000, 900, withX("https://twitter.com/pepe/")),
+      pair("solana", SOL_PEP3, "PEP3", "Pepe", 2000, 1),
+      pair("base", BASE_PEPE, "BONK", "Bonk", 1000000, 100),
+    ]);
+    const result = await detectClones(SOL_PEP3, getChain("solana"), {
+      tokenName: "Pepe",
+      symbol: "PEP3",
+      socials: { x: "https://x.com/pepe" },
+      liquidity: 2000,
+      ageDays: 1,
+    });
+
+    assert.deepEqual(queries, ["PEP3", "Pepe", "PEPE"]);
+    assert.deepEqual(
+      result.matches.map((m) => [m.chain, m.similarity, m.matchedOn, m.sharedSocials]),
+      [
+        ["ethereum", "exact", ["symbol", "name"], ["x"]],
+        ["solana", "exact", ["symbol", "name"], ["x"]],
+      ]
+    );
+    assert.ok(result.matches[0].originalScore > result.matches[1].originalScore);
+    assert.equal(result.isLikelyClone, true);
+    assert.equal(result.isLikelyOriginal, false);
+    assert.equal(result.likelyOriginal.address, SOL_PEPE);
+    assert.equal(result.riskFlag.id, "impersonation");
+    assert.equal(result.riskFlag.level, "high");
+    assert.match(result.riskFlag.description, /^Looks like a copy of Pepe on Solana \(PepeSo1ana1+\).*uses the same x link$/);
+  });
+
+  it("does not pick an original on another chain that shares nothing with the scanned token", async (t) => {
+    stubSearch(t, [
+      pair("solana", SOL_PEPE, "PEPE", "Pepe", 5000000, 400, withX("https://x.com/pepe")),
+      pair("ethereum", ETH_PEPE, "PEPE", "Pepe", 50000000, 900),
+    ]);
+    const result = await detectClones(ARB_PEPE, getChain("arbitrum"), {
+      tokenName: "Pepe",
+      symbol: "PEPE",
+      socials: { x: "https://x.com/arbpepe" },
+      liquidity: 100,
+      ageDays: 1,
+    });
+
+    assert.equal(result.matchCount, 2);
+    assert.equal(result.isLikelyClone, false);
+    assert.equal(result.isLikelyOriginal, false);
+    assert.equal(result.likelyOriginal, null);
+    assert.equal(result.riskFlag, null);
+  });
+
+  it("ties a lookalike on another chain through a shared social link", async (t) => {
+    stubSearch(t, [
+      pair("solana", SOL_PEPE, "PEPE", "Pepe", 5000000, 400, withX("https://x.com/pepe")),
+      pair("ethereum", ETH_PEPE, "PEPE", "Pepe", 50000000, 900),
+    ]);
+    const result = await detectClones(ARB_PEPE, getChain("arbitrum"), {
+      tokenName: "Pepe",
+      symbol: "PEPE",
+      socials: { x: "https://www.twitter.com/Pepe?s=21" },
+      liquidity: 100,
+      ageDays: 1,
+    });
+
+    assert.equal(result.likelyOriginal.address, SOL_PEPE);
+    assert.equal(result.riskFlag.level, "medium");
+  });
+
+  it("ties a lookalike on another chain through the project website", async (t) => {
+    stubSearch(t, [
+      pair("solana", SOL_PEPE, "PEPE", "Pepe", 5000000, 400),
+      pair("ethereum", ETH_PEPE, "PEPE", "Pepe", 50000000, 900),
+    ]);
+    const result = await detectClones(ARB_PEPE, getChain("arbitrum"), {
+      tokenName: "Pepe",
+      symbol: "PEPE",
+      liquidity: 100,
+      ageDays: 1,
+      websiteData: { addresses: [ETH_PEPE.toLowerCase()] },
+    });
+
+    assert.equal(result.websiteListsAddress, false);
+    assert.equal(result.likelyOriginal.address, ETH_PEPE);
+    assert.equal(result.likelyOriginal.linkedFromWebsite, true);
+    assert.equal(result.riskFlag.level, "medium");
+    assert.match(result.riskFlag.description, /the project website lists that address, not this one$/);
+  });
+
+  it("treats the scanned token as the original when no lookalike outscores it", async (t) => {
+    stubSearch(t, [
+      pair("ethereum", ETH_PEPE, "PEPE", "Pepe", 50000000, 900),
+      pair("ethereum", "0x00000000000000000000000000000000000000e1", "PEPE", "Pepe", 1000000, 30),
+      pair("bsc", "0x00000000000000000000000000000000000000b2", "PEP3", "Pepe Classic", 200000, 10),
+    ]);
+    const result = await detectClones(ETH_PEPE.toLowerCase(), getChain("ethereum"), {
+      tokenName: "Pepe",
+      symbol: "PEPE",
+      liquidity: 50000000,
+      ageDays: 900,
+      websiteData: { addresses: [ETH_PEPE] },
+    });
+
+    assert.equal(result.matchCount, 2);
+    assert.deepEqual(result.matches.map((m) => m.similarity), ["exact", "near"]);
+    assert.equal(result.websiteListsAddress, true);
+    assert.equal(result.isLikelyOriginal, true);
+    assert.equal(result.isLikelyClone, false);
+    assert.equal(result.likelyOriginal.address, ETH_PEPE.toLowerCase());
+    assert.equal(result.riskFlag, null);
+  });
+
+  it("returns null without a usable name or symbol", async (t) => {
+    const queries = stubSearch(t, []);
+    assert.equal(await detectClones(SOL_PEP3, getChain("solana"), { tokenName: "Unknown Token", symbol: "???" }), null);
+    assert.deepEqual(queries, []);
+  });
+});
@@ -0,0 +1,176 @@
+// Holder clustering against recorded-style chain data
+// analyzeHolderClusters() is driven through a fake transport that answers from JSON fixtures:
+// test/fixtures/clustersSolana.json (getSignaturesForAddress / getTransaction results) and
+// test/fixtures/clustersEvm.json (explorer txlist / txlistinternal results).
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { getChain } from "../api/utils/scan/chains.js";
+import { analyzeHolderClusters, traceEvmFunder, traceSolanaFunder } from "../api/utils/scan/clusters.js";
+
+const require = createRequire(import.meta.url);
+const solanaFixture = require("./fixtures/clustersSolana.json");
+const evmFixture = require("./fixtures/clustersEvm.json");
+
+const solana = getChain("solana");
+const bnb = getChain("bnb");
+const owner = (fixture, index) => fixture.holders[index].owner;
+
+// Transport answering from a fixture; unknown wallets have no history
+function createFixtureTransport(fixture) {
+  return {
+    solanaRpc: async (method, params) => {
+      if (method === "getSignaturesForAddress") return fixture.signatures?.[params[0]] || [];
+      if (method === "getTransaction") return fixture.transactions?.[params[0]] || null;
+      throw new Error(`Unexpected RPC method ${method}`);
+    },
+    explorerApi: async (chainId, params) => {
+      assert.equal(chainId, bnb.id);
+      return fixture[params.action]?.[params.address] || [];
+    },
+  };
+}
+
+describe("traceSolanaFunder", () => {
+  const transport = createFixtureTransport(solanaFixture);
+
+  it("returns the source of the first SOL transfer into the wallet", async () => {
+    const result = await traceSolanaFunder(owner(solanaFixture, 0), transport);
+    assert.deepEqual(result, {
+      funder: "FunderXxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx",
+      signature: "sigA1fund",
+      blockTime: 1760000000,
+      method: "sol-transfer",
+    });
+  });
+
+  it("reads createAccount instructions run by another program", async () => {
+    const result = await traceSolanaFunder(owner(solanaFixture, 8), transport);
+    assert.equal(result.funder, owner(solanaFixture, 0));
+    assert.equal(result.method, "sol-transfer");
+  });
+
+  it("falls back to the fee payer when no SOL moved in", async () => {
+    const result = await traceSolanaFunder(owner(solanaFixture, 2), transport);
+    assert.equal(result.funder, "FunderXxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx");
+    assert.equal(result.method, "fee-payer");
+  });
+
+  it("returns null for a wallet without transactions", async () => {
+    assert.equal(await traceSolanaFunder(owner(solanaFixture, 7), transport), null);
+  });
+});
+
+describe("traceEvmFunder", () => {
+  const transport = createFixtureTransport(evmFixture);
+
+  it("returns the sender of the first incoming transfer", async () => {
+    const result = await traceEvmFunder(owner(evmFixture, 0), bnb, transport);
+    assert.deepEqual(result, {
+      funder: "0xf00d000000000000000000000000000000000001",
+      signature: "0x01f1",
+      blockTime: 1760000000,
+      method: "transfer",
+    });
+  });
+
+  it("prefers an earlier internal transfer over a later normal one", async () => {
+    const result = await traceEvmFunder(owner(evmFixture, 2), bnb, transport);
+    assert.equal(result.funder, "0xf00d000000000000000000000000000000000001");
+    assert.equal(result.method, "internal-transfer");
+  });
+
+  it("returns null when nothing with value was sent to the wallet", async () => {
+    assert.equal(await traceEvmFunder(owner(evmFixture, 5), bnb, transport), null);
+    assert.equal(await traceEvmFunder(owner(evmFixture, 6), bnb, transport), null);
+  });
+});
+
+describe("analyzeHolderClusters", () => {
+  it("clusters Solana holders by SOL transfer, holder funding and a corroborated fee payer", async () => {
+    const result = await analyzeHolderClusters(solanaFixture.holders, solana, {
+      transport: createFixtureTransport(solanaFixture),
+    });
+
+    assert.equal(result.analyzedHolders, 9);
+    assert.equal(result.tracedHolders, 8);
+    assert.deepEqual(result.clusters, [
+      {
+        funders: ["FunderXxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx", owner(solanaFixture, 0)],
+        holders: [0, 1, 2, 8].map((index) => owner(solanaFixture, index)),
+        holderCount: 4,
+        pct: 11,
+      },
+    ]);
+    assert.equal(result.clusteredPct, 11);
+    assert.equal(result.largestClusterPct, 11);
+    assert.equal(result.riskFlag.id, "holder_clusters");
+    assert.equal(result.riskFlag.level, "medium");
+  });
+
+  it("does not cluster holders that only share a fee payer or an exchange funder", async () => {
+    const result = await analyzeHolderClusters(solanaFixture.holders, solana, {
+      transport: createFixtureTransport(solanaFixture),
+    });
+    const clustered = result.clusters.flatMap((cluster) => cluster.holders);
+
+    for (const index of [3, 4, 5, 6]) {
+      assert.ok(!clustered.includes(owner(solanaFixture, index)), `${owner(solanaFixture, index)} is not clustered`);
+    }
+  });
+
+  it("clusters EVM holders from txlist and txlistinternal, case-insensitively", async () => {
+    const result = await analyzeHolderClusters(evmFixture.holders, bnb, {
+      transport: createFixtureTransport(evmFixture),
+    });
+
+    assert.equal(result.analyzedHolders, 7);
+    assert.equal(result.tracedHolders, 5);
+    assert.deepEqual(result.clusters, [
+      {
+        funders: ["0xf00d000000000000000000000000000000000001"],
+        holders: [0, 1, 2].map((index) => owner(evmFixture, index).toLowerCase()),
+        holderCount: 3,
+        pct: 26,
+      },
+    ]);
+    assert.equal(result.riskFlag.level, "high");
+    assert.equal(
+      result.riskFlag.description,
+      "3 top holders share a funding source and control 26% of supply"
+    );
+  });
+
+  it("reports no clusters when no funder can be traced", async () => {
+    const holders = [
+      { owner: "NoHistory1xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx", pct: 10 },
+      { owner: "NoHistory2xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx", pct: 8 },
+    ];
+    const result = await analyzeHolderClusters(holders, solana, { transport: createFixtureTransport({}) });
+
+    assert.equal(result.tracedHolders, 0);
+    assert.deepEqual(result.clusters, []);
+    assert.equal(result.clusteredPct, 0);
+    assert.equal(result.riskFlag, null);
+  });
+
+  it("skips holders whose trace fails", async () => {
+    const transport = {
+      ...createFixtureTransport(evmFixture),
+      explorerApi: async () => {
+        throw new Error("rate limited");
+      },
+    };
+    const result = await analyzeHolderClusters(evmFixture.holders, bnb, { transport });
+
+    assert.equal(result.tracedHolders, 0);
+    assert.equal(result.riskFlag, null);
+  });
+
+  it("needs at least two holders", async () => {
+    const result = await analyzeHolderClusters(evmFixture.holders.slice(0, 1), bnb, {
+      transport: createFixtureTransport(evmFixture),
+    });
+    assert.equal(result, null);
+  });
+});
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+// ERC-20 deployed by test/honeypot.test.js. With sellable = false it is a honeypot:
+// once the pool is set, only the owner and the pool can send tokens, so buys work
+// and every sell reverts.
+// Compiled into testToken.json by npm run build:probe (scripts/build-probe.js).
+pragma solidity ^0.8.20;
+
+contract TestToken {
+    string public constant name = "Test Token";
+    string public constant symbol = "TEST";
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply = 1e27;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    address public immutable owner;
+    bool public immutable sellable;
+    address public pool;
+
+    constructor(bool sellable_) {
+        owner = msg.sender;
+        sellable = sellable_;
+        balanceOf[msg.sender] = totalSupply;
+    }
+
+    function setPool(address pool_) external {
+        require(msg.sender == owner, "not owner");
+        pool = pool_;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        if (allowance[from][msg.sender] != type(uint256).max) allowance[from][msg.sender] -= amount;
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(sellable || pool == address(0) || from == owner || from == pool, "sells disabled");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+    }
+}
@@ -0,0 +1,178 @@
+// Honeypot simulation against a real EVM
+// Runs simulateTrade() over JSON-RPC against an in-process ganache chain. By default the chain
+// is empty and Uniswap V2 (WETH9, factory, router) is deployed first; set HONEYPOT_FORK_RPC_URL
+// (and optionally HONEYPOT_FORK_CHAIN, default bnb) to fork a live chain and trade through its
+// real V2 router instead. Either way a plain token and a honeypot (test/fixtures/TestToken.sol,
+// sells revert) get a pool, and the simulation has to tell them apart. Ganache has no
+// eth_simulateV1, so this covers the eth_call + state override path public RPCs use; the
+// eth_simulateV1 path is driven with canned RPC responses.
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import process from "node:process";
+import ganache from "ganache";
+import { getChain } from "../api/utils/scan/chains.js";
+import { encodeAddressWord, encodeUintWord } from "../api/utils/scan/evm.js";
+import { simulateTrade } from "../api/utils/scan/honeypot.js";
+
+const require = createRequire(import.meta.url);
+const WETH9 = require("@uniswap/v2-periphery/build/WETH9.json");
+const UniswapV2Factory = require("@uniswap/v2-core/build/UniswapV2Factory.json");
+const UniswapV2Router02 = require("@uniswap/v2-periphery/build/UniswapV2Router02.json");
+const testToken = require("./fixtures/testToken.json");
+
+const PORT = 18545;
+const FORK_URL = process.env.HONEYPOT_FORK_RPC_URL || null;
+const LIQUIDITY_TOKENS = 10n ** 26n; // 10% of the test token supply
+const LIQUIDITY_WEI = 10n ** 20n; // 100 native coin
+
+const SELECTORS = {
+  approve: "0x095ea7b3",
+  addLiquidityETH: "0xf305d719",
+  setPool: "0x4437152a",
+  getPair: "0xe6a43905",
+  factory: "0xc45a0155",
+};
+
+let server;
+let provider;
+let deployer;
+let chain;
+let router;
+
+// Helper: Send a transaction from the deployer and wait for its receipt
+async function send(tx) {
+  const hash = await provider.request({ method: "eth_sendTransaction", params: [{ from: deployer, gas: "0x989680", ...tx }] });
+  const receipt = await provider.request({ method: "eth_getTransactionReceipt", params: [hash] });
+  assert.equal(receipt.status, "0x1", `transaction to ${tx.to || "new contract"} reverted`);
+  return receipt;
+}
+
+// Helper: Deploy bytecode (with ABI-encoded constructor arguments) and return its address
+async function deploy(bytecode, args = "") {
+  const code = bytecode.startsWith("0x") ? bytecode : `0x${bytecode}`;
+  return (await send({ data: `${code}${args}` })).contractAddress;
+}
+
+// Helper: eth_call returning the address in the result word
+async function callAddress(to, data) {
+  const hex = await provider.request({ method: "eth_call", params: [{ to, data }, "latest"] });
+  return `0x${hex.slice(-40)}`;
+}
+
+// Helper: Deploy a test token, pool it against the wrapped native coin and return the pair
+async function listToken({ sellable }) {
+  const token = await deploy(testToken.bytecode, encodeUintWord(sellable ? 1 : 0));
+  await send({ to: token, data: `${SELECTORS.approve}${encodeAddressWord(router)}${"f".repeat(64)}` });
+  await send({
+    to: router,
+    value: `0x${LIQUIDITY_WEI.toString(16)}`,
+    data: `${SELECTORS.addLiquidityETH}${encodeAddressWord(token)}${encodeUintWord(LIQUIDITY_TOKENS)}${encodeUintWord(0)}${encodeUintWord(0)}${encodeAddressWord(deployer)}${encodeUintWord(2n ** 32n)}`,
+  });
+
+  const factory = await callAddress(router, SELECTORS.factory);
+  const pairAddress = await callAddress(factory, `${SELECTORS.getPair}${encodeAddressWord(token)}${encodeAddressWord(chain.quoteTokens[0])}`);
+  await send({ to: token, data: `${SELECTORS.setPool}${encodeAddressWord(pairAddress)}` });
+
+  return { token, pair: { pairAddress, dexId: "test", labels: [], quoteAddress: chain.quoteTokens[0] } };
+}
+
+describe("simulateTrade", () => {
+  before(async () => {
+    server = ganache.server({
+      logging: { quiet: true },
+      wallet: { totalAccounts: 1, defaultBalance: 10000 },
+      ...(FORK_URL ? { fork: { url: FORK_URL } } : {}),
+    });
+    await server.listen(PORT);
+    provider = server.provider;
+    [deployer] = await provider.request({ method: "eth_accounts", params: [] });
+
+    const baseChain = getChain(FORK_URL ? process.env.HONEYPOT_FORK_CHAIN || "bnb" : "ethereum");
+    if (FORK_URL) {
+      router = Object.values(baseChain.v2Routers)[0].toLowerCase();
+      chain = { ...baseChain, v2Routers: { test: router } };
+    } else {
+      const weth = await deploy(WETH9.bytecode);
+      const factory = await deploy(UniswapV2Factory.bytecode, encodeAddressWord(deployer));
+      router = await deploy(UniswapV2Router02.bytecode, `${encodeAddressWord(factory)}${encodeAddressWord(weth)}`);
+      chain = { ...baseChain, v2Routers: { test: router }, quoteTokens: [weth] };
+    }
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  it("passes a token that can be sold", async () => {
+    const { token, pair } = await listToken({ sellable: true });
+    const result = await simulateTrade(token, { chain, pair, rpcUrl: `http://127.0.0.1:${PORT}` });
+
+    assert.equal(result.status, "ok");
+    assert.equal(result.method, "eth_call");
+    assert.equal(result.isHoneypot, false);
+    assert.equal(result.buyReverted, false);
+    assert.equal(result.sellReverted, false);
+    assert.ok(result.sellTax < 1, `sell tax ${result.sellTax}%`);
+    assert.deepEqual(result.risks, []);
+  });
+
+  it("reports a probe sell revert as unconfirmed rather than a honeypot", async () => {
+    const { token, pair } = await listToken({ sellable: false });
+    const result = await simulateTrade(token, { chain, pair, rpcUrl: `http://127.0.0.1:${PORT}` });
+
+    assert.equal(result.status, "ok");
+    assert.equal(result.method, "eth_call");
+    assert.equal(result.buyReverted, false);
+    assert.equal(result.sellReverted, true);
+    assert.equal(result.isHoneypot, false);
+    assert.deepEqual(
+      result.risks.map(({ id, level }) => ({ id, level })),
+      [{ id: "sell_reverted_probe", level: "medium" }]
+    );
+  });
+});
+
+// eth_simulateV1 isn't served by ganache, so its responses are canned here: a buy that
+// lands 1000 tokens, then a sell that reverts from the EOA trader - a confirmed honeypot
+describe("simulateTrade with eth_simulateV1", () => {
+  const realFetch = globalThis.fetch;
+  const word = (value) => encodeUintWord(value);
+  const amounts = (value) => `0x${word(0x20)}${word(2)}${word(1)}${word(value)}`;
+
+  before(() => {
+    globalThis.fetch = async (url, { body }) => {
+      const { method, params } = JSON.parse(body);
+      const reply = (payload) => new Response(JSON.stringify({ jsonrpc: "2.0", id: 1, ...payload }));
+      if (method !== "eth_simulateV1") return reply({ error: { code: -32000, message: "execution reverted" } });
+
+      const calls = params[0].blockStateCalls[0].calls;
+      const ok = (returnData = "0x") => ({ status: "0x1", returnData, gasUsed: "0x5208" });
+      const results =
+        calls.length === 3
+          ? [ok(amounts(1000)), ok(), ok(`0x${word(1000)}`)]
+          : [ok(), ok(), ok(amounts(10n ** 17n)), { status: "0x0", returnData: "0x", error: { message: "sells disabled" } }, ok(`0x${word(0)}`)];
+      return reply({ result: [{ calls: results }] });
+    };
+  });
+
+  after(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("flags a sell that reverts for an EOA as a honeypot", async () => {
+    const ethereum = getChain("ethereum");
+    const dexId = Object.keys(ethereum.v2Routers)[0];
+    const result = await simulateTrade("0x" + "12".repeat(20), {
+      chain: ethereum,
+      pair: { pairAddress: "0x" + "34".repeat(20), dexId, labels: [], quoteAddress: ethereum.quoteTokens[0] },
+      rpcUrl: "http://simulator.invalid",
+    });
+
+    assert.equal(result.method, "eth_simulateV1");
+    assert.equal(result.sellReverted, true);
+    assert.equal(result.isHoneypot, true);
+    assert.equal(result.risks[0]?.id, "honeypot");
+    assert.equal(result.risks[0]?.level, "high");
+  });
+});
@@ -0,0 +1,117 @@
+// Scan input parsing: addresses, links and messages users paste into the site, the API and the bot
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseScanInput } from "../api/utils/scan/input.js";
+import { getChainValidationError, getSupportedChainIds } from "../api/utils/scan/chains.js";
+
+const SOL_MINT = "7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr";
+const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const EVM_TOKEN = "0x2170Ed0880ac9A755fd29B2688956BD959F933F8";
+
+describe("parseScanInput", () => {
+  const accepted = [
+    ["bare Solana address", USDC_MINT, { address: USDC_MINT, chain: "solana", source: "address" }],
+    ["bare EVM address (chain unknown)", EVM_TOKEN, { address: EVM_TOKEN, chain: null, source: "address" }],
+    ["address with whitespace", `  ${EVM_TOKEN}\n`, { address: EVM_TOKEN, chain: null, source: "address" }],
+    [
+      "DexScreener Base pair",
+      `https://dexscreener.com/base/${EVM_TOKEN.toLowerCase()}`,
+      { address: EVM_TOKEN.toLowerCase(), chain: "base", source: "dexscreener" },
+    ],
+    [
+      "DexScreener bsc slug",
+      `https://dexscreener.com/bsc/${EVM_TOKEN}`,
+      { address: EVM_TOKEN, chain: "bnb", source: "dexscreener" },
+    ],
+    [
+      "DexScreener Solana pair with a query string",
+      "https://dexscreener.com/solana/8sLbNZoA1cfnvMJLPfp98ZLAnFSYCFApfJKMbiXNLwxj?maker=x",
+      { address: "8sLbNZoA1cfnvMJLPfp98ZLAnFSYCFApfJKMbiXNLwxj", chain: "solana", source: "dexscreener" },
+    ],
+    ["pump.fun coin page", `https://pump.fun/coin/${SOL_MINT}`, { address: SOL_MINT, chain: "solana", source: "pump.fun" }],
+    ["older pump.fun link", `https://pump.fun/${SOL_MINT}`, { address: SOL_MINT, chain: "solana", source: "pump.fun" }],
+    ["Birdeye without a chain", `https://birdeye.so/token/${SOL_MINT}`, { address: SOL_MINT, chain: "solana", source: "birdeye" }],
+    [
+      "Birdeye with ?chain=bsc",
+      `https://birdeye.so/token/${EVM_TOKEN}?chain=bsc`,
+      { address: EVM_TOKEN, chain: "bnb", source: "birdeye" },
+    ],
+    [
+      "GeckoTerminal eth pool",
+      "new gem https://www.geckoterminal.com/eth/pools/0x2222222222222222222222222222222222222222",
+      { address: "0x2222222222222222222222222222222222222222", chain: "ethereum", source: "geckoterminal" },
+    ],
+    ["GMGN sol slug", `https://gmgn.ai/sol/token/${SOL_MINT}`, { address: SOL_MINT, chain: "solana", source: "gmgn" }],
+    [
+      "Solscan with a fragment",
+      `https://solscan.io/token/${USDC_MINT}#holders`,
+      { address: USDC_MINT, chain: "solana", source: "solscan" },
+    ],
+    ["BscScan", `https://bscscan.com/token/${EVM_TOKEN}`, { address: EVM_TOKEN, chain: "bnb", source: "bscscan" }],
+    ["Etherscan address page", `https://etherscan.io/address/${EVM_TOKEN}`, { address: EVM_TOKEN, chain: "ethereum", source: "etherscan" }],
+    ["BaseScan", `https://basescan.org/token/${EVM_TOKEN}`, { address: EVM_TOKEN, chain: "base", source: "basescan" }],
+    ["Arbiscan", `https://arbiscan.io/token/${EVM_TOKEN}`, { address: EVM_TOKEN, chain: "arbitrum", source: "arbiscan" }],
+    ["other link with an address", `https://jup.ag/swap/SOL-${SOL_MINT}`, { address: SOL_MINT, chain: null, source: "link" }],
+    [
+      "address in a message after an unrelated link",
+      "ape this 🚀 https://x.com/foo/status/1812345678901234567 CA: 0x1111111111111111111111111111111111111111 lfg",
+      { address: "0x1111111111111111111111111111111111111111", chain: null, source: "text" },
+    ],
+    [
+      "first address in a message wins",
+      `CA ${SOL_MINT} (bridged: ${EVM_TOKEN})`,
+      { address: SOL_MINT, chain: "solana", source: "text" },
+    ],
+  ];
+
+  for (const [name, input, expected] of accepted) {
+    it(`parses ${name}`, () => {
+      assert.deepEqual(parseScanInput(input), expected);
+    });
+  }
+
+  const rejected = [
+    ["$TICKER (left to the token search)", "$PEPE"],
+    ["a message without an address", "gm frens nothing here"],
+    ["a link without an address", "https://dexscreener.com/solana"],
+    ["an EVM address with an extra hex digit", `${EVM_TOKEN}a`],
+    ["an empty string", ""],
+    ["whitespace", "   "],
+    ["null", null],
+    ["a non-string", 42],
+  ];
+
+  for (const [name, input] of rejected) {
+    it(`rejects ${name}`, () => {
+      assert.equal(parseScanInput(input), null);
+    });
+  }
+});
+
+describe("getChainValidationError", () => {
+  const valid = [
+    ["no chain", EVM_TOKEN, null],
+    ["an EVM chain for an EVM address", EVM_TOKEN, "base"],
+    ["a chain alias", EVM_TOKEN, "bsc"],
+    ["a chain alias in another case", EVM_TOKEN, " ETH "],
+    ["solana for a Solana address", SOL_MINT, "sol"],
+  ];
+
+  for (const [name, address, chain] of valid) {
+    it(`accepts ${name}`, () => {
+      assert.equal(getChainValidationError(address, chain), null);
+    });
+  }
+
+  it("rejects an unsupported chain and lists the supported ones", () => {
+    assert.equal(
+      getChainValidationError(EVM_TOKEN, "polygon"),
+      `Unsupported chain "polygon". Supported chains: ${getSupportedChainIds().join(", ")}`
+    );
+  });
+
+  it("rejects a chain from the other address family", () => {
+    assert.equal(getChainValidationError(EVM_TOKEN, "solana"), "Address is not a valid Solana address");
+    assert.equal(getChainValidationError(SOL_MINT, "bnb"), "Address is not a valid BNB/BSC address");
+  });
+});
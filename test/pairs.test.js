@@ -0,0 +1,106 @@
+// Pair analysis: totals over known-quote pools, unknown-quote pools and cross-pool price divergence
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analyzePairs } from "../api/utils/scan/pairs.js";
+import { getChain } from "../api/utils/scan/chains.js";
+
+const bnb = getChain("bnb");
+const TOKEN = "0x00000000000000000000000000000000000000aa";
+const WBNB = "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c";
+const USDT = "0x55d398326f99059fF775485246999027B3197955";
+const FAKE = "0x00000000000000000000000000000000000000ff";
+
+// DexScreener pair with TOKEN as the base token
+const pair = (pairAddress, quote, priceUsd, liquidityUsd, volume24h = 0, txns = { buys: 0, sells: 0 }) => ({
+  pairAddress,
+  dexId: "pancakeswap",
+  baseToken: { address: TOKEN, symbol: "TKN" },
+  quoteToken: { address: quote, symbol: "Q" },
+  priceUsd: String(priceUsd),
+  priceNative: "1",
+  liquidity: { usd: liquidityUsd },
+  volume: { h24: volume24h },
+  txns: { h24: txns },
+});
+
+describe("analyzePairs", () => {
+  it("sums known-quote pools and raises nothing when prices agree", () => {
+    const result = analyzePairs(
+      [
+        pair("P1", WBNB, 1.0, 60000, 30000, { buys: 100, sells: 80 }),
+        pair("P2", USDT, 1.02, 20000, 5000, { buys: 20, sells: 10 }),
+      ],
+      TOKEN,
+      bnb
+    );
+    assert.equal(result.pairCount, 2);
+    assert.equal(result.legitPairCount, 2);
+    assert.equal(result.liquidityUsd, 80000);
+    assert.equal(result.volume24h, 35000);
+    assert.equal(result.buys24h, 120);
+    assert.equal(result.sells24h, 90);
+    assert.equal(result.priceUsd, 1.005);
+    assert.equal(result.unknownQuotePairs, 0);
+    assert.equal(result.maxPriceDeviationPct, 0);
+    assert.equal(result.riskFlag, null);
+    assert.deepEqual(result.pairs.map((p) => p.flags), [[], []]);
+  });
+
+  it("reads the token's price from pairs where it is the quote token", () => {
+    const quoted = {
+      ...pair("P1", WBNB, 600, 50000),
+      baseToken: { address: WBNB, symbol: "WBNB" },
+      quoteToken: { address: TOKEN, symbol: "TKN" },
+      priceNative: "600",
+    };
+    const result = analyzePairs([quoted], TOKEN, bnb);
+    assert.equal(result.pairs[0].quoteAddress, WBNB);
+    assert.equal(result.pairs[0].knownQuote, true);
+    assert.equal(result.priceUsd, 1);
+  });
+
+  it("leaves an unknown-quote pool out of the totals and flags it high when it claims more liquidity", () => {
+    const result = analyzePairs(
+      [pair("P1", WBNB, 1.0, 50000, 10000), pair("P2", FAKE, 1.0, 2000000, 10)],
+      TOKEN,
+      bnb
+    );
+    assert.equal(result.liquidityUsd, 50000);
+    assert.equal(result.volume24h, 10000);
+    assert.equal(result.unknownQuotePairs, 1);
+    assert.equal(result.unknownQuoteLiquidityUsd, 2000000);
+    assert.deepEqual(result.pairs[0].flags, ["unknown-quote"]);
+    assert.equal(result.riskFlag.id, "pair_anomalies");
+    assert.equal(result.riskFlag.level, "high");
+    assert.match(result.riskFlag.description, /1 pair quoted in unknown tokens/);
+  });
+
+  it("rates unknown-quote pools by their claimed liquidity", () => {
+    const level = (fakeLiquidity) =>
+      analyzePairs([pair("P1", WBNB, 1.0, 50000), pair("P2", FAKE, 1.0, fakeLiquidity)], TOKEN, bnb).riskFlag.level;
+    assert.equal(level(500), "low");
+    assert.equal(level(5000), "medium");
+  });
+
+  it("flags a pool priced away from the liquidity-weighted reference price", () => {
+    const result = analyzePairs([pair("P1", WBNB, 1.0, 90000), pair("P2", USDT, 1.3, 10000)], TOKEN, bnb);
+    const divergent = result.pairs.find((p) => p.pairAddress === "P2");
+    assert.equal(result.priceUsd, 1.03);
+    assert.equal(divergent.priceDeviationPct, 26.21);
+    assert.deepEqual(divergent.flags, ["price-divergence"]);
+    assert.equal(result.maxPriceDeviationPct, 26.21);
+    assert.equal(result.riskFlag.level, "high");
+    assert.match(result.riskFlag.description, /priced up to 26.21% away/);
+  });
+
+  it("ignores divergence below 10% and in pools too shallow to trust", () => {
+    const close = analyzePairs([pair("P1", WBNB, 1.0, 90000), pair("P2", USDT, 1.08, 10000)], TOKEN, bnb);
+    assert.equal(close.maxPriceDeviationPct, 0);
+    assert.equal(close.riskFlag, null);
+
+    const shallow = analyzePairs([pair("P1", WBNB, 1.0, 90000), pair("P2", USDT, 3.0, 500)], TOKEN, bnb);
+    assert.ok(shallow.pairs.find((p) => p.pairAddress === "P2").priceDeviationPct > 100);
+    assert.equal(shallow.maxPriceDeviationPct, 0);
+    assert.equal(shallow.riskFlag, null);
+  });
+});
@@ -0,0 +1,113 @@
+// Price history from GeckoTerminal candles: drawdowns, the likely-rugged threshold and token age
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getPriceHistory } from "../api/utils/scan/priceHistory.js";
+import { getChain } from "../api/utils/scan/chains.js";
+
+const bnb = getChain("bnb");
+const TOKEN = "0x00000000000000000000000000000000000000aa";
+const PAIR = { pairAddress: "0x00000000000000000000000000000000000000bb" };
+const NOW = Math.floor(Date.now() / 3600000) * 3600;
+
+// GeckoTerminal candle rows ([time, open, high, low, close, volume]) for closes given
+// oldest first, `step` seconds apart and ending now; `highs` overrides single highs by index
+function candles(closes, step, highs = {}) {
+  return closes.map((close, i) => {
+    const time = NOW - (closes.length - 1 - i) * step;
+    return [time, close, highs[i] ?? close, close, close, 1000];
+  });
+}
+
+// Hourly closes for the past week: flat at 1 until the last `tail` closes
+const week = (tail = []) => [...Array(168 - tail.length).fill(1), ...tail];
+
+// Stub fetch with GeckoTerminal OHLCV responses, newest candle first like the API
+function stubGeckoTerminal(t, { hourly, daily = [], status = 200 }) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    calls.push(String(url));
+    const rows = String(url).includes("/ohlcv/day") ? daily : hourly;
+    return {
+      ok: status === 200,
+      status,
+      json: async () => ({ data: { attributes: { ohlcv_list: [...rows].reverse() } } }),
+    };
+  });
+  return calls;
+}
+
+describe("getPriceHistory", () => {
+  it("measures drawdown from the all-time high without calling a long decline a rug", async (t) => {
+    const calls = stubGeckoTerminal(t, {
+      hourly: candles(week([0.95]), 3600),
+      daily: candles([...Array(9).fill(1), 4, ...Array(20).fill(1)], 86400),
+    });
+    const history = await getPriceHistory(TOKEN, bnb, { pair: PAIR });
+
+    assert.equal(calls.length, 2);
+    assert.match(calls[0], /\/networks\/bsc\/pools\/0x0+bb\/ohlcv\/hour\?/);
+    assert.equal(history.source, "geckoterminal");
+    assert.equal(history.candles.length, 168);
+    assert.equal(history.athPrice, 4);
+    assert.equal(history.athAt, NOW - 20 * 86400);
+    assert.equal(history.drawdownFromAthPct, 76.25);
+    assert.equal(history.recentHighPrice, 1);
+    assert.equal(history.recentDrawdownPct, 5);
+    assert.equal(history.priceChange1h, -5);
+    assert.equal(history.priceChange24h, -5);
+    assert.equal(history.priceChange7d, -5);
+    assert.equal(history.likelyRugged, false);
+    assert.equal(history.riskFlag, null);
+  });
+
+  it("flags a token 90% or more below its 7-day closing high as likely rugged", async (t) => {
+    stubGeckoTerminal(t, { hourly: candles(week([0.2, 0.05, 0.05]), 3600) });
+    const history = await getPriceHistory(TOKEN, bnb, { pair: PAIR });
+
+    assert.equal(history.recentDrawdownPct, 95);
+    assert.equal(history.likelyRugged, true);
+    assert.deepEqual(history.riskFlag, {
+      id: "likely_rugged",
+      name: "Likely rugged",
+      level: "high",
+      description: "Price is down 95% from its 7-day high",
+    });
+  });
+
+  it("puts the rug threshold at exactly 90%", async (t) => {
+    const rugged = async (latestClose) => {
+      stubGeckoTerminal(t, { hourly: candles(week([latestClose]), 3600) });
+      return (await getPriceHistory(TOKEN, bnb, { pair: PAIR })).likelyRugged;
+    };
+    assert.equal(await rugged(0.1), true);
+    assert.equal(await rugged(0.11), false);
+  });
+
+  it("ignores a single wick in the rug check but not in the all-time high", async (t) => {
+    stubGeckoTerminal(t, { hourly: candles(week([0.5]), 3600, { 100: 10 }) });
+    const history = await getPriceHistory(TOKEN, bnb, { pair: PAIR });
+
+    assert.equal(history.athPrice, 10);
+    assert.equal(history.drawdownFromAthPct, 95);
+    assert.equal(history.recentDrawdownPct, 50);
+    assert.equal(history.likelyRugged, false);
+  });
+
+  it("dates the token from the pool's creation when it predates the first candle", async (t) => {
+    stubGeckoTerminal(t, { hourly: candles(week(), 3600), daily: candles(Array(30).fill(1), 86400) });
+    const createdAt = (NOW - 40 * 86400) * 1000;
+    const history = await getPriceHistory(TOKEN, bnb, { pair: { ...PAIR, createdAt } });
+
+    assert.equal(history.firstTradeAt, createdAt / 1000);
+    assert.ok(Math.abs(history.tokenAgeDays - 40) <= 0.1);
+    assert.equal(history.volatilityPct, 0);
+  });
+
+  it("returns null without a pool or candles", async (t) => {
+    const calls = stubGeckoTerminal(t, { hourly: [], status: 404 });
+    assert.equal(await getPriceHistory(TOKEN, bnb), null);
+    assert.equal(calls.length, 0);
+    assert.equal(await getPriceHistory(TOKEN, bnb, { pair: PAIR }), null);
+    assert.equal(calls.length, 2);
+  });
+});
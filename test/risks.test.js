@@ -0,0 +1,167 @@
+// Normalized risk list: provider adapters, merging by ID, and how scoring reads the result
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { collectRisks, describeRisks, fromRugCheck } from "../api/utils/scan/risks.js";
+import { explainTokenScore } from "../api/utils/scan/scoring.js";
+
+const rugCheck = (name, level, extra = {}) => ({ name, level, description: `${name} (RugCheck)`, ...extra });
+
+describe("fromRugCheck", () => {
+  it("maps RugCheck levels onto severities", () => {
+    const levels = ["danger", "error", "warn", "warning", "info", "DANGER", "unknown", undefined];
+    assert.deepEqual(
+      fromRugCheck(levels.map((level) => rugCheck("Mint Authority still enabled", level))).map((r) => r.severity),
+      ["high", "high", "medium", "medium", "low", "high", "low", "low"]
+    );
+  });
+
+  it("matches known findings to stable IDs however they are worded", () => {
+    const risks = fromRugCheck([
+      rugCheck("Freeze Authority still enabled", "danger"),
+      rugCheck("Mutable metadata", "warn"),
+      rugCheck("Large Amount of LP Unlocked", "danger"),
+      rugCheck("Top 10 holders high ownership", "danger"),
+      rugCheck("Copycat token", "warn"),
+    ]);
+    assert.deepEqual(
+      risks.map(({ id, category }) => [id, category]),
+      [
+        ["freeze_authority", "contract"],
+        ["mutable_metadata", "contract"],
+        ["lp_unlocked", "liquidity"],
+        ["holder_concentration", "holders"],
+        ["impersonation", "identity"],
+      ]
+    );
+  });
+
+  it("slugs unknown names and files them under a neutral category", () => {
+    const [unknown] = fromRugCheck([rugCheck("Creator sold 80% (Pump.fun)", "danger", { value: "", score: 500 })]);
+    assert.deepEqual(unknown, {
+      id: "rugcheck_creator_sold_80_pump_fun",
+      name: "Creator sold 80% (Pump.fun)",
+      category: "other",
+      severity: "high",
+      source: "rugcheck",
+      description: "Creator sold 80% (Pump.fun) (RugCheck)",
+      evidence: { score: 500 },
+    });
+    assert.equal(fromRugCheck([{ level: "warn" }])[0].id, "rugcheck_unknown");
+  });
+});
+
+describe("collectRisks", () => {
+  it("keeps the on-chain finding when RugCheck reports the same ID more severely", () => {
+    const risks = collectRisks({
+      blockchain: "solana",
+      securityData: { source: "rugcheck", risks: [rugCheck("Mutable metadata", "warn")] },
+      fundamentals: {
+        mintAuthority: null,
+        freezeAuthority: null,
+        mintRiskFlags: [
+          { id: "mutable_metadata", name: "Mutable metadata", level: "low", description: "Update authority can change it" },
+        ],
+      },
+    });
+    assert.equal(risks.length, 1);
+    assert.equal(risks[0].severity, "low");
+    assert.equal(risks[0].source, "token-extensions");
+  });
+
+  it("keeps the on-chain finding when RugCheck reports the same ID less severely", () => {
+    const risks = collectRisks({
+      blockchain: "solana",
+      securityData: { source: "rugcheck", risks: [rugCheck("Mint Authority still enabled", "warn")] },
+      fundamentals: { mintAuthority: "Auth1111111111111111111111111111111111111111", freezeAuthority: null },
+    });
+    assert.equal(risks.length, 1);
+    assert.equal(risks[0].severity, "high");
+    assert.equal(risks[0].source, "onchain");
+    assert.equal(risks[0].evidence.authority, "Auth1111111111111111111111111111111111111111");
+  });
+
+  it("keeps the most severe of two findings from the same kind of source", () => {
+    const risks = collectRisks({
+      securityData: {
+        source: "onchain",
+        risks: [
+          { id: "trading_limits", name: "Max wallet", level: "low", value: "2%" },
+          { id: "trading_limits", name: "Max transaction", level: "medium", value: "0.5%" },
+        ],
+      },
+    });
+    assert.equal(risks.length, 1);
+    assert.equal(risks[0].name, "Max transaction");
+    assert.equal(risks[0].severity, "medium");
+  });
+
+  it("sorts by severity and drops empty evidence", () => {
+    const risks = collectRisks({
+      securityData: {
+        source: "onchain",
+        risks: [
+          { id: "owner_not_renounced", name: "Owner not renounced", level: "low" },
+          { id: "high_tax", name: "High tax", level: "medium", value: "12%" },
+          { id: "honeypot", name: "Honeypot", level: "high" },
+        ],
+      },
+      pairAnalysis: {
+        riskFlag: { id: "pair_anomalies", name: "Pair anomalies", level: "medium" },
+        unknownQuotePairs: 2,
+        maxPriceDeviationPct: null,
+      },
+    });
+    assert.deepEqual(
+      risks.map((r) => `${r.severity}:${r.id}`),
+      ["high:honeypot", "medium:high_tax", "medium:pair_anomalies", "low:owner_not_renounced"]
+    );
+    assert.deepEqual(risks.find((r) => r.id === "pair_anomalies").evidence, { unknownQuotePairs: 2 });
+    assert.deepEqual(risks.find((r) => r.id === "high_tax").evidence, { value: "12%" });
+  });
+
+  it("returns an empty list for an empty scan", () => {
+    assert.deepEqual(collectRisks(), []);
+    assert.equal(describeRisks([]), "none");
+  });
+});
+
+describe("risks in the score", () => {
+  const scan = (risks, overrides = {}) => ({
+    blockchain: "solana",
+    marketData: { liquidity: 200000, volume24h: 200000, marketCap: 2000000 },
+    fundamentals: { holderCount: 2000, mintAuthority: null, freezeAuthority: null },
+    securityData: { source: "rugcheck", risks: [] },
+    socials: null,
+    sentimentScore: 50,
+    risks,
+    ...overrides,
+  });
+  const hasCap = (breakdown, id) => breakdown.caps.some((c) => c.id === id);
+
+  it("does not let an unknown RugCheck finding trigger the contract/trading risk cap", () => {
+    const risks = collectRisks({ securityData: { source: "rugcheck", risks: [rugCheck("Something new", "danger")] } });
+    const breakdown = explainTokenScore(scan(risks));
+    assert.equal(hasCap(breakdown, "security_risks"), false);
+    assert.equal(breakdown.factors.find((f) => f.id === "risk:rugcheck_something_new").points, -15);
+  });
+
+  it("does not cap mutable metadata that the chain reports as low", () => {
+    const risks = collectRisks({
+      blockchain: "solana",
+      securityData: { source: "rugcheck", risks: [rugCheck("Mutable metadata", "warn")] },
+      fundamentals: { mintRiskFlags: [{ id: "mutable_metadata", name: "Mutable metadata", level: "low" }] },
+    });
+    assert.equal(hasCap(explainTokenScore(scan(risks)), "security_risks"), false);
+  });
+
+  it("scores low liquidity from the measured liquidity, not the RugCheck finding", () => {
+    const risks = collectRisks({ securityData: { source: "rugcheck", risks: [rugCheck("Low Liquidity", "danger")] } });
+    assert.equal(risks[0].id, "low_liquidity");
+
+    const measured = explainTokenScore(scan(risks));
+    assert.equal(measured.factors.some((f) => f.id === "risk:low_liquidity"), false);
+
+    const unmeasured = explainTokenScore(scan(risks, { marketData: null }));
+    assert.equal(unmeasured.factors.find((f) => f.id === "risk:low_liquidity").points, -15);
+  });
+});
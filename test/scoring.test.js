@@ -0,0 +1,232 @@
+// Token score breakdown and scoring profiles, on hand-built scan results
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { calculateTokenScore, explainTokenScore, getScoreDrivers } from "../api/utils/scan/scoring.js";
+import {
+  DEFAULT_SCORING_PROFILE,
+  SCORING_PROFILES,
+  getScoringProfile,
+  getScoringProfileError,
+} from "../api/utils/scan/scoringProfiles.js";
+
+const conservative = getScoringProfile("conservative");
+const degen = getScoringProfile("degen");
+const bluechip = getScoringProfile("bluechip");
+
+// Established Solana token with nothing wrong with it
+function healthyScan(overrides = {}) {
+  return {
+    blockchain: "solana",
+    marketData: { liquidity: 2000000, volume24h: 2000000, marketCap: 50000000 },
+    fundamentals: {
+      holderCount: 20000,
+      holderDistribution: { top1Pct: 3, top10Pct: 12, gini: 0.5 },
+      mintAuthority: null,
+      freezeAuthority: null,
+    },
+    securityData: { source: "rugcheck", risks: [] },
+    holderClusters: { largestClusterPct: 0, clusters: [] },
+    liquidityLock: { lpModel: "fungible", burnedPct: 100, lockedPct: 0, creatorPct: 0 },
+    risks: [],
+    socials: { website: "https://example.com", x: "https://x.com/example", telegram: "https://t.me/example" },
+    sentimentScore: 80,
+    ...overrides,
+  };
+}
+
+// Fresh launch: thin liquidity, few holders, no socials yet
+function freshScan(overrides = {}) {
+  return {
+    blockchain: "solana",
+    marketData: { liquidity: 20000, volume24h: 30000, marketCap: 60000 },
+    fundamentals: { holderCount: 150, mintAuthority: null, freezeAuthority: null },
+    securityData: { source: "rugcheck", risks: [] },
+    risks: [],
+    socials: null,
+    sentimentScore: 60,
+    ...overrides,
+  };
+}
+
+const risk = (id, severity, category = "contract") => ({
+  id,
+  name: id,
+  category,
+  severity,
+  source: "onchain",
+  description: id,
+  evidence: {},
+});
+
+const sumFactors = (breakdown) =>
+  Math.round((breakdown.baseScore + breakdown.factors.reduce((sum, f) => sum + f.points, 0)) * 100) / 100;
+const capById = (breakdown, id) => breakdown.caps.find((c) => c.id === id);
+
+describe("explainTokenScore", () => {
+  it("adds every factor onto the base score to reach rawScore", () => {
+    for (const scan of [healthyScan(), freshScan(), healthyScan({ risks: [risk("mint_authority", "high")] })]) {
+      for (const profile of Object.values(SCORING_PROFILES)) {
+        const breakdown = explainTokenScore(scan, profile);
+        assert.equal(breakdown.baseScore, profile.baseScore);
+        assert.equal(sumFactors(breakdown), breakdown.rawScore, `${profile.id}: factors sum to rawScore`);
+      }
+    }
+  });
+
+  it("scores a clean, established token without caps", () => {
+    const breakdown = explainTokenScore(healthyScan(), conservative);
+    assert.deepEqual(breakdown.caps, []);
+    assert.equal(breakdown.strongIndicators.count, 9);
+    assert.equal(breakdown.score, 100);
+    assert.deepEqual(breakdown.scoringProfile, { id: "conservative", version: conservative.version });
+  });
+
+  it("reports a cap that lowered the score as applied", () => {
+    const breakdown = explainTokenScore(healthyScan({ risks: [risk("mint_authority", "high")] }), conservative);
+    assert.deepEqual(
+      breakdown.caps.map(({ id, limit, applied }) => ({ id, limit, applied })),
+      [
+        { id: "security_risks", limit: 40, applied: true },
+        { id: "control", limit: 30, applied: true },
+      ]
+    );
+    assert.equal(breakdown.score, 30);
+    assert.ok(breakdown.factors.some((f) => f.id === "risk:mint_authority" && f.points === -15));
+  });
+
+  it("reports a cap whose condition held even when the score was already below it", () => {
+    const breakdown = explainTokenScore(
+      freshScan({ risks: [risk("freeze_authority", "high")], sentimentScore: null }),
+      conservative
+    );
+    assert.ok(breakdown.rawScore < 30);
+    for (const id of ["low_liquidity", "security_risks", "control"]) {
+      assert.equal(capById(breakdown, id)?.applied, false, `${id} is listed but not applied`);
+    }
+    assert.equal(breakdown.score, Math.max(1, Math.round(breakdown.rawScore)));
+  });
+
+  it("caps a honeypot at the cannot-sell limit", () => {
+    const breakdown = explainTokenScore(healthyScan({ risks: [risk("honeypot", "high", "trading")] }), conservative);
+    assert.deepEqual(capById(breakdown, "cannot_sell"), {
+      id: "cannot_sell",
+      limit: 10,
+      reason: "Holders cannot sell",
+      applied: true,
+    });
+    assert.equal(breakdown.score, 10);
+  });
+
+  it("holds high scores back without enough strong indicators", () => {
+    const scan = healthyScan({
+      fundamentals: { holderCount: 900, mintAuthority: null, freezeAuthority: null },
+      holderClusters: null,
+      liquidityLock: null,
+      socials: null,
+      marketData: { liquidity: 90000, volume24h: 90000, marketCap: 50000000 },
+      sentimentScore: 100,
+    });
+    const breakdown = explainTokenScore(scan, { ...conservative, baseScore: 80 });
+    assert.equal(breakdown.strongIndicators.count, 2);
+    assert.equal(capById(breakdown, "strong_indicators")?.applied, true);
+    assert.equal(breakdown.score, 70);
+  });
+
+  it("matches calculateTokenScore", () => {
+    for (const scan of [healthyScan(), freshScan()]) {
+      assert.equal(calculateTokenScore(scan), explainTokenScore(scan).score);
+    }
+  });
+});
+
+describe("getScoreDrivers", () => {
+  it("leads with the tightest applied cap, then the largest factors", () => {
+    const breakdown = explainTokenScore(healthyScan({ risks: [risk("mint_authority", "high")] }), conservative);
+    const drivers = getScoreDrivers(breakdown);
+    assert.equal(drivers.length, 3);
+    assert.deepEqual(drivers[0], {
+      type: "cap",
+      label: "Capped at 30",
+      limit: 30,
+      detail: "Someone can mint, freeze or take tokens, or pull the liquidity",
+    });
+    assert.ok(Math.abs(drivers[1].points) >= Math.abs(drivers[2].points));
+  });
+
+  it("has no cap driver when no cap applied", () => {
+    const drivers = getScoreDrivers(explainTokenScore(healthyScan(), conservative));
+    assert.ok(drivers.every((d) => d.type === "factor"));
+    assert.deepEqual(getScoreDrivers(null), []);
+  });
+});
+
+describe("scoring profiles", () => {
+  it("defaults to the conservative profile", () => {
+    assert.equal(DEFAULT_SCORING_PROFILE, "conservative");
+    assert.equal(getScoringProfile(), conservative);
+    assert.equal(explainTokenScore(freshScan()).scoringProfile.id, "conservative");
+  });
+
+  it("looks profiles up case-insensitively and ignores prototype keys", () => {
+    assert.equal(getScoringProfile("DEGEN"), degen);
+    assert.equal(getScoringProfile("toString"), null);
+    assert.equal(getScoringProfile("__proto__"), null);
+    assert.equal(getScoringProfileError(undefined), null);
+    assert.equal(getScoringProfileError("Bluechip"), null);
+    assert.equal(getScoringProfileError(3), "scoringProfile must be a string");
+    assert.equal(
+      getScoringProfileError("yolo"),
+      'Unknown scoring profile "yolo". Supported: conservative, degen, bluechip'
+    );
+  });
+
+  it("degen overrides only the numbers it sets and inherits the rest", () => {
+    assert.deepEqual(degen.caps.lowLiquidity, { below: 10000, limit: 60 });
+    assert.equal(degen.caps.securityRisks, conservative.caps.securityRisks);
+    assert.equal(degen.caps.cannotSell, conservative.caps.cannotSell);
+    assert.equal(degen.liquidity.missing, conservative.liquidity.missing);
+    assert.equal(degen.liquidity.floor, -10);
+    assert.deepEqual(degen.riskPenalties, conservative.riskPenalties);
+    assert.equal(degen.strongIndicators.required, conservative.strongIndicators.required);
+    assert.equal(degen.strongIndicators.liquidityOver, 25000);
+    assert.equal(degen.baseScore, conservative.baseScore);
+  });
+
+  it("bluechip replaces tier tables whole instead of merging them by index", () => {
+    assert.deepEqual(bluechip.holderConcentration.top10Over, [[60, -15], [40, -10], [25, -4]]);
+    assert.deepEqual(bluechip.holderConcentration.top1Over, conservative.holderConcentration.top1Over);
+    assert.equal(bluechip.liquidity.over.length, 6);
+    assert.equal(bluechip.strongIndicators.required, 5);
+    assert.equal(bluechip.strongIndicators.threshold, conservative.strongIndicators.threshold);
+    assert.equal(bluechip.caps.insiders, conservative.caps.insiders);
+  });
+
+  it("leaves the conservative profile untouched by the overrides", () => {
+    assert.deepEqual(conservative.caps.lowLiquidity, { below: 50000, limit: 60 });
+    assert.deepEqual(conservative.holderConcentration.top10Over, [[80, -15], [50, -10], [30, -4]]);
+    assert.equal(conservative.strongIndicators.required, 4);
+  });
+
+  it("scores the same fresh launch differently per profile", () => {
+    const scan = freshScan();
+    const byProfile = Object.fromEntries(
+      Object.keys(SCORING_PROFILES).map((id) => [id, explainTokenScore(scan, getScoringProfile(id))])
+    );
+    assert.equal(capById(byProfile.conservative, "low_liquidity")?.limit, 60);
+    assert.equal(capById(byProfile.degen, "low_liquidity"), undefined);
+    assert.equal(capById(byProfile.bluechip, "low_liquidity")?.limit, 50);
+    assert.ok(byProfile.degen.rawScore > byProfile.conservative.rawScore);
+    assert.ok(byProfile.conservative.rawScore > byProfile.bluechip.rawScore);
+    for (const [id, breakdown] of Object.entries(byProfile)) {
+      assert.deepEqual(breakdown.scoringProfile, { id, version: SCORING_PROFILES[id].version });
+    }
+  });
+
+  it("penalizes contract risks the same in every profile", () => {
+    const scan = healthyScan({ risks: [risk("upgradeable_proxy", "medium")] });
+    const penalties = Object.values(SCORING_PROFILES).map(
+      (profile) => explainTokenScore(scan, profile).factors.find((f) => f.id === "risk:upgradeable_proxy").points
+    );
+    assert.deepEqual(penalties, [-8, -8, -8]);
+  });
+});
@@ -0,0 +1,105 @@
+// Supply breakdown: burned and locked balances, circulating supply, market cap and FDV
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSupply } from "../api/utils/scan/supply.js";
+import { getChain } from "../api/utils/scan/chains.js";
+
+const bnb = getChain("bnb");
+const solana = getChain("solana");
+const TOKEN = "0x00000000000000000000000000000000000000aa";
+const MINT = "Mint111111111111111111111111111111111111111";
+const DEAD = "0x000000000000000000000000000000000000dead";
+const PINKLOCK = "0x407993575c91ce7643a4d4ccacc9a98c36ee1bbe";
+const INCINERATOR = "1nc1nerator11111111111111111111111111111111";
+const WHOLE = 10n ** 18n;
+
+const uintWord = (value) => `0x${value.toString(16).padStart(64, "0")}`;
+
+// Stub fetch as a JSON-RPC node: balanceOf answers from `evmBalances` (lowercase holder ->
+// raw amount; unknown holders revert), getTokenAccountsByOwner from `solanaBalances`
+function stubRpc(t, { evmBalances = {}, solanaBalances = {} }) {
+  const methods = [];
+  t.mock.method(globalThis, "fetch", async (url, options) => {
+    const { id, method, params } = JSON.parse(options.body);
+    methods.push(method);
+    const reply = (body) => ({ ok: true, status: 200, json: async () => ({ jsonrpc: "2.0", id, ...body }) });
+
+    if (method === "eth_call") {
+      const holder = `0x${params[0].data.slice(-40)}`;
+      return holder in evmBalances
+        ? reply({ result: uintWord(evmBalances[holder]) })
+        : reply({ error: { code: 3, message: "execution reverted" } });
+    }
+    if (method === "getTokenAccountsByOwner") {
+      const amount = solanaBalances[params[0]];
+      const value = amount ? [{ account: { data: { parsed: { info: { tokenAmount: { uiAmountString: amount } } } } } }] : [];
+      return reply({ result: { value } });
+    }
+    return reply({ result: null });
+  });
+  return methods;
+}
+
+describe("analyzeSupply", () => {
+  it("takes burned and locker balances out of circulating supply on EVM chains", async (t) => {
+    stubRpc(t, { evmBalances: { [DEAD]: 400000000n * WHOLE, [PINKLOCK]: 100000000n * WHOLE } });
+    const supply = await analyzeSupply(TOKEN, bnb, { supply: (1000000000n * WHOLE).toString(), decimals: 18, price: 0.001 });
+
+    assert.equal(supply.totalSupply, 1000000000);
+    assert.deepEqual(supply.burned, [{ address: DEAD, label: "Dead address", amount: 400000000 }]);
+    assert.deepEqual(supply.locked, [
+      { address: "0x407993575c91ce7643a4d4cCACc9A98c36eE1BBE", label: "PinkLock V2", amount: 100000000 },
+    ]);
+    assert.equal(supply.burnedPct, 40);
+    assert.equal(supply.lockedPct, 10);
+    assert.equal(supply.circulatingSupply, 500000000);
+    assert.equal(supply.circulatingPct, 50);
+    assert.equal(supply.marketCap, 500000);
+    assert.equal(supply.fdv, 600000);
+    assert.equal(supply.marketCapToFdvPct, 83.33);
+  });
+
+  it("treats unreadable and empty balances as nothing burned or locked", async (t) => {
+    stubRpc(t, { evmBalances: { [DEAD]: 0n } });
+    const supply = await analyzeSupply(TOKEN, bnb, { supply: "1000000", decimals: 6 });
+
+    assert.deepEqual(supply.burned, []);
+    assert.deepEqual(supply.locked, []);
+    assert.equal(supply.circulatingSupply, 1);
+    assert.equal(supply.circulatingPct, 100);
+    assert.equal(supply.marketCap, null);
+    assert.equal(supply.fdv, null);
+    assert.equal(supply.marketCapToFdvPct, null);
+  });
+
+  it("reads Solana burns from the incinerator and locks from the holder breakdown", async (t) => {
+    stubRpc(t, { solanaBalances: { [INCINERATOR]: "1000" } });
+    const supply = await analyzeSupply(MINT, solana, {
+      supply: "10000000000",
+      decimals: 6,
+      price: "2",
+      holderDistribution: {
+        excluded: [
+          { owner: "Lock1111111111111111111111111111111111111111", type: "locker", label: "Jupiter Lock", amount: 500 },
+          { owner: "Pool1111111111111111111111111111111111111111", type: "pool", label: "Raydium", amount: 3000 },
+        ],
+      },
+    });
+
+    assert.deepEqual(supply.burned, [{ address: INCINERATOR, label: "Incinerator", amount: 1000 }]);
+    assert.deepEqual(supply.locked, [
+      { address: "Lock1111111111111111111111111111111111111111", label: "Jupiter Lock", amount: 500 },
+    ]);
+    assert.equal(supply.burnedPct, 10);
+    assert.equal(supply.lockedPct, 5);
+    assert.equal(supply.circulatingPct, 85);
+    assert.equal(supply.marketCap, 17000);
+    assert.equal(supply.fdv, 18000);
+  });
+
+  it("returns null without a total supply", async (t) => {
+    const methods = stubRpc(t, {});
+    assert.equal(await analyzeSupply(MINT, solana, { supply: null, decimals: 6 }), null);
+    assert.deepEqual(methods, []);
+  });
+});
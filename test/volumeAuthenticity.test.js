@@ -0,0 +1,145 @@
+// Volume authenticity: wash-trading patterns in the 24h trade mix and a sample of recent swaps
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import process from "node:process";
+import { getChain } from "../api/utils/scan/chains.js";
+
+// The module reaches the Supabase client through evmHolders.js, which needs these to load
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= "test";
+const { analyzeVolumeAuthenticity } = await import("../api/utils/scan/volumeAuthenticity.js");
+
+const solana = getChain("solana");
+const MINT = "Mint111111111111111111111111111111111111111";
+const POOL = "Poo1111111111111111111111111111111111111111";
+
+const pairTotals = (volume24h, liquidityUsd, buys24h, sells24h) => ({
+  legitPairCount: 1,
+  volume24h,
+  liquidityUsd,
+  buys24h,
+  sells24h,
+});
+
+// Solana transport answering with `count` pool transactions, each one swap of `amount`
+// tokens between the pool vault and one of `wallets` traders
+function createSwapTransport({ count, wallets, amount }) {
+  const balance = (owner, value) => ({ mint: MINT, owner, uiTokenAmount: { uiAmountString: String(value) } });
+  return {
+    async solanaRpc(method, params) {
+      if (method === "getSignaturesForAddress") {
+        return Array.from({ length: count }, (_, i) => ({ signature: `sig${i}`, err: null }));
+      }
+      const i = Number(params[0].slice(3));
+      const wallet = `Wallet${i % wallets}`;
+      const delta = Math.floor(i / wallets) % 2 === 0 ? amount : -amount;
+      return {
+        meta: {
+          preTokenBalances: [balance("Vault", 1000000), balance(wallet, 5000)],
+          postTokenBalances: [balance("Vault", 1000000 - delta), balance(wallet, 5000 + delta)],
+        },
+      };
+    },
+  };
+}
+
+describe("analyzeVolumeAuthenticity", () => {
+  it("leaves organic volume undiscounted", async () => {
+    const result = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: pairTotals(100000, 200000, 600, 400),
+      birdeye: { volume24h: 120000, liquidity: 210000, tradeCount24h: 1100, uniqueWallets24h: 700 },
+    });
+    assert.equal(result.volumeSource, "dexscreener");
+    assert.equal(result.volumeToLiquidity, 0.5);
+    assert.equal(result.buyShare, 60);
+    assert.equal(result.avgTradeUsd, 100);
+    assert.equal(result.tradesPerTrader, 1.57);
+    assert.deepEqual(result.patterns, []);
+    assert.equal(result.suspiciousVolumePct, 0);
+    assert.equal(result.adjustedVolume24h, 100000);
+    assert.equal(result.riskFlag, null);
+  });
+
+  it("discounts high turnover from few wallets with matched buys and sells", async () => {
+    const result = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: pairTotals(2000000, 50000, 1510, 1490),
+      birdeye: { volume24h: 1800000, liquidity: 48000, tradeCount24h: 3000, uniqueWallets24h: 30 },
+    });
+    assert.equal(result.volumeToLiquidity, 40);
+    assert.equal(result.uniqueTradersSource, "birdeye");
+    assert.equal(result.tradesPerTrader, 100);
+    assert.deepEqual(
+      result.patterns.map((p) => p.id),
+      ["volume-vs-liquidity", "few-traders", "balanced-flow"]
+    );
+    assert.equal(result.suspiciousVolumePct, 85);
+    assert.equal(result.adjustedVolume24h, 300000);
+    assert.equal(result.riskFlag.id, "wash_trading");
+    assert.equal(result.riskFlag.level, "high");
+    assert.match(result.riskFlag.description, /^~85% of 24h volume looks inorganic: 24h volume is 40x liquidity/);
+  });
+
+  it("rates a single weak pattern low and two medium", async () => {
+    // Average trade of $3,000 against $50,000 liquidity is over the 5% line
+    const oversized = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: pairTotals(180000, 50000, 40, 20),
+    });
+    assert.deepEqual(oversized.patterns.map((p) => p.id), ["oversized-trades"]);
+    assert.equal(oversized.riskFlag.level, "low");
+
+    const balanced = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: pairTotals(300000, 50000, 50, 50),
+    });
+    assert.deepEqual(balanced.patterns.map((p) => p.id), ["balanced-flow", "oversized-trades"]);
+    assert.equal(balanced.riskFlag.level, "medium");
+  });
+
+  it("finds round trips and same-sized clips in sampled swaps and caps the discount", async () => {
+    const result = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: pairTotals(5000000, 50000, 100, 100),
+      pair: { pairAddress: POOL },
+      transport: createSwapTransport({ count: 24, wallets: 4, amount: 100 }),
+    });
+    assert.deepEqual(result.sample, { swaps: 24, wallets: 4, roundTripWallets: 4, sizeVariation: 0 });
+    assert.equal(result.uniqueTradersSource, "swap-sample");
+    assert.equal(result.uniqueTraders24h, 33);
+    assert.deepEqual(
+      result.patterns.map((p) => p.id),
+      ["volume-vs-liquidity", "balanced-flow", "oversized-trades", "round-trips", "uniform-sizes"]
+    );
+    assert.equal(result.suspiciousVolumePct, 90);
+    assert.equal(result.adjustedVolume24h, 500000);
+  });
+
+  it("ignores a swap sample too small to judge wallets by", async () => {
+    const result = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: pairTotals(100000, 200000, 600, 400),
+      pair: { pairAddress: POOL },
+      transport: createSwapTransport({ count: 12, wallets: 2, amount: 100 }),
+    });
+    assert.equal(result.sample.swaps, 12);
+    assert.equal(result.uniqueTraders24h, null);
+    assert.deepEqual(result.patterns, []);
+  });
+
+  it("falls back to Birdeye, then market data, and returns null without volume", async () => {
+    const noPairs = { legitPairCount: 0, volume24h: 0, liquidityUsd: 0, buys24h: 0, sells24h: 0 };
+    const birdeye = await analyzeVolumeAuthenticity(MINT, solana, {
+      pairAnalysis: noPairs,
+      birdeye: { volume24h: 90000, liquidity: 30000, tradeCount24h: 300 },
+    });
+    assert.equal(birdeye.volumeSource, "birdeye");
+    assert.equal(birdeye.volumeToLiquidity, 3);
+    assert.equal(birdeye.txCount24h, 300);
+
+    const market = await analyzeVolumeAuthenticity(MINT, solana, {
+      marketData: { volume24h: 40000, liquidity: 80000 },
+      pairAnalysis: noPairs,
+    });
+    assert.equal(market.volumeSource, "market-data");
+    assert.equal(market.txCount24h, null);
+    assert.equal(market.riskFlag, null);
+
+    assert.equal(await analyzeVolumeAuthenticity(MINT, solana, { marketData: { volume24h: null } }), null);
+  });
+});